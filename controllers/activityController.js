@@ -2,6 +2,8 @@ const Activity = require('../models/Activity');
 const User = require('../models/User');
 const sanitizeInput = require('../utils/sanitizeInput');
 const logger = require('../utils/logger');
+const privacyService = require('../services/privacyService');
+const learningPathService = require('../services/learningPathService');
 
 // POST /api/activities - Create new activity
 exports.createActivity = async (req, res, next) => {
@@ -51,6 +53,10 @@ exports.getActivities = async (req, res) => {
     
     // Filter by userId (either from token or query param)
     if (userId) {
+      // Another user's activity is only visible if their profile is
+      if (userId !== req.user._id.toString() && !(await privacyService.canViewUser(req.user, userId))) {
+        return res.status(403).json({ error: 'This account is private.' });
+      }
       query.user = userId;
     } else {
       query.user = req.user._id;
@@ -157,6 +163,11 @@ exports.getActivity = async (req, res) => {
         .json({ error: "Activity not found", details: err.message });
     }
 
+    const ownerId = activity.user?._id?.toString();
+    if (ownerId && ownerId !== req.user._id.toString() && !(await privacyService.canViewUser(req.user, ownerId))) {
+      return res.status(403).json({ error: 'This account is private.' });
+    }
+
     res.json(activity);
   } catch (err) {
     logger.error('Error getting activity:', err);
@@ -429,7 +440,8 @@ exports.getLearningProgress = async (req, res) => {
       eventsCreated,
       swapsCompleted,
       postsCreated,
-      user
+      user,
+      learningPaths
     ] = await Promise.all([
       Activity.countDocuments({ user: userId, type: 'community_join' }),
       Activity.countDocuments({ user: userId, type: 'community_create' }),
@@ -437,7 +449,8 @@ exports.getLearningProgress = async (req, res) => {
       Activity.countDocuments({ user: userId, type: 'event_create' }),
       Activity.countDocuments({ user: userId, type: 'swap_complete' }),
       Activity.countDocuments({ user: userId, type: 'post_create' }),
-      User.findById(userId).select('credits')
+      User.findById(userId).select('credits'),
+      learningPathService.getProgressSummary(userId)
     ]);
     res.json({
       success: true,
@@ -448,7 +461,8 @@ exports.getLearningProgress = async (req, res) => {
         eventsCreated,
         swapsCompleted,
         postsCreated,
-        pointsEarned: user && user.credits ? user.credits : 0
+        pointsEarned: user && user.credits ? user.credits : 0,
+        learningPaths
       }
     });
   } catch (err) {
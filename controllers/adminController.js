@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Community = require('../models/Community');
+const RoleAudit = require('../models/RoleAudit');
+const AccountDeletion = require('../models/AccountDeletion');
+const { ROLES, COMMUNITY_ROLES, getRolePermissions } = require('../middleware/rbac');
+const logger = require('../utils/logger');
+
+const recordRoleChange = (req, { user, action, role, community, previousRole, reason }) => {
+  return RoleAudit.create({
+    user,
+    changedBy: req.user._id,
+    action,
+    role,
+    community,
+    previousRole,
+    reason,
+    ip: req.ip
+  });
+};
+
+// Refuse changes that would leave the platform without an admin
+const isLastAdmin = async (user) => {
+  if (user.role !== 'admin') return false;
+  const admins = await User.countDocuments({ role: 'admin' });
+  return admins <= 1;
+};
+
+const formatRoles = (user) => ({
+  userId: user._id,
+  username: user.username,
+  role: user.role || 'user',
+  communityRoles: user.communityRoles || [],
+  permissions: getRolePermissions(user.role || 'user')
+});
+
+// GET /api/admin/users/:id/roles - Get a user's roles and permissions
+exports.getUserRoles = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+    const user = await User.findById(req.params.id).select('username role communityRoles');
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    res.json({ success: true, data: formatRoles(user) });
+  } catch (err) {
+    logger.error('Get user roles error:', err);
+    res.status(500).json({ error: 'Error retrieving user roles' });
+  }
+};
+
+// POST /api/admin/users/:id/roles - Grant a global or community role
+exports.grantRole = async (req, res) => {
+  try {
+    const { role, community, reason } = req.body || {};
+    const userId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+
+    const user = await User.findById(userId).select('username role communityRoles');
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    if (community) {
+      if (!COMMUNITY_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Community role must be one of: ${COMMUNITY_ROLES.join(', ')}` });
+      }
+      if (!mongoose.Types.ObjectId.isValid(community) || !(await Community.exists({ _id: community }))) {
+        return res.status(404).json({ error: 'Community not found.' });
+      }
+
+      const existing = user.communityRoles.find(entry => entry.community.toString() === community.toString());
+      const previousRole = existing?.role;
+      if (previousRole === role) {
+        return res.status(409).json({ error: `User is already a ${role} of this community.` });
+      }
+
+      if (existing) {
+        existing.role = role;
+        existing.grantedBy = req.user._id;
+        existing.grantedAt = new Date();
+      } else {
+        user.communityRoles.push({ community, role, grantedBy: req.user._id });
+      }
+      await user.save();
+      await recordRoleChange(req, { user: user._id, action: 'grant', role, community, previousRole, reason });
+
+      logger.info('Community role granted', { userId: user._id, role, community, by: req.user._id });
+      return res.json({ success: true, data: formatRoles(user) });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    const previousRole = user.role || 'user';
+    if (previousRole === role) {
+      return res.status(409).json({ error: `User already has the ${role} role.` });
+    }
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role.' });
+    }
+    if (await isLastAdmin(user)) {
+      return res.status(400).json({ error: 'Cannot demote the last admin.' });
+    }
+
+    user.role = role;
+    await user.save();
+    await recordRoleChange(req, { user: user._id, action: 'grant', role, previousRole, reason });
+
+    logger.info('Role granted', { userId: user._id, role, previousRole, by: req.user._id });
+    res.json({ success: true, data: formatRoles(user) });
+  } catch (err) {
+    logger.error('Grant role error:', err);
+    res.status(500).json({ error: 'Error granting role' });
+  }
+};
+
+// DELETE /api/admin/users/:id/roles/:role - Revoke a global role, or a community role with ?community=
+exports.revokeRole = async (req, res) => {
+  try {
+    const { id: userId, role } = req.params;
+    const community = req.query.community;
+    const reason = req.body?.reason || req.query.reason;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+
+    const user = await User.findById(userId).select('username role communityRoles');
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    if (community) {
+      const index = user.communityRoles.findIndex(
+        entry => entry.community.toString() === community.toString() && entry.role === role
+      );
+      if (index === -1) {
+        return res.status(404).json({ error: `User is not a ${role} of this community.` });
+      }
+
+      user.communityRoles.splice(index, 1);
+      await user.save();
+      await recordRoleChange(req, { user: user._id, action: 'revoke', role, community, previousRole: role, reason });
+
+      logger.info('Community role revoked', { userId: user._id, role, community, by: req.user._id });
+      return res.json({ success: true, data: formatRoles(user) });
+    }
+
+    if (role === 'user' || (user.role || 'user') !== role) {
+      return res.status(404).json({ error: `User does not have the ${role} role.` });
+    }
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role.' });
+    }
+    if (await isLastAdmin(user)) {
+      return res.status(400).json({ error: 'Cannot demote the last admin.' });
+    }
+
+    user.role = 'user';
+    await user.save();
+    await recordRoleChange(req, { user: user._id, action: 'revoke', role, previousRole: role, reason });
+
+    logger.info('Role revoked', { userId: user._id, role, by: req.user._id });
+    res.json({ success: true, data: formatRoles(user) });
+  } catch (err) {
+    logger.error('Revoke role error:', err);
+    res.status(500).json({ error: 'Error revoking role' });
+  }
+};
+
+// GET /api/admin/role-audit - List role changes, newest first
+exports.getRoleAudit = async (req, res) => {
+  try {
+    const { user, changedBy, community } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = {};
+    for (const [field, value] of Object.entries({ user, changedBy, community })) {
+      if (value === undefined || value === '') continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ error: `Invalid ${field} ID.` });
+      }
+      filter[field] = value;
+    }
+
+    const [entries, total] = await Promise.all([
+      RoleAudit.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'username firstName lastName')
+        .populate('changedBy', 'username firstName lastName')
+        .populate('community', 'name')
+        .lean(),
+      RoleAudit.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    logger.error('Get role audit error:', err);
+    res.status(500).json({ error: 'Error retrieving role audit log' });
+  }
+};
+
+// GET /api/admin/account-deletions - List account deletion requests and their reports
+exports.getAccountDeletions = async (req, res) => {
+  try {
+    const { status, user } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = {};
+    if (status !== undefined && status !== '') {
+      if (!AccountDeletion.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status.' });
+      }
+      filter.status = status;
+    }
+    if (user !== undefined && user !== '') {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({ error: 'Invalid user ID.' });
+      }
+      filter.user = user;
+    }
+
+    const [deletions, total] = await Promise.all([
+      AccountDeletion.find(filter)
+        .sort({ requestedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AccountDeletion.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: deletions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    logger.error('Get account deletions error:', err);
+    res.status(500).json({ error: 'Error retrieving account deletions' });
+  }
+};
+
+// GET /api/admin/account-deletions/:id - Deletion report for one request
+exports.getAccountDeletion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid deletion ID.' });
+    }
+    const deletion = await AccountDeletion.findById(req.params.id).lean();
+    if (!deletion) return res.status(404).json({ error: 'Account deletion not found.' });
+
+    res.json({ success: true, data: deletion });
+  } catch (err) {
+    logger.error('Get account deletion error:', err);
+    res.status(500).json({ error: 'Error retrieving account deletion' });
+  }
+};
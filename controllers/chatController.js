@@ -3,6 +3,7 @@ const Chat = require('../models/Chat');
 const User = require('../models/User');
 const { featureFlags } = require('../utils/envCheck');
 const logger = require('../utils/logger');
+const blockService = require('../services/blockService');
 const sanitizeInput = require('../utils/sanitizeInput');
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
@@ -15,6 +16,13 @@ const axios = require('axios');
 const http = require('http');
 const https = require('https');
 
+// Direct chats are closed while either participant has blocked the other
+const isPersonalChatBlocked = async (chat, userId) => {
+  if (chat.type !== 'personal') return false;
+  const other = chat.participants.find(participant => participant.toString() !== userId.toString());
+  return blockService.isBlockedBetween(userId, other);
+};
+
 // Get all chats for user with pagination (max speed, no unread count)
 exports.getChats = async (req, res, next) => {
   try {
@@ -179,6 +187,9 @@ exports.createChat = async (req, res, next) => {
       if (!recipientUser) {
         return res.status(404).json({ error: 'Recipient user not found.' });
       }
+      if (await blockService.isBlockedBetween(req.user._id, recipientUser._id)) {
+        return res.status(403).json({ error: 'You cannot message this user.' });
+      }
 
       // Check if chat already exists between these users
       const existingChat = await Chat.findOne({
@@ -229,6 +240,9 @@ exports.createChat = async (req, res, next) => {
       if (participantUsers.length !== participants.length) {
         return res.status(404).json({ error: 'One or more participants not found.' });
       }
+      if ((await blockService.filterBlocked(req.user._id, participants)).length > 0) {
+        return res.status(403).json({ error: 'You cannot add a user you have blocked or who has blocked you.' });
+      }
 
       // Create group chat
       const chatData = {
@@ -291,6 +305,9 @@ exports.sendMessage = async (req, res, next) => {
     if (!isParticipant) {
       return res.status(403).json({ error: 'Not a participant in this chat.' });
     }
+    if (await isPersonalChatBlocked(chat, req.user._id)) {
+      return res.status(403).json({ error: 'You cannot message this user.' });
+    }
 
     const message = {
       sender: req.user._id,
@@ -375,6 +392,9 @@ exports.sendFileMessage = async (req, res, next) => {
     if (!isParticipant) {
       return res.status(403).json({ error: 'Not a participant in this chat.' });
     }
+    if (await isPersonalChatBlocked(chat, req.user._id)) {
+      return res.status(403).json({ error: 'You cannot message this user.' });
+    }
 
     // Determine file type
     let fileType = 'file';
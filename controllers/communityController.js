@@ -5,6 +5,8 @@ const Activity = require('../models/Activity');
 const { featureFlags } = require('../utils/envCheck');
 const { logger } = require('../utils/logger');
 const sanitizeInput = require('../utils/sanitizeInput');
+const geoService = require('../services/geoService');
+const { hasPermission } = require('../middleware/rbac');
 const { single, handleUploadError, validateFileType, processUploadedFiles } = require('../middleware/uploadMiddleware');
 const User = require('../models/User');
 
@@ -88,12 +90,7 @@ exports.updateCommunity = async (req, res, next) => {
     if (!community) {
       return res.status(404).json({ error: 'Community not found.' });
     }
-    
-    // Check if user is admin
-    if (community.admin.toString() !== req.user.id.toString()) {
-      return res.status(403).json({ error: 'Only admin can update community.' });
-    }
-    
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
@@ -292,6 +289,8 @@ exports.deletePost = async (req, res, next) => {
 exports.createEvent = async (req, res, next) => {
   try {
     const { title, description, date, location, virtual, virtualLink } = sanitizeInput(req.body);
+    const { point, error } = geoService.pointFromInput(req.body, location);
+    if (error) return res.status(400).json({ error });
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found.' });
     if (!community.members.includes(req.user.id)) {
@@ -303,6 +302,7 @@ exports.createEvent = async (req, res, next) => {
       description,
       date,
       location,
+      point,
       virtual,
       virtualLink,
     });
@@ -320,13 +320,7 @@ exports.moderate = async (req, res, next) => {
     const { action, postId, userId } = req.body;
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found.' });
-    
-    // Check if admin exists and handle both ObjectId and populated object
-    const adminId = getObjectId(community.admin);
-    
-    if (!adminId || !compareObjectIds(adminId, req.user.id)) {
-      return res.status(403).json({ error: 'Only admin can moderate.' });
-    }
+    // Permission (community:moderate for this community) is checked by the route
     if (action === 'approvePost' && postId) {
       // Move post from pendingPosts to posts
       community.posts.push(postId);
@@ -1078,13 +1072,11 @@ exports.deleteQuestion = async (req, res, next) => {
     const qaItem = community.qa.id(qaId);
     if (!qaItem) return res.status(404).json({ error: 'Question not found.' });
 
-    // Check if user is the question author or community admin
-    const adminId = getObjectId(community.admin);
-    const isAdmin = adminId && compareObjectIds(adminId, req.user.id);
+    // The question author, or anyone who can moderate this community
     const isAuthor = compareObjectIds(qaItem.questionAuthor, req.user.id);
     
-    if (!isAdmin && !isAuthor) {
-      return res.status(403).json({ error: 'Only question author or admin can delete questions.' });
+    if (!isAuthor && !(await hasPermission(req.user, 'community:moderate', community._id))) {
+      return res.status(403).json({ error: 'Only question author or a moderator can delete questions.' });
     }
 
     // Remove the question
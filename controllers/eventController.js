@@ -1,15 +1,37 @@
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const sanitizeInput = require('../utils/sanitizeInput');
+const geoService = require('../services/geoService');
 
 // GET /api/events - List/search events
+// Geo: lat & lng [& radius km], near=<city>[, country] [& radius], or bbox=minLng,minLat,maxLng,maxLat
 exports.getEvents = async (req, res, next) => {
   try {
-    const { community, date, page = 1, limit = 10, sort = 'date' } = req.query;
+    const { community, date, page = 1, limit = 10, sort } = req.query;
+    const { geo, error } = geoService.parseQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
     const filter = {};
-    if (community) filter.community = community;
+    if (community) {
+      if (!mongoose.Types.ObjectId.isValid(community)) return res.status(400).json({ error: 'Invalid community ID.' });
+      filter.community = new mongoose.Types.ObjectId(community);
+    }
     if (date) filter.date = { $gte: new Date(date) };
+
+    if (geo) {
+      // Nearest first unless sorted by date; every event gets its distanceKm
+      const order = { date: { date: 1 }, '-date': { date: -1 } }[sort];
+      const docs = await Event.aggregate([
+        geoService.nearStage('point', geo, filter),
+        ...(order ? [{ $sort: order }] : []),
+        { $skip: (page - 1) * limit },
+        { $limit: Number(limit) }
+      ]);
+      return res.json(geoService.roundDistances(docs));
+    }
+
     const events = await Event.find(filter)
-      .sort(sort)
+      .sort(sort || 'date')
       .skip((page - 1) * limit)
       .limit(Number(limit));
     res.json(events);
@@ -23,12 +45,16 @@ exports.createEvent = async (req, res, next) => {
   try {
     const { community, title, description, date, location, virtual, virtualLink } = sanitizeInput(req.body);
     if (!title || !date) return res.status(400).json({ error: 'Title and date are required.' });
+    // Optional lat/lng; otherwise placed by the city named in `location`
+    const { point, error } = geoService.pointFromInput(req.body, location);
+    if (error) return res.status(400).json({ error });
     const event = await Event.create({
       community,
       title,
       description,
       date,
       location,
+      point,
       virtual,
       virtualLink,
     });
@@ -41,7 +67,15 @@ exports.createEvent = async (req, res, next) => {
 // PUT /api/events/:id - Update event
 exports.updateEvent = async (req, res, next) => {
   try {
-    const updates = sanitizeInput(req.body);
+    const { lat, lng, ...updates } = sanitizeInput(req.body);
+    delete updates.point;
+    // Moving the event moves its point, from new coordinates or the new location
+    if (lat !== undefined || lng !== undefined || updates.location !== undefined) {
+      const { point, error } = geoService.pointFromInput({ lat, lng }, updates.location);
+      if (error) return res.status(400).json({ error });
+      if (point) updates.point = point;
+      else updates.$unset = { point: '' };
+    }
     const event = await Event.findByIdAndUpdate(req.params.id, updates, { new: true });
     if (!event) return res.status(404).json({ error: 'Event not found.' });
     res.json(event);
@@ -0,0 +1,117 @@
+const learningPathService = require('../services/learningPathService');
+const sanitizeInput = require('../utils/sanitizeInput');
+const logger = require('../utils/logger');
+
+const pagination = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+});
+
+// GET /api/learning-paths - Browse public paths (?q=, ?skill=, ?author=, ?sort=popular|recent)
+exports.getLearningPaths = async (req, res) => {
+  try {
+    const { q, skill, author, sort } = req.query;
+    const { page, limit } = pagination(req.query);
+    const { paths, total } = await learningPathService.listPaths(req.user || null, { q, skill, author, sort, page, limit });
+    res.json({ success: true, data: paths, pagination: { page, limit, total } });
+  } catch (err) {
+    logger.error('Get learning paths error:', err);
+    res.status(500).json({ error: 'Error fetching learning paths' });
+  }
+};
+
+// GET /api/learning-paths/following - Paths you follow, with your progress
+exports.getFollowedPaths = async (req, res) => {
+  try {
+    const summary = await learningPathService.getProgressSummary(req.user._id, 100);
+    res.json({ success: true, data: summary });
+  } catch (err) {
+    logger.error('Get followed learning paths error:', err);
+    res.status(500).json({ error: 'Error fetching learning paths' });
+  }
+};
+
+// GET /api/learning-paths/:id - A path with its milestones and your progress
+exports.getLearningPath = async (req, res) => {
+  try {
+    const path = await learningPathService.getPath(req.user || null, req.params.id);
+    if (!path) return res.status(404).json({ error: 'Learning path not found' });
+    res.json({ success: true, data: path });
+  } catch (err) {
+    logger.error('Get learning path error:', err);
+    res.status(500).json({ error: 'Error fetching learning path' });
+  }
+};
+
+// POST /api/learning-paths - Create a path
+exports.createLearningPath = async (req, res) => {
+  try {
+    const result = await learningPathService.createPath(req.user, sanitizeInput(req.body || {}));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ success: true, data: result.path });
+  } catch (err) {
+    logger.error('Create learning path error:', err);
+    res.status(500).json({ error: 'Error creating learning path' });
+  }
+};
+
+// PUT /api/learning-paths/:id - Replace a path's details and milestones (author only)
+exports.updateLearningPath = async (req, res) => {
+  try {
+    const result = await learningPathService.updatePath(req.user, req.params.id, sanitizeInput(req.body || {}));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result.path });
+  } catch (err) {
+    logger.error('Update learning path error:', err);
+    res.status(500).json({ error: 'Error updating learning path' });
+  }
+};
+
+// DELETE /api/learning-paths/:id - Delete a path (author only)
+exports.deleteLearningPath = async (req, res) => {
+  try {
+    const result = await learningPathService.deletePath(req.user, req.params.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, message: 'Learning path deleted' });
+  } catch (err) {
+    logger.error('Delete learning path error:', err);
+    res.status(500).json({ error: 'Error deleting learning path' });
+  }
+};
+
+// POST /api/learning-paths/:id/follow - Start following a path
+exports.followLearningPath = async (req, res) => {
+  try {
+    const result = await learningPathService.followPath(req.user, req.params.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(result.created ? 201 : 200).json({ success: true, data: result.progress });
+  } catch (err) {
+    logger.error('Follow learning path error:', err);
+    res.status(500).json({ error: 'Error following learning path' });
+  }
+};
+
+// DELETE /api/learning-paths/:id/follow - Stop following a path and drop your progress
+exports.unfollowLearningPath = async (req, res) => {
+  try {
+    const removed = await learningPathService.unfollowPath(req.user._id, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'You are not following this path' });
+    res.json({ success: true, message: 'Stopped following learning path' });
+  } catch (err) {
+    logger.error('Unfollow learning path error:', err);
+    res.status(500).json({ error: 'Error unfollowing learning path' });
+  }
+};
+
+// PUT /api/learning-paths/:id/milestones/:milestoneId - Record a milestone as complete ({ completed: false } to undo)
+exports.setMilestoneCompletion = async (req, res) => {
+  try {
+    const completed = req.body?.completed !== false;
+    const result = await learningPathService.setMilestoneCompletion(req.user, req.params.id, req.params.milestoneId, completed);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result.progress });
+  } catch (err) {
+    logger.error('Set milestone completion error:', err);
+    res.status(500).json({ error: 'Error updating milestone' });
+  }
+};
@@ -5,6 +5,17 @@ const mongoose = require('mongoose');
 const { featureFlags } = require('../utils/envCheck');
 const sanitizeInput = require('../utils/sanitizeInput');
 const logger = require('../utils/logger');
+const privacyService = require('../services/privacyService');
+const blockService = require('../services/blockService');
+
+// Authors whose posts the viewer must not see: private accounts they don't follow and blocks in either direction
+const getExcludedAuthors = async (viewerId) => {
+  const [hidden, blocked] = await Promise.all([
+    privacyService.getHiddenUserIds(viewerId),
+    blockService.getBlockedUserIds(viewerId)
+  ]);
+  return [...hidden, ...blocked];
+};
 
 // Helper to get userId from like entry (handles both ObjectId and {user, likedAt})
 function getLikeUserId(like) {
@@ -89,9 +100,16 @@ exports.getPosts = async (req, res, next) => {
     const filter = {};
     if (community) filter.community = community;
     if (user) {
+      if (req.user && await blockService.isBlockedBetween(req.user._id, user)) {
+        return res.status(404).json({ error: 'User not found.' });
+      }
+      if (!(await privacyService.canViewUser(req.user, user))) {
+        return res.status(403).json({ error: 'This account is private.' });
+      }
       filter.user = user;
     } else {
-      filter.user = { $ne: null };
+      // Posts of private accounts only reach their approved followers; blocked authors are left out
+      filter.user = { $ne: null, $nin: await getExcludedAuthors(req.user?._id) };
     }
     if (tags) filter.tags = { $in: tags.split(',') };
 
@@ -244,6 +262,12 @@ exports.getPostById = async (req, res, next) => {
     if (!post) {
       return res.status(404).json({ error: 'Post not found.' });
     }
+    if (post.user && req.user && await blockService.isBlockedBetween(req.user._id, post.user._id)) {
+      return res.status(404).json({ error: 'Post not found.' });
+    }
+    if (post.user && !(await privacyService.canViewUser(req.user, post.user._id))) {
+      return res.status(403).json({ error: 'This account is private.' });
+    }
     const postObj = post.toObject();
     postObj.postType = postObj.postType || '';
     postObj.likes = (postObj.likes || []).map(like => ({
@@ -947,6 +971,9 @@ exports.likePost = async (req, res, next) => {
     if (!post) {
       return res.status(404).json({ error: 'Post not found.' });
     }
+    if (post.user && await blockService.isBlockedBetween(req.user._id, post.user)) {
+      return res.status(403).json({ error: 'You cannot interact with this post.' });
+    }
     // Check if user already liked the post (handle both formats)
     const userLikeIndex = post.likes.findIndex(like => getLikeUserId(like) === req.user._id.toString());
     let action = '';
@@ -1224,6 +1251,9 @@ exports.addComment = async (req, res, next) => {
     if (!post) {
       return res.status(404).json({ error: 'Post not found.' });
     }
+    if (post.user && await blockService.isBlockedBetween(req.user._id, post.user._id)) {
+      return res.status(403).json({ error: 'You cannot comment on this post.' });
+    }
 
     // Rate limiting for comments
     const rateLimitKey = `comment:${req.user._id}`;
@@ -1385,6 +1415,10 @@ exports.addReply = async (req, res, next) => {
     if (!comment) {
       return res.status(404).json({ error: 'Comment not found.' });
     }
+    // Neither the post author nor the comment author may be on the other side of a block
+    if ((await blockService.filterBlocked(req.user._id, [post.user, comment.user].filter(Boolean))).length > 0) {
+      return res.status(403).json({ error: 'You cannot reply to this comment.' });
+    }
     const reply = { user: req.user._id, content: sanitizeInput(req.body.content) };
     comment.replies.push(reply);
     await post.save();
@@ -1478,8 +1512,12 @@ exports.getRelatedPosts = async (req, res, next) => {
     if (!currentPost) {
       return res.status(404).json({ error: 'Post not found.' });
     }
+    if (!(await privacyService.canViewUser(req.user, currentPost.user._id))) {
+      return res.status(403).json({ error: 'This account is private.' });
+    }
 
     const currentUserId = currentPost.user._id;
+    const hiddenUsers = await getExcludedAuthors(req.user?._id);
     const currentTags = currentPost.tags || [];
     const currentPostType = currentPost.postType;
     const currentCommunity = currentPost.community;
@@ -1488,7 +1526,7 @@ exports.getRelatedPosts = async (req, res, next) => {
     let query = {
       _id: { $ne: id }, // Exclude current post
       visibility: 'public',
-      user: { $ne: currentUserId } // Exclude posts by same user initially
+      user: { $ne: currentUserId, $nin: hiddenUsers } // Exclude posts by same user initially
     };
 
     // Add community filter if post is in a community
@@ -1512,7 +1550,7 @@ exports.getRelatedPosts = async (req, res, next) => {
       relatedPosts = await Post.find({
         _id: { $ne: id },
         visibility: 'public',
-        user: { $ne: currentUserId }
+        user: { $ne: currentUserId, $nin: hiddenUsers }
       })
       .populate('user', 'username firstName lastName avatar')
       .populate('community', 'name')
@@ -1685,7 +1723,8 @@ exports.getMainFeed = async (req, res, next) => {
     const skip = (page - 1) * limit;
     
     // Only fetch public posts, most recent first, with minimal population
-    const posts = await Post.find({ visibility: 'public', user: { $ne: null } })
+    const hiddenUsers = await getExcludedAuthors(req.user?._id);
+    const posts = await Post.find({ visibility: 'public', user: { $ne: null, $nin: hiddenUsers } })
       .sort({ createdAt: -1 })
       .skip(Number(skip))
       .limit(Number(limit))
@@ -46,11 +46,20 @@ exports.createRating = async (req, res) => {
       });
     }
 
+    // Swap reviews need both parties to have confirmed the swap; they go through the swap request
+    if (itemType === 'swap' || context === 'swap_completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Swaps are reviewed with POST /api/swapcards/requests/:id/review once both parties have confirmed completion'
+      });
+    }
+
     // Check if user has already rated this item
     const existingRating = await Rating.findOne({
       rater: req.user._id,
       ratedItem,
-      itemType
+      itemType,
+      'metadata.swapId': null
     });
 
     if (existingRating) {
@@ -97,8 +106,8 @@ exports.createRating = async (req, res) => {
       categories,
       context,
       isAnonymous,
-      metadata,
-      isVerified: context === 'video_session' || context === 'swap_completed'
+      // swapId marks verified swap reviews
+      metadata: metadata ? { ...metadata, swapId: undefined } : undefined
     });
 
     // Populate rater info (if not anonymous)
@@ -135,6 +144,7 @@ exports.getRatings = async (req, res) => {
       itemType,
       raterId,
       context,
+      verified,
       status = 'approved',
       page = 1,
       limit = 20,
@@ -149,6 +159,8 @@ exports.getRatings = async (req, res) => {
     if (itemType) query.itemType = itemType;
     if (raterId) query.rater = raterId;
     if (context) query.context = context;
+    // ?verified=true for reviews from swaps both parties confirmed
+    if (verified !== undefined) query.isVerified = verified === 'true';
 
     // Calculate pagination
     const skip = (page - 1) * limit;
@@ -414,6 +426,10 @@ exports.createBulkRatings = async (req, res) => {
           errors.push({ item: ratedItem, error: 'Missing required fields' });
           continue;
         }
+        if (itemType === 'swap' || context === 'swap_completed') {
+          errors.push({ item: ratedItem, error: 'Swap reviews cannot be created in bulk' });
+          continue;
+        }
 
         // Create rating
         const newRating = await Rating.create({
@@ -425,7 +441,7 @@ exports.createBulkRatings = async (req, res) => {
           categories,
           context,
           isAnonymous,
-          metadata
+          metadata: metadata ? { ...metadata, swapId: undefined } : undefined
         });
 
         createdRatings.push(newRating);
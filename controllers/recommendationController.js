@@ -111,6 +111,7 @@ exports.getRecommendedSkills = async (req, res) => {
     res.json({
       success: true,
       data: recommendations.skills || recommendations.items,
+      learningPaths: recommendations.learningPaths || [],
       metadata: recommendations.metadata
     });
   } catch (error) {
@@ -2,6 +2,15 @@ const Skill = require("../models/Skill");
 const User = require("../models/User");
 const { sanitizeInput } = require("../utils/helpers");
 const logger = require("../utils/logger");
+const privacyService = require("../services/privacyService");
+const profileCompletionService = require("../services/profileCompletionService");
+const skillTaxonomyService = require("../services/skillTaxonomyService");
+const endorsementService = require("../services/endorsementService");
+const skillVerificationService = require("../services/skillVerificationService");
+const skillMarketService = require("../services/skillMarketService");
+const swapSuggestionService = require("../services/swapSuggestionService");
+const SkillMarketStat = require("../models/SkillMarketStat");
+const { hasPermission } = require("../middleware/rbac");
 const SwapRequest = require("../models/SwapRequest");
 const { featureFlags } = require("../utils/envCheck");
 const Activity = require('../models/Activity');
@@ -34,6 +43,7 @@ exports.createSkill = async (req, res) => {
     // Create the skill
     const skill = await Skill.create(sanitizedData);
     logger.info("Skill created successfully", { skillId: skill._id });
+    await skillTaxonomyService.linkSkill(skill);
 
     // Always add the skill to user's skills array
     await User.findByIdAndUpdate(req.user._id, {
@@ -50,6 +60,8 @@ exports.createSkill = async (req, res) => {
         skillId: skill._id,
       });
     }
+    await profileCompletionService.refresh(req.user._id);
+    await swapSuggestionService.invalidate(req.user._id);
 
     // Create activity record for skill creation
     await Activity.create({
@@ -94,16 +106,184 @@ exports.createSkill = async (req, res) => {
   }
 };
 
+// GET /api/skills/catalog - Search the canonical skill catalog (?q=, ?parent=)
+exports.searchCatalog = async (req, res) => {
+  try {
+    const { q = "", parent, limit } = req.query;
+    const entries = await skillTaxonomyService.search(String(q), {
+      parent: parent || null,
+      limit: Math.min(parseInt(limit, 10) || 20, 100),
+    });
+    res.status(200).json({
+      success: true,
+      data: entries,
+    });
+  } catch (error) {
+    logger.error("Error searching skill catalog:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/skills/catalog/:slug - Catalog entry with its parents and children
+exports.getCatalogEntry = async (req, res) => {
+  try {
+    const entry = await skillTaxonomyService.getEntry(req.params.slug);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Catalog entry not found",
+      });
+    }
+    res.status(200).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    logger.error("Error getting catalog entry:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Shared validation of the market query parameters; returns an error message or null
+const marketQueryError = ({ scope, window }) => {
+  if (scope && !["skill", "category"].includes(scope)) return "scope must be skill or category";
+  if (window && !SkillMarketStat.WINDOWS.includes(window)) {
+    return `window must be one of ${SkillMarketStat.WINDOWS.join(", ")}`;
+  }
+  return null;
+};
+
+// GET /api/skills/market - Latest supply/demand figures per skill or category
+exports.getSkillMarket = async (req, res) => {
+  try {
+    const { scope = "skill", window = "30d", country, category, sort } = req.query;
+    const queryError = marketQueryError({ scope, window });
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: queryError,
+      });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { date, stats, total } = await skillMarketService.getMarket({ scope, window, country, category, sort, page, limit });
+    res.status(200).json({
+      success: true,
+      data: stats,
+      computedAt: date,
+      pagination: { page, limit, total },
+    });
+  } catch (error) {
+    logger.error("Error getting skill market:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/skills/market/trends - Daily figures for one skill (?skill=) or category (?category=)
+exports.getSkillMarketTrend = async (req, res) => {
+  try {
+    const { skill, category, window = "30d", country } = req.query;
+    const queryError = marketQueryError({ window });
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: queryError,
+      });
+    }
+    const target = await skillMarketService.resolveKey({ skill, category });
+    if (!target?.key) {
+      return res.status(400).json({
+        success: false,
+        error: "skill or category is required",
+      });
+    }
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+
+    const trend = await skillMarketService.getTrend({ ...target, window, country, days });
+    res.status(200).json({
+      success: true,
+      data: { ...target, window, country: country || null, days, ...trend },
+    });
+  } catch (error) {
+    logger.error("Error getting skill market trend:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/skills/market/opportunities - Under-supplied skills you could teach
+exports.getTeachingOpportunities = async (req, res) => {
+  try {
+    const { window = "30d" } = req.query;
+    const queryError = marketQueryError({ window });
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: queryError,
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const opportunities = await skillMarketService.getTeachingOpportunities(req.user, { window, limit });
+    res.status(200).json({
+      success: true,
+      data: opportunities,
+    });
+  } catch (error) {
+    logger.error("Error getting teaching opportunities:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/skills/market/refresh - Recompute today's market figures now (admin)
+exports.refreshSkillMarket = async (req, res) => {
+  try {
+    const rows = await skillMarketService.compute();
+    res.status(200).json({
+      success: true,
+      data: { rows },
+    });
+  } catch (error) {
+    logger.error("Error refreshing skill market:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error computing skill market figures",
+    });
+  }
+};
+
 // GET /api/skills - Get all skills
 exports.getSkills = async (req, res) => {
   try {
-    const { category, level, isLookingFor, userId } = req.query;
+    const { category, level, isLookingFor, userId, skill } = req.query;
     logger.info("Fetching skills", {
-      filters: { category, level, isLookingFor, userId },
+      filters: { category, level, isLookingFor, userId, skill },
     });
 
     const query = {};
     if (category) query.category = category;
+    // `skill` is a catalog id, slug or name and also matches everything below it in the catalog
+    if (skill) {
+      const catalogIds = await skillTaxonomyService.resolveFilter(skill);
+      if (!catalogIds) {
+        return res.status(200).json({ success: true, data: [] });
+      }
+      query.catalogSkill = { $in: catalogIds };
+    }
     if (level) query.level = level;
     if (isLookingFor !== undefined)
       query.isLookingFor = isLookingFor === "true";
@@ -119,6 +299,12 @@ exports.getSkills = async (req, res) => {
           error: "User not found",
         });
       }
+      if (!(await privacyService.canViewUser(req.user, user))) {
+        return res.status(403).json({
+          success: false,
+          error: "This account is private",
+        });
+      }
       logger.info("Successfully fetched user skills", {
         userId,
         skillCount: user.lookingFor.length,
@@ -129,7 +315,11 @@ exports.getSkills = async (req, res) => {
       });
     }
 
-    const skills = await Skill.find(query);
+    // Leave out skills of private accounts the viewer does not follow
+    query.user = { $nin: await privacyService.getHiddenUserIds(req.user?._id) };
+
+    // Most endorsed first: endorsements come from people who were actually taught the skill
+    const skills = await Skill.find(query).sort({ endorsementCount: -1, rating: -1 });
     logger.info("Successfully fetched all skills", {
       count: skills.length,
       filters: query,
@@ -166,11 +356,19 @@ exports.getSkillById = async (req, res) => {
         error: "Skill not found",
       });
     }
+    if (skill.user && !(await privacyService.canViewUser(req.user, skill.user._id))) {
+      return res.status(403).json({
+        success: false,
+        error: "This account is private",
+      });
+    }
+
+    const endorsements = (await endorsementService.getSummaries([skill._id], 5)).get(skill._id.toString());
 
     logger.info("Successfully fetched skill", { skillId });
     res.status(200).json({
       success: true,
-      data: skill,
+      data: { ...skill.toObject(), endorsements },
     });
   } catch (error) {
     logger.error("Error getting skill by ID:", {
@@ -185,6 +383,297 @@ exports.getSkillById = async (req, res) => {
   }
 };
 
+// GET /api/skills/:id/endorsements - Endorsements of a skill, newest first
+exports.getSkillEndorsements = async (req, res) => {
+  try {
+    const skill = await Skill.findById(req.params.id).select("user endorsementCount");
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        error: "Skill not found",
+      });
+    }
+    if (!(await privacyService.canViewUser(req.user, skill.user))) {
+      return res.status(403).json({
+        success: false,
+        error: "This account is private",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const endorsements = await endorsementService.listEndorsements(skill._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: endorsements,
+      pagination: {
+        page,
+        limit,
+        total: skill.endorsementCount,
+      },
+    });
+  } catch (error) {
+    logger.error("Error getting skill endorsements:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/skills/:id/endorsements - Endorse a skill taught to you in a completed swap
+exports.endorseSkill = async (req, res) => {
+  try {
+    const { swapRequestId, note } = req.body || {};
+    const result = await endorsementService.endorse(req.user, req.params.id, {
+      swapRequestId,
+      note: note === undefined ? undefined : sanitizeInput(note),
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    await Activity.create({
+      user: req.user._id,
+      type: 'skill_endorsed',
+      message: 'Endorsed a skill',
+      referenceId: result.endorsement.skill,
+      referenceType: 'Skill',
+      metadata: {
+        endorsee: result.endorsement.endorsee,
+        swapRequest: result.endorsement.swapRequest
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.endorsement,
+    });
+  } catch (error) {
+    logger.error("Error endorsing skill:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /api/skills/:id/endorsements - Withdraw your endorsement
+exports.removeEndorsement = async (req, res) => {
+  try {
+    const removed = await endorsementService.removeEndorsement(req.user._id, req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: "You have not endorsed this skill",
+      });
+    }
+    res.status(200).json({
+      success: true,
+      message: "Endorsement removed",
+    });
+  } catch (error) {
+    logger.error("Error removing endorsement:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/skills/:id/verification - Submit evidence to get a skill verified
+exports.submitVerification = async (req, res) => {
+  try {
+    const { links, media, message, peerReviewerId } = req.body || {};
+    const result = await skillVerificationService.submit(req.user, req.params.id, {
+      links,
+      media,
+      message: message === undefined ? undefined : sanitizeInput(message),
+      peerReviewerId,
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    await Activity.create({
+      user: req.user._id,
+      type: 'skill_verification_submit',
+      message: 'Submitted a skill for verification',
+      referenceId: result.verification.skill,
+      referenceType: 'Skill',
+      metadata: { verificationId: result.verification._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.verification,
+    });
+  } catch (error) {
+    logger.error("Error submitting skill verification:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/skills/:id/verification - Verified badge and latest request of your skill
+exports.getVerificationStatus = async (req, res) => {
+  try {
+    const status = await skillVerificationService.getStatus(req.params.id);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: "Skill not found",
+      });
+    }
+    const isOwner = status.skill.user.toString() === req.user._id.toString();
+    if (!isOwner && !(await hasPermission(req.user, 'skill:verify'))) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this verification",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { verification: status.verification, request: status.request },
+    });
+  } catch (error) {
+    logger.error("Error getting skill verification:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /api/skills/:id/verification - Withdraw your open verification request
+exports.cancelVerification = async (req, res) => {
+  try {
+    const cancelled = await skillVerificationService.cancel(req.user._id, req.params.id);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        error: "No open verification request for this skill",
+      });
+    }
+    res.status(200).json({
+      success: true,
+      data: cancelled,
+    });
+  } catch (error) {
+    logger.error("Error cancelling skill verification:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/skills/verifications/queue - Verification requests waiting for your review
+exports.getVerificationQueue = async (req, res) => {
+  try {
+    const status = req.query.status || 'in_review';
+    if (!['submitted', 'in_review'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "status must be submitted or in_review",
+      });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { requests, total } = await skillVerificationService.getQueue(req.user, { status, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+      pagination: { page, limit, total },
+    });
+  } catch (error) {
+    logger.error("Error getting verification queue:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/skills/verifications/:verificationId - A verification request with its evidence and history
+exports.getVerification = async (req, res) => {
+  try {
+    const verification = await skillVerificationService.getVerification(req.params.verificationId);
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        error: "Verification request not found",
+      });
+    }
+    const isOwner = verification.user._id.toString() === req.user._id.toString();
+    if (!isOwner && !(await skillVerificationService.canReview(req.user, verification))) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this verification",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: verification,
+    });
+  } catch (error) {
+    logger.error("Error getting verification request:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/skills/verifications/:verificationId/review - Approve or reject a verification request
+exports.reviewVerification = async (req, res) => {
+  try {
+    const { decision, comment } = req.body || {};
+    const result = await skillVerificationService.review(req.user, req.params.verificationId, {
+      decision,
+      comment: comment === undefined ? undefined : sanitizeInput(comment),
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    await Activity.create({
+      user: req.user._id,
+      type: 'skill_verification_review',
+      message: `Reviewed a skill verification (${result.verification.status})`,
+      referenceId: result.verification.skill,
+      referenceType: 'Skill',
+      metadata: { verificationId: result.verification._id, decision }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.verification,
+    });
+  } catch (error) {
+    logger.error("Error reviewing skill verification:", error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
 // PUT /api/skills/:id - Update skill
 exports.updateSkill = async (req, res) => {
   try {
@@ -210,6 +699,7 @@ exports.updateSkill = async (req, res) => {
 
     logger.debug("Sanitized update data", { sanitizedData });
 
+    const previous = await Skill.findById(skillId).select("title").lean();
     const skill = await Skill.findByIdAndUpdate(skillId, sanitizedData, {
       new: true,
       runValidators: true,
@@ -222,6 +712,11 @@ exports.updateSkill = async (req, res) => {
         error: "Skill not found",
       });
     }
+    await skillTaxonomyService.linkSkill(skill);
+    // Evidence was reviewed for the old title, so a renamed skill has to be verified again
+    if (previous && previous.title !== skill.title) {
+      await skillVerificationService.revoke(skill, "the skill was renamed");
+    }
 
     // If isLookingFor is true, add skill to user's lookingFor array; otherwise, remove it
     if (req.user) {
@@ -242,6 +737,8 @@ exports.updateSkill = async (req, res) => {
           skillId,
         });
       }
+      await profileCompletionService.refresh(req.user._id);
+      await swapSuggestionService.invalidate(req.user._id);
     }
 
     // Create activity record for skill update
@@ -337,6 +834,9 @@ exports.deleteSkill = async (req, res) => {
       userId: req.user._id,
       skillId,
     });
+    await profileCompletionService.refresh(req.user._id);
+    await swapSuggestionService.invalidate(req.user._id);
+    await skillVerificationService.cancel(req.user._id, skill._id);
 
     // Create activity record for skill deletion
     await Activity.create({
@@ -394,7 +894,10 @@ exports.getSkillsByIds = async (req, res) => {
         error: "ids must be a non-empty array",
       });
     }
-    const skills = await Skill.find({ _id: { $in: ids } });
+    const skills = await Skill.find({
+      _id: { $in: ids },
+      user: { $nin: await privacyService.getHiddenUserIds(req.user?._id) },
+    });
     res.status(200).json({
       success: true,
       data: skills,
@@ -418,6 +921,12 @@ exports.getSkillsByUser = async (req, res) => {
         error: "User not found",
       });
     }
+    if (!(await privacyService.canViewUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        error: "This account is private",
+      });
+    }
     res.status(200).json({
       success: true,
       data: user.skills,
@@ -572,6 +1081,8 @@ exports.addToLookingFor = async (req, res) => {
       { $addToSet: { lookingFor: skillId } },
       { new: true }
     ).populate("lookingFor");
+    await profileCompletionService.refresh(req.user._id);
+    await swapSuggestionService.invalidate(req.user._id);
 
     res.status(200).json({
       success: true,
@@ -615,6 +1126,8 @@ exports.removeFromLookingFor = async (req, res) => {
     await User.findByIdAndUpdate(req.user._id, {
       $pull: { lookingFor: skillId },
     });
+    await profileCompletionService.refresh(req.user._id);
+    await swapSuggestionService.invalidate(req.user._id);
 
     logger.info("Successfully removed skill from looking for", {
       userId: req.user._id,
@@ -680,6 +1193,8 @@ exports.updateLookingForSkill = async (req, res) => {
       },
       { new: true, runValidators: true }
     );
+    if (skill) await skillTaxonomyService.linkSkill(skill);
+    await swapSuggestionService.invalidate(req.user._id);
 
     logger.info("Successfully updated looking for skill", {
       userId: req.user._id,
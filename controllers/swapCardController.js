@@ -8,6 +8,14 @@ const Chat = require('../models/Chat');
 const videoSessionController = require('./videoSessionController');
 const chatController = require('./chatController');
 const logger = require('../utils/logger');
+const blockService = require('../services/blockService');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const swapRequestService = require('../services/swapRequestService');
+const swapNegotiationService = require('../services/swapNegotiationService');
+const swapCompletionService = require('../services/swapCompletionService');
+const swapSuggestionService = require('../services/swapSuggestionService');
+const geoService = require('../services/geoService');
+const swapCardExpiryService = require('../services/swapCardExpiryService');
 
 // Simple in-memory cache for swap requests (per user, per endpoint)
 const swapRequestCache = {
@@ -19,11 +27,24 @@ function getCacheKey(userId, status, offset, limit) {
   return `${userId || ''}|${status || ''}|${offset || 0}|${limit || 10}`;
 }
 
+// Kept up by the expiry job, never taken from the request body
+const EXPIRY_FIELDS = ['lastActivityAt', 'expiryReminderFor', 'closedReason', 'closedAt'];
+
+// An expiry date, when given, must be a date in the future
+function expiryDateError(expiryDate) {
+  if (expiryDate === undefined || expiryDate === null || expiryDate === '') return null;
+  const date = new Date(expiryDate);
+  return Number.isNaN(date.getTime()) || date <= new Date() ? 'expiryDate must be a date in the future.' : null;
+}
+
 // Create a new swap card
 exports.createSwapCard = async (req, res, next) => {
   try {
     const data = sanitizeInput(req.body);
     data.user = req.user.id;
+    EXPIRY_FIELDS.forEach(field => delete data[field]);
+    const expiryError = expiryDateError(data.expiryDate);
+    if (expiryError) return res.status(400).json({ error: expiryError });
 
     // Fetch user location from profile
     const user = await User.findById(req.user.id);
@@ -32,7 +53,8 @@ exports.createSwapCard = async (req, res, next) => {
     }
     data.location = {
       city: user.location.city,
-      country: user.location.country
+      country: user.location.country,
+      point: geoService.pointFor(user.location)
     };
 
     // Check for duplicate (using user profile location)
@@ -50,7 +72,9 @@ exports.createSwapCard = async (req, res, next) => {
         error: 'Duplicate swap card: You have already created a card with the same details.'
       });
     }
+    await skillTaxonomyService.linkSwapCard(data);
     const swapCard = await SwapCard.create(data);
+    await swapSuggestionService.invalidate(req.user.id);
     res.status(201).json(swapCard);
   } catch (err) {
     if (err.name === 'ValidationError') {
@@ -75,10 +99,17 @@ exports.getSwapCards = async (req, res, next) => {
     if (req.query.country) filter['location.country'] = req.query.country;
     if (req.query.user) filter.user = req.query.user;
     if (req.query.featured) filter.isFeatured = req.query.featured === 'true';
+    // Expired cards are only listed to their owner, who can renew or reopen them
+    if (!req.user || req.query.user !== req.user._id.toString()) Object.assign(filter, SwapCard.notExpired());
+    if (req.query.skill) {
+      const catalogIds = await skillTaxonomyService.resolveFilter(req.query.skill);
+      if (!catalogIds) return res.json([]);
+      filter.$or = [{ offeredCatalogSkill: { $in: catalogIds } }, { desiredCatalogSkill: { $in: catalogIds } }];
+    }
 
     // Only select and populate essential fields
     const swapCards = await SwapCard.find(filter)
-      .select('_id user offeredSkill desiredSkill title description type status tags location availability images createdAt')
+      .select('_id user offeredSkill desiredSkill offeredCatalogSkill desiredCatalogSkill title description type status tags location availability images expiryDate closedReason createdAt')
       .populate('user', 'username firstName lastName avatar')
       .populate('offeredSkill', 'title')
       .populate('desiredSkill', 'title')
@@ -158,6 +189,7 @@ exports.deleteSwapCard = async (req, res, next) => {
   try {
     const swapCard = await SwapCard.findOneAndDelete({ _id: req.params.id, user: req.user.id });
     if (!swapCard) return res.status(404).json({ error: 'Swap card not found or unauthorized.' });
+    await swapSuggestionService.invalidate(req.user.id);
     res.json({ success: true });
   } catch (err) {
     next(err);
@@ -175,9 +207,19 @@ exports.updateSwapCard = async (req, res, next) => {
     if (swapCard.user.toString() !== req.user.id.toString()) {
       return res.status(403).json({ error: 'Not authorized to update this swap card.' });
     }
+    const expiryError = expiryDateError(req.body?.expiryDate);
+    if (expiryError) return res.status(400).json({ error: expiryError });
     // Update fields
-    Object.assign(swapCard, req.body);
+    const changes = { ...req.body };
+    EXPIRY_FIELDS.forEach(field => delete changes[field]);
+    Object.assign(swapCard, changes);
+    swapCard.lastActivityAt = new Date();
+    // Coordinates follow the card's city and country, never the request body
+    swapCard.location.point = geoService.pointFor(swapCard.location);
+    // Catalog links always follow the card's skills, never the request body
+    await skillTaxonomyService.linkSwapCard(swapCard);
     await swapCard.save();
+    await swapSuggestionService.invalidate(req.user.id);
     res.json({ success: true, data: swapCard });
   } catch (err) {
     if (err.name === 'ValidationError') {
@@ -191,6 +233,39 @@ exports.updateSwapCard = async (req, res, next) => {
   }
 };
 
+// POST /swapcards/:id/renew - Push an open card's expiry date back and keep it from closing as inactive
+exports.renewSwapCard = async (req, res, next) => {
+  try {
+    const result = await swapCardExpiryService.renew(req.params.id, req.user._id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result.swapCard });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /swapcards/:id/reopen - Reopen a closed card
+exports.reopenSwapCard = async (req, res, next) => {
+  try {
+    const result = await swapCardExpiryService.reopen(req.params.id, req.user._id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result.swapCard });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /swapcards/expiry-reminders/renew - Same as renew, from the link in an expiry reminder email
+exports.renewSwapCardFromEmail = async (req, res, next) => {
+  try {
+    const result = await swapCardExpiryService.renewFromLink(req.body?.token);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result.swapCard });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // --- Swap Request Management ---
 
 // GET /swapcards/requests/inbox (optimized for card display, minimal fields, with cache)
@@ -320,78 +395,197 @@ exports.getSwapRequestsOutbox = async (req, res, next) => {
 // PUT /swapcards/requests/bulk
 exports.bulkUpdateSwapRequests = async (req, res, next) => {
   try {
-    const { requestIds, action } = req.body;
+    const { requestIds, action, reason } = req.body;
     if (!Array.isArray(requestIds) || !['accept', 'reject'].includes(action)) {
       return res.status(400).json({ error: 'Invalid request' });
     }
-    const status = action === 'accept' ? 'accepted' : 'rejected';
-    const result = await SwapRequest.updateMany(
-      { _id: { $in: requestIds }, receiver: req.user.id },
-      { $set: { status } }
-    );
-    res.json({ success: true, modifiedCount: result.nModified || result.modifiedCount });
+    // Each request goes through the state machine on its own, so one bad id doesn't block the rest
+    const results = [];
+    for (const requestId of requestIds) {
+      const result = await swapRequestService.transition(requestId, action, req.user, { reason });
+      results.push(result.error ? { id: requestId, error: result.error } : { id: requestId, status: result.swapRequest.status });
+    }
+    res.json({ success: true, modifiedCount: results.filter(result => !result.error).length, results });
   } catch (err) { next(err); }
 };
 
 // POST /swapcards/requests (send a swap request)
 exports.sendSwapRequest = async (req, res, next) => {
   try {
-    const { receiver, swapCardId, proposedSwapCardId, notes } = req.body;
-    if (!receiver || !swapCardId) {
-      return res.status(400).json({ error: 'Receiver and swapCardId are required' });
+    const { swapCardId, proposedSwapCardId, notes } = req.body;
+    if (!swapCardId) {
+      return res.status(400).json({ error: 'swapCardId is required' });
     }
-    if (receiver === req.user.id || receiver === req.user._id?.toString()) {
-      return res.status(400).json({ error: 'Sender and receiver must be different users.' });
-    }
-    const swapRequest = await SwapRequest.create({
-      sender: req.user.id,
-      receiver,
+    const result = await swapRequestService.create(req.user, {
       swapCardId,
       proposedSwapCardId,
       notes: sanitizeInput(notes),
     });
-    res.status(201).json({ success: true, data: swapRequest });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    // Requested cards drop out of the sender's suggestions
+    await swapSuggestionService.invalidate(req.user._id);
+    res.status(201).json({ success: true, data: result.swapRequest });
   } catch (err) { next(err); }
 };
 
-// PUT /swapcards/requests/:id (update a swap request)
+// PUT /swapcards/requests/:id (move a swap request along its lifecycle)
+// Body: { action: 'accept' | 'reject' | 'cancel' | 'start' | 'complete', reason? }, or the legacy { status }
 exports.updateSwapRequest = async (req, res, next) => {
   try {
-    const { status } = req.body;
-    const swapRequest = await SwapRequest.findById(req.params.id);
-    if (!swapRequest) return res.status(404).json({ error: 'Swap request not found' });
-    if (swapRequest.receiver.toString() !== req.user.id.toString()) {
-      return res.status(403).json({ error: 'Not authorized to update this swap request' });
+    const { status, reason } = req.body;
+    const action = req.body.action || swapRequestService.actionForStatus(status);
+    if (!action) {
+      return res.status(400).json({ error: 'An action is required.' });
     }
-    swapRequest.status = status;
-    await swapRequest.save();
-    res.json({ success: true, data: swapRequest });
+    // Completing takes both parties; this records the caller's confirmation
+    const result = action === 'complete'
+      ? await swapCompletionService.confirm(req.params.id, req.user, req.body)
+      : await swapRequestService.transition(req.params.id, action, req.user, { reason: sanitizeInput(reason) });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result.swapRequest });
   } catch (err) { next(err); }
 };
 
-// GET /swapcards/requests/:id (get swap request by ID)
+// GET /swapcards/requests/:id (get swap request by ID, with its history and what you can do next)
 exports.getSwapRequestById = async (req, res, next) => {
   try {
     const swapRequest = await SwapRequest.findById(req.params.id)
       .populate('sender', 'username avatar')
       .populate('receiver', 'username avatar')
       .populate('swapCardId')
-      .populate('proposedSwapCardId');
+      .populate('proposedSwapCardId')
+      .populate('history.by', 'username avatar')
+      .populate('proposals.proposedBy', 'username avatar')
+      .populate('agreement.terms.proposedSwapCardId')
+      .lean();
     if (!swapRequest) return res.status(404).json({ error: 'Swap request not found' });
-    res.json({ success: true, data: swapRequest });
+    const role = swapRequestService.roleOf(swapRequest, req.user._id);
+    if (!role) return res.status(403).json({ error: 'Not authorized to view this swap request' });
+    res.json({
+      success: true,
+      data: {
+        ...swapRequest,
+        availableActions: swapRequestService.availableActions(swapRequest.status, role),
+        completionStatus: swapCompletionService.statusFor(swapRequest, req.user._id)
+      }
+    });
+  } catch (err) { next(err); }
+};
+
+// GET /swapcards/requests/:id/proposals (negotiation thread and current agreement)
+exports.getSwapProposals = async (req, res, next) => {
+  try {
+    const result = await swapNegotiationService.getThread(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result });
+  } catch (err) { next(err); }
+};
+
+// POST /swapcards/requests/:id/proposals (counter-offer: { proposedSwapCardId?, sessions?, durationMinutes?, schedule?, notes? })
+exports.proposeSwapTerms = async (req, res, next) => {
+  try {
+    const { proposedSwapCardId, sessions, durationMinutes, schedule, notes } = req.body;
+    const result = await swapNegotiationService.propose(req.params.id, req.user, {
+      proposedSwapCardId,
+      sessions,
+      durationMinutes,
+      schedule,
+      notes: sanitizeInput(notes),
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ success: true, data: result.proposal });
+  } catch (err) { next(err); }
+};
+
+// PUT /swapcards/requests/:id/proposals/:proposalId (answer a proposal: { decision: 'accept' | 'decline', comment? })
+exports.respondToSwapProposal = async (req, res, next) => {
+  try {
+    const { decision, comment } = req.body;
+    const result = await swapNegotiationService.respond(
+      req.params.id,
+      req.params.proposalId,
+      req.user,
+      decision,
+      sanitizeInput(comment)
+    );
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: { proposal: result.proposal, agreement: result.agreement } });
+  } catch (err) { next(err); }
+};
+
+// DELETE /swapcards/requests/:id/proposals/:proposalId (withdraw your own open proposal)
+exports.withdrawSwapProposal = async (req, res, next) => {
+  try {
+    const result = await swapNegotiationService.withdraw(req.params.id, req.params.proposalId, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result.proposal });
+  } catch (err) { next(err); }
+};
+
+// POST /swapcards/requests/:id/complete (confirm the swap took place: { sessions?, hours? })
+exports.confirmSwapCompletion = async (req, res, next) => {
+  try {
+    const { sessions, hours } = req.body || {};
+    const result = await swapCompletionService.confirm(req.params.id, req.user, { sessions, hours });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({
+      success: true,
+      data: { ...result.swapRequest.toObject(), completionStatus: swapCompletionService.statusFor(result.swapRequest, req.user._id) }
+    });
+  } catch (err) { next(err); }
+};
+
+// POST /swapcards/requests/:id/review (verified review of your swap partner: { rating, review?, categories?, isAnonymous? })
+exports.reviewSwap = async (req, res, next) => {
+  try {
+    const { rating, review, categories, isAnonymous } = sanitizeInput(req.body);
+    const result = await swapCompletionService.review(req.params.id, req.user, { rating, review, categories, isAnonymous });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ success: true, data: result.rating.getFormattedRating() });
+  } catch (err) { next(err); }
+};
+
+// GET /swapcards/requests/:id/reviews
+exports.getSwapReviews = async (req, res, next) => {
+  try {
+    const result = await swapCompletionService.getReviews(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result });
   } catch (err) { next(err); }
 };
 
 // --- Enhanced Search/Filters ---
-// GET /swapcards/search
+// GET /swapcards/search?type=&availability=&skill=&sort=distance|newest|rating
+// Geo: lat & lng [& radius km], near=<city>[, country] [& radius], or bbox=minLng,minLat,maxLng,maxLat
 exports.searchSwapCards = async (req, res, next) => {
   try {
-    const { type, availability, radius, sort, limit = 20, offset = 0, lat, lng } = req.query;
-    const filter = {};
+    const { type, availability, sort, limit = 20, offset = 0, skill } = req.query;
+    const { geo, error } = geoService.parseQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const filter = SwapCard.notExpired();
     if (type) filter.type = type;
     if (availability) filter.availability = availability;
-    // Geolocation filter (stub, implement with geospatial index in production)
-    // if (radius && lat && lng) { ... }
+    // Canonical skill filter: "js", "javascript" and the JavaScript catalog id all find the same cards
+    if (skill) {
+      const catalogIds = await skillTaxonomyService.resolveFilter(skill);
+      if (!catalogIds) return res.json({ success: true, data: [] });
+      filter.$or = [{ offeredCatalogSkill: { $in: catalogIds } }, { desiredCatalogSkill: { $in: catalogIds } }];
+    }
+
+    if (geo) {
+      // Nearest first unless another order was asked for; every card gets its distanceKm
+      const order = { rating: { rating: -1 }, newest: { createdAt: -1 } }[sort];
+      const docs = await SwapCard.aggregate([
+        geoService.nearStage('location.point', geo, filter),
+        ...(order ? [{ $sort: order }] : []),
+        { $skip: Number(offset) },
+        { $limit: Number(limit) }
+      ]);
+      const cards = await SwapCard.populate(geoService.roundDistances(docs), { path: 'user', select: 'username avatar' });
+      return res.json({ success: true, data: cards });
+    }
+
     let query = SwapCard.find(filter)
       .populate('user', 'username avatar')
       .skip(Number(offset)).limit(Number(limit));
@@ -402,10 +596,15 @@ exports.searchSwapCards = async (req, res, next) => {
   } catch (err) { next(err); }
 };
 
-// --- Suggested Matches (stub) ---
+// --- Suggested Matches ---
+// GET /swapcards/suggested?limit=20 (open cards matching your skills, best first, each with its reasons)
 exports.getSuggestedSwapCards = async (req, res, next) => {
-  // TODO: Implement matching algorithm, Redis caching
-  res.json({ success: true, data: [], message: 'Suggested matches feature coming soon.' });
+  try {
+    const { suggestions, cached } = await swapSuggestionService.getSuggestions(req.user._id, { limit: req.query.limit });
+    res.json({ success: true, data: suggestions, cached });
+  } catch (err) {
+    next(err);
+  }
 };
 
 // --- Analytics (stub) ---
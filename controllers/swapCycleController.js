@@ -0,0 +1,38 @@
+const sanitizeInput = require('../utils/sanitizeInput');
+const swapCycleService = require('../services/swapCycleService');
+
+const send = (res, result, status = 200) => {
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.status(status).json({ success: true, data: result.cycle });
+};
+
+// GET /swap-cycles?status=proposed,active (cycles you are part of)
+exports.getMyCycles = async (req, res, next) => {
+  try {
+    const cycles = await swapCycleService.listForUser(req.user._id, { status: req.query.status });
+    res.json({ success: true, data: cycles });
+  } catch (err) { next(err); }
+};
+
+// POST /swap-cycles/find (look for new cycles that include you now, instead of waiting for the daily run)
+exports.findCycles = async (req, res, next) => {
+  try {
+    const { proposed, error, status } = await swapCycleService.findFor(req.user._id);
+    if (error) return res.status(status).json({ error });
+    res.status(proposed.length ? 201 : 200).json({ success: true, data: proposed });
+  } catch (err) { next(err); }
+};
+
+// GET /swap-cycles/:id
+exports.getCycle = async (req, res, next) => {
+  try {
+    send(res, await swapCycleService.getForMember(req.params.id, req.user));
+  } catch (err) { next(err); }
+};
+
+// POST /swap-cycles/:id/accept | decline | leave | complete ({ reason? })
+exports.actOnCycle = (action) => async (req, res, next) => {
+  try {
+    send(res, await swapCycleService.act(req.params.id, req.user, action, { reason: sanitizeInput(req.body?.reason) }));
+  } catch (err) { next(err); }
+};
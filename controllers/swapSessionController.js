@@ -0,0 +1,66 @@
+const sanitizeInput = require('../utils/sanitizeInput');
+const swapSchedulingService = require('../services/swapSchedulingService');
+
+const send = (res, result, key, status = 200) => {
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.status(status).json({ success: true, data: result[key] });
+};
+
+// GET /swapcards/requests/:id/availability?from=&days=14 (free slots shared by both users)
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const result = await swapSchedulingService.getAvailability(req.params.id, req.user, {
+      from: req.query.from,
+      days: req.query.days
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, data: result });
+  } catch (err) { next(err); }
+};
+
+// GET /swapcards/requests/:id/sessions
+exports.getSessions = async (req, res, next) => {
+  try {
+    send(res, await swapSchedulingService.listSessions(req.params.id, req.user), 'sessions');
+  } catch (err) { next(err); }
+};
+
+// POST /swapcards/requests/:id/sessions (propose times: { slots: [startsAt], notes? })
+exports.proposeSession = async (req, res, next) => {
+  try {
+    const { slots, notes } = req.body;
+    send(res, await swapSchedulingService.propose(req.params.id, req.user, { slots, notes: sanitizeInput(notes) }), 'session', 201);
+  } catch (err) { next(err); }
+};
+
+// POST /swapcards/sessions/:sessionId/confirm (book one of the proposed times: { startsAt })
+exports.confirmSession = async (req, res, next) => {
+  try {
+    send(res, await swapSchedulingService.confirm(req.params.sessionId, req.user, req.body.startsAt), 'session');
+  } catch (err) { next(err); }
+};
+
+// POST /swapcards/sessions/:sessionId/reschedule (offer new times: { slots: [startsAt] })
+exports.rescheduleSession = async (req, res, next) => {
+  try {
+    send(res, await swapSchedulingService.proposeReschedule(req.params.sessionId, req.user, req.body.slots), 'session');
+  } catch (err) { next(err); }
+};
+
+// POST /swapcards/sessions/:sessionId/cancel ({ reason? })
+exports.cancelSession = async (req, res, next) => {
+  try {
+    send(res, await swapSchedulingService.cancel(req.params.sessionId, req.user, sanitizeInput(req.body?.reason)), 'session');
+  } catch (err) { next(err); }
+};
+
+// GET /swapcards/sessions/:sessionId/calendar.ics
+exports.getSessionCalendar = async (req, res, next) => {
+  try {
+    const result = await swapSchedulingService.getCalendar(req.params.sessionId, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="swap-session-${req.params.sessionId}.ics"`);
+    res.send(result.ics);
+  } catch (err) { next(err); }
+};
@@ -1,5 +1,20 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const twoFactorService = require('../services/twoFactorService');
+const accountDeletionService = require('../services/accountDeletionService');
+const dataExportService = require('../services/dataExportService');
+const loginProtectionService = require('../services/loginProtectionService');
+const loginAlertService = require('../services/loginAlertService');
+const privacyService = require('../services/privacyService');
+const blockService = require('../services/blockService');
+const profileCompletionService = require('../services/profileCompletionService');
+const accessTokenService = require('../services/accessTokenService');
+const endorsementService = require('../services/endorsementService');
+const swapSuggestionService = require('../services/swapSuggestionService');
+const geoService = require('../services/geoService');
 const { featureFlags } = require('../utils/envCheck');
 const logger = require('../utils/logger');
 const bcrypt = require('bcryptjs');
@@ -7,17 +22,11 @@ const sanitizeInput = require('../utils/sanitizeInput');
 const Activity = require('../models/Activity');
 const { createActivity } = require('../middleware/activityTracker');
 const SwapRequest = require('../models/SwapRequest');
+const DataExport = require('../models/DataExport');
+const FollowRequest = require('../models/FollowRequest');
 const cloudinary = require('../utils/cloudinary');
 
-// Helper: Generate JWT
-function generateToken(userId) {
-  if (!process.env.JWT_SECRET) {
-    logger.error('JWT_SECRET is not set in environment variables');
-    throw new Error('JWT_SECRET missing. Auth disabled.');
-  }
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-}
-console.log(process.env.JWT_SECRET,"pd");
+const MIN_PASSWORD_LENGTH = 8;
 
 // Helper function to create activity
 const createUserActivity = async (userId, type, message, description, metadata = {}) => {
@@ -58,8 +67,10 @@ exports.registerUser = async (req, res, next) => {
       lastName
     });
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Open a session and issue the access/refresh token pair
+    const { accessToken, refreshToken, expiresIn } = await sessionService.createSession(user._id, req);
+    // The device used to sign up is known from the start, so the next login from it does not alert
+    await loginAlertService.rememberDevice(user._id, req);
     
     // Track registration activity
     await createUserActivity(
@@ -70,6 +81,13 @@ exports.registerUser = async (req, res, next) => {
       { username, email }
     );
 
+    // Don't fail registration if the verification email can't be queued; the user can resend it
+    try {
+      await emailVerificationService.sendVerification(user, { ip: req.ip });
+    } catch (mailError) {
+      logger.error('Failed to queue verification email:', mailError);
+    }
+
     // Return user data and token
     res.status(201).json({
       user: {
@@ -77,9 +95,12 @@ exports.registerUser = async (req, res, next) => {
         email: user.email,
         username: user.username,
         firstName: user.firstName,
-        lastName: user.lastName
+        lastName: user.lastName,
+        emailVerified: user.emailVerified
       },
-      token
+      token: accessToken,
+      refreshToken,
+      expiresIn
     });
   } catch (err) {
     logger.error('Registration error:', err);
@@ -112,49 +133,236 @@ exports.login = async (req, res) => {
         });
     }
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials.' });
+    // Refuse locked accounts and IPs before the password is even checked
+    const attempt = { accountKey: loginProtectionService.accountKey(user, email || username || identifier), ip: req.ip };
+    const lock = await loginProtectionService.checkLock(attempt);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
     }
 
-    // Compare password
-    const isMatch = await user.comparePassword(password);
+    const isMatch = user ? await user.comparePassword(password) : false;
     if (!isMatch) {
-        return res.status(401).json({ error: 'Invalid credentials.' });
+      const failure = await loginProtectionService.recordFailure(attempt);
+      if (failure.locked) {
+        if (user && failure.scope === 'account') {
+          await createUserActivity(
+            user._id,
+            'login_locked',
+            'Sign-in temporarily locked',
+            'Too many failed sign-in attempts',
+            { ip: req.ip, retryAfter: failure.retryAfter }
+          );
+        }
+        return sendLockedResponse(res, failure);
+      }
+      return res.status(401).json({ error: 'Invalid credentials.' });
     }
 
-    // Generate JWT token
-      const token = generateToken(user._id);
+    const loginMethod = email ? 'email' : username ? 'username' : 'identifier';
 
-    // Track login activity
-    createUserActivity(
-      user._id,
-      'login',
-      `User login: ${user.username}`,
-      `User logged in successfully`,
-      {
-        username: user.username,
-        loginMethod: email ? 'email' : username ? 'username' : 'identifier'
-      }
-    ); // No await, make it async
+    // With 2FA on, the password only earns a challenge token; the session comes from /2fa/verify
+    if (user.twoFactor?.enabled) {
+      const { challengeToken, expiresIn } = twoFactorService.issueChallengeToken(user._id);
+      return res.json({ twoFactorRequired: true, challengeToken, expiresIn });
+    }
 
-    // Return user data and token
-      res.json({
-        user: { 
-        _id: user._id,
-          email: user.email, 
-          username: user.username,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          avatar: user.avatar,
-        },
-        token
-      });
+    // With 2FA the failure count is only cleared once the code is verified too
+    await loginProtectionService.recordSuccess(attempt);
+    await completeLogin(user, req, res, { loginMethod });
   } catch (err) {
     logger.error('Login error:', err);
     res.status(500).json({ error: 'Error logging in.', details: err.message, stack: err.stack });
   }
 };
 
+// 429 with Retry-After for a brute-force lockout
+const sendLockedResponse = (res, lock) => {
+  const minutes = Math.ceil(lock.retryAfter / 60);
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    code: 'LOGIN_LOCKED',
+    retryAfter: lock.retryAfter
+  });
+};
+
+// Open a session for an authenticated user and send the login response
+const completeLogin = async (user, req, res, metadata = {}) => {
+  // Open a session and issue the access/refresh token pair
+  const { session, accessToken, refreshToken, expiresIn } = await sessionService.createSession(user._id, req);
+
+  // Alerting must never block the login itself
+  let newDevice = false;
+  try {
+    newDevice = await loginAlertService.checkLogin(user, session, req);
+  } catch (alertError) {
+    logger.error('New device check failed:', alertError);
+  }
+
+  // Track login activity
+  createUserActivity(
+    user._id,
+    'login',
+    `User login: ${user.username}`,
+    `User logged in successfully`,
+    {
+      username: user.username,
+      newDevice,
+      ...metadata
+    }
+  ); // No await, make it async
+
+  // Return user data and token
+  res.json({
+    user: {
+      _id: user._id,
+      email: user.email,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      deletionScheduledFor: user.deletionScheduledFor,
+    },
+    token: accessToken,
+    refreshToken,
+    expiresIn
+  });
+};
+
+// POST /api/users/2fa/verify - Second login step: exchange a challenge token and code for a session
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and a code are required.' });
+    }
+
+    const userId = twoFactorService.verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const attempt = { accountKey: userId.toString(), ip: req.ip };
+    const lock = await loginProtectionService.checkLock(attempt);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    const user = await twoFactorService.findUserWithSecrets(userId);
+    const method = await twoFactorService.verifyUserCode(user, { code, recoveryCode });
+    if (!method) {
+      const failure = await loginProtectionService.recordFailure(attempt);
+      if (failure.locked) {
+        return sendLockedResponse(res, failure);
+      }
+      return res.status(401).json({ error: 'Invalid verification code.' });
+    }
+    await loginProtectionService.recordSuccess(attempt);
+
+    await createUserActivity(
+      user._id,
+      method === 'recovery' ? 'two_factor_recovery' : 'two_factor_verify',
+      method === 'recovery' ? 'Logged in with a recovery code' : 'Two-factor login verified',
+      method === 'recovery'
+        ? `User logged in with a recovery code; ${user.twoFactor.recoveryCodes.length} codes left`
+        : 'User completed the two-factor login step',
+      { method }
+    );
+
+    await completeLogin(user, req, res, { loginMethod: 'two_factor', twoFactorMethod: method });
+  } catch (err) {
+    logger.error('Two-factor verify error:', err);
+    res.status(500).json({ error: 'Error verifying two-factor code' });
+  }
+};
+
+// POST /api/users/2fa/setup - Start enrolling an authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.beginSetup(req.user._id);
+    if (!result) return res.status(404).json({ error: 'User not found' });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    res.json({ success: true, data: result });
+  } catch (err) {
+    logger.error('Two-factor setup error:', err);
+    res.status(500).json({ error: 'Error starting two-factor setup' });
+  }
+};
+
+// POST /api/users/2fa/confirm - Finish enrollment with a code from the app
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code is required.' });
+    }
+
+    const result = await twoFactorService.confirmSetup(req.user._id, code);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    await createUserActivity(
+      req.user._id,
+      'two_factor_enable',
+      'Two-factor authentication enabled',
+      'User enabled two-factor authentication',
+      {}
+    );
+
+    // Recovery codes are only ever shown here
+    res.json({ success: true, data: { recoveryCodes: result.recoveryCodes } });
+  } catch (err) {
+    logger.error('Two-factor confirm error:', err);
+    res.status(500).json({ error: 'Error confirming two-factor setup' });
+  }
+};
+
+// POST /api/users/2fa/disable - Turn 2FA off (password and current code required)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and a verification code are required.' });
+    }
+
+    const result = await twoFactorService.disable(req.user._id, { password, code, recoveryCode });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    await createUserActivity(
+      req.user._id,
+      'two_factor_disable',
+      'Two-factor authentication disabled',
+      'User disabled two-factor authentication',
+      { method: code ? 'totp' : 'recovery' }
+    );
+
+    res.json({ success: true, message: 'Two-factor authentication disabled.' });
+  } catch (err) {
+    logger.error('Two-factor disable error:', err);
+    res.status(500).json({ error: 'Error disabling two-factor authentication' });
+  }
+};
+
+// POST /api/users/2fa/recovery-codes - Replace recovery codes (current code required)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code is required.' });
+    }
+
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user._id, code);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    res.json({ success: true, data: { recoveryCodes: result.recoveryCodes } });
+  } catch (err) {
+    logger.error('Regenerate recovery codes error:', err);
+    res.status(500).json({ error: 'Error regenerating recovery codes' });
+  }
+};
+
 // GET /api/users/profile/:id
 exports.getProfile = async (req, res) => {
   try {
@@ -164,7 +372,7 @@ exports.getProfile = async (req, res) => {
       .select('-password')
       .populate({
         path: 'skills',
-        select: 'title description category tags media availability rating experienceLevel duration isLookingFor',
+        select: 'title description category tags media availability rating experienceLevel duration isLookingFor endorsementCount verification catalogSkill',
       })
       .populate({
         path: 'lookingFor',
@@ -179,18 +387,42 @@ exports.getProfile = async (req, res) => {
         select: 'firstName lastName avatar',
       });
 
-    if (!user) {
+    // Users on either side of a block cannot see each other
+    if (!user || (req.user && await blockService.isBlockedBetween(req.user._id, user._id))) {
       return res.status(404).json({ error: 'User not found.' });
     }
 
-    // Respect privacy settings
-    if (user.privacy && user.privacy.profile === 'private' && 
-        (!req.user || req.user._id.toString() !== user._id.toString())) {
-      return res.status(403).json({ error: 'Profile is private.' });
+    // Private profiles only show a summary to viewers who are not approved followers
+    if (!(await privacyService.canViewUser(req.user, user))) {
+      const pendingRequest = req.user
+        ? await privacyService.getPendingRequest(req.user._id, user._id)
+        : null;
+
+      return res.json({
+        _id: user._id,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        avatar: user.avatar || "",
+        banner: user.banner,
+        bio: user.bio,
+        privacy: user.privacy,
+        isPrivate: true,
+        canView: false,
+        followRequest: pendingRequest ? { _id: pendingRequest._id, status: pendingRequest.status } : null,
+        followersCount: user.followers.length,
+        followingCount: user.following.length,
+        createdAt: user.createdAt
+      });
     }
 
     // Calculate post count
     const postsCount = await Post.countDocuments({ user: user._id });
+    const endorsements = await endorsementService.getSummaries(user.skills.map(skill => skill._id));
+    const skills = user.skills.map(skill => ({
+      ...skill.toObject(),
+      endorsements: endorsements.get(skill._id.toString())
+    }));
     
     console.log(user,"user profile");
     res.json({
@@ -202,7 +434,7 @@ exports.getProfile = async (req, res) => {
       banner: user.banner,
       bio: user.bio,
       about: user.about,
-      skills: user.skills,
+      skills,
       lookingFor: user.lookingFor,
       location: user.location,
       contact: user.privacy?.profile === "public" ? user.contact : undefined,
@@ -217,6 +449,9 @@ exports.getProfile = async (req, res) => {
       updatedAt: user.updatedAt,
       completion: user.completion,
       postsCount: postsCount,
+      endorsementCount: skills.reduce((total, skill) => total + skill.endorsements.count, 0),
+      isPrivate: privacyService.isPrivate(user),
+      canView: true,
     });
     
   } catch (err) {
@@ -230,6 +465,8 @@ exports.getProfile = async (req, res) => {
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
 const fs = require('fs');
 
+const EDITABLE_PROFILE_FIELDS = ['firstName', 'lastName', 'avatar', 'banner', 'bio', 'about', 'location', 'contact', 'timeZone', 'language', 'privacy'];
+
 exports.updateProfile = async (req, res) => {
   try {
     logger.info('Profile update request received:', {
@@ -237,18 +474,23 @@ exports.updateProfile = async (req, res) => {
       body: req.body
     });
     
-    const updates = sanitizeInput(req.body);
+    const input = sanitizeInput(req.body) || {};
     
+    // Email changes are held in pendingEmail until the new address is verified
+    const requestedEmail = typeof input.email === 'string' ? input.email.trim().toLowerCase() : null;
+    // The new address can take over the account through a password reset, so a leaked token must not change it
+    if (requestedEmail && requestedEmail !== req.user.email && req.accessToken) {
+      return res.status(403).json({ error: 'Email can only be changed while signed in, not with an access token.' });
+    }
+
+    // Only these fields can be changed here. Credentials, 2FA, roles, devices, follows, blocks and
+    // deletion state have their own endpoints with their own checks.
+    const updates = {};
+    for (const field of EDITABLE_PROFILE_FIELDS) {
+      if (input[field] !== undefined) updates[field] = input[field];
+    }
+
     logger.info('Sanitized updates:', { updates });
-    logger.info('Original body:', { body: req.body });
-    
-    // Remove any fields that shouldn't be updated directly
-    delete updates.password;
-    delete updates.email;
-    delete updates.username; // Disable username updates
-    delete updates._id;
-    delete updates.createdAt;
-    delete updates.updatedAt;
     
     // Validate and clean string fields
     if (updates.firstName !== undefined) {
@@ -346,12 +588,31 @@ exports.updateProfile = async (req, res) => {
       
       // Only update if we have valid location data
       if (Object.keys(locationData).length > 0) {
+        // Coordinates come from the gazetteer, never from the client
+        const point = geoService.pointFor(locationData);
+        if (point) locationData.point = point;
         updates.location = locationData;
       } else {
         delete updates.location; // Remove empty location object
       }
     }
 
+    let emailChange = null;
+    if (requestedEmail && requestedEmail !== req.user.email) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(requestedEmail)) {
+        return res.status(400).json({ error: 'Invalid email address' });
+      }
+      const taken = await User.exists({ email: requestedEmail, _id: { $ne: req.user._id } });
+      if (taken) {
+        return res.status(409).json({ error: 'Email is already in use by another account.' });
+      }
+      if (await emailVerificationService.isThrottled(req.user._id)) {
+        return res.status(429).json({ error: 'Too many verification emails. Please try again later.' });
+      }
+      emailChange = requestedEmail;
+      updates.pendingEmail = requestedEmail;
+    }
+
     // Check if there are any updates to make
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ 
@@ -376,6 +637,21 @@ exports.updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (emailChange) {
+      await emailVerificationService.sendVerification(user, { email: emailChange, ip: req.ip });
+    }
+
+    const completion = await profileCompletionService.refresh(user._id);
+    // Suggested swaps are ranked by distance and schedule
+    if (updates.location || updates.timeZone !== undefined) {
+      await swapSuggestionService.invalidate(user._id);
+    }
+
+    // Going public lets everyone follow directly, so waiting requests are accepted
+    if (privacyService.isPrivate(existingUser) && !privacyService.isPrivate(user)) {
+      await privacyService.approveAllPending(user._id);
+    }
+
     // Track profile update activity
     try {
       const updateFields = Object.keys(updates).join(', ');
@@ -398,6 +674,8 @@ exports.updateProfile = async (req, res) => {
       user: {
         _id: user._id,
         email: user.email,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
         username: user.username,
         firstName: user.firstName,
         lastName: user.lastName,
@@ -413,7 +691,8 @@ exports.updateProfile = async (req, res) => {
         language: user.language,
         privacy: user.privacy,
         badges: user.badges,
-        credits: user.credits
+        credits: user.credits,
+        completion: completion ? completion.score : user.completion
       }
     });
   } catch (err) {
@@ -442,26 +721,35 @@ exports.updateProfile = async (req, res) => {
 exports.followUser = async (req, res) => {
   try {
     const targetId = req.params.id;
-    if (req.user._id === targetId) {
+    if (req.user._id.toString() === targetId) {
       return res.status(400).json({ error: 'Cannot follow yourself.' });
     }
 
     const targetUser = await User.findById(targetId);
-    if (!targetUser) {
+    if (!targetUser || await blockService.isBlockedBetween(req.user._id, targetUser._id)) {
       return res.status(404).json({ error: 'User not found.' });
     }
 
     // Check if already following
-    if (req.user.following.includes(targetId)) {
+    if (req.user.following.some(id => id.toString() === targetId)) {
       return res.status(400).json({ error: 'Already following this user.' });
     }
 
+    // Private accounts have to approve followers first
+    if (privacyService.isPrivate(targetUser)) {
+      const request = await privacyService.requestFollow(req.user, targetUser);
+      return res.status(202).json({
+        message: 'Follow request sent.',
+        followRequest: { _id: request._id, status: request.status }
+      });
+    }
+
     // Update following and followers
     await User.findByIdAndUpdate(req.user._id, {
-      $push: { following: targetId }
+      $addToSet: { following: targetId }
     });
     await User.findByIdAndUpdate(targetId, {
-      $push: { followers: req.user._id }
+      $addToSet: { followers: req.user._id }
     });
 
     // Track follow activity
@@ -488,7 +776,10 @@ exports.followUser = async (req, res) => {
 exports.blockUser = async (req, res) => {
   try {
     const targetId = req.params.id;
-    if (req.user._id === targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+    if (req.user._id.toString() === targetId) {
       return res.status(400).json({ error: 'Cannot block yourself.' });
     }
 
@@ -496,19 +787,12 @@ exports.blockUser = async (req, res) => {
     if (!targetUser) {
       return res.status(404).json({ error: 'User not found.' });
     }
+    if (req.user.blocked.some(id => id.toString() === targetId)) {
+      return res.status(400).json({ error: 'User is already blocked.' });
+    }
 
-    // Update blocked users
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { blocked: targetId }
-    });
-
-    // Remove from following/followers if exists
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { following: targetId }
-    });
-    await User.findByIdAndUpdate(targetId, {
-      $pull: { followers: req.user._id }
-    });
+    // Adds to the block list and drops follows and follow requests in both directions
+    await blockService.block(req.user._id, targetUser._id);
 
     // Track block activity
     await createUserActivity(
@@ -526,6 +810,49 @@ exports.blockUser = async (req, res) => {
   }
 };
 
+// POST /api/users/unblock/:id
+exports.unblockUser = async (req, res) => {
+  try {
+    const targetId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+
+    const unblocked = await blockService.unblock(req.user._id, targetId);
+    if (!unblocked) {
+      return res.status(400).json({ error: 'User is not blocked.' });
+    }
+
+    const targetUser = await User.findById(targetId).select('username');
+    await createUserActivity(
+      req.user._id,
+      'unblock',
+      `Unblocked user ${targetUser?.username || targetId}`,
+      `User unblocked ${targetUser?.username || targetId}`,
+      { targetUserId: targetId, targetUsername: targetUser?.username }
+    );
+
+    res.json({ message: 'Successfully unblocked user.' });
+  } catch (err) {
+    logger.error('Unblock user error:', err);
+    res.status(500).json({ error: 'Error unblocking user' });
+  }
+};
+
+// GET /api/users/blocked - Users the current user has blocked
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blocked')
+      .populate('blocked', 'username firstName lastName avatar');
+
+    res.json({ success: true, data: user.blocked });
+  } catch (err) {
+    logger.error('Get blocked users error:', err);
+    res.status(500).json({ error: 'Error retrieving blocked users' });
+  }
+};
+
 // GET /api/users/activity
 exports.getActivity = async (req, res, next) => {
   try {
@@ -565,22 +892,298 @@ exports.hideActivity = async (req, res) => {
   }
 };
 
+// POST /api/users/password/forgot - Email a password reset link
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required.' });
+    }
+
+    await passwordResetService.requestReset(email, req.ip);
+
+    // Same response whether or not the account exists, so emails cannot be enumerated
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (err) {
+    logger.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Error requesting password reset' });
+  }
+};
+
+// POST /api/users/password/reset - Set a new password with a reset token
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required.' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
+    }
+
+    const user = await passwordResetService.resetPassword(token, password);
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired.' });
+    }
+
+    await createUserActivity(
+      user._id,
+      'password_reset',
+      `Password reset: ${user.username}`,
+      'User reset their password; all sessions were signed out',
+      { ip: req.ip }
+    );
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (err) {
+    logger.error('Reset password error:', err);
+    res.status(500).json({ error: 'Error resetting password' });
+  }
+};
+
+// POST /api/users/email/verify - Confirm an email address with a verification token
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required.' });
+    }
+
+    const { user, error } = await emailVerificationService.verify(token);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await createUserActivity(
+      user._id,
+      'email_verified',
+      `Email verified: ${user.username}`,
+      `User verified the email address ${user.email}`,
+      { email: user.email }
+    );
+
+    res.json({ message: 'Email verified successfully.', email: user.email, emailVerified: true });
+  } catch (err) {
+    logger.error('Verify email error:', err);
+    res.status(500).json({ error: 'Error verifying email' });
+  }
+};
+
+// POST /api/users/email/resend - Send a new verification link
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('email pendingEmail emailVerified username firstName lastName');
+    const email = user.pendingEmail || user.email;
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({ error: 'Email is already verified.' });
+    }
+    if (await emailVerificationService.isThrottled(user._id)) {
+      return res.status(429).json({ error: 'Too many verification emails. Please try again later.' });
+    }
+
+    await emailVerificationService.sendVerification(user, { email, ip: req.ip });
+
+    res.json({ message: 'Verification email sent.', email });
+  } catch (err) {
+    logger.error('Resend verification error:', err);
+    res.status(500).json({ error: 'Error sending verification email' });
+  }
+};
+
+// POST /api/users/token/refresh - Rotate the refresh token and issue a new access token
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required.' });
+    }
+
+    const tokens = await sessionService.rotateRefreshToken(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Refresh token is invalid, expired or revoked.' });
+    }
+
+    res.json({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (err) {
+    logger.error('Refresh token error:', err);
+    res.status(500).json({ error: 'Error refreshing token' });
+  }
+};
+
+// POST /api/users/logout - Revoke the current session
+exports.logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+
+    await createUserActivity(
+      req.user._id,
+      'logout',
+      `User logout: ${req.user.username}`,
+      'User logged out of the current session',
+      { sessionId: req.sessionId }
+    );
+
+    res.json({ message: 'Logged out successfully.' });
+  } catch (err) {
+    logger.error('Logout error:', err);
+    res.status(500).json({ error: 'Error logging out' });
+  }
+};
+
+// POST /api/users/logout-all - Revoke every session of the user
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user._id, 'logout_all');
+
+    await createUserActivity(
+      req.user._id,
+      'logout',
+      `User logged out everywhere: ${req.user.username}`,
+      `User revoked all ${revoked} active sessions`,
+      { revokedSessions: revoked }
+    );
+
+    res.json({ message: 'Logged out of all sessions.', revokedSessions: revoked });
+  } catch (err) {
+    logger.error('Logout all error:', err);
+    res.status(500).json({ error: 'Error logging out of all sessions' });
+  }
+};
+
 // GET /api/users/sessions
 exports.getSessions = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id).select('devices');
-    res.json({ devices: user.devices });
+    const sessions = await sessionService.listSessions(req.user._id);
+    const currentId = req.sessionId?.toString();
+
+    res.json({
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        deviceId: session.deviceId,
+        deviceType: session.deviceType,
+        browser: session.browser,
+        os: session.os,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentId
+      }))
+    });
   } catch (err) {
     logger.error('Get sessions error:', err);
     res.status(500).json({ error: 'Error retrieving sessions' });
   }
 };
 
-// DELETE /api/users/sessions/:deviceId
+// DELETE /api/users/sessions/:sessionId - Log out a single session
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID.' });
+    }
+
+    const session = await sessionService.revokeSession(req.user._id, sessionId, 'terminated');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found or already revoked.' });
+    }
+
+    await createUserActivity(
+      req.user._id,
+      'session_terminate',
+      'Terminated a session',
+      'User terminated an active session',
+      { sessionId, deviceId: session.deviceId }
+    );
+
+    res.json({ message: 'Session terminated successfully.' });
+  } catch (err) {
+    logger.error('Revoke session error:', err);
+    res.status(500).json({ error: 'Error terminating session' });
+  }
+};
+
+// POST /api/users/sessions/:sessionId/not-me - Report a sign-in from a new device as not made by the user
+exports.reportSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID.' });
+    }
+    if (sessionId === req.sessionId?.toString()) {
+      return res.status(400).json({ error: 'You cannot report the session you are using.' });
+    }
+
+    const revoked = await loginAlertService.reportLogin(req.user._id, sessionId, req.sessionId);
+    if (revoked === null) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+
+    await createUserActivity(
+      req.user._id,
+      'login_reported',
+      'Reported an unrecognized sign-in',
+      'User reported a sign-in as not theirs; its device was signed out',
+      { sessionId, revokedSessions: revoked }
+    );
+
+    res.json({
+      message: 'That device has been signed out. We recommend changing your password.',
+      revokedSessions: revoked
+    });
+  } catch (err) {
+    logger.error('Report session error:', err);
+    res.status(500).json({ error: 'Error reporting session' });
+  }
+};
+
+// POST /api/users/login-alerts/not-me - Same as above, from the link in a new-device email
+exports.reportLoginFromAlert = async (req, res) => {
+  try {
+    const claims = req.body?.token && loginAlertService.verifyReportToken(req.body.token);
+    if (!claims) {
+      return res.status(400).json({ error: 'This link is invalid or has expired.' });
+    }
+
+    const revoked = await loginAlertService.reportLogin(claims.userId, claims.sessionId);
+    if (revoked === null) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+
+    await createUserActivity(
+      claims.userId,
+      'login_reported',
+      'Reported an unrecognized sign-in',
+      'User reported a sign-in as not theirs from the alert email; its device was signed out',
+      { sessionId: claims.sessionId, revokedSessions: revoked }
+    );
+
+    res.json({
+      message: 'That device has been signed out. We recommend resetting your password.',
+      revokedSessions: revoked
+    });
+  } catch (err) {
+    logger.error('Report login from alert error:', err);
+    res.status(500).json({ error: 'Error reporting sign-in' });
+  }
+};
+
+// POST /api/users/sessions/terminate - Log out every session opened from a device
 exports.terminateSession = async (req, res) => {
   try {
-    const { deviceId } = req.body;
-    
+    const { deviceId } = req.body || {};
+    if (!deviceId) {
+      return res.status(400).json({ error: 'deviceId is required.' });
+    }
+
+    const revoked = await sessionService.revokeDeviceSessions(req.user._id, deviceId, 'terminated');
+
     // Update device status
     await User.findByIdAndUpdate(req.user._id, {
       $set: { 'devices.$[elem].active': false },
@@ -595,10 +1198,10 @@ exports.terminateSession = async (req, res) => {
       'session_terminate',
       'Terminated a session',
       'User terminated an active session',
-      { deviceId }
+      { deviceId, revokedSessions: revoked }
     );
 
-    res.json({ message: 'Session terminated successfully.' });
+    res.json({ message: 'Session terminated successfully.', revokedSessions: revoked });
   } catch (err) {
     logger.error('Terminate session error:', err);
     res.status(500).json({ error: 'Error terminating session' });
@@ -641,6 +1244,18 @@ exports.getAllProfiles = async (req, res) => {
       filter.location = { $regex: location, $options: 'i' };
     }
 
+    // Radius (lat, lng, radius in km, or near=<city>) or bounding-box (bbox) search
+    const { geo, error: geoError } = geoService.parseQuery(req.query);
+    if (geoError) {
+      return res.status(400).json({ success: false, error: geoError });
+    }
+
+    // Private accounts are only listed for their approved followers, and blocked users not at all
+    Object.assign(filter, { $and: [privacyService.visibleUsersFilter(req.user?._id)] });
+    if (req.user) {
+      filter._id = { $nin: await blockService.getBlockedUserIds(req.user._id) };
+    }
+
     // Calculate pagination
     const skip = (page - 1) * limit;
 
@@ -648,28 +1263,41 @@ exports.getAllProfiles = async (req, res) => {
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-    // Get users with pagination and filtering
-    const users = await User.find(filter)
-      .select('-password -email -contact -devices -blocked -hiddenActivity')
-      .populate({
-        path: 'skills',
-        select: 'title description category tags media availability rating experienceLevel duration isLookingFor',
-        match: skills ? { category: { $regex: skills, $options: 'i' } } : {}
-      })
-      .populate({
-        path: 'lookingFor',
-        select: 'title description category tags media availability rating experienceLevel duration isLookingFor'
-      })
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await User.countDocuments(filter);
+    const skillFields = 'title description category tags media availability rating experienceLevel duration isLookingFor';
+    const populate = [
+      { path: 'skills', select: skillFields, match: skills ? { category: { $regex: skills, $options: 'i' } } : {} },
+      { path: 'lookingFor', select: skillFields }
+    ];
+
+    let users;
+    let total;
+    if (geo) {
+      // Nearest first, unless another order was asked for
+      const docs = await User.aggregate([
+        geoService.nearStage('location.point', geo, filter),
+        ...(req.query.sortBy ? [{ $sort: sort }] : []),
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        { $project: privacyService.listedProfileProjection({ distanceKm: 1 }) }
+      ]);
+      users = await User.populate(geoService.roundDistances(docs), populate);
+      total = await User.countDocuments({ ...filter, ...geoService.withinFilter('location.point', geo) });
+    } else {
+      // Get users with pagination and filtering
+      users = await User.find(filter)
+        .select(privacyService.listedProfileFields())
+        .populate(populate)
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      // Get total count for pagination
+      total = await User.countDocuments(filter);
+    }
 
     // Format response
     const formattedUsers = users.map(user => {
-      const userObj = user.toObject();
+      const userObj = geo ? user : user.toObject();
       
       // Ensure avatar has default value
       if (!userObj.avatar) {
@@ -698,6 +1326,7 @@ exports.getAllProfiles = async (req, res) => {
           search,
           skills,
           location,
+          geo,
           sortBy,
           sortOrder
         }
@@ -712,32 +1341,279 @@ exports.getAllProfiles = async (req, res) => {
   }
 };
 
-// DELETE /api/users/profile
+// DELETE /api/users/profile - Schedule account deletion after a grace period
 exports.deleteProfile = async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id);
-    
+    const deletion = await accountDeletionService.scheduleDeletion(user, req.body?.reason);
+
     // Track profile deletion activity with detailed message
     await createUserActivity(
-      req.user._id, 
-      'profile_delete', 
-      `Successfully deleted account for user: ${user.username} (${user.email})`,
-      null
+      req.user._id,
+      'profile_delete',
+      `Account deletion scheduled for user: ${user.username}`,
+      `Account and all its data will be deleted on ${deletion.scheduledFor.toISOString()}`,
+      { scheduledFor: deletion.scheduledFor }
     );
 
-    await User.findByIdAndDelete(req.user._id);
-    res.json({ success: true, message: 'Account successfully deleted' });
+    res.status(202).json({
+      success: true,
+      message: 'Account deletion scheduled. You can cancel it until the scheduled date.',
+      data: {
+        status: deletion.status,
+        scheduledFor: deletion.scheduledFor
+      }
+    });
   } catch (err) {
     logger.error('Profile deletion error:', err);
     res.status(500).json({ error: 'Error deleting profile' });
   }
 };
 
+const formatAccessToken = (accessToken) => ({
+  _id: accessToken._id,
+  name: accessToken.name,
+  scopes: accessToken.scopes,
+  tokenPrefix: accessToken.tokenPrefix,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+  createdAt: accessToken.createdAt,
+  expired: accessToken.expiresAt <= new Date()
+});
+
+// GET /api/users/tokens - List personal access tokens and the scopes that can be granted
+exports.getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await accessTokenService.listTokens(req.user._id);
+    res.json({
+      success: true,
+      data: tokens.map(formatAccessToken),
+      scopes: accessTokenService.scopes
+    });
+  } catch (err) {
+    logger.error('Get access tokens error:', err);
+    res.status(500).json({ error: 'Error fetching access tokens' });
+  }
+};
+
+// POST /api/users/tokens - Create a personal access token; the token itself is only returned here
+exports.createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    const result = await accessTokenService.createToken(req.user._id, { name, scopes, expiresInDays });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await createUserActivity(
+      req.user._id,
+      'token_create',
+      `Created access token "${result.accessToken.name}"`,
+      'User created a personal access token',
+      { tokenId: result.accessToken._id, scopes: result.accessToken.scopes.join(', ') }
+    );
+
+    res.status(201).json({
+      success: true,
+      token: result.token,
+      data: formatAccessToken(result.accessToken)
+    });
+  } catch (err) {
+    logger.error('Create access token error:', err);
+    res.status(500).json({ error: 'Error creating access token' });
+  }
+};
+
+// DELETE /api/users/tokens/:id - Revoke a personal access token
+exports.revokeAccessToken = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    const accessToken = await accessTokenService.revokeToken(req.user._id, req.params.id);
+    if (!accessToken) {
+      return res.status(404).json({ error: 'Access token not found.' });
+    }
+
+    await createUserActivity(
+      req.user._id,
+      'token_revoke',
+      `Revoked access token "${accessToken.name}"`,
+      'User revoked a personal access token',
+      { tokenId: accessToken._id }
+    );
+
+    res.json({ success: true, message: 'Access token revoked.' });
+  } catch (err) {
+    logger.error('Revoke access token error:', err);
+    res.status(500).json({ error: 'Error revoking access token' });
+  }
+};
+
+// GET /api/users/me/completion - Profile completion score and the steps still missing
+exports.getProfileCompletion = async (req, res) => {
+  try {
+    const completion = await profileCompletionService.recompute(req.user._id);
+    if (!completion) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        score: completion.score,
+        isComplete: completion.isComplete,
+        checklist: completion.steps,
+        missing: completion.missing
+      }
+    });
+  } catch (err) {
+    logger.error('Get profile completion error:', err);
+    res.status(500).json({ error: 'Error retrieving profile completion' });
+  }
+};
+
+// GET /api/users/profile/deletion - Status of a pending account deletion
+exports.getDeletionStatus = async (req, res) => {
+  try {
+    const deletion = await accountDeletionService.getPendingDeletion(req.user._id);
+    if (!deletion) {
+      return res.status(404).json({ error: 'No account deletion is scheduled.' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: deletion.status,
+        requestedAt: deletion.requestedAt,
+        scheduledFor: deletion.scheduledFor
+      }
+    });
+  } catch (err) {
+    logger.error('Get deletion status error:', err);
+    res.status(500).json({ error: 'Error retrieving deletion status' });
+  }
+};
+
+// POST /api/users/profile/deletion/cancel - Cancel a scheduled account deletion
+exports.cancelDeletion = async (req, res) => {
+  try {
+    const deletion = await accountDeletionService.cancelDeletion(req.user._id);
+    if (!deletion) {
+      return res.status(404).json({ error: 'No cancellable account deletion found.' });
+    }
+
+    await createUserActivity(
+      req.user._id,
+      'profile_delete_cancel',
+      'Account deletion cancelled',
+      'User cancelled the scheduled deletion of their account',
+      {}
+    );
+
+    res.json({ success: true, message: 'Account deletion cancelled.' });
+  } catch (err) {
+    logger.error('Cancel deletion error:', err);
+    res.status(500).json({ error: 'Error cancelling account deletion' });
+  }
+};
+
+const formatDataExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  counts: dataExport.counts,
+  fileSize: dataExport.fileSize,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt
+});
+
+// POST /api/users/me/export - Request an archive of all data held about the user
+exports.requestDataExport = async (req, res) => {
+  try {
+    const result = await dataExportService.requestExport(req.user._id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, data: formatDataExport(result.dataExport) });
+    }
+
+    await createUserActivity(
+      req.user._id,
+      'data_export',
+      'Data export requested',
+      'User requested an archive of their personal data',
+      { exportId: result.dataExport._id }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. Check its status to get the download link.',
+      data: formatDataExport(result.dataExport)
+    });
+  } catch (err) {
+    logger.error('Request data export error:', err);
+    res.status(500).json({ error: 'Error requesting data export' });
+  }
+};
+
+// GET /api/users/me/export/:id - Export status, with a download link once ready
+exports.getDataExport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid export ID.' });
+    }
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+    if (!dataExport) return res.status(404).json({ error: 'Export not found.' });
+
+    const data = formatDataExport(dataExport);
+    if (dataExport.status === 'ready' && dataExport.expiresAt > new Date()) {
+      const token = dataExportService.createDownloadToken(dataExport);
+      data.downloadUrl = `${req.baseUrl}/me/export/${dataExport._id}/download?token=${encodeURIComponent(token)}`;
+    }
+
+    res.json({ success: true, data });
+  } catch (err) {
+    logger.error('Get data export error:', err);
+    res.status(500).json({ error: 'Error retrieving data export' });
+  }
+};
+
+// GET /api/users/me/export/:id/download?token= - Download the archive through a signed link
+exports.downloadDataExport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !req.query.token) {
+      return res.status(400).json({ error: 'Invalid download link.' });
+    }
+    const dataExport = await dataExportService.resolveDownload(req.params.id, req.query.token);
+    if (!dataExport) {
+      return res.status(410).json({ error: 'This download link is invalid or has expired.' });
+    }
+
+    await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+    res.download(dataExport.filePath, `netyora-export-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`, (err) => {
+      if (err && !res.headersSent) {
+        logger.error('Data export download error:', err);
+        res.status(410).json({ error: 'This export is no longer available.' });
+      }
+    });
+  } catch (err) {
+    logger.error('Download data export error:', err);
+    res.status(500).json({ error: 'Error downloading data export' });
+  }
+};
+
 // GET /users/:userId/swaps - Get user's swap history
 exports.getUserSwapHistory = async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 20, offset = 0 } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+    if (!(await privacyService.canViewUser(req.user, userId))) {
+      return res.status(403).json({ error: 'This account is private.' });
+    }
     const swaps = await SwapRequest.find({
       $and: [
         { status: 'completed' },
@@ -761,9 +1637,8 @@ exports.searchUsersForChat = async (req, res) => {
     const { query } = req.query;
     const userId = req.user._id;
 
-    // Get blocked users
-    const currentUser = await User.findById(userId).select('blocked');
-    const blockedIds = currentUser.blocked || [];
+    // Leave out users blocked in either direction
+    const blockedIds = await blockService.getBlockedUserIds(userId);
 
     // Build search filter
     const searchFilter = {
@@ -796,6 +1671,122 @@ exports.searchUsersForChat = async (req, res) => {
   }
 };
 
+// GET /api/users/follow-requests - Pending requests to follow the current user
+exports.getFollowRequests = async (req, res) => {
+  try {
+    const requests = await FollowRequest.find({ target: req.user._id, status: 'pending' })
+      .sort({ createdAt: -1 })
+      .populate('requester', 'username firstName lastName avatar')
+      .lean();
+
+    res.json({ success: true, data: requests });
+  } catch (err) {
+    logger.error('Get follow requests error:', err);
+    res.status(500).json({ error: 'Error retrieving follow requests' });
+  }
+};
+
+// GET /api/users/follow-requests/sent - Pending requests the current user has sent
+exports.getSentFollowRequests = async (req, res) => {
+  try {
+    const requests = await FollowRequest.find({ requester: req.user._id, status: 'pending' })
+      .sort({ createdAt: -1 })
+      .populate('target', 'username firstName lastName avatar')
+      .lean();
+
+    res.json({ success: true, data: requests });
+  } catch (err) {
+    logger.error('Get sent follow requests error:', err);
+    res.status(500).json({ error: 'Error retrieving follow requests' });
+  }
+};
+
+// POST /api/users/follow-requests/:id/approve - Accept a follow request
+exports.approveFollowRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid request ID.' });
+    }
+    const request = await privacyService.approveRequest(req.user._id, req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Follow request not found.' });
+    }
+
+    await createUserActivity(
+      req.user._id,
+      'follow_request_approve',
+      'Approved a follow request',
+      'User approved a request to follow them',
+      { requestId: request._id, requester: request.requester }
+    );
+
+    const badgeController = require('../controllers/badgeController');
+    await badgeController.checkAndAwardBadges(req.user._id);
+
+    res.json({ success: true, message: 'Follow request approved.', data: request });
+  } catch (err) {
+    logger.error('Approve follow request error:', err);
+    res.status(500).json({ error: 'Error approving follow request' });
+  }
+};
+
+// POST /api/users/follow-requests/:id/deny - Decline a follow request
+exports.denyFollowRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid request ID.' });
+    }
+    const request = await privacyService.denyRequest(req.user._id, req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Follow request not found.' });
+    }
+
+    res.json({ success: true, message: 'Follow request denied.', data: request });
+  } catch (err) {
+    logger.error('Deny follow request error:', err);
+    res.status(500).json({ error: 'Error denying follow request' });
+  }
+};
+
+// DELETE /api/users/follow-requests/:id - Withdraw a follow request you sent
+exports.cancelFollowRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid request ID.' });
+    }
+    const request = await privacyService.cancelRequest(req.user._id, req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Follow request not found.' });
+    }
+
+    res.json({ success: true, message: 'Follow request cancelled.' });
+  } catch (err) {
+    logger.error('Cancel follow request error:', err);
+    res.status(500).json({ error: 'Error cancelling follow request' });
+  }
+};
+
+// DELETE /api/users/followers/:id - Remove someone from your followers (revokes access to a private profile)
+exports.removeFollower = async (req, res) => {
+  try {
+    const followerId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(followerId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+    if (!req.user.followers.some(id => id.toString() === followerId)) {
+      return res.status(404).json({ error: 'This user does not follow you.' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { $pull: { followers: followerId } });
+    await User.findByIdAndUpdate(followerId, { $pull: { following: req.user._id } });
+
+    res.json({ success: true, message: 'Follower removed.' });
+  } catch (err) {
+    logger.error('Remove follower error:', err);
+    res.status(500).json({ error: 'Error removing follower' });
+  }
+};
+
 // POST /api/users/unfollow/:id
 exports.unfollowUser = async (req, res) => {
   try {
@@ -897,6 +1888,8 @@ exports.uploadAvatar = async (req, res, next) => {
       return res.status(404).json({ error: 'User not found.' });
     }
 
+    await profileCompletionService.refresh(req.user._id);
+
     // Create activity record
     const Activity = require('../models/Activity');
     await Activity.create({
@@ -0,0 +1,888 @@
+// Offline gazetteer used by geoService to turn profile and swap card locations into coordinates.
+// Each country lists [name, latitude, longitude, population in thousands, aliases?] for its main cities.
+// When a city name exists in several countries and no country is given, the larger city wins.
+// Names and aliases are matched case-, accent- and punctuation-insensitively.
+
+module.exports = [
+  {
+    country: 'United States',
+    code: 'US',
+    aliases: ['USA', 'United States of America', 'America', 'U.S.', 'U.S.A.'],
+    cities: [
+      ['New York', 40.7128, -74.006, 8336, ['New York City', 'NYC', 'Manhattan', 'Brooklyn']],
+      ['Los Angeles', 34.0522, -118.2437, 3898, ['LA']],
+      ['Chicago', 41.8781, -87.6298, 2746],
+      ['Houston', 29.7604, -95.3698, 2304],
+      ['Phoenix', 33.4484, -112.074, 1608],
+      ['Philadelphia', 39.9526, -75.1652, 1603],
+      ['San Antonio', 29.4241, -98.4936, 1434],
+      ['San Diego', 32.7157, -117.1611, 1386],
+      ['Dallas', 32.7767, -96.797, 1304],
+      ['Austin', 30.2672, -97.7431, 961],
+      ['San Jose', 37.3382, -121.8863, 1013],
+      ['San Francisco', 37.7749, -122.4194, 873, ['SF']],
+      ['Seattle', 47.6062, -122.3321, 737],
+      ['Denver', 39.7392, -104.9903, 715],
+      ['Washington', 38.9072, -77.0369, 689, ['Washington DC', 'Washington D.C.', 'DC']],
+      ['Boston', 42.3601, -71.0589, 675],
+      ['Nashville', 36.1627, -86.7816, 689],
+      ['Las Vegas', 36.1699, -115.1398, 641],
+      ['Portland', 45.5152, -122.6784, 652],
+      ['Detroit', 42.3314, -83.0458, 639],
+      ['Atlanta', 33.749, -84.388, 498],
+      ['Miami', 25.7617, -80.1918, 442],
+      ['Minneapolis', 44.9778, -93.265, 429],
+      ['New Orleans', 29.9511, -90.0715, 383],
+      ['Pittsburgh', 40.4406, -79.9959, 302],
+      ['Salt Lake City', 40.7608, -111.891, 200],
+      ['Orlando', 28.5383, -81.3792, 307],
+      ['Baltimore', 39.2904, -76.6122, 585],
+      ['Charlotte', 35.2271, -80.8431, 874],
+      ['Columbus', 39.9612, -82.9988, 905],
+      ['Indianapolis', 39.7684, -86.1581, 887],
+      ['Sacramento', 38.5816, -121.4944, 524],
+      ['Kansas City', 39.0997, -94.5786, 508],
+      ['St. Louis', 38.627, -90.1994, 301, ['Saint Louis']],
+      ['Raleigh', 35.7796, -78.6382, 467],
+      ['Honolulu', 21.3069, -157.8583, 350],
+      ['Anchorage', 61.2181, -149.9003, 291]
+    ]
+  },
+  {
+    country: 'Canada',
+    code: 'CA',
+    cities: [
+      ['Toronto', 43.6532, -79.3832, 2794],
+      ['Montreal', 45.5017, -73.5673, 1762],
+      ['Calgary', 51.0447, -114.0719, 1306],
+      ['Ottawa', 45.4215, -75.6972, 1017],
+      ['Edmonton', 53.5461, -113.4938, 1010],
+      ['Winnipeg', 49.8951, -97.1384, 749],
+      ['Vancouver', 49.2827, -123.1207, 662],
+      ['Quebec City', 46.8139, -71.208, 549, ['Quebec']],
+      ['Halifax', 44.6488, -63.5752, 439],
+      ['London', 42.9849, -81.2453, 422],
+      ['Victoria', 48.4284, -123.3656, 92]
+    ]
+  },
+  {
+    country: 'Mexico',
+    code: 'MX',
+    cities: [
+      ['Mexico City', 19.4326, -99.1332, 9209, ['CDMX', 'Ciudad de Mexico']],
+      ['Guadalajara', 20.6597, -103.3496, 1385],
+      ['Monterrey', 25.6866, -100.3161, 1142],
+      ['Puebla', 19.0414, -98.2063, 1692],
+      ['Tijuana', 32.5149, -117.0382, 1922],
+      ['Cancun', 21.1619, -86.8515, 888],
+      ['Merida', 20.9674, -89.5926, 995]
+    ]
+  },
+  {
+    country: 'Brazil',
+    code: 'BR',
+    aliases: ['Brasil'],
+    cities: [
+      ['Sao Paulo', -23.5505, -46.6333, 12325],
+      ['Rio de Janeiro', -22.9068, -43.1729, 6748, ['Rio']],
+      ['Brasilia', -15.7975, -47.8919, 3055],
+      ['Salvador', -12.9777, -38.5016, 2887],
+      ['Fortaleza', -3.7319, -38.5267, 2687],
+      ['Belo Horizonte', -19.9167, -43.9345, 2521],
+      ['Manaus', -3.119, -60.0217, 2219],
+      ['Curitiba', -25.4284, -49.2733, 1948],
+      ['Recife', -8.0476, -34.877, 1653],
+      ['Porto Alegre', -30.0346, -51.2177, 1488]
+    ]
+  },
+  {
+    country: 'Argentina',
+    code: 'AR',
+    cities: [
+      ['Buenos Aires', -34.6037, -58.3816, 3075],
+      ['Cordoba', -31.4201, -64.1888, 1391],
+      ['Rosario', -32.9442, -60.6505, 1276],
+      ['Mendoza', -32.8895, -68.8458, 115]
+    ]
+  },
+  {
+    country: 'Chile',
+    code: 'CL',
+    cities: [
+      ['Santiago', -33.4489, -70.6693, 6160],
+      ['Valparaiso', -33.0472, -71.6127, 296]
+    ]
+  },
+  {
+    country: 'Colombia',
+    code: 'CO',
+    cities: [
+      ['Bogota', 4.711, -74.0721, 7181],
+      ['Medellin', 6.2442, -75.5812, 2533],
+      ['Cali', 3.4516, -76.532, 2228],
+      ['Barranquilla', 10.9685, -74.7813, 1274],
+      ['Cartagena', 10.391, -75.4794, 914]
+    ]
+  },
+  {
+    country: 'Peru',
+    code: 'PE',
+    cities: [
+      ['Lima', -12.0464, -77.0428, 9752],
+      ['Arequipa', -16.409, -71.5375, 1008],
+      ['Cusco', -13.532, -71.9675, 428]
+    ]
+  },
+  {
+    country: 'Venezuela',
+    code: 'VE',
+    cities: [
+      ['Caracas', 10.4806, -66.9036, 2245],
+      ['Maracaibo', 10.6427, -71.6125, 1550]
+    ]
+  },
+  {
+    country: 'Ecuador',
+    code: 'EC',
+    cities: [
+      ['Guayaquil', -2.1709, -79.9224, 2698],
+      ['Quito', -0.1807, -78.4678, 2011]
+    ]
+  },
+  {
+    country: 'Uruguay',
+    code: 'UY',
+    cities: [['Montevideo', -34.9011, -56.1645, 1319]]
+  },
+  {
+    country: 'Cuba',
+    code: 'CU',
+    cities: [['Havana', 23.1136, -82.3666, 2130, ['La Habana']]]
+  },
+  {
+    country: 'United Kingdom',
+    code: 'GB',
+    aliases: ['UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+    cities: [
+      ['London', 51.5074, -0.1278, 8982],
+      ['Birmingham', 52.4862, -1.8904, 1141],
+      ['Manchester', 53.4808, -2.2426, 553],
+      ['Glasgow', 55.8642, -4.2518, 633],
+      ['Leeds', 53.8008, -1.5491, 793],
+      ['Liverpool', 53.4084, -2.9916, 498],
+      ['Edinburgh', 55.9533, -3.1883, 524],
+      ['Bristol', 51.4545, -2.5879, 467],
+      ['Sheffield', 53.3811, -1.4701, 584],
+      ['Newcastle', 54.9783, -1.6178, 300, ['Newcastle upon Tyne']],
+      ['Nottingham', 52.9548, -1.1581, 331],
+      ['Cardiff', 51.4816, -3.1791, 362],
+      ['Belfast', 54.5973, -5.9301, 343],
+      ['Leicester', 52.6369, -1.1398, 355],
+      ['Brighton', 50.8225, -0.1372, 229],
+      ['Oxford', 51.752, -1.2577, 152],
+      ['Cambridge', 52.2053, 0.1218, 145]
+    ]
+  },
+  {
+    country: 'Ireland',
+    code: 'IE',
+    aliases: ['Republic of Ireland', 'Eire'],
+    cities: [
+      ['Dublin', 53.3498, -6.2603, 1173],
+      ['Cork', 51.8985, -8.4756, 210],
+      ['Galway', 53.2707, -9.0568, 80]
+    ]
+  },
+  {
+    country: 'France',
+    code: 'FR',
+    cities: [
+      ['Paris', 48.8566, 2.3522, 2161],
+      ['Marseille', 43.2965, 5.3698, 870],
+      ['Lyon', 45.764, 4.8357, 516],
+      ['Toulouse', 43.6047, 1.4442, 479],
+      ['Nice', 43.7102, 7.262, 342],
+      ['Nantes', 47.2184, -1.5536, 309],
+      ['Strasbourg', 48.5734, 7.7521, 280],
+      ['Montpellier', 43.6108, 3.8767, 285],
+      ['Bordeaux', 44.8378, -0.5792, 257],
+      ['Lille', 50.6292, 3.0573, 233],
+      ['Rennes', 48.1173, -1.6778, 217]
+    ]
+  },
+  {
+    country: 'Germany',
+    code: 'DE',
+    aliases: ['Deutschland'],
+    cities: [
+      ['Berlin', 52.52, 13.405, 3645],
+      ['Hamburg', 53.5511, 9.9937, 1841],
+      ['Munich', 48.1351, 11.582, 1472, ['Munchen', 'Muenchen']],
+      ['Cologne', 50.9375, 6.9603, 1086, ['Koln', 'Koeln']],
+      ['Frankfurt', 50.1109, 8.6821, 753, ['Frankfurt am Main']],
+      ['Stuttgart', 48.7758, 9.1829, 635],
+      ['Dusseldorf', 51.2277, 6.7735, 619, ['Duesseldorf']],
+      ['Leipzig', 51.3397, 12.3731, 587],
+      ['Dortmund', 51.5136, 7.4653, 588],
+      ['Essen', 51.4556, 7.0116, 582],
+      ['Bremen', 53.0793, 8.8017, 567],
+      ['Dresden', 51.0504, 13.7373, 556],
+      ['Hanover', 52.3759, 9.732, 535, ['Hannover']],
+      ['Nuremberg', 49.4521, 11.0767, 518, ['Nurnberg', 'Nuernberg']],
+      ['Bonn', 50.7374, 7.0982, 327],
+      ['Heidelberg', 49.3988, 8.6724, 160]
+    ]
+  },
+  {
+    country: 'Netherlands',
+    code: 'NL',
+    aliases: ['Holland', 'The Netherlands'],
+    cities: [
+      ['Amsterdam', 52.3676, 4.9041, 873],
+      ['Rotterdam', 51.9244, 4.4777, 651],
+      ['The Hague', 52.0705, 4.3007, 545, ['Den Haag']],
+      ['Utrecht', 52.0907, 5.1214, 357],
+      ['Eindhoven', 51.4416, 5.4697, 235]
+    ]
+  },
+  {
+    country: 'Belgium',
+    code: 'BE',
+    cities: [
+      ['Brussels', 50.8503, 4.3517, 1209, ['Bruxelles', 'Brussel']],
+      ['Antwerp', 51.2194, 4.4025, 529, ['Antwerpen']],
+      ['Ghent', 51.0543, 3.7174, 263, ['Gent']],
+      ['Liege', 50.6326, 5.5797, 197]
+    ]
+  },
+  {
+    country: 'Luxembourg',
+    code: 'LU',
+    cities: [['Luxembourg', 49.6116, 6.1319, 125]]
+  },
+  {
+    country: 'Switzerland',
+    code: 'CH',
+    aliases: ['Schweiz', 'Suisse'],
+    cities: [
+      ['Zurich', 47.3769, 8.5417, 421],
+      ['Geneva', 46.2044, 6.1432, 203, ['Geneve', 'Genf']],
+      ['Basel', 47.5596, 7.5886, 178],
+      ['Bern', 46.948, 7.4474, 134, ['Berne']],
+      ['Lausanne', 46.5197, 6.6323, 140]
+    ]
+  },
+  {
+    country: 'Austria',
+    code: 'AT',
+    aliases: ['Osterreich'],
+    cities: [
+      ['Vienna', 48.2082, 16.3738, 1911, ['Wien']],
+      ['Graz', 47.0707, 15.4395, 291],
+      ['Salzburg', 47.8095, 13.055, 155],
+      ['Innsbruck', 47.2692, 11.4041, 132]
+    ]
+  },
+  {
+    country: 'Spain',
+    code: 'ES',
+    aliases: ['Espana'],
+    cities: [
+      ['Madrid', 40.4168, -3.7038, 3223],
+      ['Barcelona', 41.3851, 2.1734, 1620],
+      ['Valencia', 39.4699, -0.3763, 791],
+      ['Seville', 37.3891, -5.9845, 688, ['Sevilla']],
+      ['Zaragoza', 41.6488, -0.8891, 675],
+      ['Malaga', 36.7213, -4.4214, 578],
+      ['Bilbao', 43.263, -2.935, 346],
+      ['Palma', 39.5696, 2.6502, 416, ['Palma de Mallorca']],
+      ['Granada', 37.1773, -3.5986, 232]
+    ]
+  },
+  {
+    country: 'Portugal',
+    code: 'PT',
+    cities: [
+      ['Lisbon', 38.7223, -9.1393, 545, ['Lisboa']],
+      ['Porto', 41.1579, -8.6291, 232, ['Oporto']],
+      ['Coimbra', 40.2033, -8.4103, 143]
+    ]
+  },
+  {
+    country: 'Italy',
+    code: 'IT',
+    aliases: ['Italia'],
+    cities: [
+      ['Rome', 41.9028, 12.4964, 2873, ['Roma']],
+      ['Milan', 45.4642, 9.19, 1352, ['Milano']],
+      ['Naples', 40.8518, 14.2681, 967, ['Napoli']],
+      ['Turin', 45.0703, 7.6869, 870, ['Torino']],
+      ['Palermo', 38.1157, 13.3615, 657],
+      ['Genoa', 44.4056, 8.9463, 580, ['Genova']],
+      ['Bologna', 44.4949, 11.3426, 390],
+      ['Florence', 43.7696, 11.2558, 382, ['Firenze']],
+      ['Venice', 45.4408, 12.3155, 261, ['Venezia']]
+    ]
+  },
+  {
+    country: 'Greece',
+    code: 'GR',
+    cities: [
+      ['Athens', 37.9838, 23.7275, 664, ['Athina']],
+      ['Thessaloniki', 40.6401, 22.9444, 325]
+    ]
+  },
+  {
+    country: 'Denmark',
+    code: 'DK',
+    cities: [
+      ['Copenhagen', 55.6761, 12.5683, 644, ['Kobenhavn']],
+      ['Aarhus', 56.1629, 10.2039, 285]
+    ]
+  },
+  {
+    country: 'Sweden',
+    code: 'SE',
+    cities: [
+      ['Stockholm', 59.3293, 18.0686, 975],
+      ['Gothenburg', 57.7089, 11.9746, 583, ['Goteborg']],
+      ['Malmo', 55.605, 13.0038, 347]
+    ]
+  },
+  {
+    country: 'Norway',
+    code: 'NO',
+    cities: [
+      ['Oslo', 59.9139, 10.7522, 697],
+      ['Bergen', 60.3913, 5.3221, 285]
+    ]
+  },
+  {
+    country: 'Finland',
+    code: 'FI',
+    cities: [
+      ['Helsinki', 60.1699, 24.9384, 656],
+      ['Tampere', 61.4978, 23.761, 244]
+    ]
+  },
+  {
+    country: 'Iceland',
+    code: 'IS',
+    cities: [['Reykjavik', 64.1466, -21.9426, 131]]
+  },
+  {
+    country: 'Poland',
+    code: 'PL',
+    aliases: ['Polska'],
+    cities: [
+      ['Warsaw', 52.2297, 21.0122, 1794, ['Warszawa']],
+      ['Krakow', 50.0647, 19.945, 780, ['Cracow']],
+      ['Wroclaw', 51.1079, 17.0385, 641],
+      ['Lodz', 51.7592, 19.456, 672],
+      ['Poznan', 52.4064, 16.9252, 534],
+      ['Gdansk', 54.352, 18.6466, 470]
+    ]
+  },
+  {
+    country: 'Czech Republic',
+    code: 'CZ',
+    aliases: ['Czechia'],
+    cities: [
+      ['Prague', 50.0755, 14.4378, 1309, ['Praha']],
+      ['Brno', 49.1951, 16.6068, 381]
+    ]
+  },
+  {
+    country: 'Slovakia',
+    code: 'SK',
+    cities: [['Bratislava', 48.1486, 17.1077, 475]]
+  },
+  {
+    country: 'Hungary',
+    code: 'HU',
+    cities: [['Budapest', 47.4979, 19.0402, 1752]]
+  },
+  {
+    country: 'Romania',
+    code: 'RO',
+    cities: [
+      ['Bucharest', 44.4268, 26.1025, 1830, ['Bucuresti']],
+      ['Cluj-Napoca', 46.7712, 23.6236, 324, ['Cluj']]
+    ]
+  },
+  {
+    country: 'Bulgaria',
+    code: 'BG',
+    cities: [['Sofia', 42.6977, 23.3219, 1236]]
+  },
+  {
+    country: 'Serbia',
+    code: 'RS',
+    cities: [['Belgrade', 44.7866, 20.4489, 1166, ['Beograd']]]
+  },
+  {
+    country: 'Croatia',
+    code: 'HR',
+    cities: [
+      ['Zagreb', 45.815, 15.9819, 767],
+      ['Split', 43.5081, 16.4402, 161]
+    ]
+  },
+  {
+    country: 'Slovenia',
+    code: 'SI',
+    cities: [['Ljubljana', 46.0569, 14.5058, 285]]
+  },
+  {
+    country: 'Ukraine',
+    code: 'UA',
+    cities: [
+      ['Kyiv', 50.4501, 30.5234, 2952, ['Kiev']],
+      ['Kharkiv', 49.9935, 36.2304, 1421],
+      ['Odesa', 46.4825, 30.7233, 1010, ['Odessa']],
+      ['Lviv', 49.8397, 24.0297, 717]
+    ]
+  },
+  {
+    country: 'Russia',
+    code: 'RU',
+    aliases: ['Russian Federation'],
+    cities: [
+      ['Moscow', 55.7558, 37.6173, 12655, ['Moskva']],
+      ['Saint Petersburg', 59.9311, 30.3609, 5384, ['St. Petersburg', 'St Petersburg']],
+      ['Novosibirsk', 55.0084, 82.9357, 1625],
+      ['Yekaterinburg', 56.8389, 60.6057, 1493],
+      ['Kazan', 55.8304, 49.0661, 1257]
+    ]
+  },
+  {
+    country: 'Lithuania',
+    code: 'LT',
+    cities: [['Vilnius', 54.6872, 25.2797, 588]]
+  },
+  {
+    country: 'Latvia',
+    code: 'LV',
+    cities: [['Riga', 56.9496, 24.1052, 614]]
+  },
+  {
+    country: 'Estonia',
+    code: 'EE',
+    cities: [['Tallinn', 59.437, 24.7536, 438]]
+  },
+  {
+    country: 'Turkey',
+    code: 'TR',
+    aliases: ['Turkiye'],
+    cities: [
+      ['Istanbul', 41.0082, 28.9784, 15462],
+      ['Ankara', 39.9334, 32.8597, 5663],
+      ['Izmir', 38.4237, 27.1428, 4367],
+      ['Antalya', 36.8969, 30.7133, 1344]
+    ]
+  },
+  {
+    country: 'Israel',
+    code: 'IL',
+    cities: [
+      ['Jerusalem', 31.7683, 35.2137, 936],
+      ['Tel Aviv', 32.0853, 34.7818, 460, ['Tel Aviv-Yafo']],
+      ['Haifa', 32.794, 34.9896, 285]
+    ]
+  },
+  {
+    country: 'Lebanon',
+    code: 'LB',
+    cities: [['Beirut', 33.8938, 35.5018, 2200]]
+  },
+  {
+    country: 'Jordan',
+    code: 'JO',
+    cities: [['Amman', 31.9454, 35.9284, 4007]]
+  },
+  {
+    country: 'Saudi Arabia',
+    code: 'SA',
+    aliases: ['KSA'],
+    cities: [
+      ['Riyadh', 24.7136, 46.6753, 7676],
+      ['Jeddah', 21.4858, 39.1925, 4697],
+      ['Mecca', 21.3891, 39.8579, 2042, ['Makkah']],
+      ['Medina', 24.5247, 39.5692, 1489]
+    ]
+  },
+  {
+    country: 'United Arab Emirates',
+    code: 'AE',
+    aliases: ['UAE', 'Emirates'],
+    cities: [
+      ['Dubai', 25.2048, 55.2708, 3331],
+      ['Abu Dhabi', 24.4539, 54.3773, 1483],
+      ['Sharjah', 25.3463, 55.4209, 1274]
+    ]
+  },
+  {
+    country: 'Qatar',
+    code: 'QA',
+    cities: [['Doha', 25.2854, 51.531, 956]]
+  },
+  {
+    country: 'Kuwait',
+    code: 'KW',
+    cities: [['Kuwait City', 29.3759, 47.9774, 3115]]
+  },
+  {
+    country: 'Iran',
+    code: 'IR',
+    cities: [
+      ['Tehran', 35.6892, 51.389, 8694],
+      ['Mashhad', 36.2605, 59.6168, 3001],
+      ['Isfahan', 32.6546, 51.668, 1961]
+    ]
+  },
+  {
+    country: 'Iraq',
+    code: 'IQ',
+    cities: [
+      ['Baghdad', 33.3152, 44.3661, 7144],
+      ['Erbil', 36.1911, 44.0092, 879]
+    ]
+  },
+  {
+    country: 'Egypt',
+    code: 'EG',
+    cities: [
+      ['Cairo', 30.0444, 31.2357, 9540],
+      ['Alexandria', 31.2001, 29.9187, 5200],
+      ['Giza', 30.0131, 31.2089, 4367]
+    ]
+  },
+  {
+    country: 'Morocco',
+    code: 'MA',
+    cities: [
+      ['Casablanca', 33.5731, -7.5898, 3359],
+      ['Rabat', 34.0209, -6.8416, 577],
+      ['Marrakesh', 31.6295, -7.9811, 929, ['Marrakech']],
+      ['Fez', 34.0181, -5.0078, 1112, ['Fes']],
+      ['Tangier', 35.7595, -5.834, 947, ['Tanger']]
+    ]
+  },
+  {
+    country: 'Algeria',
+    code: 'DZ',
+    cities: [
+      ['Algiers', 36.7538, 3.0588, 3416, ['Alger']],
+      ['Oran', 35.6971, -0.6308, 1454]
+    ]
+  },
+  {
+    country: 'Tunisia',
+    code: 'TN',
+    cities: [['Tunis', 36.8065, 10.1815, 1056]]
+  },
+  {
+    country: 'Nigeria',
+    code: 'NG',
+    cities: [
+      ['Lagos', 6.5244, 3.3792, 15388],
+      ['Kano', 12.0022, 8.592, 4103],
+      ['Ibadan', 7.3775, 3.947, 3649],
+      ['Abuja', 9.0765, 7.3986, 3464],
+      ['Port Harcourt', 4.8156, 7.0498, 3171],
+      ['Benin City', 6.335, 5.6037, 1782],
+      ['Enugu', 6.5244, 7.5105, 820]
+    ]
+  },
+  {
+    country: 'Ghana',
+    code: 'GH',
+    cities: [
+      ['Accra', 5.6037, -0.187, 2514],
+      ['Kumasi', 6.6885, -1.6244, 3490]
+    ]
+  },
+  {
+    country: 'Senegal',
+    code: 'SN',
+    cities: [['Dakar', 14.7167, -17.4677, 3140]]
+  },
+  {
+    country: 'Ivory Coast',
+    code: 'CI',
+    aliases: ["Cote d'Ivoire"],
+    cities: [
+      ['Abidjan', 5.36, -4.0083, 5203],
+      ['Yamoussoukro', 6.8276, -5.2893, 231]
+    ]
+  },
+  {
+    country: 'Cameroon',
+    code: 'CM',
+    cities: [
+      ['Douala', 4.0511, 9.7679, 3663],
+      ['Yaounde', 3.848, 11.5021, 4164]
+    ]
+  },
+  {
+    country: 'Kenya',
+    code: 'KE',
+    cities: [
+      ['Nairobi', -1.2921, 36.8219, 4397],
+      ['Mombasa', -4.0435, 39.6682, 1208],
+      ['Kisumu', -0.0917, 34.768, 610]
+    ]
+  },
+  {
+    country: 'Ethiopia',
+    code: 'ET',
+    cities: [['Addis Ababa', 9.032, 38.7469, 3604]]
+  },
+  {
+    country: 'Tanzania',
+    code: 'TZ',
+    cities: [
+      ['Dar es Salaam', -6.7924, 39.2083, 5383],
+      ['Dodoma', -6.163, 35.7516, 765],
+      ['Arusha', -3.3869, 36.683, 617]
+    ]
+  },
+  {
+    country: 'Uganda',
+    code: 'UG',
+    cities: [['Kampala', 0.3476, 32.5825, 1680]]
+  },
+  {
+    country: 'Rwanda',
+    code: 'RW',
+    cities: [['Kigali', -1.9441, 30.0619, 1132]]
+  },
+  {
+    country: 'Democratic Republic of the Congo',
+    code: 'CD',
+    aliases: ['DRC', 'DR Congo', 'Congo-Kinshasa'],
+    cities: [
+      ['Kinshasa', -4.4419, 15.2663, 14970],
+      ['Lubumbashi', -11.6647, 27.4794, 2584]
+    ]
+  },
+  {
+    country: 'Angola',
+    code: 'AO',
+    cities: [['Luanda', -8.839, 13.2894, 8330]]
+  },
+  {
+    country: 'Zambia',
+    code: 'ZM',
+    cities: [['Lusaka', -15.3875, 28.3228, 2731]]
+  },
+  {
+    country: 'Zimbabwe',
+    code: 'ZW',
+    cities: [['Harare', -17.8252, 31.0335, 1558]]
+  },
+  {
+    country: 'Mozambique',
+    code: 'MZ',
+    cities: [['Maputo', -25.9692, 32.5732, 1124]]
+  },
+  {
+    country: 'South Africa',
+    code: 'ZA',
+    aliases: ['RSA'],
+    cities: [
+      ['Johannesburg', -26.2041, 28.0473, 5635, ['Joburg', 'Jozi']],
+      ['Cape Town', -33.9249, 18.4241, 4618],
+      ['Durban', -29.8587, 31.0218, 3158],
+      ['Pretoria', -25.7479, 28.2293, 2473],
+      ['Port Elizabeth', -33.9608, 25.6022, 1263, ['Gqeberha']]
+    ]
+  },
+  {
+    country: 'India',
+    code: 'IN',
+    aliases: ['Bharat'],
+    cities: [
+      ['Mumbai', 19.076, 72.8777, 20411, ['Bombay']],
+      ['Delhi', 28.7041, 77.1025, 16787, ['New Delhi']],
+      ['Bangalore', 12.9716, 77.5946, 12327, ['Bengaluru']],
+      ['Hyderabad', 17.385, 78.4867, 9746],
+      ['Ahmedabad', 23.0225, 72.5714, 8059],
+      ['Chennai', 13.0827, 80.2707, 10971, ['Madras']],
+      ['Kolkata', 22.5726, 88.3639, 14850, ['Calcutta']],
+      ['Pune', 18.5204, 73.8567, 6629],
+      ['Jaipur', 26.9124, 75.7873, 3073],
+      ['Lucknow', 26.8467, 80.9462, 3382],
+      ['Surat', 21.1702, 72.8311, 6081],
+      ['Kochi', 9.9312, 76.2673, 2119, ['Cochin']],
+      ['Chandigarh', 30.7333, 76.7794, 1055]
+    ]
+  },
+  {
+    country: 'Pakistan',
+    code: 'PK',
+    cities: [
+      ['Karachi', 24.8607, 67.0011, 16094],
+      ['Lahore', 31.5204, 74.3587, 13095],
+      ['Faisalabad', 31.4504, 73.135, 3204],
+      ['Islamabad', 33.6844, 73.0479, 1015],
+      ['Rawalpindi', 33.5651, 73.0169, 2098],
+      ['Peshawar', 34.0151, 71.5249, 1970]
+    ]
+  },
+  {
+    country: 'Bangladesh',
+    code: 'BD',
+    cities: [
+      ['Dhaka', 23.8103, 90.4125, 21006],
+      ['Chittagong', 22.3569, 91.7832, 5133, ['Chattogram']]
+    ]
+  },
+  {
+    country: 'Sri Lanka',
+    code: 'LK',
+    cities: [['Colombo', 6.9271, 79.8612, 753]]
+  },
+  {
+    country: 'Nepal',
+    code: 'NP',
+    cities: [['Kathmandu', 27.7172, 85.324, 1442]]
+  },
+  {
+    country: 'China',
+    code: 'CN',
+    aliases: ["People's Republic of China", 'PRC'],
+    cities: [
+      ['Shanghai', 31.2304, 121.4737, 24870],
+      ['Beijing', 39.9042, 116.4074, 21540, ['Peking']],
+      ['Guangzhou', 23.1291, 113.2644, 18676, ['Canton']],
+      ['Shenzhen', 22.5431, 114.0579, 17494],
+      ['Chengdu', 30.5728, 104.0668, 16330],
+      ['Chongqing', 29.4316, 106.9123, 15872],
+      ['Tianjin', 39.3434, 117.3616, 13866],
+      ['Wuhan', 30.5928, 114.3055, 11081],
+      ['Hangzhou', 30.2741, 120.1551, 10360],
+      ['Xian', 34.3416, 108.9398, 12953, ["Xi'an"]],
+      ['Nanjing', 32.0603, 118.7969, 9315]
+    ]
+  },
+  {
+    country: 'Hong Kong',
+    code: 'HK',
+    cities: [['Hong Kong', 22.3193, 114.1694, 7482]]
+  },
+  {
+    country: 'Taiwan',
+    code: 'TW',
+    cities: [
+      ['Taipei', 25.033, 121.5654, 2602],
+      ['Kaohsiung', 22.6273, 120.3014, 2733]
+    ]
+  },
+  {
+    country: 'Japan',
+    code: 'JP',
+    aliases: ['Nippon'],
+    cities: [
+      ['Tokyo', 35.6762, 139.6503, 13960],
+      ['Yokohama', 35.4437, 139.638, 3777],
+      ['Osaka', 34.6937, 135.5023, 2753],
+      ['Nagoya', 35.1815, 136.9066, 2332],
+      ['Sapporo', 43.0618, 141.3545, 1973],
+      ['Fukuoka', 33.5904, 130.4017, 1612],
+      ['Kobe', 34.6901, 135.1955, 1525],
+      ['Kyoto', 35.0116, 135.7681, 1464],
+      ['Hiroshima', 34.3853, 132.4553, 1199]
+    ]
+  },
+  {
+    country: 'South Korea',
+    code: 'KR',
+    aliases: ['Korea', 'Republic of Korea'],
+    cities: [
+      ['Seoul', 37.5665, 126.978, 9776],
+      ['Busan', 35.1796, 129.0756, 3429, ['Pusan']],
+      ['Incheon', 37.4563, 126.7052, 2948],
+      ['Daegu', 35.8714, 128.6014, 2418]
+    ]
+  },
+  {
+    country: 'Philippines',
+    code: 'PH',
+    cities: [
+      ['Manila', 14.5995, 120.9842, 1846, ['Metro Manila']],
+      ['Quezon City', 14.676, 121.0437, 2960],
+      ['Davao', 7.1907, 125.4553, 1777, ['Davao City']],
+      ['Cebu', 10.3157, 123.8854, 964, ['Cebu City']]
+    ]
+  },
+  {
+    country: 'Vietnam',
+    code: 'VN',
+    aliases: ['Viet Nam'],
+    cities: [
+      ['Ho Chi Minh City', 10.8231, 106.6297, 8993, ['Saigon', 'HCMC']],
+      ['Hanoi', 21.0278, 105.8342, 8054],
+      ['Da Nang', 16.0544, 108.2022, 1134]
+    ]
+  },
+  {
+    country: 'Thailand',
+    code: 'TH',
+    cities: [
+      ['Bangkok', 13.7563, 100.5018, 10539],
+      ['Chiang Mai', 18.7883, 98.9853, 127],
+      ['Phuket', 7.8804, 98.3923, 80]
+    ]
+  },
+  {
+    country: 'Malaysia',
+    code: 'MY',
+    cities: [
+      ['Kuala Lumpur', 3.139, 101.6869, 1982, ['KL']],
+      ['George Town', 5.4141, 100.3288, 708, ['Penang']],
+      ['Johor Bahru', 1.4927, 103.7414, 858]
+    ]
+  },
+  {
+    country: 'Singapore',
+    code: 'SG',
+    cities: [['Singapore', 1.3521, 103.8198, 5686]]
+  },
+  {
+    country: 'Indonesia',
+    code: 'ID',
+    cities: [
+      ['Jakarta', -6.2088, 106.8456, 10562],
+      ['Surabaya', -7.2575, 112.7521, 2874],
+      ['Bandung', -6.9175, 107.6191, 2444],
+      ['Medan', 3.5952, 98.6722, 2435],
+      ['Denpasar', -8.6705, 115.2126, 725, ['Bali']],
+      ['Yogyakarta', -7.7956, 110.3695, 373, ['Jogja']]
+    ]
+  },
+  {
+    country: 'Australia',
+    code: 'AU',
+    cities: [
+      ['Sydney', -33.8688, 151.2093, 5312],
+      ['Melbourne', -37.8136, 144.9631, 5078],
+      ['Brisbane', -27.4698, 153.0251, 2560],
+      ['Perth', -31.9505, 115.8605, 2085],
+      ['Adelaide', -34.9285, 138.6007, 1376],
+      ['Canberra', -35.2809, 149.13, 431],
+      ['Hobart', -42.8821, 147.3272, 247],
+      ['Gold Coast', -28.0167, 153.4, 679]
+    ]
+  },
+  {
+    country: 'New Zealand',
+    code: 'NZ',
+    aliases: ['Aotearoa'],
+    cities: [
+      ['Auckland', -36.8485, 174.7633, 1657],
+      ['Wellington', -41.2865, 174.7762, 215],
+      ['Christchurch', -43.5321, 172.6362, 381]
+    ]
+  }
+];
@@ -0,0 +1,157 @@
+// Seed data for the canonical skill catalog. Loaded by `node scripts/migrate-skill-taxonomy.js`.
+// Entries with `category: true` group other entries; everything else is a skill users can link to.
+// Aliases are matched case-, space- and punctuation-insensitively, so "Node JS" and "node.js" need no entry.
+
+module.exports = [
+  {
+    name: 'Programming',
+    category: true,
+    aliases: ['Coding', 'Software Development'],
+    children: [
+      {
+        name: 'Web Development',
+        category: true,
+        aliases: ['Web Dev'],
+        children: [
+          { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6', 'Vanilla JS'] },
+          { name: 'TypeScript', aliases: ['TS'] },
+          { name: 'HTML', aliases: ['HTML5'] },
+          { name: 'CSS', aliases: ['CSS3', 'Stylesheets'] },
+          { name: 'React', aliases: ['React.js', 'ReactJS'] },
+          { name: 'Angular', aliases: ['AngularJS'] },
+          { name: 'Vue', aliases: ['Vue.js', 'VueJS'] },
+          { name: 'Node.js', aliases: ['Node', 'NodeJS'] },
+          { name: 'Express', aliases: ['Express.js', 'ExpressJS'] },
+          { name: 'PHP' },
+          { name: 'WordPress', aliases: ['WP'] }
+        ]
+      },
+      {
+        name: 'Mobile Development',
+        category: true,
+        aliases: ['App Development'],
+        children: [
+          { name: 'Android Development', aliases: ['Android'] },
+          { name: 'iOS Development', aliases: ['iOS'] },
+          { name: 'Flutter', aliases: ['Dart'] },
+          { name: 'React Native', aliases: ['RN'] },
+          { name: 'Kotlin' },
+          { name: 'Swift' }
+        ]
+      },
+      {
+        name: 'Data Science',
+        category: true,
+        aliases: ['Data Analysis', 'Data Analytics'],
+        children: [
+          { name: 'Python', aliases: ['Python3', 'Py'] },
+          { name: 'Machine Learning', aliases: ['ML'] },
+          { name: 'Artificial Intelligence', aliases: ['AI'] },
+          { name: 'SQL', aliases: ['MySQL', 'PostgreSQL', 'Postgres'] },
+          { name: 'Excel', aliases: ['Microsoft Excel', 'Spreadsheets'] },
+          { name: 'R', aliases: ['R Programming', 'R Language'] }
+        ]
+      },
+      { name: 'Java' },
+      { name: 'C', aliases: ['C Programming', 'C Language'] },
+      { name: 'C++', aliases: ['CPP', 'Cplusplus'] },
+      { name: 'C#', aliases: ['CSharp', 'C Sharp', 'dotnet'] },
+      { name: 'Go', aliases: ['Golang'] },
+      { name: 'Rust' },
+      { name: 'DevOps', aliases: ['Docker', 'Kubernetes', 'CI/CD'] },
+      { name: 'Cloud Computing', aliases: ['AWS', 'Azure', 'Google Cloud', 'GCP'] },
+      { name: 'Cybersecurity', aliases: ['Cyber Security', 'Information Security', 'InfoSec'] }
+    ]
+  },
+  {
+    name: 'Design',
+    category: true,
+    children: [
+      { name: 'Graphic Design', aliases: ['Graphics'] },
+      { name: 'UI/UX Design', aliases: ['UI Design', 'UX Design', 'UX', 'UI', 'User Experience'] },
+      { name: 'Figma' },
+      { name: 'Adobe Photoshop', aliases: ['Photoshop', 'PS'] },
+      { name: 'Adobe Illustrator', aliases: ['Illustrator'] },
+      { name: 'Video Editing', aliases: ['Premiere Pro', 'Final Cut Pro', 'Video Production'] },
+      { name: 'Animation', aliases: ['Motion Graphics', 'After Effects'] },
+      { name: '3D Modeling', aliases: ['Blender', '3D Design'] },
+      { name: 'Interior Design' }
+    ]
+  },
+  {
+    name: 'Languages',
+    category: true,
+    aliases: ['Language Learning'],
+    children: [
+      { name: 'English', aliases: ['Spoken English', 'English Speaking'] },
+      { name: 'Spanish', aliases: ['Español'] },
+      { name: 'French', aliases: ['Français'] },
+      { name: 'German', aliases: ['Deutsch'] },
+      { name: 'Hindi' },
+      { name: 'Malayalam' },
+      { name: 'Tamil' },
+      { name: 'Arabic' },
+      { name: 'Mandarin', aliases: ['Chinese', 'Mandarin Chinese'] },
+      { name: 'Japanese' },
+      { name: 'Sign Language', aliases: ['ASL', 'BSL'] }
+    ]
+  },
+  {
+    name: 'Music',
+    category: true,
+    children: [
+      { name: 'Guitar', aliases: ['Acoustic Guitar', 'Electric Guitar'] },
+      { name: 'Piano', aliases: ['Keyboard', 'Keys'] },
+      { name: 'Singing', aliases: ['Vocals', 'Voice'] },
+      { name: 'Drums', aliases: ['Percussion'] },
+      { name: 'Violin' },
+      { name: 'Music Production', aliases: ['Audio Production', 'Beat Making', 'Ableton', 'FL Studio'] }
+    ]
+  },
+  {
+    name: 'Business',
+    category: true,
+    children: [
+      { name: 'Marketing', aliases: ['Digital Marketing', 'Online Marketing'] },
+      { name: 'SEO', aliases: ['Search Engine Optimization'] },
+      { name: 'Social Media Marketing', aliases: ['SMM', 'Social Media'] },
+      { name: 'Sales' },
+      { name: 'Accounting', aliases: ['Bookkeeping'] },
+      { name: 'Public Speaking', aliases: ['Presentation Skills'] },
+      { name: 'Project Management', aliases: ['PM', 'Agile', 'Scrum'] },
+      { name: 'Entrepreneurship', aliases: ['Startups'] },
+      { name: 'Copywriting', aliases: ['Content Writing'] }
+    ]
+  },
+  {
+    name: 'Lifestyle',
+    category: true,
+    aliases: ['Hobbies'],
+    children: [
+      { name: 'Cooking', aliases: ['Culinary Arts', 'Baking'] },
+      { name: 'Photography', aliases: ['Photo'] },
+      { name: 'Fitness', aliases: ['Workout', 'Personal Training', 'Gym'] },
+      { name: 'Yoga' },
+      { name: 'Meditation', aliases: ['Mindfulness'] },
+      { name: 'Dance', aliases: ['Dancing'] },
+      { name: 'Drawing', aliases: ['Sketching', 'Illustration'] },
+      { name: 'Painting' },
+      { name: 'Chess' },
+      { name: 'Gardening' },
+      { name: 'Creative Writing', aliases: ['Writing', 'Storytelling'] }
+    ]
+  },
+  {
+    name: 'Academics',
+    category: true,
+    aliases: ['Tutoring'],
+    children: [
+      { name: 'Mathematics', aliases: ['Maths', 'Math'] },
+      { name: 'Physics' },
+      { name: 'Chemistry' },
+      { name: 'Biology' },
+      { name: 'Economics' },
+      { name: 'History' }
+    ]
+  }
+];
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const Activity = require('../models/Activity');
 const User = require('../models/User');
 const logger = require('../utils/logger');
@@ -61,6 +62,14 @@ const getDeviceInfo = (req) => {
   };
 };
 
+// Stable identifier for a device: the client's X-Device-Id when sent, otherwise browser, OS and IP
+const getDeviceFingerprint = (device) => {
+  const source = device.deviceId && device.deviceId !== 'unknown'
+    ? `id:${device.deviceId}`
+    : `ua:${device.browser}|${device.os}|${device.ip}`;
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+};
+
 // Activity type mapping
 const activityTypes = {
   // Auth routes
@@ -156,16 +165,12 @@ const trackActivity = () => {
               $push: { activity: activity._id }
             });
 
-            // Update device information
+            // Refresh the known device this request came from; new devices are added at login
             const deviceInfo = getDeviceInfo(req);
-            await User.findByIdAndUpdate(req.user._id, {
-              $push: {
-                devices: {
-                  $each: [deviceInfo],
-                  $slice: -5 // Keep only last 5 devices
-                }
-              }
-            });
+            await User.updateOne(
+              { _id: req.user._id, 'devices.fingerprint': getDeviceFingerprint(deviceInfo) },
+              { $set: { 'devices.$.ip': deviceInfo.ip, 'devices.$.lastActive': new Date(), 'devices.$.active': true } }
+            );
           }
         }
       } catch (error) {
@@ -203,6 +208,7 @@ const getReferenceType = (activityType) => {
 module.exports = {
   ACTIVITY_TYPES,
   trackActivity,
+  getDeviceFingerprint,
   getDeviceInfo,
   generateActivityMessage
 }; 
\ No newline at end of file
@@ -1,7 +1,35 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
 const Activity = require('../models/Activity');
 const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+const accessTokenService = require('../services/accessTokenService');
+const { getRouteScope } = require('./requireScope');
+
+// Personal access tokens only work on routes that declare a scope with `requireScope`
+const authenticateAccessToken = async (req, res, next, token) => {
+  const scope = getRouteScope(req);
+  if (!scope) {
+    return res.status(403).json({
+      error: 'Personal access tokens cannot be used for this endpoint.',
+      code: 'TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  const result = await accessTokenService.authenticate(token, req.ip);
+  if (!result) {
+    return res.status(401).json({ error: 'Access token is invalid, expired or revoked.' });
+  }
+  if (!accessTokenService.hasScope(result.accessToken, scope)) {
+    return res.status(403).json({
+      error: `This token is missing the "${scope}" scope.`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope: scope
+    });
+  }
+
+  req.user = result.user;
+  req.accessToken = result.accessToken;
+  next();
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -11,12 +39,15 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'Authentication required.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    if (accessTokenService.isAccessToken(token)) {
+      return await authenticateAccessToken(req, res, next, token);
+    }
 
-    if (!user) {
-      return res.status(401).json({ error: 'User not found.' });
+    const result = await sessionService.authenticate(token);
+    if (!result) {
+      return res.status(401).json({ error: 'Session has expired or been revoked.' });
     }
+    const { user, session } = result;
 
     // Track login activity
     if (req.path === '/login' && req.method === 'POST') {
@@ -33,6 +64,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (err) {
     logger.error('Auth middleware error:', err);
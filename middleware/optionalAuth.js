@@ -0,0 +1,34 @@
+const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+const accessTokenService = require('../services/accessTokenService');
+const { getRouteScope } = require('./requireScope');
+
+// Like `auth`, but lets anonymous requests through. Sets req.user only when a valid token is sent,
+// so public routes can tailor their response to the viewer.
+const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return next();
+
+  try {
+    // Personal access tokens count only on routes that declare a scope the token has
+    if (accessTokenService.isAccessToken(token)) {
+      const scope = getRouteScope(req);
+      const result = scope ? await accessTokenService.authenticate(token, req.ip) : null;
+      if (result && accessTokenService.hasScope(result.accessToken, scope)) {
+        req.user = result.user;
+        req.accessToken = result.accessToken;
+      }
+    } else {
+      const result = await sessionService.authenticate(token);
+      if (result) {
+        req.user = result.user;
+        req.sessionId = result.session._id;
+      }
+    }
+  } catch (err) {
+    logger.debug('Optional auth ignored an invalid token:', err.message);
+  }
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,129 @@
+const Community = require('../models/Community');
+const logger = require('../utils/logger');
+
+// Global roles, lowest to highest. A role inherits everything granted to the roles below it.
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Roles that can be held inside a single community
+const COMMUNITY_ROLES = ['moderator', 'admin'];
+
+// Permissions granted by each global role (on top of the inherited ones)
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'swapcard:feature',
+    'community:moderate',
+    'skill:verify'
+  ],
+  admin: [
+    'account:manage',
+    'analytics:view',
+    'badge:award',
+    'post:cleanup',
+    'rating:bulk',
+    'role:manage',
+    'community:manage'
+  ]
+};
+
+// Permissions granted by a community role, only within that community
+const COMMUNITY_ROLE_PERMISSIONS = {
+  moderator: ['community:moderate'],
+  admin: ['community:moderate', 'community:manage']
+};
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// All permissions for a global role, including inherited ones
+const getRolePermissions = (role) => {
+  const rank = roleRank(role);
+  if (rank === -1) return [];
+  return ROLES.slice(0, rank + 1).flatMap(r => ROLE_PERMISSIONS[r]);
+};
+
+const hasRole = (user, role) => roleRank(user?.role || 'user') >= roleRank(role);
+
+// Resolve the user's role inside a community. The community owner is always its admin.
+const getCommunityRole = async (user, communityId) => {
+  if (!user || !communityId) return null;
+
+  const scoped = (user.communityRoles || []).find(
+    entry => entry.community && entry.community.toString() === communityId.toString()
+  );
+  if (scoped?.role === 'admin') return 'admin';
+
+  const community = await Community.findById(communityId).select('admin').lean();
+  if (community?.admin && community.admin.toString() === user._id.toString()) return 'admin';
+
+  return scoped?.role || null;
+};
+
+const hasPermission = async (user, permission, communityId = null) => {
+  if (!user) return false;
+  if (getRolePermissions(user.role || 'user').includes(permission)) return true;
+  if (!communityId) return false;
+
+  const communityRole = await getCommunityRole(user, communityId);
+  return !!communityRole && COMMUNITY_ROLE_PERMISSIONS[communityRole].includes(permission);
+};
+
+// Read the community id a request is scoped to, from route params or the body
+const resolveCommunityId = (req, communityParam) => {
+  if (!communityParam) return null;
+  return req.params?.[communityParam] || req.body?.[communityParam] || null;
+};
+
+/**
+ * Require a minimum global role. Must be used after `auth`.
+ * Example: router.get('/stats', auth, requireRole('admin'), handler)
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    if (!roles.some(role => hasRole(req.user, role))) {
+      logger.warn('Role check failed', { userId: req.user._id, role: req.user.role, required: roles, path: req.originalUrl });
+      return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+    }
+    next();
+  };
+};
+
+/**
+ * Require a permission. Must be used after `auth`.
+ * Pass `{ communityParam }` to also accept a community role for the community
+ * named by that route param or body field.
+ * Example: router.put('/:id/pin', auth, requirePermission('community:moderate', { communityParam: 'id' }), handler)
+ */
+const requirePermission = (permission, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required.' });
+      }
+      const communityId = resolveCommunityId(req, options.communityParam);
+      if (!(await hasPermission(req.user, permission, communityId))) {
+        logger.warn('Permission check failed', { userId: req.user._id, permission, communityId, path: req.originalUrl });
+        return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+      }
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      res.status(500).json({ error: 'Error checking permissions' });
+    }
+  };
+};
+
+module.exports = {
+  ROLES,
+  COMMUNITY_ROLES,
+  ROLE_PERMISSIONS,
+  COMMUNITY_ROLE_PERMISSIONS,
+  getRolePermissions,
+  getCommunityRole,
+  hasRole,
+  hasPermission,
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,33 @@
+const accessTokenService = require('../services/accessTokenService');
+
+/**
+ * Declare the scope a personal access token needs to use a route. Session logins are not affected.
+ * `auth` rejects personal access tokens on routes that don't declare a scope.
+ * Example: router.post('/', auth, requireScope('write:skills'), handler)
+ */
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.accessToken && !accessTokenService.hasScope(req.accessToken, scope)) {
+      return res.status(403).json({
+        error: `This token is missing the "${scope}" scope.`,
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope: scope
+      });
+    }
+    next();
+  };
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
+// Scope declared on the matched route, if any. Only known once the route itself is running,
+// so router-level `auth` (router.use) never sees one.
+const getRouteScope = (req) => {
+  const layer = (req.route?.stack || []).find(entry => entry.handle?.requiredScope);
+  return layer ? layer.handle.requiredScope : null;
+};
+
+module.exports = {
+  requireScope,
+  getRouteScope
+};
@@ -0,0 +1,15 @@
+// Block actions that need a confirmed email address. Must be used after `auth`.
+const requireVerified = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Please verify your email address to use this feature.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+module.exports = requireVerified;
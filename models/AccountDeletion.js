@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One record per deletion request. Outlives the account and doubles as its deletion report.
+const accountDeletionSchema = new mongoose.Schema({
+  // Not a populated ref: the user document is gone once the deletion completes
+  user: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  username: String,
+  // SHA-256 of the email, so support can match a request without keeping the address
+  emailHash: String,
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'processing', 'completed', 'failed'],
+    default: 'scheduled',
+    index: true
+  },
+  reason: { type: String, maxlength: 500 },
+  requestedAt: { type: Date, default: Date.now },
+  scheduledFor: { type: Date, required: true },
+  cancelledAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  attempts: { type: Number, default: 0 },
+  // Per collection: { deleted, anonymized, updated }
+  report: {
+    type: Map,
+    of: new mongoose.Schema({
+      deleted: { type: Number, default: 0 },
+      anonymized: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 }
+    }, { _id: false }),
+    default: {}
+  },
+  media: {
+    deleted: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  failures: [{
+    step: String,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('AccountDeletion', accountDeletionSchema);
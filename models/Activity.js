@@ -11,21 +11,25 @@ const activitySchema = new mongoose.Schema({
     required: true,
     enum: [
       // User activities
-      'register', 'login', 'logout', 'profile_update', 'profile_delete', 'avatar_update',
+      'register', 'login', 'logout', 'login_locked', 'new_device_login', 'login_reported', 'password_reset', 'email_verified', 'profile_update', 'profile_delete', 'profile_delete_cancel', 'avatar_update', 'data_export', 'token_create', 'token_revoke',
       // Social activities
-      'follow', 'unfollow', 'block', 'unblock',
+      'follow', 'unfollow', 'block', 'unblock', 'follow_request_approve',
       // Post activities
       'post_create', 'post_edit', 'post_delete', 'post_like', 'post_unlike',
       // Comment activities
       'comment_create', 'comment_edit', 'comment_delete', 'comment_like', 'comment_unlike',
       // Skill activities
-      'skill_created', 'skill_updated', 'skill_deleted',
+      'skill_created', 'skill_updated', 'skill_deleted', 'skill_endorsed', 'skill_verification_submit', 'skill_verification_review',
+      // Learning path activities
+      'learning_path_create', 'learning_path_follow', 'learning_path_milestone', 'learning_path_complete',
       // Community activities
       'community_create', 'community_join', 'community_leave', 'community_update',
       // Event activities
       'event_create', 'event_join', 'event_leave',
       // Session activities
       'session_start', 'session_end', 'session_terminate',
+      // Two-factor authentication
+      'two_factor_enable', 'two_factor_disable', 'two_factor_verify', 'two_factor_recovery',
       // Badge activities
       'badge_earned',
       // Activity management
@@ -48,7 +52,7 @@ const activitySchema = new mongoose.Schema({
   },
   referenceType: {
     type: String,
-    enum: ['User', 'Post', 'Comment', 'Activity', 'Session', 'Skill', 'Community']
+    enum: ['User', 'Post', 'Comment', 'Activity', 'Session', 'Skill', 'Community', 'LearningPath']
   },
   device: {
     type: {
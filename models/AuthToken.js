@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Single-use tokens sent to users out of band (e.g. by email). Only a hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  // Address the token was sent to, for tokens that confirm an email
+  email: { type: String, lowercase: true, trim: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  ip: String,
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+authTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Let MongoDB clean up tokens a day after they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token and return the raw value; it cannot be recovered later
+authTokenSchema.statics.issue = async function(userId, purpose, ttlMs, ip, email) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + ttlMs),
+    ip
+  });
+  return token;
+};
+
+// Whether a user has been issued too many tokens of a purpose recently
+authTokenSchema.statics.isThrottled = async function(userId, purpose, { maxPerHour, minIntervalMs }) {
+  const since = new Date(Date.now() - 60 * 60 * 1000);
+  const recent = await this.find({ user: userId, purpose, createdAt: { $gte: since } })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+
+  if (recent.length >= maxPerHour) return true;
+  return recent.length > 0 && Date.now() - recent[0].createdAt.getTime() < minIntervalMs;
+};
+
+// Atomically mark a token as used. Returns null if it is unknown, expired or already used.
+authTokenSchema.statics.consume = async function(token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Invalidate every outstanding token of a purpose, e.g. once one of them has been used
+authTokenSchema.statics.invalidateAll = function(userId, purpose) {
+  return this.updateMany(
+    { user: userId, purpose, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+authTokenSchema.statics.hashToken = hashToken;
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Canonical skill (or category of skills) that user-created Skills link to, so "JS" and "JavaScript" match
+const catalogSkillSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  kind: { type: String, enum: ['category', 'skill'], default: 'skill' },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill', default: null },
+  // Every category above this entry, root first, so a whole branch can be queried at once
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill' }],
+  aliases: [{ type: String, trim: true }],
+  // Normalized name and aliases; see skillTaxonomyService.normalizeKey
+  keys: [{ type: String }],
+  description: { type: String, trim: true }
+}, { timestamps: true });
+
+catalogSkillSchema.index({ keys: 1 });
+catalogSkillSchema.index({ ancestors: 1 });
+catalogSkillSchema.index({ parent: 1, name: 1 });
+
+module.exports = mongoose.model('CatalogSkill', catalogSkillSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested by a user
+const dataExportSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Location of the ZIP on the server; never sent to clients
+  filePath: { type: String, select: false },
+  fileSize: Number,
+  // Number of records written per section
+  counts: { type: Map, of: Number, default: {} },
+  startedAt: Date,
+  completedAt: Date,
+  // When the archive and its download links stop working
+  expiresAt: Date,
+  error: String,
+  downloadCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A swap partner vouching for a skill they were taught. Only possible after a completed swap.
+const endorsementSchema = new mongoose.Schema({
+  endorser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Owner of the endorsed skill
+  endorsee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  skill: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', required: true },
+  // Copied from the skill so endorsements can be counted per canonical skill
+  catalogSkill: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill', index: true },
+  // The completed swap in which the skill was taught
+  swapRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapRequest', required: true },
+  note: { type: String, trim: true, maxlength: 280 }
+}, { timestamps: true });
+
+// One endorsement per person per skill
+endorsementSchema.index({ skill: 1, endorser: 1 }, { unique: true });
+endorsementSchema.index({ skill: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Endorsement', endorsementSchema);
@@ -1,14 +1,24 @@
 const mongoose = require('mongoose');
 
+// GeoJSON point, [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], required: true },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
 const eventSchema = new mongoose.Schema({
   community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community' },
   title: { type: String, required: true },
   description: String,
   date: { type: Date, required: true },
   location: String, // For offline
+  // Where `location` is, from the given coordinates or the place named in it (see geoService)
+  point: pointSchema,
   virtual: { type: Boolean, default: false },
   virtualLink: String, // Link for virtual event
   rsvp: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
 }, { timestamps: true });
 
+eventSchema.index({ point: '2dsphere' });
+
 module.exports = mongoose.model('Event', eventSchema);
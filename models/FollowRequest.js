@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A request to follow a private account. Approval adds the requester to the target's followers.
+const followRequestSchema = new mongoose.Schema({
+  requester: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'cancelled'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, { timestamps: true });
+
+followRequestSchema.index({ target: 1, status: 1, createdAt: -1 });
+// At most one open request per pair
+followRequestSchema.index(
+  { requester: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const RESOURCE_TYPES = ['article', 'video', 'course', 'book', 'exercise', 'other'];
+
+const resourceSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  url: { type: String, required: true, trim: true },
+  type: { type: String, enum: RESOURCE_TYPES, default: 'other' }
+}, { _id: false });
+
+// One step of a path. Milestones keep their _id when a path is edited so recorded progress survives.
+const milestoneSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  catalogSkills: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill' }],
+  resources: [resourceSchema],
+  // Swap cards where someone offers to teach this step
+  swapCards: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SwapCard' }]
+});
+
+// An ordered list of milestones toward one or more skills, written by a user for others to follow
+const learningPathSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 5000 },
+  visibility: { type: String, enum: ['public', 'private'], default: 'public' },
+  milestones: [milestoneSchema],
+  // Every catalog skill of every milestone, kept in sync on save so paths can be found by skill
+  catalogSkills: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill', index: true }],
+  followerCount: { type: Number, default: 0, min: 0 },
+  completionCount: { type: Number, default: 0, min: 0 }
+}, { timestamps: true });
+
+learningPathSchema.index({ visibility: 1, followerCount: -1 });
+learningPathSchema.index({ title: 'text', description: 'text' });
+
+learningPathSchema.pre('save', function (next) {
+  const ids = new Map();
+  this.milestones.forEach(milestone => milestone.catalogSkills.forEach(id => ids.set(id.toString(), id)));
+  this.catalogSkills = [...ids.values()];
+  next();
+});
+
+const LearningPath = mongoose.model('LearningPath', learningPathSchema);
+LearningPath.RESOURCE_TYPES = RESOURCE_TYPES;
+
+module.exports = LearningPath;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A user following a learning path, and the milestones they have completed on it
+const learningPathProgressSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  path: { type: mongoose.Schema.Types.ObjectId, ref: 'LearningPath', required: true, index: true },
+  completedMilestones: [{
+    _id: false,
+    milestone: { type: mongoose.Schema.Types.ObjectId, required: true },
+    completedAt: { type: Date, default: Date.now }
+  }],
+  // Set when every milestone of the path is complete, cleared if the path later gains milestones
+  completedAt: Date
+}, { timestamps: true });
+
+learningPathProgressSchema.index({ user: 1, path: 1 }, { unique: true });
+learningPathProgressSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('LearningPathProgress', learningPathProgressSchema);
@@ -9,13 +9,20 @@ const notificationSchema = new mongoose.Schema({
       'comment', 
       'swap_request', 
       'follow', 
+      'follow_request',
       'mention', 
       'event_invite', 
       'video_schedule',
       'image_deleted',
       'file_deleted',
       'image_shared',
-      'file_shared'
+      'file_shared',
+      'security',
+      'endorsement',
+      'skill_verification',
+      'swap_session',
+      'swap_cycle',
+      'swap_card'
     ] 
   },
   sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -30,7 +37,21 @@ const notificationSchema = new mongoose.Schema({
     messageId: mongoose.Schema.Types.ObjectId,
     deletionReason: String, // "auto_deletion", "manual_deletion"
     sharedAt: Date,
-    expiresAt: Date
+    expiresAt: Date,
+    // Security alerts: the session that triggered the alert
+    sessionId: mongoose.Schema.Types.ObjectId,
+    ip: String,
+    device: String,
+    // Endorsements and verifications: the skill concerned
+    skillId: mongoose.Schema.Types.ObjectId,
+    verificationId: mongoose.Schema.Types.ObjectId,
+    // Swap request updates
+    swapRequestId: mongoose.Schema.Types.ObjectId,
+    swapSessionId: mongoose.Schema.Types.ObjectId,
+    // Multi-party swap cycles
+    swapCycleId: mongoose.Schema.Types.ObjectId,
+    // Swap card expiry reminders and closures
+    swapCardId: mongoose.Schema.Types.ObjectId
   }
 }, { timestamps: true });
 
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Scopes a personal access token can be granted. Routes declare the one they need with `requireScope`.
+const SCOPES = [
+  'read:profile',
+  'write:profile',
+  'read:skills',
+  'write:skills',
+  'read:swaps',
+  'write:swaps',
+  'read:posts',
+  'write:posts',
+  'read:events',
+  'write:events',
+  'read:notifications'
+];
+
+// Long-lived API credential for scripts and integrations. Only a hash of the token is stored.
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, { timestamps: true });
+
+// Let MongoDB clean up tokens a month after they expire
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Whether the token can still be used to authenticate
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+PersonalAccessToken.SCOPES = SCOPES;
+
+module.exports = PersonalAccessToken;
@@ -62,7 +62,7 @@ const ratingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  // Whether the rating is verified (e.g., from a completed transaction)
+  // Set only for reviews of swaps both parties confirmed (see swapCompletionService)
   isVerified: {
     type: Boolean,
     default: false
@@ -91,7 +91,8 @@ const ratingSchema = new mongoose.Schema({
 
 // Compound indexes for efficient queries
 ratingSchema.index({ ratedItem: 1, itemType: 1, status: 1 });
-ratingSchema.index({ rater: 1, ratedItem: 1, itemType: 1 }, { unique: true });
+// One rating per rater and item; verified swap reviews are one per swap (metadata.swapId is empty otherwise)
+ratingSchema.index({ rater: 1, ratedItem: 1, itemType: 1, 'metadata.swapId': 1 }, { unique: true });
 ratingSchema.index({ itemType: 1, rating: 1, createdAt: -1 });
 ratingSchema.index({ context: 1, createdAt: -1 });
 
@@ -180,6 +181,7 @@ ratingSchema.methods.getFormattedRating = function() {
     context: this.context,
     isAnonymous: this.isAnonymous,
     isVerified: this.isVerified,
+    swapId: this.metadata?.swapId,
     createdAt: this.createdAt,
     rater: this.isAnonymous ? null : this.rater
   };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every role grant and revocation
+const roleAuditSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['grant', 'revoke'],
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    required: true
+  },
+  // Set when the change applies to a community role rather than the global one
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  previousRole: {
+    type: String
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+roleAuditSchema.index({ user: 1, createdAt: -1 });
+roleAuditSchema.index({ changedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RoleAudit', roleAuditSchema);
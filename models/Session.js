@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Hash of the current refresh token; the raw token is only ever sent to the client
+  refreshTokenHash: { type: String, required: true, select: false },
+  // Device the session was opened from
+  deviceId: { type: String, default: 'unknown' },
+  deviceType: String,
+  browser: String,
+  os: String,
+  ip: String,
+  // Device fingerprint, matched against User.devices for new-device alerts
+  fingerprint: String,
+  userAgent: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'terminated', 'token_reuse', 'password_reset', 'not_me']
+  },
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Let MongoDB clean up sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Whether the session can still be used to authenticate
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
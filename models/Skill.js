@@ -5,10 +5,21 @@ const skillSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String },
   category: { type: String, index: true },
+  // Canonical catalog entry resolved from the title; empty when the title matches nothing in the catalog
+  catalogSkill: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill', index: true },
   tags: [{ type: String, index: true }],
   media: [{ type: String }], // Cloudinary URLs
   availability: { type: String, enum: ['available', 'busy'], default: 'available' },
   rating: { type: Number, min: 0, max: 5, default: 0 },
+  // Kept in sync by endorsementService
+  endorsementCount: { type: Number, default: 0, min: 0, index: true },
+  // Verified badge, set when a moderator or peer approves a SkillVerification (see skillVerificationService)
+  verification: {
+    isVerified: { type: Boolean, default: false, index: true },
+    verifiedAt: Date,
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    request: { type: mongoose.Schema.Types.ObjectId, ref: 'SkillVerification' }
+  },
   experienceLevel: { type: String, enum: ['beginner', 'intermediate', 'expert'], default: 'beginner' },
   duration: { type: String }, // e.g., "1 hour"
   isLookingFor: {
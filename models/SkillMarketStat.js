@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const WINDOWS = ['7d', '30d', '90d'];
+const RETENTION_DAYS = 400;
+
+// Daily supply/demand figures for one skill (or category), worldwide or in one country.
+// Written by skillMarketService; one set of rows per day, which makes up the trend lines.
+const skillMarketStatSchema = new mongoose.Schema({
+  // UTC midnight of the day the figures were computed
+  date: { type: Date, required: true },
+  // Span of the activity figures (swap requests, ratings); supply and demand are current counts
+  window: { type: String, enum: WINDOWS, required: true },
+  scope: { type: String, enum: ['skill', 'category'], required: true },
+  // "catalog:<id>" or "text:<title>" for skills (see skillTaxonomyService.skillKeys), the category name for categories
+  key: { type: String, required: true },
+  label: { type: String, required: true },
+  catalogSkill: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill' },
+  category: { type: String },
+  // Empty for worldwide figures
+  country: { type: String, default: '' },
+
+  offeredBy: { type: Number, default: 0 },
+  wantedBy: { type: Number, default: 0 },
+  openCardsOffering: { type: Number, default: 0 },
+  openCardsSeeking: { type: Number, default: 0 },
+  requests: { type: Number, default: 0 },
+  acceptedRequests: { type: Number, default: 0 },
+  // Accepted share of the requests that got an answer, null when none did
+  acceptanceRate: { type: Number, default: null },
+  ratingCount: { type: Number, default: 0 },
+  averageRating: { type: Number, default: null },
+  // 0-1, above 0.5 when more people want the skill than offer it
+  demandScore: { type: Number, default: 0.5 }
+}, { timestamps: true });
+
+skillMarketStatSchema.index({ date: 1, window: 1, scope: 1, country: 1, key: 1 }, { unique: true });
+skillMarketStatSchema.index({ scope: 1, key: 1, window: 1, country: 1, date: -1 });
+skillMarketStatSchema.index({ date: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const SkillMarketStat = mongoose.model('SkillMarketStat', skillMarketStatSchema);
+SkillMarketStat.WINDOWS = WINDOWS;
+
+module.exports = SkillMarketStat;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['submitted', 'in_review', 'approved', 'rejected', 'cancelled'];
+// A request in one of these states still waits for a decision
+const OPEN_STATUSES = ['submitted', 'in_review'];
+
+const historySchema = new mongoose.Schema({
+  status: { type: String, enum: STATUSES, required: true },
+  // Empty for changes made by the verification worker
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  comment: { type: String, trim: true, maxlength: 1000 },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A request to verify a skill, with the evidence the owner submitted and the reviewers' decision
+const skillVerificationSchema = new mongoose.Schema({
+  skill: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  status: { type: String, enum: STATUSES, default: 'submitted' },
+  evidence: {
+    links: [{ type: String, trim: true }],
+    // Must be files already uploaded to the skill (Skill.media)
+    media: [{ type: String }],
+    message: { type: String, trim: true, maxlength: 1000 }
+  },
+  // Someone with the same skill verified, asked to review alongside the moderators
+  peerReviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewComment: { type: String, trim: true, maxlength: 1000 },
+  reviewedAt: Date,
+  history: [historySchema]
+}, { timestamps: true });
+
+skillVerificationSchema.index({ status: 1, createdAt: 1 });
+// At most one open request per skill
+skillVerificationSchema.index(
+  { skill: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+skillVerificationSchema.methods.isOpen = function () {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+const SkillVerification = mongoose.model('SkillVerification', skillVerificationSchema);
+SkillVerification.STATUSES = STATUSES;
+SkillVerification.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = SkillVerification;
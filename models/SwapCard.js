@@ -1,9 +1,18 @@
 const mongoose = require('mongoose');
 
+// GeoJSON point, [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], required: true },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
 const swapCardSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   offeredSkill: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill' },
   desiredSkill: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill' },
+  // Catalog entries of the two skills, copied here so cards can be searched and matched canonically
+  offeredCatalogSkill: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill', index: true },
+  desiredCatalogSkill: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogSkill', index: true },
   title: { type: String, required: true },
   description: { type: String, required: true },
   type: { type: String, enum: ['service', 'product'], required: true },
@@ -11,7 +20,9 @@ const swapCardSchema = new mongoose.Schema({
   tags: [{ type: String, index: true }],
   location: {
     city: { type: String, required: true },
-    country: { type: String, required: true }
+    country: { type: String, required: true },
+    // Resolved from the city and country by geoService, for radius searches
+    point: pointSchema
   },
   availability: { type: String, enum: ['online', 'offline', 'video'], required: true },
   availableTimes: [{ day: String, from: String, to: String }],
@@ -20,7 +31,22 @@ const swapCardSchema = new mongoose.Schema({
   views: { type: Number, default: 0 },
   isFeatured: { type: Boolean, default: false },
   expiryDate: { type: Date },
+  // Owner edits, renewals and incoming swap requests; cards idle for too long are closed
+  lastActivityAt: { type: Date, default: Date.now },
+  // Expiry date the owner was last warned about, so a renewal re-arms the reminder
+  expiryReminderFor: { type: Date },
+  // Set when the expiry job closes the card
+  closedReason: { type: String, enum: ['expired', 'inactive'] },
+  closedAt: { type: Date },
   extraData: { type: mongoose.Schema.Types.Mixed }, // For any extra info
 }, { timestamps: true });
 
+swapCardSchema.index({ 'location.point': '2dsphere' });
+swapCardSchema.index({ status: 1, expiryDate: 1 });
+
+// Filter that leaves out cards past their expiry date, whether or not the expiry job has closed them yet
+swapCardSchema.statics.notExpired = function(now = new Date()) {
+  return { expiryDate: { $not: { $lte: now } } };
+};
+
 module.exports = mongoose.model('SwapCard', swapCardSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['proposed', 'active', 'completed', 'declined', 'cancelled', 'expired'];
+
+// One hand-off in the cycle: `from` teaches `to` the skill
+const linkSchema = new mongoose.Schema({
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Key the match was made on (see skillTaxonomyService.skillKeys)
+  skillKey: { type: String, required: true },
+  label: { type: String, required: true },
+  skill: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill' },
+  // The giver's open swap card offering the skill, when there is one
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapCard' }
+}, { _id: false });
+
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  response: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
+  respondedAt: { type: Date },
+  // Confirmed their part of the swap took place
+  completedAt: { type: Date }
+}, { _id: false });
+
+const eventSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String, trim: true, maxlength: 500 },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A swap between 3-4 people in a ring, found by swapCycleService. Every member has to accept it.
+const swapCycleSchema = new mongoose.Schema({
+  // In cycle order: members[i] learns from members[i + 1], the last from the first
+  members: [memberSchema],
+  links: [linkSchema],
+  // Members and skills in canonical order, so the same cycle is not proposed twice
+  key: { type: String, required: true, index: true },
+  status: { type: String, enum: STATUSES, default: 'proposed' },
+  // Proposals nobody answered expire
+  expiresAt: { type: Date },
+  // Group chat, opened once everyone accepted
+  chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat' },
+  history: [eventSchema]
+}, { timestamps: true });
+
+swapCycleSchema.index({ 'members.user': 1, status: 1 });
+swapCycleSchema.index({ status: 1, expiresAt: 1 });
+
+const SwapCycle = mongoose.model('SwapCycle', swapCycleSchema);
+SwapCycle.STATUSES = STATUSES;
+
+module.exports = SwapCycle;
@@ -1,16 +1,86 @@
 const mongoose = require('mongoose');
 
+const STATUSES = ['pending', 'accepted', 'rejected', 'cancelled', 'ongoing', 'completed'];
+
+// One step of a request's lifecycle. Entries are only ever appended (see swapRequestService.transition).
+const transitionSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  from: { type: String, enum: STATUSES },
+  to: { type: String, enum: STATUSES, required: true },
+  // Empty for automatic transitions
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String, trim: true, maxlength: 500 },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Terms of a swap, as proposed in negotiation and as finally agreed. Unset fields mean "not discussed".
+const termsSchema = new mongoose.Schema({
+  // The sender's card offered in return
+  proposedSwapCardId: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapCard' },
+  sessions: { type: Number, min: 1 },
+  durationMinutes: { type: Number, min: 1 },
+  // Proposed start times of the sessions
+  schedule: [{ type: Date }],
+  notes: { type: String, trim: true, maxlength: 1000 }
+}, { _id: false });
+
+// One counter-offer in a request's negotiation thread (see swapNegotiationService)
+const proposalSchema = new mongoose.Schema({
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  terms: { type: termsSchema, required: true },
+  // Only the latest proposal is open; a new one supersedes it
+  status: { type: String, enum: ['open', 'accepted', 'declined', 'withdrawn', 'superseded'], default: 'open' },
+  respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  respondedAt: { type: Date },
+  comment: { type: String, trim: true, maxlength: 500 }
+}, { timestamps: true });
+
+// A party's confirmation that the swap took place (see swapCompletionService)
+const confirmationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  sessions: { type: Number, min: 0 },
+  hours: { type: Number, min: 0 },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const swapRequestSchema = new mongoose.Schema({
   sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   receiver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   swapCardId: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapCard', required: true, index: true },
   proposedSwapCardId: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapCard' }, // optional, for counter-offers
+  // Change only through swapRequestService, which enforces the allowed transitions
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'ongoing', 'completed'],
+    enum: STATUSES,
     default: 'pending',
   },
   notes: { type: String },
+  history: [transitionSchema],
+  proposals: [proposalSchema],
+  // Terms of the latest accepted proposal; binding for both parties
+  agreement: {
+    terms: termsSchema,
+    proposal: { type: mongoose.Schema.Types.ObjectId },
+    agreedAt: { type: Date }
+  },
+  completion: {
+    confirmations: [confirmationSchema],
+    // When the first party confirmed, and until when the other one can
+    requestedAt: { type: Date },
+    deadline: { type: Date },
+    remindedAt: { type: Date },
+    // Set when both parties confirmed; verified reviews can be left until reviewWindowEndsAt
+    confirmedAt: { type: Date },
+    reviewWindowEndsAt: { type: Date },
+    // Completed because the other party didn't answer by the deadline; no verified reviews
+    autoClosed: { type: Boolean, default: false }
+  },
 }, { timestamps: true });
 
-module.exports = mongoose.model('SwapRequest', swapRequestSchema);
+// Completion confirmations waiting on the other party, for the auto-close sweep
+swapRequestSchema.index({ status: 1, 'completion.deadline': 1 });
+
+const SwapRequest = mongoose.model('SwapRequest', swapRequestSchema);
+SwapRequest.STATUSES = STATUSES;
+
+module.exports = SwapRequest;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const slotSchema = new mongoose.Schema({
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true }
+}, { _id: false });
+
+// One booked (or proposed) session of an accepted swap. Managed by swapSchedulingService.
+const swapSessionSchema = new mongoose.Schema({
+  swapRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapRequest', required: true, index: true },
+  // Sender and receiver of the swap request
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // proposed: waiting for the other party to pick one of `slots`; scheduled: booked at startsAt
+  status: {
+    type: String,
+    enum: ['proposed', 'scheduled', 'completed', 'cancelled'],
+    default: 'proposed'
+  },
+  slots: [slotSchema],
+  durationMinutes: { type: Number, required: true },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  confirmedAt: { type: Date },
+  // New slots offered for a scheduled session; the booking only moves once the other party picks one
+  reschedule: {
+    slots: [slotSchema],
+    proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    proposedAt: { type: Date }
+  },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String, trim: true, maxlength: 500 },
+  // Cancelled inside the notice window
+  lateCancellation: { type: Boolean, default: false },
+  notes: { type: String, trim: true, maxlength: 1000 },
+  // Calendar SEQUENCE, bumped on every change of a booking so calendar apps update the event
+  sequence: { type: Number, default: 0 },
+  // Keys of the reminders already sent for the current booking, e.g. '24h'
+  remindersSent: [{ type: String }]
+}, { timestamps: true });
+
+swapSessionSchema.index({ participants: 1, status: 1, startsAt: 1 });
+swapSessionSchema.index({ status: 1, startsAt: 1 });
+
+module.exports = mongoose.model('SwapSession', swapSessionSchema);
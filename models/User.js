@@ -19,9 +19,24 @@ const contactSchema = new mongoose.Schema({
   visibility: { type: String, enum: ['public', 'private'], default: 'private' },
 }, { _id: false });
 
+// GeoJSON point, [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], required: true },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
 const locationSchema = new mongoose.Schema({
   city: { type: String, trim: true },
   country: { type: String, trim: true, index: true },
+  // Resolved from the city and country by geoService, for radius searches
+  point: pointSchema,
+}, { _id: false });
+
+const communityRoleSchema = new mongoose.Schema({
+  community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', required: true },
+  role: { type: String, enum: ['moderator', 'admin'], required: true },
+  grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  grantedAt: { type: Date, default: Date.now }
 }, { _id: false });
 
 const onlineStatusSchema = new mongoose.Schema({
@@ -38,6 +53,20 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // New address waiting for confirmation; `email` changes only once it is verified
+  pendingEmail: { type: String, trim: true, lowercase: true },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // TOTP secrets are stored encrypted; recovery codes as SHA-256 hashes
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    enabledAt: Date,
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: Number
+  },
   password: {
     type: String,
     required: true,
@@ -49,6 +78,14 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user',
+    index: true
+  },
+  // Roles held inside individual communities
+  communityRoles: [communityRoleSchema],
   firstName: { type: String, trim: true },
   lastName: { type: String, trim: true },
   avatar: String,
@@ -91,14 +128,19 @@ const userSchema = new mongoose.Schema({
     ref: 'Activity'
   }],
   completion: { type: Number, default: 0 },
+  // Set while an account deletion is pending; see AccountDeletion for the request itself
+  deletionScheduledFor: { type: Date },
   badges: [badgeSchema],
   credits: { type: Number, default: 0, min: 0 },
+  // Devices the user has signed in from. A login from a fingerprint not listed here triggers an alert.
   devices: [{
     deviceId: String,
+    fingerprint: String,
     deviceType: String,
     browser: String,
     os: String,
     ip: String,
+    firstSeen: Date,
     lastActive: Date,
     active: Boolean
   }],
@@ -108,6 +150,8 @@ const userSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+userSchema.index({ 'location.point': '2dsphere' });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
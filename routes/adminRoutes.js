@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+
+// Add JSON parsing only to routes that need it
+const jsonParser = express.json({ limit: '10mb' });
+
+// All admin routes require authentication
+router.use(auth);
+
+// Role management
+const canManageRoles = requirePermission('role:manage');
+router.get('/users/:id/roles', canManageRoles, adminController.getUserRoles);
+router.post('/users/:id/roles', canManageRoles, jsonParser, adminController.grantRole);
+router.delete('/users/:id/roles/:role', canManageRoles, jsonParser, adminController.revokeRole);
+
+// Audit trail of role changes
+router.get('/role-audit', canManageRoles, adminController.getRoleAudit);
+
+// Account deletion reports
+const canManageAccounts = requirePermission('account:manage');
+router.get('/account-deletions', canManageAccounts, adminController.getAccountDeletions);
+router.get('/account-deletions/:id', canManageAccounts, adminController.getAccountDeletion);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const badgeController = require('../controllers/badgeController');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
 
 // GET /api/badges - Get all available badges
 router.get('/', badgeController.getBadges);
@@ -16,6 +17,6 @@ router.post('/check', auth, badgeController.checkBadges);
 router.get('/statistics', badgeController.getBadgeStatistics);
 
 // POST /api/badges/award/:userId/:badgeId - Manually award a badge (admin only)
-router.post('/award/:userId/:badgeId', auth, badgeController.awardBadgeManually);
+router.post('/award/:userId/:badgeId', auth, requirePermission('badge:award'), badgeController.awardBadgeManually);
 
 module.exports = router; 
\ No newline at end of file
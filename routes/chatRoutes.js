@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
 const { single, handleMulterError } = require('../middleware/upload');
 
 // Add JSON parsing only to routes that need it
@@ -15,7 +16,7 @@ router.get('/', auth, chatController.getChats);
 router.get('/online-users', auth, chatController.getOnlineUsers);
 
 // Personal chat (JSON)
-router.post('/personal', auth, jsonParser, chatController.createChat);
+router.post('/personal', auth, requireVerified, jsonParser, chatController.createChat);
 
 // Group chat (accepts both JSON and FormData)
 router.post('/group', auth, jsonParser, single('avatar'), handleMulterError, chatController.createChat);
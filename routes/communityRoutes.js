@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const communityController = require('../controllers/communityController');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
 const { single, handleUploadError, validateFileType, processUploadedFiles } = require('../middleware/uploadMiddleware');
 
 // Community CRUD
 router.post('/', auth, communityController.createCommunity);
 router.get('/', communityController.getCommunities);
 router.get('/:id', communityController.getCommunityById);
-router.put('/:id', auth, communityController.updateCommunity);
+router.put('/:id', auth, requirePermission('community:manage', { communityParam: 'id' }), communityController.updateCommunity);
 router.post('/:id/join', auth, communityController.joinCommunity);
 router.post('/:id/leave', auth, communityController.leaveCommunity);
 
@@ -20,8 +21,8 @@ router.delete('/:id/post/:postId', auth, communityController.deletePost);
 // Events
 router.post('/:id/event', auth, communityController.createEvent);
 
-// Moderation
-router.put('/:id/moderate', auth, communityController.moderate);
+// Moderation: community moderators and admins, and global moderators
+router.put('/:id/moderate', auth, requirePermission('community:moderate', { communityParam: 'id' }), communityController.moderate);
 
 // Q&A
 router.post('/:id/qa', auth, communityController.qa);
@@ -2,16 +2,17 @@ const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
 const auth = require('../middleware/auth');
+const { requireScope } = require('../middleware/requireScope');
 
 // List/search events
 router.get('/', eventController.getEvents);
 // Create event
-router.post('/', auth, eventController.createEvent);
+router.post('/', auth, requireScope('write:events'), eventController.createEvent);
 // Update event
-router.put('/:id', auth, eventController.updateEvent);
+router.put('/:id', auth, requireScope('write:events'), eventController.updateEvent);
 // Delete event
-router.delete('/:id', auth, eventController.deleteEvent);
+router.delete('/:id', auth, requireScope('write:events'), eventController.deleteEvent);
 // RSVP to event
-router.post('/:id/rsvp', auth, eventController.rsvpEvent);
+router.post('/:id/rsvp', auth, requireScope('write:events'), eventController.rsvpEvent);
 
 module.exports = router;
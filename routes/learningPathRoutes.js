@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const learningPathController = require('../controllers/learningPathController');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requireScope } = require('../middleware/requireScope');
+
+// Add JSON parsing only to routes that need it
+const jsonParser = express.json({ limit: '1mb' });
+
+// Browse public paths; signed-in users also see their own private paths with ?author=<their id>
+router.get('/', optionalAuth, requireScope('read:skills'), learningPathController.getLearningPaths);
+
+// Paths you follow (must come before /:id)
+router.get('/following', auth, requireScope('read:skills'), learningPathController.getFollowedPaths);
+
+router.get('/:id', optionalAuth, requireScope('read:skills'), learningPathController.getLearningPath);
+
+// Authoring
+router.post('/', auth, requireScope('write:skills'), jsonParser, learningPathController.createLearningPath);
+router.put('/:id', auth, requireScope('write:skills'), jsonParser, learningPathController.updateLearningPath);
+router.delete('/:id', auth, requireScope('write:skills'), learningPathController.deleteLearningPath);
+
+// Following and progress
+router.post('/:id/follow', auth, requireScope('write:skills'), learningPathController.followLearningPath);
+router.delete('/:id/follow', auth, requireScope('write:skills'), learningPathController.unfollowLearningPath);
+router.put('/:id/milestones/:milestoneId', auth, requireScope('write:skills'), jsonParser, learningPathController.setMilestoneCompletion);
+
+module.exports = router;
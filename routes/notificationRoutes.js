@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const auth = require('../middleware/auth');
+const { requireScope } = require('../middleware/requireScope');
 const validateInput = require('../middleware/validateInput');
 
 // List/filter/paginate notifications
-router.get('/', auth, notificationController.getNotifications);
+router.get('/', auth, requireScope('read:notifications'), notificationController.getNotifications);
 // Mark single notification as read
 router.put('/:id/read', auth, notificationController.markRead);
 // Bulk actions (mark all read, delete old)
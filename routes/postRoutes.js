@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const postController = require('../controllers/postController');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requireScope } = require('../middleware/requireScope');
+const { requirePermission } = require('../middleware/rbac');
 const validateInput = require('../middleware/validateInput');
 const { single, array, handleMulterError } = require('../middleware/upload');
 
@@ -10,17 +13,17 @@ const jsonParser = express.json({ limit: '10mb' });
 const urlEncodedParser = express.urlencoded({ extended: true, limit: '10mb' });
 
 // Public routes
-router.get('/', postController.getPosts);
-router.get('/main-feed', postController.getMainFeed); // New main feed endpoint
-router.get('/:id', postController.getPostById);
-router.get('/:id/related', postController.getRelatedPosts);
+router.get('/', optionalAuth, requireScope('read:posts'), postController.getPosts);
+router.get('/main-feed', optionalAuth, requireScope('read:posts'), postController.getMainFeed); // New main feed endpoint
+router.get('/:id', optionalAuth, requireScope('read:posts'), postController.getPostById);
+router.get('/:id/related', optionalAuth, requireScope('read:posts'), postController.getRelatedPosts);
 
 // Protected routes
-router.post('/', auth, jsonParser, postController.createPost); // Text-only posts
-router.post('/with-images', auth, array('images', 10), handleMulterError, postController.createPostWithImages); // Posts with images (FormData)
-router.post('/with-binary-images', auth, jsonParser, postController.createPostWithBinaryImages); // Posts with binary images (JSON)
-router.put('/:id', auth, jsonParser, postController.editPost);
-router.delete('/:id', auth, postController.deletePost);
+router.post('/', auth, requireScope('write:posts'), jsonParser, postController.createPost); // Text-only posts
+router.post('/with-images', auth, requireScope('write:posts'), array('images', 10), handleMulterError, postController.createPostWithImages); // Posts with images (FormData)
+router.post('/with-binary-images', auth, requireScope('write:posts'), jsonParser, postController.createPostWithBinaryImages); // Posts with binary images (JSON)
+router.put('/:id', auth, requireScope('write:posts'), jsonParser, postController.editPost);
+router.delete('/:id', auth, requireScope('write:posts'), postController.deletePost);
 
 // New functionality endpoints
 router.post('/:id/report', auth, jsonParser, validateInput(['reason']), postController.reportPost);
@@ -29,22 +32,22 @@ router.post('/:id/save', auth, postController.savePost);
 router.delete('/:id/save', auth, postController.unsavePost);
 
 // Cleanup route
-router.delete('/cleanup/null-users', auth, postController.deleteNullUserPosts);
+router.delete('/cleanup/null-users', auth, requirePermission('post:cleanup'), postController.deleteNullUserPosts);
 
 // Like/Unlike routes
-router.post('/:id/like', auth, postController.likePost);
-router.delete('/:id/like', auth, postController.unlikePost);
+router.post('/:id/like', auth, requireScope('write:posts'), postController.likePost);
+router.delete('/:id/like', auth, requireScope('write:posts'), postController.unlikePost);
 
 // Enhanced comment routes
-router.post('/:id/comments', auth, jsonParser, validateInput(['content']), postController.addComment);
-router.put('/:id/comments/:commentId', auth, jsonParser, validateInput(['content']), postController.updateComment);
-router.delete('/:id/comments/:commentId', auth, postController.deleteComment);
+router.post('/:id/comments', auth, requireScope('write:posts'), jsonParser, validateInput(['content']), postController.addComment);
+router.put('/:id/comments/:commentId', auth, requireScope('write:posts'), jsonParser, validateInput(['content']), postController.updateComment);
+router.delete('/:id/comments/:commentId', auth, requireScope('write:posts'), postController.deleteComment);
 
 // Add reply to comment
-router.post('/:postId/comment/:commentId/reply', auth, jsonParser, validateInput(['content']), postController.addReply);
+router.post('/:postId/comment/:commentId/reply', auth, requireScope('write:posts'), jsonParser, validateInput(['content']), postController.addReply);
 // Update reply
-router.put('/:postId/comment/:commentId/reply/:replyId', auth, jsonParser, validateInput(['content']), postController.updateReply);
+router.put('/:postId/comment/:commentId/reply/:replyId', auth, requireScope('write:posts'), jsonParser, validateInput(['content']), postController.updateReply);
 // Delete reply
-router.delete('/:postId/comment/:commentId/reply/:replyId', auth, postController.deleteReply);
+router.delete('/:postId/comment/:commentId/reply/:replyId', auth, requireScope('write:posts'), postController.deleteReply);
 
 module.exports = router;
@@ -3,6 +3,10 @@ const router = express.Router();
 const ratingController = require('../controllers/ratingController');
 const auth = require('../middleware/auth');
 const validateInput = require('../middleware/validateInput');
+const { requirePermission } = require('../middleware/rbac');
+
+// Add JSON parsing only to routes that need it
+const jsonParser = express.json({ limit: '10mb' });
 
 // Public routes (no authentication required)
 // GET /api/ratings - Get ratings with filtering
@@ -27,7 +31,7 @@ router.put('/:id', validateInput, ratingController.updateRating);
 router.delete('/:id', ratingController.deleteRating);
 
 // POST /api/ratings/bulk - Create multiple ratings (for admin use)
-router.post('/bulk', validateInput, ratingController.createBulkRatings);
+router.post('/bulk', jsonParser, requirePermission('rating:bulk'), ratingController.createBulkRatings);
 
 // GET /api/ratings/my-ratings - Get current user's ratings
 router.get('/my-ratings', ratingController.getMyRatings);
@@ -2,25 +2,26 @@ const express = require('express');
 const router = express.Router();
 const recommendationController = require('../controllers/recommendationController');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
 
-// GET routes - No authentication required
+// GET routes - No authentication required; a token, when sent, personalizes the results
 // GET /api/recommendations/profiles - Get recommended profiles
-router.get('/profiles', recommendationController.getRecommendedProfiles);
+router.get('/profiles', optionalAuth, recommendationController.getRecommendedProfiles);
 
 // GET /api/recommendations/swaps - Get recommended swap cards
-router.get('/swaps', recommendationController.getRecommendedSwaps);
+router.get('/swaps', optionalAuth, recommendationController.getRecommendedSwaps);
 
 // GET /api/recommendations/posts - Get recommended posts
-router.get('/posts', recommendationController.getRecommendedPosts);
+router.get('/posts', optionalAuth, recommendationController.getRecommendedPosts);
 
 // GET /api/recommendations/skills - Get recommended skills to learn
-router.get('/skills', recommendationController.getRecommendedSkills);
+router.get('/skills', optionalAuth, recommendationController.getRecommendedSkills);
 
 // GET /api/recommendations/dashboard - Get all recommendations for dashboard
-router.get('/dashboard', recommendationController.getDashboardRecommendations);
+router.get('/dashboard', optionalAuth, recommendationController.getDashboardRecommendations);
 
 // GET /api/recommendations/explore - Get exploration recommendations
-router.get('/explore', recommendationController.getExplorationRecommendations);
+router.get('/explore', optionalAuth, recommendationController.getExplorationRecommendations);
 
 // POST routes - Authentication required
 // POST /api/recommendations/feedback - Provide feedback on recommendations
@@ -2,29 +2,60 @@ const express = require('express');
 const router = express.Router();
 const skillController = require('../controllers/skillController');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requireScope } = require('../middleware/requireScope');
+const { requirePermission } = require('../middleware/rbac');
 const validateInput = require('../middleware/validateInput');
 
+// Add JSON parsing only to routes that need it
+const jsonParser = express.json({ limit: '10mb' });
+
 // Looking For Skills Routes
-router.get('/looking-for', auth, skillController.getLookingForSkills);
-router.delete('/looking-for/:skillId', auth, skillController.removeFromLookingFor);
-router.put('/looking-for/:skillId', auth, validateInput(['title']), skillController.updateLookingForSkill);
+router.get('/looking-for', auth, requireScope('read:skills'), skillController.getLookingForSkills);
+router.delete('/looking-for/:skillId', auth, requireScope('write:skills'), skillController.removeFromLookingFor);
+router.put('/looking-for/:skillId', auth, requireScope('write:skills'), validateInput(['title']), skillController.updateLookingForSkill);
+
+// Canonical skill catalog (must come before /:id)
+router.get('/catalog', skillController.searchCatalog);
+router.get('/catalog/:slug', skillController.getCatalogEntry);
+
+// Skill market analytics (must come before /:id)
+router.get('/market', optionalAuth, requireScope('read:skills'), skillController.getSkillMarket);
+router.get('/market/trends', optionalAuth, requireScope('read:skills'), skillController.getSkillMarketTrend);
+router.get('/market/opportunities', auth, requireScope('read:skills'), skillController.getTeachingOpportunities);
+router.post('/market/refresh', auth, requirePermission('analytics:view'), skillController.refreshSkillMarket);
+
+// Verification review queue (must come before /:id)
+router.get('/verifications/queue', auth, skillController.getVerificationQueue);
+router.get('/verifications/:verificationId', auth, skillController.getVerification);
+router.post('/verifications/:verificationId/review', auth, jsonParser, skillController.reviewVerification);
 
 // Fetch multiple skills by IDs (must come before /:id)
-router.post('/by-ids', skillController.getSkillsByIds);
+router.post('/by-ids', optionalAuth, requireScope('read:skills'), skillController.getSkillsByIds);
 
 // Get all skills for a user
-router.get('/user/:userId', skillController.getSkillsByUser);
+router.get('/user/:userId', optionalAuth, requireScope('read:skills'), skillController.getSkillsByUser);
 
 // Get skill by ID (must come before general CRUD routes)
-router.get('/:id', skillController.getSkillById);
+router.get('/:id', optionalAuth, requireScope('read:skills'), skillController.getSkillById);
 
 // Skill CRUD
-router.post('/', auth, validateInput(['title']), skillController.createSkill);
-router.get('/', skillController.getSkills);
-router.put('/:id', auth, skillController.updateSkill);
-router.delete('/:id', auth, skillController.deleteSkill);
+router.post('/', auth, requireScope('write:skills'), validateInput(['title']), skillController.createSkill);
+router.get('/', optionalAuth, requireScope('read:skills'), skillController.getSkills);
+router.put('/:id', auth, requireScope('write:skills'), skillController.updateSkill);
+router.delete('/:id', auth, requireScope('write:skills'), skillController.deleteSkill);
+
+// Endorsements from swap partners
+router.get('/:id/endorsements', optionalAuth, requireScope('read:skills'), skillController.getSkillEndorsements);
+router.post('/:id/endorsements', auth, requireScope('write:skills'), jsonParser, skillController.endorseSkill);
+router.delete('/:id/endorsements', auth, requireScope('write:skills'), skillController.removeEndorsement);
+
+// Verification of your own skills
+router.get('/:id/verification', auth, requireScope('read:skills'), skillController.getVerificationStatus);
+router.post('/:id/verification', auth, requireScope('write:skills'), jsonParser, skillController.submitVerification);
+router.delete('/:id/verification', auth, requireScope('write:skills'), skillController.cancelVerification);
 
 // Toggle isLearning for a skill
-router.patch('/:id/toggle-learning', auth, skillController.toggleLearning);
+router.patch('/:id/toggle-learning', auth, requireScope('write:skills'), skillController.toggleLearning);
 
 module.exports = router;
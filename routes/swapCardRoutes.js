@@ -1,45 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const swapCardController = require('../controllers/swapCardController');
+const swapSessionController = require('../controllers/swapSessionController');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const requireVerified = require('../middleware/requireVerified');
+const { requireScope } = require('../middleware/requireScope');
+const optionalAuth = require('../middleware/optionalAuth');
+
+// Add JSON parsing only to routes that need it
+const jsonParser = express.json({ limit: '10mb' });
 
 // Create a new swap card
-router.post('/', auth, swapCardController.createSwapCard);
+router.post('/', auth, requireScope('write:swaps'), requireVerified, swapCardController.createSwapCard);
+
+// Get all swap cards (with filters). Expired cards are only listed to their owner.
+router.get('/', optionalAuth, swapCardController.getSwapCards);
+
+// Analytics (admin-only). Declared before '/:id' so it is not captured as an ID.
+router.get('/analytics', auth, requirePermission('analytics:view'), swapCardController.getSwapCardsAnalytics);
 
-// Get all swap cards (with filters)
-router.get('/', swapCardController.getSwapCards);
+// Suggested matches for the signed-in user (also before '/:id')
+router.get('/suggested', auth, requireScope('read:swaps'), swapCardController.getSuggestedSwapCards);
+
+// Search with filters, including radius and bounding-box search (also before '/:id')
+router.get('/search', swapCardController.searchSwapCards);
 
 // Get a single swap card by ID
 router.get('/:id', swapCardController.getSwapCard);
 
 // Like/unlike a swap card
-router.post('/:id/like', auth, swapCardController.likeSwapCard);
+router.post('/:id/like', auth, requireScope('write:swaps'), swapCardController.likeSwapCard);
 
 // Feature/unfeature a swap card (admin/moderator)
-router.put('/:id/feature', auth, swapCardController.featureSwapCard);
+router.put('/:id/feature', auth, requirePermission('swapcard:feature'), jsonParser, swapCardController.featureSwapCard);
 
-// Delete a swap card
-router.delete('/:id', auth, swapCardController.deleteSwapCard);
+// One-click renewal from an expiry reminder email; the signed token stands in for auth.
+// Declared before '/:id/renew' so it is not captured as an ID.
+router.post('/expiry-reminders/renew', jsonParser, swapCardController.renewSwapCardFromEmail);
 
-// Swap Request Management
-router.post('/requests', auth, swapCardController.sendSwapRequest);
-router.get('/requests/inbox', auth, swapCardController.getSwapRequestsInbox);
-router.get('/requests/outbox', auth, swapCardController.getSwapRequestsOutbox);
-router.put('/requests/bulk', auth, swapCardController.bulkUpdateSwapRequests);
-router.put('/requests/:id', auth, swapCardController.updateSwapRequest);
-router.get('/requests/:id', auth, swapCardController.getSwapRequestById);
-
-// Enhanced Search/Filters
-router.get('/search', swapCardController.searchSwapCards);
+// Renew an open swap card, or reopen a closed one
+router.post('/:id/renew', auth, requireScope('write:swaps'), swapCardController.renewSwapCard);
+router.post('/:id/reopen', auth, requireScope('write:swaps'), swapCardController.reopenSwapCard);
 
-// Suggested Matches
-router.get('/suggested', auth, swapCardController.getSuggestedSwapCards);
+// Delete a swap card
+router.delete('/:id', auth, requireScope('write:swaps'), swapCardController.deleteSwapCard);
 
-// Analytics (admin-only)
-router.get('/analytics', auth, swapCardController.getSwapCardsAnalytics);
+// Swap Request Management
+router.post('/requests', auth, requireScope('write:swaps'), requireVerified, jsonParser, swapCardController.sendSwapRequest);
+router.get('/requests/inbox', auth, requireScope('read:swaps'), swapCardController.getSwapRequestsInbox);
+router.get('/requests/outbox', auth, requireScope('read:swaps'), swapCardController.getSwapRequestsOutbox);
+router.put('/requests/bulk', auth, requireScope('write:swaps'), jsonParser, swapCardController.bulkUpdateSwapRequests);
+// Body: { action, reason? } - see swapRequestService for the allowed transitions
+router.put('/requests/:id', auth, requireScope('write:swaps'), jsonParser, swapCardController.updateSwapRequest);
+router.get('/requests/:id', auth, requireScope('read:swaps'), swapCardController.getSwapRequestById);
+
+// Counter-offers
+router.get('/requests/:id/proposals', auth, requireScope('read:swaps'), swapCardController.getSwapProposals);
+router.post('/requests/:id/proposals', auth, requireScope('write:swaps'), jsonParser, swapCardController.proposeSwapTerms);
+router.put('/requests/:id/proposals/:proposalId', auth, requireScope('write:swaps'), jsonParser, swapCardController.respondToSwapProposal);
+router.delete('/requests/:id/proposals/:proposalId', auth, requireScope('write:swaps'), swapCardController.withdrawSwapProposal);
+
+// Mutual completion and verified reviews
+router.post('/requests/:id/complete', auth, requireScope('write:swaps'), jsonParser, swapCardController.confirmSwapCompletion);
+router.post('/requests/:id/review', auth, requireScope('write:swaps'), jsonParser, swapCardController.reviewSwap);
+router.get('/requests/:id/reviews', auth, requireScope('read:swaps'), swapCardController.getSwapReviews);
+
+// Session scheduling
+router.get('/requests/:id/availability', auth, requireScope('read:swaps'), swapSessionController.getAvailability);
+router.get('/requests/:id/sessions', auth, requireScope('read:swaps'), swapSessionController.getSessions);
+router.post('/requests/:id/sessions', auth, requireScope('write:swaps'), jsonParser, swapSessionController.proposeSession);
+router.post('/sessions/:sessionId/confirm', auth, requireScope('write:swaps'), jsonParser, swapSessionController.confirmSession);
+router.post('/sessions/:sessionId/reschedule', auth, requireScope('write:swaps'), jsonParser, swapSessionController.rescheduleSession);
+router.post('/sessions/:sessionId/cancel', auth, requireScope('write:swaps'), jsonParser, swapSessionController.cancelSession);
+router.get('/sessions/:sessionId/calendar.ics', auth, requireScope('read:swaps'), swapSessionController.getSessionCalendar);
 
 // Update a swap card
-router.put('/:id', auth, swapCardController.updateSwapCard);
+router.put('/:id', auth, requireScope('write:swaps'), swapCardController.updateSwapCard);
 
 router.post('/:swapId/video-session', auth, swapCardController.createVideoSessionForSwap);
 
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const swapCycleController = require('../controllers/swapCycleController');
+const auth = require('../middleware/auth');
+const { requireScope } = require('../middleware/requireScope');
+
+// Add JSON parsing only to routes that need it
+const jsonParser = express.json({ limit: '1mb' });
+
+router.get('/', auth, requireScope('read:swaps'), swapCycleController.getMyCycles);
+// Must come before /:id
+router.post('/find', auth, requireScope('write:swaps'), swapCycleController.findCycles);
+router.get('/:id', auth, requireScope('read:swaps'), swapCycleController.getCycle);
+
+router.post('/:id/accept', auth, requireScope('write:swaps'), swapCycleController.actOnCycle('accept'));
+router.post('/:id/decline', auth, requireScope('write:swaps'), jsonParser, swapCycleController.actOnCycle('decline'));
+router.post('/:id/leave', auth, requireScope('write:swaps'), jsonParser, swapCycleController.actOnCycle('leave'));
+router.post('/:id/complete', auth, requireScope('write:swaps'), swapCycleController.actOnCycle('complete'));
+
+module.exports = router;
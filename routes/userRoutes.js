@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requireScope } = require('../middleware/requireScope');
 const { single, handleUploadError } = require('../middleware/uploadMiddleware');
 
 // Add JSON parsing only to routes that need it
@@ -10,32 +12,80 @@ const jsonParser = express.json({ limit: '10mb' });
 // Public routes
 router.post('/register', jsonParser, userController.registerUser);
 router.post('/login', jsonParser, userController.login);
+router.post('/token/refresh', jsonParser, userController.refreshToken);
+router.post('/password/forgot', jsonParser, userController.forgotPassword);
+router.post('/password/reset', jsonParser, userController.resetPassword);
+router.post('/email/verify', jsonParser, userController.verifyEmail);
+router.post('/2fa/verify', jsonParser, userController.verifyTwoFactor);
+router.post('/login-alerts/not-me', jsonParser, userController.reportLoginFromAlert);
+// Authorized by the signed token in the link, so it can be opened directly in a browser
+router.get('/me/export/:id/download', userController.downloadDataExport);
+
+// Scheduled account deletion. Registered before /profile/:id, which would otherwise take "deletion" for a user id
+router.get('/profile/deletion', auth, userController.getDeletionStatus);
+router.post('/profile/deletion/cancel', auth, userController.cancelDeletion);
 
 // Profile routes (public)
-router.get('/profiles', userController.getAllProfiles);
-router.get('/profile/:id', userController.getProfile);
+router.get('/profiles', optionalAuth, requireScope('read:profile'), userController.getAllProfiles);
+router.get('/profile/:id', optionalAuth, requireScope('read:profile'), userController.getProfile);
+
+// Own profile, also usable with personal access tokens (router-level auth below does not accept them)
+router.get('/me/completion', auth, requireScope('read:profile'), userController.getProfileCompletion);
+router.put('/profile', auth, requireScope('write:profile'), jsonParser, userController.updateProfile);
 
 // Protected routes
 router.use(auth);
 
+// Email verification
+router.post('/email/resend', userController.resendVerification);
+
+// Two-factor authentication
+router.post('/2fa/setup', userController.setupTwoFactor);
+router.post('/2fa/confirm', jsonParser, userController.confirmTwoFactor);
+router.post('/2fa/disable', jsonParser, userController.disableTwoFactor);
+router.post('/2fa/recovery-codes', jsonParser, userController.regenerateRecoveryCodes);
+
 // User search for chat creation
 router.get('/search', userController.searchUsersForChat);
 
 // Profile management routes (protected)
-router.put('/profile', jsonParser, userController.updateProfile);
 router.post('/upload-avatar', auth, single('avatar'), handleUploadError, userController.uploadAvatar);
-router.delete('/profile', userController.deleteProfile);
+router.delete('/profile', jsonParser, userController.deleteProfile);
+
+// Personal data export
+router.post('/me/export', userController.requestDataExport);
+router.get('/me/export/:id', userController.getDataExport);
+
+// Personal access tokens
+router.get('/tokens', userController.getAccessTokens);
+router.post('/tokens', jsonParser, userController.createAccessToken);
+router.delete('/tokens/:id', userController.revokeAccessToken);
 
 // Social routes
 router.post('/follow/:id', userController.followUser);
 router.post('/unfollow/:id', userController.unfollowUser);
 router.post('/block/:id', userController.blockUser);
+router.post('/unblock/:id', userController.unblockUser);
+router.get('/blocked', userController.getBlockedUsers);
+router.delete('/followers/:id', userController.removeFollower);
+
+// Follow requests for private accounts
+router.get('/follow-requests', userController.getFollowRequests);
+router.get('/follow-requests/sent', userController.getSentFollowRequests);
+router.post('/follow-requests/:id/approve', userController.approveFollowRequest);
+router.post('/follow-requests/:id/deny', userController.denyFollowRequest);
+router.delete('/follow-requests/:id', userController.cancelFollowRequest);
 
 // Activity routes
 router.post('/activity/:id/hide', userController.hideActivity);
 
 // Session management
-router.post('/sessions/terminate', userController.terminateSession);
+router.post('/logout', userController.logout);
+router.post('/logout-all', userController.logoutAll);
+router.get('/sessions', userController.getSessions);
+router.delete('/sessions/:sessionId', userController.revokeSession);
+router.post('/sessions/:sessionId/not-me', userController.reportSession);
+router.post('/sessions/terminate', jsonParser, userController.terminateSession);
 
 // Swap history
 router.get('/:userId/swaps', auth, userController.getUserSwapHistory);
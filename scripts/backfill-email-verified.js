@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+// Accounts created before email verification existed have no emailVerified field.
+// Mark them as verified so existing users are not locked out of swap cards and DMs.
+
+const mongoose = require('mongoose');
+
+// Load environment variables
+require('dotenv').config();
+
+const User = require('../models/User');
+
+async function runBackfill() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/Netyora';
+    console.log('Connecting to MongoDB:', mongoUri);
+    await mongoose.connect(mongoUri);
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`Marked ${result.modifiedCount} existing users as verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+runBackfill();
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+// User.completion used to stay at its default of 0. Score every existing account once
+// so recommendations and the completion checklist agree from the start.
+
+const mongoose = require('mongoose');
+
+// Load environment variables
+require('dotenv').config();
+
+const User = require('../models/User');
+const profileCompletionService = require('../services/profileCompletionService');
+
+async function runBackfill() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/Netyora';
+    console.log('Connecting to MongoDB:', mongoUri);
+    await mongoose.connect(mongoUri);
+
+    let updated = 0;
+    const cursor = User.find().select(`${profileCompletionService.fields} completion`).lean().cursor();
+    for await (const user of cursor) {
+      const { score } = profileCompletionService.evaluate(user);
+      if (user.completion !== score) {
+        await User.updateOne({ _id: user._id }, { $set: { completion: score } });
+        updated++;
+      }
+    }
+
+    console.log(`Updated the completion score of ${updated} users`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+runBackfill();
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+// Bootstrap the first admin. Later role changes should go through /api/admin.
+// Usage: node scripts/grant-admin.js <email-or-username>
+
+const mongoose = require('mongoose');
+
+// Load environment variables
+require('dotenv').config();
+
+const User = require('../models/User');
+const RoleAudit = require('../models/RoleAudit');
+
+async function grantAdmin() {
+  const identifier = process.argv[2];
+  if (!identifier) {
+    console.error('Usage: node scripts/grant-admin.js <email-or-username>');
+    process.exit(1);
+  }
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/Netyora';
+    console.log('Connecting to MongoDB:', mongoUri);
+    await mongoose.connect(mongoUri);
+
+    const user = await User.findOne({
+      $or: [{ email: identifier.toLowerCase() }, { username: identifier }]
+    });
+    if (!user) {
+      console.error('User not found:', identifier);
+      process.exit(1);
+    }
+
+    if (user.role === 'admin') {
+      console.log(`${user.username} is already an admin`);
+      process.exit(0);
+    }
+
+    const previousRole = user.role || 'user';
+    user.role = 'admin';
+    await user.save();
+    await RoleAudit.create({
+      user: user._id,
+      action: 'grant',
+      role: 'admin',
+      previousRole,
+      reason: 'Granted from the command line'
+    });
+
+    console.log(`${user.username} is now an admin`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Granting admin failed:', error);
+    process.exit(1);
+  }
+}
+
+grantAdmin();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+// Add GeoJSON points to existing profiles, swap cards and events from the bundled gazetteer,
+// and create the 2dsphere indexes radius searches need. Places the gazetteer doesn't know are
+// left without a point and reported. Safe to run again, e.g. after adding cities to data/gazetteer.js.
+
+const mongoose = require('mongoose');
+
+// Load environment variables
+require('dotenv').config();
+
+const Event = require('../models/Event');
+const SwapCard = require('../models/SwapCard');
+const User = require('../models/User');
+const geoService = require('../services/geoService');
+
+const BATCH_SIZE = 500;
+
+// Set `path` on every document `pointOf` can place; returns [placed, unknown places]
+async function backfill(Model, filter, path, pointOf, placeOf) {
+  let placed = 0;
+  const unknown = new Map();
+  let operations = [];
+
+  for await (const doc of Model.find(filter).lean().cursor()) {
+    const point = pointOf(doc);
+    if (point) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [path]: point } } } });
+      placed++;
+    } else {
+      const place = placeOf(doc);
+      unknown.set(place, (unknown.get(place) || 0) + 1);
+    }
+    if (operations.length >= BATCH_SIZE) {
+      await Model.bulkWrite(operations);
+      operations = [];
+    }
+  }
+  if (operations.length) await Model.bulkWrite(operations);
+  return [placed, unknown];
+}
+
+function report(label, [placed, unknown]) {
+  console.log(`${label}: ${placed} placed, ${[...unknown.values()].reduce((sum, count) => sum + count, 0)} unknown`);
+  [...unknown.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .forEach(([place, count]) => console.log(`  ${count} x ${place}`));
+}
+
+async function runMigration() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/Netyora';
+    console.log('Connecting to MongoDB:', mongoUri);
+    await mongoose.connect(mongoUri);
+
+    await Promise.all([User.createIndexes(), SwapCard.createIndexes(), Event.createIndexes()]);
+    console.log('2dsphere indexes created');
+
+    const placeOf = (location) => [location?.city, location?.country].filter(Boolean).join(', ');
+    report('Profiles', await backfill(
+      User,
+      { 'location.city': { $nin: [null, ''] } },
+      'location.point',
+      user => geoService.pointFor(user.location),
+      user => placeOf(user.location)
+    ));
+    report('Swap cards', await backfill(
+      SwapCard,
+      { 'location.city': { $nin: [null, ''] } },
+      'location.point',
+      card => geoService.pointFor(card.location),
+      card => placeOf(card.location)
+    ));
+    // Events placed from explicit coordinates keep them
+    report('Events', await backfill(
+      Event,
+      { location: { $nin: [null, ''] }, point: { $exists: false } },
+      'point',
+      event => geoService.pointForText(event.location),
+      event => event.location
+    ));
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+runMigration();
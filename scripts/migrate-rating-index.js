@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+// Replace the old one-rating-per-item unique index on ratings with the one that also keys on
+// metadata.swapId, so partners can leave a verified review for each swap they complete together.
+// Safe to run again: a missing old index is skipped.
+
+const mongoose = require('mongoose');
+
+// Load environment variables
+require('dotenv').config();
+
+const Rating = require('../models/Rating');
+
+const OLD_INDEX = 'rater_1_ratedItem_1_itemType_1';
+
+async function runMigration() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/Netyora';
+    console.log('Connecting to MongoDB:', mongoUri);
+    await mongoose.connect(mongoUri);
+
+    const indexes = await Rating.collection.indexes();
+    if (indexes.some(index => index.name === OLD_INDEX)) {
+      await Rating.collection.dropIndex(OLD_INDEX);
+      console.log(`Dropped index ${OLD_INDEX}`);
+    } else {
+      console.log(`Index ${OLD_INDEX} not found, nothing to drop`);
+    }
+
+    await Rating.syncIndexes();
+    console.log('Rating indexes are up to date');
+
+    // Ratings could claim to be verified before swap reviews existed
+    const unverified = await Rating.updateMany(
+      { isVerified: true, 'metadata.swapId': { $in: [null, ''] } },
+      { $set: { isVerified: false } }
+    );
+    console.log(`Ratings no longer marked verified: ${unverified.modifiedCount}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+runMigration();
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+// Load the canonical skill catalog and link existing skills and swap cards to it.
+// Safe to run again after editing data/skillCatalog.js: entries are upserted by slug
+// and every skill is re-resolved against the updated aliases.
+
+const mongoose = require('mongoose');
+
+// Load environment variables
+require('dotenv').config();
+
+const Skill = require('../models/Skill');
+const SwapCard = require('../models/SwapCard');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const catalog = require('../data/skillCatalog');
+
+// How many unmatched titles to list, most common first, as candidates for new aliases
+const UNMATCHED_REPORT_SIZE = 25;
+
+async function runMigration() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/Netyora';
+    console.log('Connecting to MongoDB:', mongoUri);
+    await mongoose.connect(mongoUri);
+
+    const seeded = await skillTaxonomyService.seedCatalog(catalog);
+    console.log(`Catalog: ${seeded.created} entries created, ${seeded.updated} updated`);
+
+    let linked = 0;
+    const unmatched = new Map();
+    for await (const skill of Skill.find().select('title catalogSkill').lean().cursor()) {
+      const catalogSkill = await skillTaxonomyService.linkSkill(skill);
+      if (catalogSkill) {
+        linked++;
+      } else {
+        const title = (skill.title || '').trim().toLowerCase();
+        unmatched.set(title, (unmatched.get(title) || 0) + 1);
+      }
+    }
+    const unmatchedCount = [...unmatched.values()].reduce((sum, count) => sum + count, 0);
+    console.log(`Skills: ${linked} linked to the catalog, ${unmatchedCount} without a match`);
+
+    // linkSkill already updated cards of linked skills; this covers cards whose skills were deleted
+    let cards = 0;
+    for await (const swapCard of SwapCard.find().select('offeredSkill desiredSkill').cursor()) {
+      await skillTaxonomyService.linkSwapCard(swapCard);
+      await SwapCard.updateOne({ _id: swapCard._id }, {
+        $set: {
+          offeredCatalogSkill: swapCard.offeredCatalogSkill,
+          desiredCatalogSkill: swapCard.desiredCatalogSkill
+        }
+      });
+      cards++;
+    }
+    console.log(`Swap cards: ${cards} updated`);
+
+    if (unmatched.size) {
+      console.log('Most common unmatched titles:');
+      [...unmatched.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, UNMATCHED_REPORT_SIZE)
+        .forEach(([title, count]) => console.log(`  ${count}\t${title}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+runMigration();
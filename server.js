@@ -17,6 +17,13 @@ const colors = require('colors');
 const { trackActivity } = require('./middleware/activityTracker');
 const videoSessionRoutes = require('./routes/videoSessionRoutes');
 const autoDeletionService = require('./utils/autoDeletionService');
+const accountDeletionService = require('./services/accountDeletionService');
+const dataExportService = require('./services/dataExportService');
+const skillMarketService = require('./services/skillMarketService');
+const swapSchedulingService = require('./services/swapSchedulingService');
+const swapCompletionService = require('./services/swapCompletionService');
+const swapCycleService = require('./services/swapCycleService');
+const swapCardExpiryService = require('./services/swapCardExpiryService');
 
 // Function to create a status message
 const createStatusMessage = (title, content) => {
@@ -85,7 +92,7 @@ app.use(
     origin: allowedOrigin,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Device-Id"],
   })
 );
 logger.info(colors.green('✓ CORS middleware configured'));
@@ -133,6 +140,28 @@ mongoose.connect(process.env.MONGO_URI)
   .then(() => {
     logger.info(colors.green('✓ Connected to MongoDB'));
     console.log(createStatusMessage('MongoDB Status', colors.green('Connected successfully')));
+
+    // Purge accounts whose deletion grace period has ended
+    accountDeletionService.start();
+    logger.info(colors.green('✓ Account deletion service started'));
+
+    // Remove data export archives after their download window
+    dataExportService.start();
+
+    // Daily skill supply/demand figures for /api/skills/market
+    skillMarketService.start();
+
+    // Reminders for booked swap sessions
+    swapSchedulingService.start();
+
+    // Reminders and auto-close for swaps waiting on a completion confirmation
+    swapCompletionService.start();
+
+    // Daily search for 3-4 person swap cycles; expires unanswered proposals
+    swapCycleService.start();
+
+    // Hourly expiry reminders, and closing of expired and inactive swap cards
+    swapCardExpiryService.start();
   })
   .catch((error) => {
     logger.error(colors.red('✗ MongoDB connection error:'), error);
@@ -260,6 +289,7 @@ logger.info(colors.green('✓ Feature flags middleware configured'));
 // API Routes
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/skills', require('./routes/skillRoutes'));
+app.use('/api/learning-paths', require('./routes/learningPathRoutes'));
 app.use('/api/chat', require('./routes/chatRoutes'));
 app.use('/api/communities', require('./routes/communityRoutes'));
 app.use('/api/communities', require('./routes/communityPostRoutes'));
@@ -268,11 +298,13 @@ app.use('/api/events', require('./routes/eventRoutes'));
 app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/api/activities', require('./routes/activityRoutes'));
 app.use('/api/swapcards', require('./routes/swapCardRoutes'));
+app.use('/api/swap-cycles', require('./routes/swapCycleRoutes'));
 app.use('/api/transactions', require('./routes/transactionRoutes'));
 app.use('/api/saved-searches', require('./routes/savedSearchRoutes'));
 app.use('/api/recommendations', require('./routes/recommendationRoutes'));
 app.use('/api/ratings', require('./routes/ratingRoutes'));
 app.use('/api/badges', require('./routes/badgeRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api/video-session', videoSessionRoutes);
 logger.info(colors.green('✓ API routes configured'));
 
@@ -323,6 +355,13 @@ const gracefulShutdown = async () => {
     // Stop auto-deletion service
     autoDeletionService.stop();
     logger.info(colors.green('✓ Auto-deletion service stopped'));
+    accountDeletionService.stop();
+    logger.info(colors.green('✓ Account deletion service stopped'));
+    dataExportService.stop();
+    swapSchedulingService.stop();
+    swapCompletionService.stop();
+    swapCycleService.stop();
+    swapCardExpiryService.stop();
     
     await mongoose.connection.close();
     logger.info(colors.green('✓ MongoDB connection closed'));
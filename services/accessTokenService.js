@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Personal access tokens look like "nyp_<64 hex chars>" so they can't be confused with session JWTs
+const TOKEN_PREFIX = 'nyp_';
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = 365;
+const MAX_TOKENS_PER_USER = 20;
+// Avoid a write on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+class AccessTokenService {
+  constructor() {
+    this.scopes = PersonalAccessToken.SCOPES;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a token. Returns { token, accessToken } where `token` is the raw value, shown to the
+   * user once and never again, or { error, status } when the request is invalid.
+   */
+  async createToken(userId, { name, scopes, expiresInDays } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'A token name is required.', status: 400 };
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return { error: 'At least one scope is required.', status: 400 };
+    }
+    const unknown = scopes.filter(scope => !this.scopes.includes(scope));
+    if (unknown.length) {
+      return { error: `Unknown scopes: ${unknown.join(', ')}`, status: 400 };
+    }
+
+    const days = expiresInDays === undefined ? DEFAULT_TTL_DAYS : Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_TTL_DAYS) {
+      return { error: `Tokens must expire in 1 to ${MAX_TTL_DAYS} days.`, status: 400 };
+    }
+
+    const activeCount = await PersonalAccessToken.countDocuments({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return { error: `You can have at most ${MAX_TOKENS_PER_USER} active tokens.`, status: 409 };
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const accessToken = await PersonalAccessToken.create({
+      user: userId,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      tokenHash: this.hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    logger.info('Personal access token created', { userId, tokenId: accessToken._id, scopes: accessToken.scopes });
+    return { token, accessToken };
+  }
+
+  listTokens(userId) {
+    return PersonalAccessToken.find({ user: userId, revokedAt: { $exists: false } })
+      .sort('-createdAt')
+      .lean();
+  }
+
+  async revokeToken(userId, tokenId) {
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: tokenId, user: userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (accessToken) logger.info('Personal access token revoked', { userId, tokenId });
+    return accessToken;
+  }
+
+  async revokeAllTokens(userId) {
+    const result = await PersonalAccessToken.updateMany(
+      { user: userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Resolve a raw token to { user, accessToken }, or null if it is unknown, expired or revoked
+  async authenticate(token, ip) {
+    if (!this.isAccessToken(token)) return null;
+
+    const accessToken = await PersonalAccessToken.findOne({ tokenHash: this.hashToken(token) });
+    if (!accessToken || !accessToken.isActive()) return null;
+
+    const user = await User.findById(accessToken.user).select('-password');
+    if (!user) return null;
+
+    if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      PersonalAccessToken.updateOne({ _id: accessToken._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } })
+        .catch(err => logger.error('Error updating token lastUsedAt:', err));
+    }
+
+    return { user, accessToken };
+  }
+
+  hasScope(accessToken, scope) {
+    return (accessToken?.scopes || []).includes(scope);
+  }
+}
+
+module.exports = new AccessTokenService();
@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const AccountDeletion = require('../models/AccountDeletion');
+const Activity = require('../models/Activity');
+const AuthToken = require('../models/AuthToken');
+const Chat = require('../models/Chat');
+const Community = require('../models/Community');
+const Endorsement = require('../models/Endorsement');
+const Event = require('../models/Event');
+const FollowRequest = require('../models/FollowRequest');
+const LearningPath = require('../models/LearningPath');
+const LearningPathProgress = require('../models/LearningPathProgress');
+const Notification = require('../models/Notification');
+const NotificationSettings = require('../models/NotificationSettings');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Post = require('../models/Post');
+const Rating = require('../models/Rating');
+const RecommendationFeedback = require('../models/RecommendationFeedback');
+const Report = require('../models/Report');
+const SavedPost = require('../models/SavedPost');
+const SavedSearch = require('../models/SavedSearch');
+const Session = require('../models/Session');
+const Share = require('../models/Share');
+const Skill = require('../models/Skill');
+const SkillVerification = require('../models/SkillVerification');
+const SwapCard = require('../models/SwapCard');
+const SwapRequest = require('../models/SwapRequest');
+const SwapCycle = require('../models/SwapCycle');
+const SwapSession = require('../models/SwapSession');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const dataExportService = require('./dataExportService');
+const endorsementService = require('./endorsementService');
+const swapRequestService = require('./swapRequestService');
+const swapCycleService = require('./swapCycleService');
+const logger = require('../utils/logger');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Purge steps, run in order. Each returns { deleted, anonymized, updated } counts for the report
+ * and may add media URLs to `ctx.media` for removal once the database work is done.
+ * Models added later should register a step here so deletions stay complete.
+ */
+const steps = [
+  {
+    name: 'Post',
+    run: async (userId, ctx) => {
+      const posts = await Post.find({ user: userId }).select('images media').lean();
+      posts.forEach(post => {
+        (post.images || []).forEach(image => ctx.media.push(image.url));
+        (post.media || []).forEach(url => ctx.media.push(url));
+      });
+      const postIds = posts.map(post => post._id);
+      ctx.postIds = postIds;
+
+      const deleted = await Post.deleteMany({ _id: { $in: postIds } });
+      // Remove the user's likes, comments and replies on everyone else's posts
+      const likes = await Post.updateMany({ 'likes.user': userId }, { $pull: { likes: { user: userId } } });
+      const comments = await Post.updateMany({ 'comments.user': userId }, { $pull: { comments: { user: userId } } });
+      const replies = await Post.updateMany(
+        { 'comments.replies.user': userId },
+        { $pull: { 'comments.$[].replies': { user: userId } } }
+      );
+
+      return {
+        deleted: deleted.deletedCount,
+        updated: likes.modifiedCount + comments.modifiedCount + replies.modifiedCount
+      };
+    }
+  },
+  {
+    name: 'SavedPost',
+    run: async (userId, ctx) => {
+      const result = await SavedPost.deleteMany({
+        $or: [{ user: userId }, { post: { $in: ctx.postIds || [] } }]
+      });
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'Share',
+    run: async (userId, ctx) => {
+      const result = await Share.deleteMany({
+        $or: [{ user: userId }, { post: { $in: ctx.postIds || [] } }]
+      });
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'Endorsement',
+    run: async (userId) => {
+      const filter = { $or: [{ endorser: userId }, { endorsee: userId }] };
+      const given = await Endorsement.find({ endorser: userId }).distinct('skill');
+      const result = await Endorsement.deleteMany(filter);
+
+      // Endorsements on other people's skills disappear, so their counts must follow
+      for (const skillId of given) {
+        await endorsementService.refreshCount(skillId);
+      }
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'LearningPath',
+    run: async (userId) => {
+      // Paths the user wrote go away for their followers too
+      const paths = await LearningPath.find({ author: userId }).distinct('_id');
+      const followers = await LearningPathProgress.deleteMany({ path: { $in: paths } });
+      const result = await LearningPath.deleteMany({ author: userId });
+
+      // Keep follower counts right on the paths the user followed
+      const followed = await LearningPathProgress.find({ user: userId }).distinct('path');
+      const own = await LearningPathProgress.deleteMany({ user: userId });
+      await LearningPath.updateMany({ _id: { $in: followed }, followerCount: { $gt: 0 } }, { $inc: { followerCount: -1 } });
+      return { deleted: result.deletedCount + followers.deletedCount + own.deletedCount };
+    }
+  },
+  {
+    name: 'Skill',
+    run: async (userId, ctx) => {
+      const skills = await Skill.find({ user: userId }).select('media').lean();
+      skills.forEach(skill => (skill.media || []).forEach(url => ctx.media.push(url)));
+      const result = await Skill.deleteMany({ user: userId });
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'SwapRequest',
+    run: async (userId) => {
+      const cardIds = await SwapCard.find({ user: userId }).distinct('_id');
+      const involved = {
+        $or: [
+          { sender: userId },
+          { receiver: userId },
+          { swapCardId: { $in: cardIds } }
+        ]
+      };
+
+      // Runs before the cards are deleted. Going through the lifecycle releases the other party's cards,
+      // cancels the swap's sessions and tells them; requests waiting on this user are declined the same way.
+      let updated = 0;
+      const open = await SwapRequest.find({
+        $or: [
+          { ...involved, status: { $in: swapRequestService.activeStatuses } },
+          { receiver: userId, status: 'pending' }
+        ]
+      }).select('status').lean();
+      for (const { _id, status } of open) {
+        const result = await swapRequestService.transition(_id, status === 'pending' ? 'reject' : 'cancel', null, {
+          reason: 'The other member deleted their account.'
+        });
+        if (result.swapRequest) updated++;
+      }
+
+      // Completed swaps stay in the other party's history; the deleted user's side is anonymized
+      const anonymized = await SwapRequest.updateMany(
+        { ...involved, status: 'completed' },
+        { $unset: { notes: '', 'history.$[].reason': '', 'proposals.$[].comment': '', 'proposals.$[].terms.notes': '' } }
+      );
+      const deleted = await SwapRequest.deleteMany({ ...involved, status: { $ne: 'completed' } });
+      return { deleted: deleted.deletedCount, anonymized: anonymized.matchedCount, updated };
+    }
+  },
+  {
+    name: 'SwapCard',
+    run: async (userId, ctx) => {
+      const cards = await SwapCard.find({ user: userId }).select('images').lean();
+      cards.forEach(card => (card.images || []).forEach(url => ctx.media.push(url)));
+
+      const deleted = await SwapCard.deleteMany({ user: userId });
+      const likes = await SwapCard.updateMany({ likes: userId }, { $pull: { likes: userId } });
+      return { deleted: deleted.deletedCount, updated: likes.modifiedCount };
+    }
+  },
+  {
+    name: 'SwapSession',
+    run: async (userId) => {
+      // Open sessions were cancelled with their swap above; held ones stay with the completed swaps they belong to
+      const anonymized = await SwapSession.updateMany(
+        { participants: userId, status: 'completed' },
+        { $unset: { notes: '' } }
+      );
+      const deleted = await SwapSession.deleteMany({ participants: userId, status: { $ne: 'completed' } });
+      return { deleted: deleted.deletedCount, anonymized: anonymized.matchedCount };
+    }
+  },
+  {
+    name: 'SwapCycle',
+    run: async (userId) => {
+      // The other members can't go ahead without this user, so their open cycles end here
+      const updated = await swapCycleService.cancelForUser(userId, 'A member deleted their account.');
+      const anonymized = await SwapCycle.updateMany(
+        { 'history.by': userId },
+        { $unset: { 'history.$[event].reason': '' } },
+        { arrayFilters: [{ 'event.by': userId }] }
+      );
+      return { updated, anonymized: anonymized.matchedCount };
+    }
+  },
+  {
+    name: 'Chat',
+    run: async (userId, ctx) => {
+      const collectMedia = (messages) => messages.forEach(message => {
+        if (message.fileMessage?.fileUrl) ctx.media.push(message.fileMessage.fileUrl);
+        if (message.voiceMessage?.fileUrl) ctx.media.push(message.voiceMessage.fileUrl);
+      });
+
+      // One-to-one conversations can't be meaningfully kept without one side
+      const personal = await Chat.find({ type: 'personal', participants: userId }).select('messages').lean();
+      personal.forEach(chat => collectMedia(chat.messages || []));
+      const deleted = await Chat.deleteMany({ _id: { $in: personal.map(chat => chat._id) } });
+
+      // In group chats, drop the user's messages and membership but keep the conversation
+      const groups = await Chat.find({ type: { $ne: 'personal' }, 'messages.sender': userId }).select('messages').lean();
+      groups.forEach(chat => collectMedia((chat.messages || []).filter(m => m.sender?.toString() === userId.toString())));
+      const messages = await Chat.updateMany(
+        { type: { $ne: 'personal' }, 'messages.sender': userId },
+        { $pull: { messages: { sender: userId } } }
+      );
+      const membership = await Chat.updateMany(
+        { type: { $ne: 'personal' }, $or: [{ participants: userId }, { readBy: userId }] },
+        { $pull: { participants: userId, readBy: userId } }
+      );
+
+      return { deleted: deleted.deletedCount, updated: messages.modifiedCount + membership.modifiedCount };
+    }
+  },
+  {
+    name: 'Rating',
+    run: async (userId) => {
+      const filter = { $or: [{ rater: userId }, { ratedItem: userId, itemType: 'user' }] };
+      const affected = await Rating.find(filter).select('ratedItem itemType').lean();
+      const result = await Rating.deleteMany(filter);
+
+      // Keep averages on the items that were rated accurate
+      const items = new Map(affected.map(r => [`${r.itemType}:${r.ratedItem}`, r]));
+      for (const { ratedItem, itemType } of items.values()) {
+        if (itemType === 'user' && ratedItem.toString() === userId.toString()) continue;
+        await Rating.updateAverageRating(ratedItem, itemType);
+      }
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'Community',
+    run: async (userId) => {
+      let updated = 0;
+      let deleted = 0;
+
+      // Hand owned communities to the longest-standing member, or remove them if empty
+      const owned = await Community.find({ admin: userId }).select('members');
+      for (const community of owned) {
+        const successor = community.members.find(member => member.toString() !== userId.toString());
+        if (successor) {
+          community.admin = successor;
+          community.members.pull(userId);
+          await community.save();
+          updated++;
+        } else {
+          await Community.deleteOne({ _id: community._id });
+          deleted++;
+        }
+      }
+
+      const membership = await Community.updateMany(
+        { $or: [{ members: userId }, { bannedMembers: userId }, { joinRequests: userId }] },
+        { $pull: { members: userId, bannedMembers: userId, joinRequests: userId } }
+      );
+      return { deleted, updated: updated + membership.modifiedCount };
+    }
+  },
+  {
+    name: 'Event',
+    run: async (userId) => {
+      const result = await Event.updateMany({ rsvp: userId }, { $pull: { rsvp: userId } });
+      return { updated: result.modifiedCount };
+    }
+  },
+  {
+    name: 'Notification',
+    run: async (userId) => {
+      const result = await Notification.deleteMany({ $or: [{ user: userId }, { sender: userId }] });
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'FollowRequest',
+    run: async (userId) => {
+      const result = await FollowRequest.deleteMany({ $or: [{ requester: userId }, { target: userId }] });
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'Report',
+    run: async (userId) => {
+      const result = await Report.deleteMany({ $or: [{ reporter: userId }, { reportedUser: userId }] });
+      return { deleted: result.deletedCount };
+    }
+  },
+  {
+    name: 'Transaction',
+    run: async (userId) => {
+      // Financial records are kept for accounting; they no longer point at a person
+      const result = await Transaction.updateMany({ user: userId }, { $unset: { user: '' } });
+      return { anonymized: result.modifiedCount };
+    }
+  },
+  {
+    name: 'DataExport',
+    run: async (userId) => {
+      // Archives on disk go with their records
+      return { deleted: await dataExportService.deleteUserExports(userId) };
+    }
+  },
+  // Plain per-user collections
+  ...[Activity, Session, AuthToken, PersonalAccessToken, SavedSearch, RecommendationFeedback, NotificationSettings, SkillVerification]
+    .map(Model => ({
+      name: Model.modelName,
+      run: async (userId) => {
+        const result = await Model.deleteMany({ user: userId });
+        return { deleted: result.deletedCount };
+      }
+    })),
+  {
+    name: 'User',
+    run: async (userId, ctx) => {
+      const user = await User.findById(userId).select('avatar avatarThumbnail avatarSmall banner').lean();
+      if (user) {
+        ['avatar', 'avatarThumbnail', 'avatarSmall', 'banner'].forEach(field => {
+          if (user[field]) ctx.media.push(user[field]);
+        });
+      }
+
+      const relations = await User.updateMany(
+        { $or: [{ followers: userId }, { following: userId }, { blocked: userId }] },
+        { $pull: { followers: userId, following: userId, blocked: userId } }
+      );
+      const deleted = await User.deleteOne({ _id: userId });
+      return { deleted: deleted.deletedCount, updated: relations.modifiedCount };
+    }
+  }
+];
+
+class AccountDeletionService {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.steps = steps;
+  }
+
+  // Start polling for deletions whose grace period has ended
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.interval = setInterval(() => {
+      this.processDueDeletions();
+    }, CHECK_INTERVAL_MS);
+
+    logger.info('Account deletion service started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    logger.info('Account deletion service stopped');
+  }
+
+  getPendingDeletion(userId) {
+    return AccountDeletion.findOne({ user: userId, status: { $in: ['scheduled', 'processing'] } });
+  }
+
+  // Schedule deletion after the grace period. Returns the existing request if there is one.
+  async scheduleDeletion(user, reason) {
+    const existing = await this.getPendingDeletion(user._id);
+    if (existing) return existing;
+
+    const scheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    const deletion = await AccountDeletion.create({
+      user: user._id,
+      username: user.username,
+      emailHash: crypto.createHash('sha256').update(user.email).digest('hex'),
+      reason,
+      scheduledFor
+    });
+    await User.updateOne({ _id: user._id }, { $set: { deletionScheduledFor: scheduledFor } });
+
+    logger.info('Account deletion scheduled', { userId: user._id, scheduledFor });
+    return deletion;
+  }
+
+  // Cancel a scheduled deletion. Returns null if there is nothing left to cancel.
+  async cancelDeletion(userId) {
+    const deletion = await AccountDeletion.findOneAndUpdate(
+      { user: userId, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!deletion) return null;
+
+    await User.updateOne({ _id: userId }, { $unset: { deletionScheduledFor: '' } });
+    logger.info('Account deletion cancelled', { userId });
+    return deletion;
+  }
+
+  async processDueDeletions() {
+    try {
+      const due = await AccountDeletion.find({
+        $or: [
+          { status: 'scheduled', scheduledFor: { $lte: new Date() } },
+          { status: 'failed', attempts: { $lt: MAX_ATTEMPTS } }
+        ]
+      }).select('_id').lean();
+
+      for (const { _id } of due) {
+        await this.processDeletion(_id);
+      }
+    } catch (error) {
+      logger.error('Error processing account deletions:', error);
+    }
+  }
+
+  // Run every purge step for one request and record the report
+  async processDeletion(deletionId) {
+    // Claim the request so concurrent workers don't process it twice
+    const deletion = await AccountDeletion.findOneAndUpdate(
+      { _id: deletionId, status: { $in: ['scheduled', 'failed'] } },
+      { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!deletion) return null;
+
+    const userId = deletion.user;
+    const ctx = { media: [] };
+    logger.info('Processing account deletion', { userId, deletionId });
+
+    // Sign the user out everywhere before their data disappears
+    await sessionService.revokeAllSessions(userId, 'logout_all');
+
+    let failed = false;
+    for (const step of this.steps) {
+      try {
+        const counts = await step.run(userId, ctx);
+        deletion.report.set(step.name, counts || {});
+      } catch (error) {
+        failed = true;
+        logger.error(`Account deletion step ${step.name} failed:`, error);
+        deletion.failures.push({ step: step.name, message: error.message });
+      }
+    }
+
+    const media = await this.deleteMedia([...new Set(ctx.media)]);
+    deletion.media = media;
+
+    deletion.status = failed ? 'failed' : 'completed';
+    if (!failed) deletion.completedAt = new Date();
+    await deletion.save();
+
+    logger.info('Account deletion finished', { userId, status: deletion.status, media });
+    return deletion;
+  }
+
+  // Remove Cloudinary and B2 files. Failures are counted, not fatal.
+  async deleteMedia(urls) {
+    const { cloudinaryUtils } = require('../utils/cloudinary');
+    const backblaze = require('../utils/backblaze');
+    const result = { deleted: 0, failed: 0 };
+
+    for (const url of urls) {
+      try {
+        const publicId = cloudinaryUtils.getPublicIdFromUrl(url);
+        const b2FileName = backblaze.getFileNameFromUrl(url);
+        if (publicId) {
+          await cloudinaryUtils.deleteFile(publicId);
+          result.deleted++;
+        } else if (b2FileName) {
+          await backblaze.deleteFileByName(b2FileName);
+          result.deleted++;
+        }
+      } catch (error) {
+        result.failed++;
+        logger.error('Error deleting media during account deletion:', { url, error: error.message });
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const FollowRequest = require('../models/FollowRequest');
+const logger = require('../utils/logger');
+
+const toObjectId = (value) => new mongoose.Types.ObjectId((value?._id || value).toString());
+
+/**
+ * Blocking works in both directions: once either user blocks the other,
+ * neither can message, comment on, follow, swap with or find the other.
+ */
+class BlockService {
+  // Whether either user has blocked the other
+  async isBlockedBetween(userId, otherId) {
+    if (!userId || !otherId) return false;
+    const a = toObjectId(userId);
+    const b = toObjectId(otherId);
+    const blocked = await User.exists({
+      $or: [{ _id: a, blocked: b }, { _id: b, blocked: a }]
+    });
+    return !!blocked;
+  }
+
+  // Everyone the user has blocked or been blocked by
+  async getBlockedUserIds(userId) {
+    if (!userId) return [];
+    const id = toObjectId(userId);
+    const [user, blockedBy] = await Promise.all([
+      User.findById(id).select('blocked').lean(),
+      User.find({ blocked: id }).distinct('_id')
+    ]);
+
+    const ids = new Map();
+    [...(user?.blocked || []), ...blockedBy].forEach(other => ids.set(other.toString(), other));
+    return [...ids.values()];
+  }
+
+  // Of the given users, the ones blocked in either direction with `userId`
+  async filterBlocked(userId, otherIds) {
+    const blocked = new Set((await this.getBlockedUserIds(userId)).map(id => id.toString()));
+    return otherIds.filter(other => blocked.has((other?._id || other).toString()));
+  }
+
+  async block(user, target) {
+    const userId = toObjectId(user);
+    const targetId = toObjectId(target);
+
+    await User.updateOne({ _id: userId }, {
+      $addToSet: { blocked: targetId },
+      $pull: { following: targetId, followers: targetId }
+    });
+    await User.updateOne({ _id: targetId }, {
+      $pull: { following: userId, followers: userId }
+    });
+    await FollowRequest.updateMany(
+      {
+        status: 'pending',
+        $or: [{ requester: userId, target: targetId }, { requester: targetId, target: userId }]
+      },
+      { $set: { status: 'cancelled', respondedAt: new Date() } }
+    );
+
+    await this.syncSockets(userId, targetId, true);
+    logger.info('User blocked', { userId, targetId });
+  }
+
+  // Returns false if the target was not blocked
+  async unblock(user, target) {
+    const userId = toObjectId(user);
+    const targetId = toObjectId(target);
+    const result = await User.updateOne({ _id: userId, blocked: targetId }, { $pull: { blocked: targetId } });
+    if (result.modifiedCount === 0) return false;
+
+    await this.syncSockets(userId, targetId);
+    logger.info('User unblocked', { userId, targetId });
+    return true;
+  }
+
+  // Refresh live sockets so real-time events respect the change; on block, the pair's direct chat room is closed too
+  async syncSockets(userId, targetId, closeChats = false) {
+    try {
+      const socketService = require('../utils/socket');
+      if (!socketService.io) return;
+
+      const personalChats = closeChats
+        ? await Chat.find({ type: 'personal', participants: { $all: [userId, targetId], $size: 2 } }).distinct('_id')
+        : [];
+
+      await socketService.refreshBlocks([userId, targetId], personalChats.map(id => id.toString()));
+    } catch (error) {
+      logger.error('Error syncing sockets after block change:', error);
+    }
+  }
+}
+
+module.exports = new BlockService();
@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const archiver = require('archiver');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const SkillVerification = require('../models/SkillVerification');
+const SwapCard = require('../models/SwapCard');
+const LearningPath = require('../models/LearningPath');
+const LearningPathProgress = require('../models/LearningPathProgress');
+const SwapRequest = require('../models/SwapRequest');
+const SwapSession = require('../models/SwapSession');
+const SwapCycle = require('../models/SwapCycle');
+const Post = require('../models/Post');
+const Chat = require('../models/Chat');
+const FollowRequest = require('../models/FollowRequest');
+const Rating = require('../models/Rating');
+const Endorsement = require('../models/Endorsement');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const SavedSearch = require('../models/SavedSearch');
+const Transaction = require('../models/Transaction');
+const { escapeHtml } = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports');
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 48;
+const DOWNLOAD_LINK_TTL_SECONDS = 60 * 60;
+const DOWNLOAD_AUDIENCE = 'netyora:data-export';
+// One new export per user in this window
+const REQUEST_COOLDOWN_MS = 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Fields that must never leave the server, even to the account owner
+const PRIVATE_USER_FIELDS = '-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes';
+
+/**
+ * Sections of the archive. Each writes <name>.json and is listed in index.html.
+ * Models added later should add a section here so exports stay complete.
+ */
+const sections = [
+  {
+    name: 'profile',
+    title: 'Profile',
+    collect: async (userId) => {
+      const user = await User.findById(userId)
+        .select(PRIVATE_USER_FIELDS)
+        .populate('lookingFor', 'title description category tags experienceLevel')
+        .populate('followers following blocked', 'username firstName lastName')
+        .lean();
+      return user ? [user] : [];
+    }
+  },
+  {
+    name: 'follow-requests',
+    title: 'Follow requests sent and received',
+    collect: (userId) => FollowRequest.find({ $or: [{ requester: userId }, { target: userId }] })
+      .populate('requester target', 'username')
+      .lean()
+  },
+  {
+    name: 'skills',
+    title: 'Skills',
+    collect: (userId) => Skill.find({ user: userId }).lean()
+  },
+  {
+    name: 'skill-verifications',
+    title: 'Skill verification requests',
+    collect: (userId) => SkillVerification.find({ user: userId }).populate('skill', 'title').lean()
+  },
+  {
+    name: 'learning-paths',
+    title: 'Learning paths you wrote',
+    collect: (userId) => LearningPath.find({ author: userId }).lean()
+  },
+  {
+    name: 'learning-path-progress',
+    title: 'Learning path progress',
+    collect: (userId) => LearningPathProgress.find({ user: userId }).populate('path', 'title').lean()
+  },
+  {
+    name: 'swap-cards',
+    title: 'Swap cards',
+    collect: (userId) => SwapCard.find({ user: userId }).lean()
+  },
+  {
+    name: 'swap-requests',
+    title: 'Swap requests',
+    collect: (userId) => SwapRequest.find({ $or: [{ sender: userId }, { receiver: userId }] })
+      .populate('sender receiver', 'username')
+      .lean()
+  },
+  {
+    name: 'swap-sessions',
+    title: 'Swap sessions',
+    collect: (userId) => SwapSession.find({ participants: userId }).sort({ startsAt: 1 }).lean()
+  },
+  {
+    name: 'swap-cycles',
+    title: 'Swap cycles',
+    collect: (userId) => SwapCycle.find({ 'members.user': userId }).sort({ createdAt: 1 }).lean()
+  },
+  {
+    name: 'posts',
+    title: 'Posts',
+    collect: (userId) => Post.find({ user: userId }).lean()
+  },
+  {
+    name: 'comments',
+    title: 'Comments and replies on other posts',
+    collect: async (userId) => {
+      const id = userId.toString();
+      const posts = await Post.find({
+        user: { $ne: userId },
+        $or: [{ 'comments.user': userId }, { 'comments.replies.user': userId }]
+      }).select('comments').lean();
+
+      const comments = [];
+      posts.forEach(post => (post.comments || []).forEach(comment => {
+        if (comment.user?.toString() === id) {
+          comments.push({ post: post._id, type: 'comment', content: comment.content, createdAt: comment.createdAt });
+        }
+        (comment.replies || []).forEach(reply => {
+          if (reply.user?.toString() === id) {
+            comments.push({ post: post._id, type: 'reply', content: reply.content, createdAt: reply.createdAt });
+          }
+        });
+      }));
+      return comments;
+    }
+  },
+  {
+    name: 'messages',
+    title: 'Chat messages you sent',
+    collect: async (userId) => {
+      const id = userId.toString();
+      const chats = await Chat.find({ participants: userId }).select('type title messages').lean();
+      return chats.map(chat => ({
+        chat: chat._id,
+        type: chat.type,
+        title: chat.title,
+        messages: (chat.messages || [])
+          .filter(message => message.sender?.toString() === id)
+          .map(({ _id, content, type, fileMessage, voiceMessage, timestamp }) => ({
+            _id,
+            content,
+            type,
+            file: fileMessage?.fileUrl ? { name: fileMessage.fileName, url: fileMessage.fileUrl } : undefined,
+            voice: voiceMessage?.fileUrl ? { url: voiceMessage.fileUrl, duration: voiceMessage.duration } : undefined,
+            timestamp
+          }))
+      })).filter(chat => chat.messages.length > 0);
+    }
+  },
+  {
+    name: 'ratings-given',
+    title: 'Ratings you gave',
+    collect: (userId) => Rating.find({ rater: userId }).lean()
+  },
+  {
+    name: 'ratings-received',
+    title: 'Ratings you received',
+    collect: async (userId) => {
+      const [skills, cards, posts] = await Promise.all([
+        Skill.find({ user: userId }).distinct('_id'),
+        SwapCard.find({ user: userId }).distinct('_id'),
+        Post.find({ user: userId }).distinct('_id')
+      ]);
+      const ratings = await Rating.find({
+        $or: [
+          { ratedItem: userId, itemType: 'user' },
+          { ratedItem: { $in: skills }, itemType: 'skill' },
+          { ratedItem: { $in: cards }, itemType: 'swap' },
+          { ratedItem: { $in: posts }, itemType: 'post' }
+        ]
+      }).populate('rater', 'username').lean();
+      // Anonymous ratings stay anonymous in the export too
+      return ratings.map(rating => (rating.isAnonymous ? { ...rating, rater: undefined } : rating));
+    }
+  },
+  {
+    name: 'endorsements-given',
+    title: 'Endorsements you gave',
+    collect: (userId) => Endorsement.find({ endorser: userId }).populate('skill', 'title').lean()
+  },
+  {
+    name: 'endorsements-received',
+    title: 'Endorsements you received',
+    collect: (userId) => Endorsement.find({ endorsee: userId })
+      .populate('skill', 'title')
+      .populate('endorser', 'username')
+      .lean()
+  },
+  {
+    name: 'activities',
+    title: 'Activity history',
+    collect: (userId) => Activity.find({ user: userId }).sort({ createdAt: -1 }).lean()
+  },
+  {
+    name: 'notifications',
+    title: 'Notifications',
+    collect: (userId) => Notification.find({ user: userId }).sort({ createdAt: -1 }).lean()
+  },
+  {
+    name: 'saved-searches',
+    title: 'Saved searches',
+    collect: (userId) => SavedSearch.find({ user: userId }).lean()
+  },
+  {
+    name: 'access-tokens',
+    title: 'Personal access tokens',
+    // Token hashes are never selected, so no usable credential ends up in the archive
+    collect: (userId) => PersonalAccessToken.find({ user: userId }).lean()
+  },
+  {
+    name: 'transactions',
+    title: 'Transactions',
+    collect: (userId) => Transaction.find({ user: userId }).lean()
+  }
+];
+
+const renderIndex = (user, entries, generatedAt) => {
+  const rows = entries.map(({ name, title, count }) => `
+      <tr>
+        <td><a href="${escapeHtml(name)}.json">${escapeHtml(title)}</a></td>
+        <td>${escapeHtml(name)}.json</td>
+        <td>${count}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Netyora data export for ${escapeHtml(user?.username)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+    </style>
+  </head>
+  <body>
+    <h1>Your Netyora data</h1>
+    <p>
+      Account: <strong>${escapeHtml(user?.username)}</strong> (${escapeHtml(user?.email)})<br>
+      Generated: ${escapeHtml(generatedAt.toISOString())}
+    </p>
+    <p>Each file below is JSON and can be opened in any text editor.</p>
+    <table>
+      <thead><tr><th>Section</th><th>File</th><th>Records</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </body>
+</html>`;
+};
+
+class DataExportService {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.sections = sections;
+  }
+
+  // Periodically remove archives whose download window has closed
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.interval = setInterval(() => {
+      this.cleanupExpired();
+    }, CLEANUP_INTERVAL_MS);
+
+    logger.info('Data export cleanup started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Queue a new export. Returns { dataExport } or { error, status } when the user
+   * already has one running or asked too recently.
+   */
+  async requestExport(userId) {
+    const inProgress = await DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+    if (inProgress) {
+      return { error: 'An export is already being prepared.', status: 409, dataExport: inProgress };
+    }
+
+    const recent = await DataExport.findOne({
+      user: userId,
+      createdAt: { $gt: new Date(Date.now() - REQUEST_COOLDOWN_MS) }
+    });
+    if (recent) {
+      return { error: 'You can request a new export once per hour.', status: 429, dataExport: recent };
+    }
+
+    const dataExport = await DataExport.create({ user: userId });
+    const { dataExportQueue } = require('../utils/queue');
+    await dataExportQueue.add({ exportId: dataExport._id.toString() });
+
+    logger.info('Data export requested', { userId, exportId: dataExport._id });
+    return { dataExport };
+  }
+
+  // Build the ZIP for an export. Called by the data export queue.
+  async buildExport(exportId) {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: 'pending' },
+      { $set: { status: 'processing', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!dataExport) return null;
+
+    const userId = dataExport.user;
+    const filePath = path.join(EXPORT_DIR, `${userId}-${dataExport._id}.zip`);
+
+    try {
+      await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+      const generatedAt = new Date();
+      const user = await User.findById(userId).select('username email').lean();
+
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const finished = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+      });
+      archive.pipe(output);
+
+      const entries = [];
+      for (const section of this.sections) {
+        const records = await section.collect(userId);
+        archive.append(JSON.stringify(records, null, 2), { name: `${section.name}.json` });
+        entries.push({ name: section.name, title: section.title, count: records.length });
+        dataExport.counts.set(section.name, records.length);
+      }
+      archive.append(renderIndex(user, entries, generatedAt), { name: 'index.html' });
+
+      await archive.finalize();
+      await finished;
+
+      const { size } = await fs.promises.stat(filePath);
+      dataExport.set({
+        status: 'ready',
+        filePath,
+        fileSize: size,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000)
+      });
+      await dataExport.save();
+
+      this.notifyReady(userId, dataExport);
+      logger.info('Data export ready', { userId, exportId, size });
+      return dataExport;
+    } catch (error) {
+      logger.error('Data export failed:', error);
+      await fs.promises.rm(filePath, { force: true });
+      dataExport.set({ status: 'failed', error: error.message });
+      await dataExport.save();
+      throw error;
+    }
+  }
+
+  notifyReady(userId, dataExport) {
+    try {
+      const socketService = require('../utils/socket');
+      socketService.sendToUser(userId.toString(), 'dataExportReady', {
+        exportId: dataExport._id,
+        expiresAt: dataExport.expiresAt
+      });
+    } catch (error) {
+      logger.error('Error sending data export notification:', error);
+    }
+  }
+
+  // Short-lived signed link so the archive can be fetched without an Authorization header
+  createDownloadToken(dataExport) {
+    const secondsLeft = Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000);
+    return jwt.sign({ eid: dataExport._id.toString() }, process.env.JWT_SECRET, {
+      audience: DOWNLOAD_AUDIENCE,
+      // Never outlive the archive itself
+      expiresIn: Math.max(1, Math.min(secondsLeft, DOWNLOAD_LINK_TTL_SECONDS))
+    });
+  }
+
+  // Resolve a download token to a ready export with its file path, or null
+  async resolveDownload(exportId, token) {
+    try {
+      const { eid } = jwt.verify(token, process.env.JWT_SECRET, { audience: DOWNLOAD_AUDIENCE });
+      if (eid !== exportId) return null;
+    } catch (error) {
+      return null;
+    }
+
+    const dataExport = await DataExport.findOne({ _id: exportId, status: 'ready' }).select('+filePath');
+    if (!dataExport || dataExport.expiresAt <= new Date()) return null;
+    return dataExport;
+  }
+
+  // Delete archives past their expiry and mark the exports expired
+  async cleanupExpired() {
+    try {
+      const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('+filePath');
+      for (const dataExport of expired) {
+        if (dataExport.filePath) await fs.promises.rm(dataExport.filePath, { force: true });
+        dataExport.status = 'expired';
+        dataExport.filePath = undefined;
+        await dataExport.save();
+      }
+      if (expired.length) logger.info(`Removed ${expired.length} expired data exports`);
+    } catch (error) {
+      logger.error('Error cleaning up data exports:', error);
+    }
+  }
+
+  // Remove every export of a user, files included (used by account deletion)
+  async deleteUserExports(userId) {
+    const exportsToDelete = await DataExport.find({ user: userId }).select('+filePath');
+    for (const dataExport of exportsToDelete) {
+      if (dataExport.filePath) await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    const result = await DataExport.deleteMany({ user: userId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new DataExportService();
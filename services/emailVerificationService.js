@@ -0,0 +1,89 @@
+const AuthToken = require('../models/AuthToken');
+const User = require('../models/User');
+const profileCompletionService = require('./profileCompletionService');
+const logger = require('../utils/logger');
+
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+// Per-account throttling of verification emails
+const MAX_SENDS_PER_HOUR = 5;
+const MIN_SEND_INTERVAL_MS = 60 * 1000;
+
+class EmailVerificationService {
+  getVerifyUrl(token) {
+    const base = process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+    return `${base}/verify-email?token=${encodeURIComponent(token)}`;
+  }
+
+  isThrottled(userId) {
+    return AuthToken.isThrottled(userId, 'email_verification', {
+      maxPerHour: MAX_SENDS_PER_HOUR,
+      minIntervalMs: MIN_SEND_INTERVAL_MS
+    });
+  }
+
+  /**
+   * Email a verification link for `email` (defaults to the user's current address).
+   * Earlier links stop working so only the latest address can be confirmed.
+   */
+  async sendVerification(user, { email = user.email, ip } = {}) {
+    await AuthToken.invalidateAll(user._id, 'email_verification');
+    const token = await AuthToken.issue(
+      user._id,
+      'email_verification',
+      VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000,
+      ip,
+      email
+    );
+
+    const { emailQueue } = require('../utils/queue');
+    await emailQueue.add({
+      to: email,
+      template: 'email-verification',
+      data: {
+        name: user.getDisplayName(),
+        verifyUrl: this.getVerifyUrl(token),
+        expiresInHours: VERIFICATION_TOKEN_TTL_HOURS
+      }
+    });
+
+    logger.info('Verification email queued', { userId: user._id });
+  }
+
+  /**
+   * Confirm an address with a verification token. If the token was issued for a pending
+   * email change, the new address replaces the old one.
+   * Returns { user } on success or { error } describing why it failed.
+   */
+  async verify(token) {
+    const authToken = await AuthToken.consume(token, 'email_verification');
+    if (!authToken) return { error: 'Verification link is invalid or has expired.' };
+
+    const user = await User.findById(authToken.user);
+    if (!user) return { error: 'Verification link is invalid or has expired.' };
+
+    const email = authToken.email || user.email;
+    if (email !== user.email) {
+      if (user.pendingEmail !== email) {
+        return { error: 'This email change was cancelled or replaced.' };
+      }
+      const taken = await User.exists({ email, _id: { $ne: user._id } });
+      if (taken) {
+        user.pendingEmail = undefined;
+        await user.save();
+        return { error: 'Email is already in use by another account.' };
+      }
+      user.email = email;
+    }
+
+    user.pendingEmail = undefined;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    await profileCompletionService.refresh(user._id);
+
+    logger.info('Email verified', { userId: user._id });
+    return { user };
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Endorsement = require('../models/Endorsement');
+const Notification = require('../models/Notification');
+const Skill = require('../models/Skill');
+const SwapCard = require('../models/SwapCard');
+const SwapRequest = require('../models/SwapRequest');
+const User = require('../models/User');
+const blockService = require('./blockService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const logger = require('../utils/logger');
+
+const idOf = (value) => (value?._id || value)?.toString();
+const ENDORSER_FIELDS = 'username firstName lastName avatar';
+
+/**
+ * Endorsements: after a completed swap, each partner can vouch for the skill the other taught them.
+ */
+class EndorsementService {
+  /**
+   * Ids of the skills `teacherId` taught in a swap. The card owner teaches the card's offered skill;
+   * the requester teaches the offered skill of their proposed card, or otherwise whichever of their
+   * skills matches what the card owner wanted.
+   */
+  async getTaughtSkillIds(swapRequest, teacherId) {
+    const card = await SwapCard.findById(swapRequest.swapCardId).select('user offeredSkill desiredSkill').lean();
+    if (!card) return [];
+
+    if (idOf(card.user) === idOf(teacherId)) {
+      return card.offeredSkill ? [idOf(card.offeredSkill)] : [];
+    }
+
+    if (swapRequest.proposedSwapCardId) {
+      const proposed = await SwapCard.findById(swapRequest.proposedSwapCardId).select('user offeredSkill').lean();
+      if (proposed && idOf(proposed.user) === idOf(teacherId) && proposed.offeredSkill) {
+        return [idOf(proposed.offeredSkill)];
+      }
+    }
+
+    const wanted = card.desiredSkill ? await Skill.findById(card.desiredSkill).select('title catalogSkill').lean() : null;
+    if (!wanted) return [];
+    const wantedKeys = skillTaxonomyService.keySet([wanted]);
+    const teacherSkills = await Skill.find({ user: teacherId, isLookingFor: { $ne: true } }).select('title catalogSkill').lean();
+    return teacherSkills.filter(skill => skillTaxonomyService.matches(wantedKeys, skill)).map(skill => idOf(skill));
+  }
+
+  // Completed swap between the two users in which `skill` was taught to the endorser, or null
+  async findQualifyingSwap(endorserId, skill, swapRequestId = null) {
+    const pair = [
+      { sender: endorserId, receiver: skill.user },
+      { sender: skill.user, receiver: endorserId }
+    ];
+    const filter = { status: 'completed', $or: pair };
+    if (swapRequestId) filter._id = swapRequestId;
+
+    const swaps = await SwapRequest.find(filter).sort('-updatedAt').limit(swapRequestId ? 1 : 20).lean();
+    for (const swap of swaps) {
+      const taught = await this.getTaughtSkillIds(swap, skill.user);
+      if (taught.includes(idOf(skill))) return swap;
+    }
+    return null;
+  }
+
+  /**
+   * Endorse a skill. Returns { endorsement } or { error, status }.
+   * Without `swapRequestId`, any completed swap with the skill's owner that covered the skill qualifies.
+   */
+  async endorse(endorser, skillId, { swapRequestId, note } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(skillId)) return { error: 'Invalid skill ID', status: 400 };
+    if (swapRequestId && !mongoose.Types.ObjectId.isValid(swapRequestId)) {
+      return { error: 'Invalid swap request ID', status: 400 };
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.trim().length > 280)) {
+      return { error: 'Note must be text of at most 280 characters.', status: 400 };
+    }
+
+    const skill = await Skill.findById(skillId).select('user title catalogSkill isLookingFor').lean();
+    if (!skill) return { error: 'Skill not found', status: 404 };
+    if (idOf(skill.user) === idOf(endorser)) return { error: 'You cannot endorse your own skill.', status: 400 };
+    if (skill.isLookingFor) return { error: 'Only skills someone teaches can be endorsed.', status: 400 };
+    if (await blockService.isBlockedBetween(endorser._id, skill.user)) {
+      return { error: 'You cannot endorse this user.', status: 403 };
+    }
+
+    const swap = await this.findQualifyingSwap(endorser._id, skill, swapRequestId);
+    if (!swap) {
+      return { error: 'You can only endorse a skill you were taught in a completed swap.', status: 403 };
+    }
+
+    let endorsement;
+    try {
+      endorsement = await Endorsement.create({
+        endorser: endorser._id,
+        endorsee: skill.user,
+        skill: skill._id,
+        catalogSkill: skill.catalogSkill,
+        swapRequest: swap._id,
+        note: note ? note.trim() : undefined
+      });
+    } catch (error) {
+      if (error.code === 11000) return { error: 'You have already endorsed this skill.', status: 409 };
+      throw error;
+    }
+
+    await this.refreshCount(skill._id);
+    await this.notify(endorser, skill);
+    logger.info('Skill endorsed', { skillId: skill._id, endorser: endorser._id, swapRequest: swap._id });
+    return { endorsement };
+  }
+
+  // Withdraw an endorsement. Returns false if there was none.
+  async removeEndorsement(endorserId, skillId) {
+    const removed = await Endorsement.findOneAndDelete({ skill: skillId, endorser: endorserId });
+    if (!removed) return false;
+    await this.refreshCount(skillId);
+    return true;
+  }
+
+  async refreshCount(skillId) {
+    const count = await Endorsement.countDocuments({ skill: skillId });
+    await Skill.updateOne({ _id: skillId }, { $set: { endorsementCount: count } });
+    return count;
+  }
+
+  /**
+   * Endorsement count and most recent endorsers for each skill, keyed by skill id.
+   * Skills without endorsements get { count: 0, recentEndorsers: [] }.
+   */
+  async getSummaries(skillIds, recentLimit = 3) {
+    const ids = skillIds.map(id => new mongoose.Types.ObjectId(idOf(id)));
+    const groups = ids.length ? await Endorsement.aggregate([
+      { $match: { skill: { $in: ids } } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$skill',
+          count: { $sum: 1 },
+          recent: { $push: { endorser: '$endorser', note: '$note', createdAt: '$createdAt' } }
+        }
+      },
+      { $project: { count: 1, recent: { $slice: ['$recent', recentLimit] } } }
+    ]) : [];
+
+    const userIds = [...new Set(groups.flatMap(group => group.recent.map(entry => idOf(entry.endorser))))];
+    const users = userIds.length ? await User.find({ _id: { $in: userIds } }).select(ENDORSER_FIELDS).lean() : [];
+    const usersById = new Map(users.map(user => [idOf(user), user]));
+
+    const summaries = new Map(ids.map(id => [idOf(id), { count: 0, recentEndorsers: [] }]));
+    groups.forEach(group => {
+      summaries.set(idOf(group._id), {
+        count: group.count,
+        recentEndorsers: group.recent
+          .filter(entry => usersById.has(idOf(entry.endorser)))
+          .map(entry => ({ user: usersById.get(idOf(entry.endorser)), note: entry.note, endorsedAt: entry.createdAt }))
+      });
+    });
+    return summaries;
+  }
+
+  listEndorsements(skillId, { page = 1, limit = 20 } = {}) {
+    return Endorsement.find({ skill: skillId })
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('endorser', ENDORSER_FIELDS)
+      .lean();
+  }
+
+  async notify(endorser, skill) {
+    try {
+      await Notification.create({
+        user: skill.user,
+        sender: endorser._id,
+        type: 'endorsement',
+        context: `${endorser.username} endorsed your skill "${skill.title}"`,
+        action: 'View skill',
+        metadata: { skillId: skill._id }
+      });
+    } catch (error) {
+      logger.error('Error creating endorsement notification:', error);
+    }
+  }
+}
+
+module.exports = new EndorsementService();
@@ -0,0 +1,199 @@
+const gazetteer = require('../data/gazetteer');
+
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 20000;
+
+// Lowercase, drop accents, spaces and punctuation: "Zürich", "zurich" and "ZURICH " are the same place
+const normalize = (text) => (typeof text === 'string'
+  ? text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+  : '');
+
+const isNumber = (value) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Coordinates for profile, swap card and event locations, and the radius and bounding-box
+ * filters built on them. Places are looked up in the bundled gazetteer (data/gazetteer.js),
+ * so no geocoding service is involved; points are GeoJSON, [longitude, latitude].
+ */
+class GeoService {
+  constructor() {
+    this.countries = null;
+    this.cities = null;
+  }
+
+  // Index the gazetteer on first use: country names and codes, and city names with their aliases
+  load() {
+    if (this.cities) return;
+    this.countries = new Map();
+    this.cities = new Map();
+    for (const entry of gazetteer) {
+      for (const name of [entry.country, entry.code, ...(entry.aliases || [])]) {
+        this.countries.set(normalize(name), entry.country);
+      }
+      for (const [name, lat, lng, population, aliases = []] of entry.cities) {
+        const place = { city: name, country: entry.country, lat, lng, population };
+        for (const alias of [name, ...aliases]) {
+          const key = normalize(alias);
+          if (!this.cities.has(key)) this.cities.set(key, []);
+          this.cities.get(key).push(place);
+        }
+      }
+    }
+    for (const places of this.cities.values()) places.sort((a, b) => b.population - a.population);
+  }
+
+  // Canonical country name, or null when the gazetteer doesn't know it
+  countryName(text) {
+    this.load();
+    return this.countries.get(normalize(text)) || null;
+  }
+
+  /**
+   * Gazetteer entry of a city, in the given country when there is one.
+   * Without a country the most populous city of that name is used.
+   */
+  findPlace(city, country) {
+    this.load();
+    const places = this.cities.get(normalize(city));
+    if (!places) return null;
+    if (!country) return places[0];
+    const name = this.countryName(country);
+    return places.find(place => place.country === name) || null;
+  }
+
+  toPoint(lat, lng) {
+    return { type: 'Point', coordinates: [Number(lng), Number(lat)] };
+  }
+
+  // GeoJSON point of a { city, country } location, or undefined when it can't be placed
+  pointFor(location) {
+    const place = location?.city ? this.findPlace(location.city, location.country) : null;
+    return place ? this.toPoint(place.lat, place.lng) : undefined;
+  }
+
+  /**
+   * Point of a free-text place such as an event's "Main hall, Berlin, Germany":
+   * when the last part is a country, the nearest part before it that is a city there,
+   * otherwise the last part that is a city anywhere.
+   */
+  pointForText(text) {
+    if (typeof text !== 'string') return undefined;
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    const country = parts.length > 1 ? this.countryName(parts[parts.length - 1]) : null;
+    const candidates = country ? parts.slice(0, -1) : parts;
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const place = this.findPlace(candidates[i], country);
+      if (place) return this.toPoint(place.lat, place.lng);
+    }
+    return undefined;
+  }
+
+  /**
+   * Point for a place given as optional lat/lng plus a free-text name, e.g. a new event.
+   * Coordinates win when both are given. Returns { point } (undefined when unknown) or { error }.
+   */
+  pointFromInput({ lat, lng } = {}, text) {
+    if (isNumber(lat) || isNumber(lng)) {
+      if (!isNumber(lat) || !isNumber(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return { error: 'lat and lng must be given together, within -90..90 and -180..180.' };
+      }
+      return { point: this.toPoint(lat, lng) };
+    }
+    return { point: this.pointForText(text) };
+  }
+
+  // Great-circle distance in kilometres between two GeoJSON points
+  distanceKm(a, b) {
+    const [lng1, lat1] = a.coordinates.map(value => value * Math.PI / 180);
+    const [lng2, lat2] = b.coordinates.map(value => value * Math.PI / 180);
+    const h = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Geo part of a search query. Any of:
+   *   lat & lng [& radius]  - around a point, radius in km
+   *   near=<city>[, country] [& radius] - around a gazetteer city
+   *   bbox=minLng,minLat,maxLng,maxLat - inside a box, nearest to its centre first
+   * Returns { geo: { center, radiusKm?, box? } }, { geo: null } when there is none, or { error }.
+   */
+  parseQuery({ lat, lng, radius, near, bbox } = {}) {
+    let center = null;
+    let box = null;
+
+    if (bbox !== undefined) {
+      const values = String(bbox).split(',').map(Number);
+      if (values.length !== 4 || values.some(value => !Number.isFinite(value))) {
+        return { error: 'bbox must be minLng,minLat,maxLng,maxLat.' };
+      }
+      const [minLng, minLat, maxLng, maxLat] = values;
+      if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 || minLng >= maxLng || minLat >= maxLat) {
+        return { error: 'bbox corners are out of range or in the wrong order.' };
+      }
+      box = [minLng, minLat, maxLng, maxLat];
+      center = this.toPoint((minLat + maxLat) / 2, (minLng + maxLng) / 2);
+    } else if (isNumber(lat) || isNumber(lng)) {
+      if (!isNumber(lat) || !isNumber(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return { error: 'lat and lng must be given together, within -90..90 and -180..180.' };
+      }
+      center = this.toPoint(lat, lng);
+    } else if (near) {
+      center = this.pointForText(String(near));
+      if (!center) return { error: `Unknown place "${near}". Try a larger city nearby.` };
+    }
+
+    if (!center) {
+      return radius === undefined ? { geo: null } : { error: 'radius needs lat and lng, or near.' };
+    }
+
+    const geo = { center };
+    if (box) geo.box = box;
+    if (radius !== undefined && !box) {
+      const radiusKm = Number(radius);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km.` };
+      }
+      geo.radiusKm = radiusKm;
+    }
+    return { geo };
+  }
+
+  boxPolygon([minLng, minLat, maxLng, maxLat]) {
+    return {
+      type: 'Polygon',
+      coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+    };
+  }
+
+  // Plain filter on `key` for the area of `geo`, e.g. for counting; it doesn't sort by distance
+  withinFilter(key, geo) {
+    if (geo.box) return { [key]: { $geoWithin: { $geometry: this.boxPolygon(geo.box) } } };
+    if (geo.radiusKm) return { [key]: { $geoWithin: { $centerSphere: [geo.center.coordinates, geo.radiusKm / EARTH_RADIUS_KM] } } };
+    return { [key]: { $exists: true } };
+  }
+
+  /**
+   * First stage of an aggregation that returns documents matching `query` in the area of `geo`,
+   * nearest first, each with `distanceKm`. Needs a 2dsphere index on `key`.
+   * Aggregations don't cast, so ids and dates in `query` must already have their types.
+   */
+  nearStage(key, geo, query = {}) {
+    const stage = {
+      near: geo.center,
+      key,
+      distanceField: 'distanceKm',
+      distanceMultiplier: 0.001,
+      spherical: true,
+      query: geo.box ? { ...query, ...this.withinFilter(key, geo) } : query
+    };
+    if (geo.radiusKm) stage.maxDistance = geo.radiusKm * 1000;
+    return { $geoNear: stage };
+  }
+
+  // Round the distances an aggregation returned, for display
+  roundDistances(docs) {
+    return docs.map(doc => ({ ...doc, distanceKm: Math.round(doc.distanceKm * 10) / 10 }));
+  }
+}
+
+module.exports = new GeoService();
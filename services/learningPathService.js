@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const CatalogSkill = require('../models/CatalogSkill');
+const LearningPath = require('../models/LearningPath');
+const LearningPathProgress = require('../models/LearningPathProgress');
+const SwapCard = require('../models/SwapCard');
+const blockService = require('./blockService');
+const privacyService = require('./privacyService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const logger = require('../utils/logger');
+
+const MAX_MILESTONES = 50;
+const MAX_RESOURCES = 20;
+const MAX_SKILLS = 10;
+const MAX_SWAP_CARDS = 10;
+const AUTHOR_FIELDS = 'username firstName lastName avatar';
+const idOf = (value) => (value?._id || value)?.toString();
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Learning paths: ordered milestones toward canonical skills, with resources and swap cards
+ * for each step. Users follow paths and record milestone completion.
+ */
+class LearningPathService {
+  /**
+   * Check the shape of a path from a request body. Returns { path } with cleaned fields, where each
+   * milestone lists its raw `skills` references still to be resolved, or { error }.
+   */
+  validatePath(input = {}) {
+    const { title, description, visibility = 'public', milestones } = input;
+    if (typeof title !== 'string' || !title.trim()) return { error: 'A title is required.' };
+    if (description !== undefined && typeof description !== 'string') return { error: 'Description must be text.' };
+    if (!['public', 'private'].includes(visibility)) return { error: 'Visibility must be public or private.' };
+    if (!Array.isArray(milestones) || milestones.length === 0) return { error: 'Add at least one milestone.' };
+    if (milestones.length > MAX_MILESTONES) return { error: `A path can have at most ${MAX_MILESTONES} milestones.` };
+
+    const cleaned = [];
+    for (const [index, milestone] of milestones.entries()) {
+      const label = `Milestone ${index + 1}`;
+      if (typeof milestone?.title !== 'string' || !milestone.title.trim()) return { error: `${label} needs a title.` };
+
+      const { skills = [], resources = [], swapCards = [] } = milestone;
+      if (!Array.isArray(skills) || !Array.isArray(resources) || !Array.isArray(swapCards)) {
+        return { error: `${label}: skills, resources and swapCards must be arrays.` };
+      }
+      if (skills.length > MAX_SKILLS) return { error: `${label} can link at most ${MAX_SKILLS} skills.` };
+      if (resources.length > MAX_RESOURCES) return { error: `${label} can have at most ${MAX_RESOURCES} resources.` };
+      if (swapCards.length > MAX_SWAP_CARDS) return { error: `${label} can link at most ${MAX_SWAP_CARDS} swap cards.` };
+
+      if (skills.some(skill => typeof skill !== 'string' || !skill.trim())) {
+        return { error: `${label}: skills must be catalog ids, slugs or names.` };
+      }
+      if (resources.some(resource => typeof resource?.title !== 'string' || !resource.title.trim() || !isHttpUrl(resource.url))) {
+        return { error: `${label}: each resource needs a title and an http(s) URL.` };
+      }
+      if (resources.some(resource => resource.type !== undefined && !LearningPath.RESOURCE_TYPES.includes(resource.type))) {
+        return { error: `${label}: resource type must be one of ${LearningPath.RESOURCE_TYPES.join(', ')}.` };
+      }
+      if (swapCards.some(id => !mongoose.Types.ObjectId.isValid(id))) return { error: `${label}: invalid swap card ID.` };
+
+      cleaned.push({
+        _id: mongoose.Types.ObjectId.isValid(milestone._id) ? milestone._id : undefined,
+        title: milestone.title.trim(),
+        description: milestone.description?.trim() || undefined,
+        skills: [...new Set(skills.map(skill => skill.trim()))],
+        resources: resources.map(resource => ({ title: resource.title.trim(), url: resource.url.trim(), type: resource.type })),
+        swapCards: [...new Set(swapCards.map(idOf))]
+      });
+    }
+
+    return {
+      path: { title: title.trim(), description: description?.trim() || undefined, visibility, milestones: cleaned }
+    };
+  }
+
+  // Map each skill reference (catalog id, slug or name) to a catalog id. Returns { ids } or { error }.
+  async resolveSkills(refs) {
+    const ids = new Map();
+    const unknown = [];
+    for (const ref of [...new Set(refs)]) {
+      let entry = null;
+      if (mongoose.Types.ObjectId.isValid(ref)) entry = await CatalogSkill.findById(ref).select('_id').lean();
+      if (!entry) entry = await CatalogSkill.findOne({ slug: ref.toLowerCase() }).select('_id').lean();
+      if (!entry) entry = await skillTaxonomyService.resolve(ref);
+      if (entry) ids.set(ref, entry._id);
+      else unknown.push(ref);
+    }
+    if (unknown.length) return { error: `Unknown skills: ${unknown.join(', ')}` };
+    return { ids };
+  }
+
+  /**
+   * Turn a request body into milestone documents. On update, milestones sent with the _id of an
+   * existing milestone keep it, so progress recorded against them is kept.
+   */
+  async buildMilestones(input, existing = null) {
+    const { path, error } = this.validatePath(input);
+    if (error) return { error };
+
+    const { ids, error: skillError } = await this.resolveSkills(path.milestones.flatMap(milestone => milestone.skills));
+    if (skillError) return { error: skillError };
+
+    const cardIds = [...new Set(path.milestones.flatMap(milestone => milestone.swapCards))];
+    const found = cardIds.length ? await SwapCard.find({ _id: { $in: cardIds } }).distinct('_id') : [];
+    if (found.length !== cardIds.length) return { error: 'Some swap cards do not exist.' };
+
+    const existingIds = new Set((existing?.milestones || []).map(milestone => idOf(milestone)));
+    path.milestones = path.milestones.map(({ _id, skills, ...milestone }) => ({
+      ...milestone,
+      ...(_id && existingIds.has(idOf(_id)) ? { _id } : {}),
+      catalogSkills: [...new Set(skills.map(ref => idOf(ids.get(ref))))]
+    }));
+    return { path };
+  }
+
+  // Create a path. Returns { path } or { error, status }.
+  async createPath(author, input) {
+    const { path, error } = await this.buildMilestones(input);
+    if (error) return { error, status: 400 };
+
+    const created = await LearningPath.create({ ...path, author: author._id });
+    await this.logActivity(author._id, 'learning_path_create', `Created learning path: ${created.title}`, created._id);
+    logger.info('Learning path created', { pathId: created._id, author: author._id });
+    return { path: created };
+  }
+
+  // Replace a path's fields and milestones. Only the author may edit. Returns { path } or { error, status }.
+  async updatePath(user, pathId, input) {
+    if (!mongoose.Types.ObjectId.isValid(pathId)) return { error: 'Invalid learning path ID', status: 400 };
+    const existing = await LearningPath.findById(pathId);
+    if (!existing) return { error: 'Learning path not found', status: 404 };
+    if (idOf(existing.author) !== idOf(user)) return { error: 'Only the author can edit this path.', status: 403 };
+
+    const { path, error } = await this.buildMilestones(input, existing);
+    if (error) return { error, status: 400 };
+
+    existing.set(path);
+    await existing.save();
+    await this.refreshCompletions(existing);
+    return { path: existing };
+  }
+
+  async deletePath(user, pathId) {
+    if (!mongoose.Types.ObjectId.isValid(pathId)) return { error: 'Invalid learning path ID', status: 400 };
+    const path = await LearningPath.findOneAndDelete({ _id: pathId, author: user._id });
+    if (!path) return { error: 'Learning path not found', status: 404 };
+    await LearningPathProgress.deleteMany({ path: path._id });
+    return { path };
+  }
+
+  // Whether `viewer` (or null for anonymous) may see a path
+  async canView(viewer, path) {
+    if (viewer && idOf(path.author) === idOf(viewer)) return true;
+    if (path.visibility !== 'public') return false;
+    if (viewer && (await blockService.isBlockedBetween(viewer._id, path.author))) return false;
+    return privacyService.canViewUser(viewer, path.author);
+  }
+
+  // A path with its skills, swap cards and the viewer's progress. Returns null when it can't be seen.
+  async getPath(viewer, pathId) {
+    if (!mongoose.Types.ObjectId.isValid(pathId)) return null;
+    const path = await LearningPath.findById(pathId)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('milestones.catalogSkills', 'name slug kind')
+      .populate('milestones.swapCards', 'user title status offeredSkill desiredSkill')
+      .lean();
+    if (!path || !(await this.canView(viewer, path))) return null;
+
+    const progress = viewer ? await LearningPathProgress.findOne({ user: viewer._id, path: path._id }).lean() : null;
+    return { ...path, progress: progress ? this.summarize(path, progress) : null };
+  }
+
+  /**
+   * Public paths, most followed first by default. `skill` takes a catalog id, slug or name and
+   * includes everything below it; `author` lists one user's paths, including private ones for themselves.
+   */
+  async listPaths(viewer, { q, skill, author, sort = 'popular', page = 1, limit = 20 } = {}) {
+    const viewerId = viewer?._id || null;
+    const ownPaths = viewerId && author && idOf(author) === idOf(viewerId);
+    const filter = ownPaths ? { author: viewerId } : { visibility: 'public' };
+
+    if (!ownPaths) {
+      const [hidden, blocked] = await Promise.all([
+        privacyService.getHiddenUserIds(viewerId),
+        blockService.getBlockedUserIds(viewerId)
+      ]);
+      filter.author = { $nin: [...hidden, ...blocked] };
+      if (author) {
+        if (!mongoose.Types.ObjectId.isValid(author)) return { paths: [], total: 0 };
+        filter.author.$eq = author;
+      }
+    }
+    if (skill) {
+      const catalogIds = await skillTaxonomyService.resolveFilter(skill);
+      if (!catalogIds) return { paths: [], total: 0 };
+      filter.catalogSkills = { $in: catalogIds };
+    }
+    if (q) filter.$text = { $search: q };
+
+    const order = sort === 'recent' ? { createdAt: -1 } : { followerCount: -1, completionCount: -1, createdAt: -1 };
+    const [paths, total] = await Promise.all([
+      LearningPath.find(filter)
+        .sort(order)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('author', AUTHOR_FIELDS)
+        .populate('catalogSkills', 'name slug')
+        .lean(),
+      LearningPath.countDocuments(filter)
+    ]);
+    return { paths, total };
+  }
+
+  // Start following a path. Returns { progress, created } or { error, status }.
+  async followPath(user, pathId) {
+    if (!mongoose.Types.ObjectId.isValid(pathId)) return { error: 'Invalid learning path ID', status: 400 };
+    const path = await LearningPath.findById(pathId).select('author title visibility').lean();
+    if (!path || !(await this.canView(user, path))) return { error: 'Learning path not found', status: 404 };
+
+    const result = await LearningPathProgress.findOneAndUpdate(
+      { user: user._id, path: path._id },
+      { $setOnInsert: { user: user._id, path: path._id } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    const created = !result.lastErrorObject?.updatedExisting;
+    if (created) {
+      await LearningPath.updateOne({ _id: path._id }, { $inc: { followerCount: 1 } });
+      await this.logActivity(user._id, 'learning_path_follow', `Started learning path: ${path.title}`, path._id);
+    }
+    return { progress: result.value, created };
+  }
+
+  async unfollowPath(userId, pathId) {
+    const progress = await LearningPathProgress.findOneAndDelete({ user: userId, path: pathId });
+    if (!progress) return false;
+    await LearningPath.updateOne({ _id: pathId, followerCount: { $gt: 0 } }, { $inc: { followerCount: -1 } });
+    return true;
+  }
+
+  /**
+   * Mark a milestone complete or not. Following the path first is implied.
+   * Returns { progress } with the summary, or { error, status }.
+   */
+  async setMilestoneCompletion(user, pathId, milestoneId, completed = true) {
+    if (!mongoose.Types.ObjectId.isValid(pathId)) return { error: 'Invalid learning path ID', status: 400 };
+    const path = await LearningPath.findById(pathId).select('title milestones._id milestones.title').lean();
+    if (path && !path.milestones.some(milestone => idOf(milestone) === idOf(milestoneId))) {
+      return { error: 'Milestone not found', status: 404 };
+    }
+
+    const followed = await this.followPath(user, pathId);
+    if (followed.error) return followed;
+
+    const update = completed
+      ? { $push: { completedMilestones: { milestone: milestoneId, completedAt: new Date() } } }
+      : { $pull: { completedMilestones: { milestone: milestoneId } } };
+    const filter = { user: user._id, path: path._id };
+    if (completed) filter['completedMilestones.milestone'] = { $ne: milestoneId };
+
+    const changed = await LearningPathProgress.findOneAndUpdate(filter, update, { new: true });
+    if (changed && completed) {
+      const milestone = path.milestones.find(entry => idOf(entry) === idOf(milestoneId));
+      await this.logActivity(user._id, 'learning_path_milestone', `Completed "${milestone.title}" in ${path.title}`, path._id);
+    }
+
+    const progress = await this.refreshCompletion(path, user._id);
+    return { progress: this.summarize(path, progress) };
+  }
+
+  // Set or clear completedAt after the path or the progress changed, keeping completionCount in step
+  async refreshCompletion(path, userId) {
+    const progress = await LearningPathProgress.findOne({ user: userId, path: path._id }).lean();
+    if (!progress) return null;
+
+    const { isComplete } = this.summarize(path, progress);
+    if (isComplete && !progress.completedAt) {
+      progress.completedAt = new Date();
+      await LearningPathProgress.updateOne({ _id: progress._id }, { $set: { completedAt: progress.completedAt } });
+      await LearningPath.updateOne({ _id: path._id }, { $inc: { completionCount: 1 } });
+      await this.logActivity(userId, 'learning_path_complete', `Completed learning path: ${path.title}`, path._id);
+    } else if (!isComplete && progress.completedAt) {
+      progress.completedAt = undefined;
+      await LearningPathProgress.updateOne({ _id: progress._id }, { $unset: { completedAt: '' } });
+      await LearningPath.updateOne({ _id: path._id, completionCount: { $gt: 0 } }, { $inc: { completionCount: -1 } });
+    }
+    return progress;
+  }
+
+  // After an edit, followers who had finished may have new milestones ahead of them (or vice versa)
+  async refreshCompletions(path) {
+    const userIds = await LearningPathProgress.find({ path: path._id }).distinct('user');
+    for (const userId of userIds) {
+      await this.refreshCompletion(path, userId);
+    }
+  }
+
+  /**
+   * Progress on one path: completed and total milestones, the next milestone to work on and
+   * whether the path is done. Completions of milestones since removed from the path are ignored.
+   */
+  summarize(path, progress) {
+    const done = new Map((progress?.completedMilestones || []).map(entry => [idOf(entry.milestone), entry.completedAt]));
+    const milestones = path.milestones || [];
+    const completed = milestones.filter(milestone => done.has(idOf(milestone))).length;
+    const next = milestones.find(milestone => !done.has(idOf(milestone)));
+
+    return {
+      path: path._id,
+      title: path.title,
+      completedMilestones: completed,
+      totalMilestones: milestones.length,
+      percent: milestones.length ? Math.round((completed / milestones.length) * 100) : 0,
+      nextMilestone: next ? { _id: next._id, title: next.title } : null,
+      isComplete: milestones.length > 0 && completed === milestones.length,
+      milestones: milestones.map(milestone => ({ _id: milestone._id, completedAt: done.get(idOf(milestone)) || null })),
+      startedAt: progress?.createdAt,
+      completedAt: progress?.completedAt || null
+    };
+  }
+
+  // Summary of every path the user follows, most recently active first, for the learning progress view
+  async getProgressSummary(userId, limit = 20) {
+    const progresses = await LearningPathProgress.find({ user: userId })
+      .sort('-updatedAt')
+      .populate('path', 'title milestones._id milestones.title')
+      .lean();
+    const summaries = progresses.filter(progress => progress.path).map(progress => this.summarize(progress.path, progress));
+
+    return {
+      following: summaries.length,
+      completed: summaries.filter(summary => summary.isComplete).length,
+      milestonesCompleted: summaries.reduce((total, summary) => total + summary.completedMilestones, 0),
+      paths: summaries.slice(0, limit).map(({ milestones, ...summary }) => summary)
+    };
+  }
+
+  /**
+   * Popular public paths for a user's skill recommendations: paths toward skills in their
+   * lookingFor first, then the most followed ones. Paths they wrote or already follow are left out.
+   */
+  async suggestPaths(user, { limit = 3, excludedUserIds = [] } = {}) {
+    const followed = user ? await LearningPathProgress.find({ user: user._id }).distinct('path') : [];
+    const base = {
+      visibility: 'public',
+      author: { $nin: user ? [...excludedUserIds, user._id] : excludedUserIds },
+      _id: { $nin: followed }
+    };
+    const select = 'author title description catalogSkills followerCount completionCount milestones._id';
+    const popular = (filter, count) => LearningPath.find(filter)
+      .sort({ followerCount: -1, completionCount: -1 })
+      .limit(count)
+      .select(select)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('catalogSkills', 'name slug')
+      .lean();
+
+    const wanted = (user?.lookingFor || []).map(skill => idOf(skill.catalogSkill)).filter(Boolean);
+    const matching = wanted.length ? await popular({ ...base, catalogSkills: { $in: wanted } }, limit) : [];
+    const shown = matching.map(path => path._id);
+    const others = matching.length < limit
+      ? await popular({ ...base, _id: { $nin: [...followed, ...shown] }, followerCount: { $gt: 0 } }, limit - matching.length)
+      : [];
+
+    const format = (reason) => ({ milestones, ...path }) => ({ ...path, milestoneCount: milestones.length, reason });
+    return [...matching.map(format('looking_for')), ...others.map(format('popular'))];
+  }
+
+  async logActivity(userId, type, message, pathId) {
+    try {
+      await Activity.create({ user: userId, type, message, referenceId: pathId, referenceType: 'LearningPath' });
+    } catch (error) {
+      logger.error('Error logging learning path activity:', error);
+    }
+  }
+}
+
+module.exports = new LearningPathService();
@@ -0,0 +1,167 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Notification = require('../models/Notification');
+const Activity = require('../models/Activity');
+const sessionService = require('./sessionService');
+const { getDeviceInfo, getDeviceFingerprint } = require('../middleware/activityTracker');
+const logger = require('../utils/logger');
+
+const REPORT_TOKEN_AUDIENCE = 'netyora:login-alert';
+const REPORT_TOKEN_TTL = '7d';
+// Oldest devices are forgotten beyond this many
+const MAX_KNOWN_DEVICES = 20;
+
+const describeDevice = (device) => {
+  const parts = [device.browser, device.os].filter(part => part && part !== 'unknown');
+  return parts.length ? parts.join(' on ') : 'an unknown device';
+};
+
+class LoginAlertService {
+  getReportUrl(token) {
+    const base = process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+    return `${base}/security/not-me?token=${encodeURIComponent(token)}`;
+  }
+
+  // Signed token behind the "this wasn't me" link, tied to one session
+  createReportToken(userId, sessionId) {
+    return jwt.sign({ uid: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+      audience: REPORT_TOKEN_AUDIENCE,
+      expiresIn: REPORT_TOKEN_TTL
+    });
+  }
+
+  // Returns { userId, sessionId } or null
+  verifyReportToken(token) {
+    try {
+      const { uid, sid } = jwt.verify(token, process.env.JWT_SECRET, { audience: REPORT_TOKEN_AUDIENCE });
+      return { userId: uid, sessionId: sid };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Remember a device without alerting, e.g. the one used to register
+  async rememberDevice(userId, req) {
+    const device = getDeviceInfo(req);
+    await User.updateOne({ _id: userId }, {
+      $push: {
+        devices: {
+          $each: [{ ...device, fingerprint: getDeviceFingerprint(device), firstSeen: new Date() }],
+          $slice: -MAX_KNOWN_DEVICES
+        }
+      }
+    });
+  }
+
+  /**
+   * Compare a fresh session's device with the user's known devices.
+   * Known devices are refreshed; unknown ones are remembered and the user is alerted.
+   * Returns true if the device was new.
+   */
+  async checkLogin(user, session, req) {
+    const device = getDeviceInfo(req);
+    const fingerprint = session.fingerprint || getDeviceFingerprint(device);
+
+    const known = await User.updateOne(
+      { _id: user._id, 'devices.fingerprint': fingerprint },
+      { $set: { 'devices.$.ip': device.ip, 'devices.$.lastActive': new Date(), 'devices.$.active': true } }
+    );
+    if (known.matchedCount > 0) return false;
+
+    // Accounts that never had fingerprinted devices start learning silently instead of alerting on every device
+    const hasKnownDevices = (user.devices || []).some(entry => entry.fingerprint);
+    await this.rememberDevice(user._id, req);
+    if (!hasKnownDevices) return false;
+
+    await this.sendAlert(user, session, device);
+    return true;
+  }
+
+  async sendAlert(user, session, device) {
+    const deviceName = describeDevice(device);
+    const reportToken = this.createReportToken(user._id, session._id);
+
+    try {
+      await Activity.create({
+        user: user._id,
+        type: 'new_device_login',
+        message: `New sign-in from ${deviceName} (${device.ip})`,
+        referenceId: session._id,
+        referenceType: 'Session',
+        device,
+        metadata: { sessionId: session._id, ip: device.ip }
+      });
+
+      // Security alerts are always delivered, regardless of notification settings
+      const notification = await Notification.create({
+        user: user._id,
+        type: 'security',
+        context: `New sign-in from ${deviceName} (${device.ip})`,
+        action: "This wasn't me",
+        metadata: { sessionId: session._id, ip: device.ip, device: deviceName }
+      });
+
+      const socketService = require('../utils/socket');
+      socketService.sendToUser(user._id.toString(), 'newDeviceLogin', {
+        notificationId: notification._id,
+        sessionId: session._id,
+        device: deviceName,
+        ip: device.ip
+      });
+    } catch (error) {
+      logger.error('Error recording new device login:', error);
+    }
+
+    try {
+      const { emailQueue } = require('../utils/queue');
+      await emailQueue.add({
+        to: user.email,
+        template: 'new-device-login',
+        data: {
+          name: user.getDisplayName(),
+          device: deviceName,
+          ip: device.ip,
+          time: new Date().toUTCString(),
+          reportUrl: this.getReportUrl(reportToken)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to queue new device login email:', error);
+    }
+
+    logger.info('New device login alert sent', { userId: user._id, sessionId: session._id, ip: device.ip });
+  }
+
+  /**
+   * "This wasn't me": revoke the reported session and every other session from the same device,
+   * and forget the device so a future sign-in from it alerts again.
+   * Returns the number of revoked sessions, or null if the session does not belong to the user.
+   */
+  async reportLogin(userId, sessionId, exceptSessionId = null) {
+    const session = await Session.findOne({ _id: sessionId, user: userId }).select('fingerprint ip');
+    if (!session) return null;
+
+    let revoked = 0;
+    if (await sessionService.revokeSession(userId, session._id, 'not_me')) revoked++;
+
+    if (session.fingerprint) {
+      const others = await Session.find({
+        user: userId,
+        fingerprint: session.fingerprint,
+        revokedAt: { $exists: false }
+      }).select('_id').lean();
+      // Never sign out the session the report is being made from
+      const toRevoke = others.filter(other => !exceptSessionId || other._id.toString() !== exceptSessionId.toString());
+      for (const other of toRevoke) {
+        if (await sessionService.revokeSession(userId, other._id, 'not_me')) revoked++;
+      }
+      await User.updateOne({ _id: userId }, { $pull: { devices: { fingerprint: session.fingerprint } } });
+    }
+
+    logger.warn('Login reported as not made by the account owner', { userId, sessionId, ip: session.ip, revoked });
+    return revoked;
+  }
+}
+
+module.exports = new LoginAlertService();
@@ -0,0 +1,92 @@
+const { getStore } = require('../utils/ttlStore');
+const logger = require('../utils/logger');
+
+// Failures are counted over this window, starting from the first one
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+// Failures allowed before the first lockout
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+// First lockout length; doubles with every further failure, up to the maximum
+const BASE_LOCKOUT_SECONDS = 60;
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+
+const scopes = {
+  account: { maxFailures: ACCOUNT_MAX_FAILURES },
+  ip: { maxFailures: IP_MAX_FAILURES }
+};
+
+const failureKey = (scope, id) => `login:fail:${scope}:${id}`;
+const lockKey = (scope, id) => `login:lock:${scope}:${id}`;
+
+class LoginProtectionService {
+  constructor() {
+    this.store = null;
+  }
+
+  getStore() {
+    if (!this.store) this.store = getStore();
+    return this.store;
+  }
+
+  // Unknown usernames are keyed by what was typed, so locking does not reveal which accounts exist
+  accountKey(user, identifier) {
+    if (user) return user._id.toString();
+    return `name:${String(identifier || '').toLowerCase().trim()}`;
+  }
+
+  lockoutSeconds(failures, maxFailures) {
+    const extra = failures - maxFailures;
+    if (extra < 0) return 0;
+    return Math.min(BASE_LOCKOUT_SECONDS * 2 ** extra, MAX_LOCKOUT_SECONDS);
+  }
+
+  /**
+   * Check whether a login attempt may proceed.
+   * Returns { locked: false } or { locked: true, scope, retryAfter } with retryAfter in seconds.
+   */
+  async checkLock({ accountKey, ip }) {
+    const store = this.getStore();
+    const targets = [['account', accountKey], ['ip', ip]].filter(([, id]) => id);
+
+    for (const [scope, id] of targets) {
+      const retryAfter = await store.ttl(lockKey(scope, id));
+      if (retryAfter > 0) {
+        return { locked: true, scope, retryAfter };
+      }
+    }
+    return { locked: false };
+  }
+
+  // Count a failed attempt against the account and the IP, locking either once it is over its limit
+  async recordFailure({ accountKey, ip }) {
+    const store = this.getStore();
+    const targets = [['account', accountKey], ['ip', ip]].filter(([, id]) => id);
+    let lock = { locked: false };
+
+    for (const [scope, id] of targets) {
+      const failures = await store.incr(failureKey(scope, id), FAILURE_WINDOW_SECONDS);
+      const seconds = this.lockoutSeconds(failures, scopes[scope].maxFailures);
+      if (seconds > 0) {
+        await store.set(lockKey(scope, id), '1', seconds);
+        logger.warn('Login locked after repeated failures', { scope, id, failures, seconds });
+        if (!lock.locked || seconds > lock.retryAfter) {
+          lock = { locked: true, scope, retryAfter: seconds };
+        }
+      }
+    }
+    return lock;
+  }
+
+  // A successful login clears the account's record; the IP keeps its count so one good account cannot mask spraying
+  async recordSuccess({ accountKey }) {
+    if (!accountKey) return;
+    await this.getStore().del(failureKey('account', accountKey), lockKey('account', accountKey));
+  }
+
+  // Lift an account lockout, e.g. after a password reset
+  async clearAccount(accountKey) {
+    await this.recordSuccess({ accountKey });
+  }
+}
+
+module.exports = new LoginProtectionService();
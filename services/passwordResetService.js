@@ -0,0 +1,86 @@
+const AuthToken = require('../models/AuthToken');
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const accessTokenService = require('./accessTokenService');
+const loginProtectionService = require('./loginProtectionService');
+const logger = require('../utils/logger');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+// Per-account throttling of reset emails
+const MAX_REQUESTS_PER_HOUR = 3;
+const MIN_REQUEST_INTERVAL_MS = 60 * 1000;
+
+class PasswordResetService {
+  getResetUrl(token) {
+    const base = process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+    return `${base}/reset-password?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Email a reset link if the address belongs to an account.
+   * Always resolves the same way so callers cannot learn which emails are registered.
+   */
+  async requestReset(email, ip) {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('email username firstName lastName');
+    if (!user) return;
+
+    const throttled = await AuthToken.isThrottled(user._id, 'password_reset', {
+      maxPerHour: MAX_REQUESTS_PER_HOUR,
+      minIntervalMs: MIN_REQUEST_INTERVAL_MS
+    });
+    if (throttled) {
+      logger.warn('Password reset throttled', { userId: user._id, ip });
+      return;
+    }
+
+    const token = await AuthToken.issue(user._id, 'password_reset', RESET_TOKEN_TTL_MINUTES * 60 * 1000, ip);
+
+    const { emailQueue } = require('../utils/queue');
+    await emailQueue.add({
+      to: user.email,
+      template: 'password-reset',
+      data: {
+        name: user.getDisplayName(),
+        resetUrl: this.getResetUrl(token),
+        expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+      }
+    });
+
+    logger.info('Password reset requested', { userId: user._id, ip });
+  }
+
+  /**
+   * Set a new password using a reset token and sign the account out everywhere.
+   * Returns the user, or null if the token is not valid.
+   */
+  async resetPassword(token, newPassword) {
+    const authToken = await AuthToken.consume(token, 'password_reset');
+    if (!authToken) return null;
+
+    const user = await User.findById(authToken.user).select('+password');
+    if (!user) return null;
+
+    user.password = newPassword;
+    await user.save();
+
+    // Any other reset links that are still out there must stop working too
+    await AuthToken.invalidateAll(user._id, 'password_reset');
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
+    // A reset usually means the account was at risk, so integration tokens go as well
+    await accessTokenService.revokeAllTokens(user._id);
+    // Proving ownership of the email lifts any brute-force lockout on the account
+    await loginProtectionService.clearAccount(user._id.toString());
+
+    const { emailQueue } = require('../utils/queue');
+    await emailQueue.add({
+      to: user.email,
+      template: 'password-changed',
+      data: { name: user.getDisplayName() }
+    });
+
+    logger.info('Password reset completed', { userId: user._id });
+    return user;
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const FollowRequest = require('../models/FollowRequest');
+const Notification = require('../models/Notification');
+const { hasRole } = require('../middleware/rbac');
+const logger = require('../utils/logger');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Fields any viewer may see in profile listings. An allow-list, so credentials, contact details
+// and fields added to User later stay out of listings until they are named here.
+const LISTED_PROFILE_FIELDS = [
+  'username', 'firstName', 'lastName', 'avatar', 'avatarThumbnail', 'avatarSmall', 'banner', 'bio', 'about',
+  'skills', 'lookingFor', 'location', 'timeZone', 'language', 'onlineStatus', 'privacy', 'followers', 'following',
+  'completion', 'badges', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Private accounts: who may see a user's skills, posts, activity and swap history,
+ * and the follow requests that grant that access.
+ */
+class PrivacyService {
+  isPrivate(user) {
+    return user?.privacy?.profile === 'private';
+  }
+
+  /**
+   * Whether `viewer` (a user document or null for anonymous) may see `owner`'s content.
+   * `owner` can be a user document with privacy and followers loaded, or an id.
+   */
+  async canViewUser(viewer, owner) {
+    let target = owner;
+    if (!target?.privacy) {
+      target = await User.findById(idOf(owner)).select('privacy followers').lean();
+      if (!target) return false;
+    }
+
+    if (!this.isPrivate(target)) return true;
+    if (!viewer) return false;
+    if (idOf(viewer) === idOf(target)) return true;
+    // Moderators need to see content to act on reports
+    if (hasRole(viewer, 'moderator')) return true;
+    return (target.followers || []).some(follower => idOf(follower) === idOf(viewer));
+  }
+
+  // Listed profile fields, for Query#select
+  listedProfileFields() {
+    return LISTED_PROFILE_FIELDS.join(' ');
+  }
+
+  // The same fields as an aggregation $project, which ignores `select: false` in the schema
+  listedProfileProjection(extra = {}) {
+    return { ...Object.fromEntries(LISTED_PROFILE_FIELDS.map(field => [field, 1])), ...extra };
+  }
+
+  // User filter matching the accounts a viewer is allowed to see
+  visibleUsersFilter(viewerId = null) {
+    const conditions = [{ 'privacy.profile': { $ne: 'private' } }];
+    if (viewerId) {
+      const id = new mongoose.Types.ObjectId(idOf(viewerId));
+      conditions.push({ _id: id }, { followers: id });
+    }
+    return { $or: conditions };
+  }
+
+  // Ids of private accounts whose content the viewer may not see. Use with `user: { $nin: ids }`.
+  async getHiddenUserIds(viewerId = null) {
+    const filter = { 'privacy.profile': 'private' };
+    if (viewerId) {
+      const id = new mongoose.Types.ObjectId(idOf(viewerId));
+      filter._id = { $ne: id };
+      filter.followers = { $ne: id };
+    }
+    return User.find(filter).distinct('_id');
+  }
+
+  // Pending request from requester to target, if any
+  getPendingRequest(requesterId, targetId) {
+    return FollowRequest.findOne({ requester: requesterId, target: targetId, status: 'pending' });
+  }
+
+  /**
+   * Ask to follow a private account. Returns the pending request (an existing one is reused).
+   */
+  async requestFollow(requester, target) {
+    const existing = await this.getPendingRequest(requester._id, target._id);
+    if (existing) return existing;
+
+    let request;
+    try {
+      request = await FollowRequest.create({ requester: requester._id, target: target._id });
+    } catch (error) {
+      // Lost a race with a concurrent request for the same pair
+      if (error.code === 11000) return this.getPendingRequest(requester._id, target._id);
+      throw error;
+    }
+
+    await this.notify(target._id, requester._id, 'follow_request', `${requester.username} asked to follow you`, 'Review request');
+    logger.info('Follow request created', { requester: requester._id, target: target._id });
+    return request;
+  }
+
+  // Approve a pending request addressed to `ownerId`. Returns the request or null.
+  async approveRequest(ownerId, requestId) {
+    const request = await FollowRequest.findOneAndUpdate(
+      { _id: requestId, target: ownerId, status: 'pending' },
+      { $set: { status: 'approved', respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!request) return null;
+
+    await this.addFollower(request.target, request.requester);
+    const owner = await User.findById(ownerId).select('username');
+    await this.notify(request.requester, ownerId, 'follow', `${owner?.username || 'A user'} accepted your follow request`, 'View profile');
+    return request;
+  }
+
+  denyRequest(ownerId, requestId) {
+    return FollowRequest.findOneAndUpdate(
+      { _id: requestId, target: ownerId, status: 'pending' },
+      { $set: { status: 'denied', respondedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Withdraw a request the user sent
+  cancelRequest(requesterId, requestId) {
+    return FollowRequest.findOneAndUpdate(
+      { _id: requestId, requester: requesterId, status: 'pending' },
+      { $set: { status: 'cancelled', respondedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // When an account goes public every pending request is accepted, as the follow would now go straight through
+  async approveAllPending(ownerId) {
+    const pending = await FollowRequest.find({ target: ownerId, status: 'pending' }).select('requester');
+    for (const request of pending) {
+      await this.addFollower(ownerId, request.requester);
+    }
+    await FollowRequest.updateMany(
+      { target: ownerId, status: 'pending' },
+      { $set: { status: 'approved', respondedAt: new Date() } }
+    );
+    return pending.length;
+  }
+
+  async addFollower(ownerId, followerId) {
+    await User.updateOne({ _id: followerId }, { $addToSet: { following: ownerId } });
+    await User.updateOne({ _id: ownerId }, { $addToSet: { followers: followerId } });
+  }
+
+  async notify(userId, senderId, type, context, action) {
+    try {
+      await Notification.create({ user: userId, sender: senderId, type, context, action });
+    } catch (error) {
+      logger.error('Error creating follow notification:', error);
+    }
+  }
+}
+
+module.exports = new PrivacyService();
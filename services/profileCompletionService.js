@@ -0,0 +1,79 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Each step's weight is its share of the 100 point score
+const STEPS = [
+  { key: 'avatar', label: 'Add a profile photo', weight: 15, isDone: user => hasText(user.avatar) },
+  { key: 'bio', label: 'Write a short bio or about section', weight: 15, isDone: user => hasText(user.bio) || hasText(user.about) },
+  { key: 'skills', label: 'Add a skill you can teach', weight: 20, isDone: user => (user.skills || []).length > 0 },
+  { key: 'lookingFor', label: 'Add a skill you want to learn', weight: 15, isDone: user => (user.lookingFor || []).length > 0 },
+  { key: 'location', label: 'Set your city or country', weight: 10, isDone: user => hasText(user.location?.city) || hasText(user.location?.country) },
+  { key: 'timeZone', label: 'Set your time zone', weight: 5, isDone: user => hasText(user.timeZone) },
+  { key: 'language', label: 'Choose your language', weight: 5, isDone: user => hasText(user.language) },
+  { key: 'verifiedContact', label: 'Verify your email address', weight: 15, isDone: user => user.emailVerified === true }
+];
+
+// Profiles at or above this score get personalized recommendations. Set so every profile the old rule
+// accepted, (skills or lookingFor) and (location or bio), still qualifies: the lowest is lookingFor + location.
+const COMPLETE_THRESHOLD = 25;
+
+/**
+ * Single source of truth for how complete a profile is. The score is stored on
+ * `User.completion` and recomputed whenever one of the scored fields changes.
+ */
+class ProfileCompletionService {
+  constructor() {
+    this.steps = STEPS;
+    this.threshold = COMPLETE_THRESHOLD;
+    // Fields a user query must select for evaluate() to be accurate
+    this.fields = 'avatar bio about skills lookingFor location timeZone language emailVerified';
+  }
+
+  // Score a user document (populated or not) without touching the database
+  evaluate(user) {
+    const steps = this.steps.map(step => ({
+      key: step.key,
+      label: step.label,
+      weight: step.weight,
+      done: !!user && step.isDone(user)
+    }));
+    const score = steps.reduce((total, step) => total + (step.done ? step.weight : 0), 0);
+
+    return {
+      score,
+      isComplete: score >= this.threshold,
+      steps,
+      missing: steps.filter(step => !step.done)
+    };
+  }
+
+  isComplete(user) {
+    return !!user && this.evaluate(user).isComplete;
+  }
+
+  // Re-score a user from the database and persist the score if it changed. Returns the evaluation or null.
+  async recompute(userId) {
+    const user = await User.findById(userId).select(`${this.fields} completion`).lean();
+    if (!user) return null;
+
+    const result = this.evaluate(user);
+    if (user.completion !== result.score) {
+      await User.updateOne({ _id: user._id }, { $set: { completion: result.score } });
+    }
+    return result;
+  }
+
+  // Like recompute, but never fails the caller; for use after profile and skill writes
+  async refresh(userId) {
+    try {
+      return await this.recompute(userId);
+    } catch (error) {
+      logger.error('Error updating profile completion:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new ProfileCompletionService();
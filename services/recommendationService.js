@@ -3,6 +3,12 @@ const Skill = require('../models/Skill');
 const SwapCard = require('../models/SwapCard');
 const Post = require('../models/Post');
 const RecommendationFeedback = require('../models/RecommendationFeedback');
+const privacyService = require('./privacyService');
+const blockService = require('./blockService');
+const profileCompletionService = require('./profileCompletionService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const learningPathService = require('./learningPathService');
+const skillMarketService = require('./skillMarketService');
 const logger = require('../utils/logger');
 
 class RecommendationService {
@@ -17,28 +23,33 @@ class RecommendationService {
     };
   }
 
-  // Check if user profile is complete
+  // Personalized recommendations need a reasonably complete profile; uses the shared completion score
   isProfileComplete(user) {
-    if (!user) return false;
-    
-    const hasSkills = user.skills && user.skills.length > 0;
-    const hasLookingFor = user.lookingFor && user.lookingFor.length > 0;
-    const hasLocation = user.location && (user.location.city || user.location.country);
-    const hasBio = user.bio && user.bio.trim().length > 0;
-    
-    // Profile is complete if user has at least skills or lookingFor, plus basic info
-    return (hasSkills || hasLookingFor) && (hasLocation || hasBio);
+    return profileCompletionService.isComplete(user);
+  }
+
+  // Users whose content must not be recommended to the viewer: private accounts they don't follow
+  // and anyone blocked in either direction
+  async getExcludedUserIds(userId = null) {
+    const [hidden, blocked] = await Promise.all([
+      privacyService.getHiddenUserIds(userId),
+      blockService.getBlockedUserIds(userId)
+    ]);
+    return [...hidden, ...blocked];
   }
 
   // Get random recommendations for incomplete profiles
-  async getRandomRecommendations(type, limit = 10, page = 1) {
+  async getRandomRecommendations(type, limit = 10, page = 1, userId = null) {
     try {
       let items = [];
       let total = 0;
+      // Private accounts (and their content) only appear for their approved followers
+      const hiddenUsers = await this.getExcludedUserIds(userId);
+      const visibleUsers = { ...privacyService.visibleUsersFilter(userId), _id: { $nin: hiddenUsers } };
 
       switch (type) {
         case 'profiles':
-          items = await User.find({ 'privacy.profile': 'public' })
+          items = await User.find(visibleUsers)
             .populate('skills')
             .populate('lookingFor')
             .populate('followers')
@@ -48,7 +59,7 @@ class RecommendationService {
             .limit(limit)
             .lean();
           
-          total = await User.countDocuments({ 'privacy.profile': 'public' });
+          total = await User.countDocuments(visibleUsers);
           
           items = items.map(user => ({
             ...user,
@@ -59,17 +70,17 @@ class RecommendationService {
           break;
 
         case 'swaps':
-          items = await SwapCard.find({ status: 'open' })
+          items = await SwapCard.find({ status: 'open', user: { $nin: hiddenUsers }, ...SwapCard.notExpired() })
             .populate('user', 'username firstName lastName avatar')
             .populate('offeredSkill')
             .populate('desiredSkill')
             .sort({ createdAt: -1 })
             .skip((page - 1) * limit)
-            .select('_id user offeredSkill desiredSkill status createdAt title likes')
+            .select('_id user offeredSkill desiredSkill offeredCatalogSkill desiredCatalogSkill status createdAt title likes')
             .limit(limit)
             .lean();
           
-          total = await SwapCard.countDocuments({ status: 'open' });
+          total = await SwapCard.countDocuments({ status: 'open', user: { $nin: hiddenUsers }, ...SwapCard.notExpired() });
           
           items = items.map(swap => ({
             ...swap,
@@ -80,7 +91,7 @@ class RecommendationService {
           break;
 
         case 'posts':
-          items = await Post.find({ visibility: 'public' })
+          items = await Post.find({ visibility: 'public', user: { $nin: hiddenUsers } })
             .populate('user', 'username firstName lastName avatar')
             .populate('community', 'name')
             .populate('likes')
@@ -91,7 +102,7 @@ class RecommendationService {
             .limit(limit)
             .lean();
           
-          total = await Post.countDocuments({ visibility: 'public' });
+          total = await Post.countDocuments({ visibility: 'public', user: { $nin: hiddenUsers } });
           
           items = items.map(post => ({
             ...post,
@@ -102,15 +113,15 @@ class RecommendationService {
           break;
 
         case 'skills':
-          items = await Skill.find({ isLookingFor: false })
+          items = await Skill.find({ isLookingFor: false, user: { $nin: hiddenUsers } })
             .populate('user', 'username firstName lastName avatar')
-            .sort({ rating: -1, createdAt: -1 })
+            .sort({ endorsementCount: -1, rating: -1, createdAt: -1 })
             .skip((page - 1) * limit)
-            .select('_id user title description rating experienceLevel availability tags')
+            .select('_id user title description rating experienceLevel availability tags catalogSkill endorsementCount verification')
             .limit(limit)
             .lean();
           
-          total = await Skill.countDocuments({ isLookingFor: false });
+          total = await Skill.countDocuments({ isLookingFor: false, user: { $nin: hiddenUsers } });
           
           items = items.map(skill => ({
             ...skill,
@@ -145,21 +156,15 @@ class RecommendationService {
     let score = 0;
     let totalWeight = 0;
 
-    // Skill compatibility (40% weight)
+    // Skill compatibility (40% weight), compared by canonical skill so "JS" matches "JavaScript"
     if (user1.skills && user2.lookingFor) {
-      const skillOverlap = user1.skills.filter(skill => 
-        user2.lookingFor.some(lookingSkill => 
-          lookingSkill._id.toString() === skill._id.toString()
-        )
-      ).length;
-      const reverseSkillOverlap = user2.skills.filter(skill => 
-        user1.lookingFor.some(lookingSkill => 
-          lookingSkill._id.toString() === skill._id.toString()
-        )
-      ).length;
+      const user2Wants = skillTaxonomyService.keySet(user2.lookingFor);
+      const user1Wants = skillTaxonomyService.keySet(user1.lookingFor || []);
+      const skillOverlap = user1.skills.filter(skill => skillTaxonomyService.matches(user2Wants, skill)).length;
+      const reverseSkillOverlap = (user2.skills || []).filter(skill => skillTaxonomyService.matches(user1Wants, skill)).length;
       
       const skillScore = (skillOverlap + reverseSkillOverlap) / 
-        Math.max(user1.skills.length + user2.skills.length, 1);
+        Math.max(user1.skills.length + (user2.skills || []).length, 1);
       score += skillScore * this.weights.skillMatch;
       totalWeight += this.weights.skillMatch;
     }
@@ -267,7 +272,7 @@ class RecommendationService {
           .populate('skills')
           .populate('lookingFor')
           .populate('blocked')
-          .select('_id firstName lastName avatar username skills lookingFor bio location')
+          .select(`_id firstName lastName username ${profileCompletionService.fields}`)
           .limit(1)
           .lean();
         
@@ -276,15 +281,15 @@ class RecommendationService {
 
       // If no user or incomplete profile, return random recommendations
       if (!userId || !isCompleteProfile) {
-        return await this.getRandomRecommendations('profiles', limit, page);
+        return await this.getRandomRecommendations('profiles', limit, page, userId);
       }
 
-      // Get all users except current user and blocked users
-      const excludedUsers = [userId, ...(currentUser.blocked || [])];
+      // Get all users except current user and users blocked in either direction
+      const excludedUsers = [userId, ...(await blockService.getBlockedUserIds(userId))];
       
       const users = await User.find({
         _id: { $nin: excludedUsers },
-        'privacy.profile': 'public'
+        ...privacyService.visibleUsersFilter(userId)
       })
       .populate('skills')
       .populate('lookingFor')
@@ -344,7 +349,7 @@ class RecommendationService {
         currentUser = await User.findById(userId)
           .populate('skills')
           .populate('lookingFor')
-          .select('_id user offeredSkill desiredSkill status createdAt title likes')
+          .select(`_id firstName lastName username ${profileCompletionService.fields}`)
           .limit(1)
           .lean();
         
@@ -353,17 +358,24 @@ class RecommendationService {
 
       // If no user or incomplete profile, return random recommendations
       if (!userId || !isCompleteProfile) {
-        return await this.getRandomRecommendations('swaps', limit, page);
+        return await this.getRandomRecommendations('swaps', limit, page, userId);
       }
 
       // Build query
       const query = {
         status: 'open',
-        user: { $ne: userId }
+        user: { $ne: userId, $nin: await this.getExcludedUserIds(userId) },
+        ...SwapCard.notExpired()
       };
 
       if (category) {
-        query.tags = { $in: [category] };
+        // A catalog category or skill covers everything below it; anything else is a plain tag
+        const catalogIds = await skillTaxonomyService.resolveFilter(category);
+        if (catalogIds) {
+          query.$or = [{ offeredCatalogSkill: { $in: catalogIds } }, { desiredCatalogSkill: { $in: catalogIds } }];
+        } else {
+          query.tags = { $in: [category] };
+        }
       }
 
       const swapCards = await SwapCard.find(query)
@@ -371,7 +383,7 @@ class RecommendationService {
         .populate('offeredSkill')
         .populate('desiredSkill')
         .sort('-createdAt')
-        .select('_id user offeredSkill desiredSkill status createdAt title likes')
+        .select('_id user offeredSkill desiredSkill offeredCatalogSkill desiredCatalogSkill status createdAt title likes')
         .limit(200)
         .lean();
 
@@ -415,17 +427,26 @@ class RecommendationService {
     }
   }
 
+  // Whether the card offers a skill the user wants and wants a skill the user has, by canonical skill
+  getSwapSkillMatches(user, swap) {
+    const userSkills = skillTaxonomyService.keySet(user.skills || []);
+    const userLookingFor = skillTaxonomyService.keySet(user.lookingFor || []);
+    const offered = [...skillTaxonomyService.skillKeys(swap.offeredSkill), ...skillTaxonomyService.skillKeys(swap.offeredCatalogSkill)];
+    const desired = [...skillTaxonomyService.skillKeys(swap.desiredSkill), ...skillTaxonomyService.skillKeys(swap.desiredCatalogSkill)];
+
+    return {
+      offeredSkillMatch: offered.some(key => userLookingFor.has(key)),
+      desiredSkillMatch: desired.some(key => userSkills.has(key))
+    };
+  }
+
   // Calculate swap card relevance
   calculateSwapRelevance(user, swap) {
     let score = 0;
     let totalWeight = 0;
 
     // Skill match (50% weight)
-    const userSkills = user.skills?.map(s => s._id.toString()) || [];
-    const userLookingFor = user.lookingFor?.map(s => s._id.toString()) || [];
-    
-    const offeredSkillMatch = userLookingFor.includes(swap.offeredSkill._id.toString());
-    const desiredSkillMatch = userSkills.includes(swap.desiredSkill._id.toString());
+    const { offeredSkillMatch, desiredSkillMatch } = this.getSwapSkillMatches(user, swap);
     
     if (offeredSkillMatch && desiredSkillMatch) {
       score += 1.0 * 0.5; // Perfect match
@@ -452,6 +473,10 @@ class RecommendationService {
     score += popularityScore * 0.1;
     totalWeight += 0.1;
 
+    // Endorsements of the offered skill (10% weight)
+    score += this.calculateEndorsementScore(swap.offeredSkill?.endorsementCount) * 0.1;
+    totalWeight += 0.1;
+
     // Featured bonus (5% weight)
     if (swap.isFeatured) {
       score += 0.05;
@@ -463,11 +488,7 @@ class RecommendationService {
 
   // Get swap match type
   getSwapMatchType(user, swap) {
-    const userSkills = user.skills?.map(s => s._id.toString()) || [];
-    const userLookingFor = user.lookingFor?.map(s => s._id.toString()) || [];
-    
-    const offeredSkillMatch = userLookingFor.includes(swap.offeredSkill._id.toString());
-    const desiredSkillMatch = userSkills.includes(swap.desiredSkill._id.toString());
+    const { offeredSkillMatch, desiredSkillMatch } = this.getSwapSkillMatches(user, swap);
     
     if (offeredSkillMatch && desiredSkillMatch) {
       return 'perfect';
@@ -490,7 +511,7 @@ class RecommendationService {
         currentUser = await User.findById(userId)
           .populate('skills')
           .populate('lookingFor')
-          .select('_id firstName lastName avatar username skills lookingFor bio location')
+          .select(`_id firstName lastName username ${profileCompletionService.fields}`)
           .limit(1)
           .lean();
         
@@ -499,13 +520,13 @@ class RecommendationService {
 
       // If no user or incomplete profile, return random recommendations
       if (!userId || !isCompleteProfile) {
-        return await this.getRandomRecommendations('posts', limit, page);
+        return await this.getRandomRecommendations('posts', limit, page, userId);
       }
 
       // Build query
       const query = {
         visibility: 'public',
-        user: { $ne: userId }
+        user: { $ne: userId, $nin: await this.getExcludedUserIds(userId) }
       };
 
       if (community) {
@@ -619,34 +640,52 @@ class RecommendationService {
         currentUser = await User.findById(userId)
           .populate('skills')
           .populate('lookingFor')
-          .select('_id firstName lastName avatar username skills lookingFor bio location')
+          .select(`_id firstName lastName username ${profileCompletionService.fields}`)
           .limit(1)
           .lean();
         
         isCompleteProfile = this.isProfileComplete(currentUser);
       }
 
+      // Community learning paths toward the skills the user wants, or the most followed ones
+      const excludedUserIds = await this.getExcludedUserIds(userId);
+      const learningPaths = await learningPathService.suggestPaths(currentUser, { excludedUserIds });
+
       // If no user or incomplete profile, return random recommendations
       if (!userId || !isCompleteProfile) {
-        return await this.getRandomRecommendations('skills', limit, 1);
+        const random = await this.getRandomRecommendations('skills', limit, 1, userId);
+        return { ...random, learningPaths };
       }
 
       // Get all skills except user's own
       const query = {
-        user: { $ne: userId },
+        user: { $ne: userId, $nin: excludedUserIds },
         isLookingFor: false // Only recommend skills people are offering
       };
 
       if (category) {
-        query.category = category;
+        const catalogIds = await skillTaxonomyService.resolveFilter(category);
+        if (catalogIds) {
+          query.catalogSkill = { $in: catalogIds };
+        } else {
+          query.category = category;
+        }
       }
 
-      const skills = await Skill.find(query)
+      // Skills the user is looking for are always candidates, even when they are not among the top rated
+      const wantedCatalogIds = (currentUser.lookingFor || []).map(skill => skill.catalogSkill).filter(Boolean);
+      const candidateQueries = [query];
+      if (wantedCatalogIds.length && !query.catalogSkill) {
+        candidateQueries.push({ ...query, catalogSkill: { $in: wantedCatalogIds } });
+      }
+
+      const candidateLists = await Promise.all(candidateQueries.map(candidateQuery => Skill.find(candidateQuery)
         .populate('user', 'username firstName lastName avatar')
-        .sort('-rating')
-        .select('_id user title description rating experienceLevel availability tags')
+        .sort({ endorsementCount: -1, rating: -1 })
+        .select('_id user title description rating experienceLevel availability tags catalogSkill endorsementCount verification')
         .limit(100)
-        .lean();
+        .lean()));
+      const skills = [...new Map(candidateLists.flat().map(skill => [skill._id.toString(), skill])).values()];
 
       // Calculate relevance scores
       const skillScores = skills.map(skill => ({
@@ -659,14 +698,16 @@ class RecommendationService {
       const topSkills = skillScores.slice(0, limit);
 
       // Format response
+      const demandScores = await skillMarketService.getDemandScores(topSkills.map(item => item.skill));
       const formattedSkills = topSkills.map(item => ({
         ...item.skill,
         relevanceScore: Math.round(item.score * 100),
-        demandLevel: this.calculateSkillDemand(item.skill)
+        demandLevel: this.calculateSkillDemand(item.skill, demandScores)
       }));
 
       return {
         skills: formattedSkills,
+        learningPaths,
         metadata: {
           totalCandidates: skills.length,
           averageScore: skillScores.reduce((sum, item) => sum + item.score, 0) / skillScores.length,
@@ -685,30 +726,33 @@ class RecommendationService {
     let totalWeight = 0;
 
     // Match with user's looking for (50% weight)
-    const userLookingFor = user.lookingFor?.map(s => s.title?.toLowerCase()) || [];
-    const skillTitle = skill.title?.toLowerCase();
+    const userLookingFor = skillTaxonomyService.keySet(user.lookingFor || []);
     
-    if (userLookingFor.includes(skillTitle)) {
+    if (skillTaxonomyService.matches(userLookingFor, skill)) {
       score += 1.0 * 0.5;
     } else {
       // Partial match with tags
-      const skillTags = skill.tags?.map(t => t.toLowerCase()) || [];
-      const tagMatches = skillTags.filter(tag => userLookingFor.includes(tag)).length;
+      const skillTags = skill.tags || [];
+      const tagMatches = skillTags.filter(tag => userLookingFor.has(`text:${skillTaxonomyService.normalizeKey(tag)}`)).length;
       const tagScore = skillTags.length > 0 ? tagMatches / skillTags.length : 0;
       score += tagScore * 0.5;
     }
     totalWeight += 0.5;
 
-    // Skill rating (25% weight)
+    // Skill rating (15% weight)
     const ratingScore = skill.rating / 5;
-    score += ratingScore * 0.25;
-    totalWeight += 0.25;
+    score += ratingScore * 0.15;
+    totalWeight += 0.15;
+
+    // Endorsements from swap partners (15% weight)
+    score += this.calculateEndorsementScore(skill.endorsementCount) * 0.15;
+    totalWeight += 0.15;
 
-    // Experience level (15% weight)
+    // Experience level (10% weight)
     const experienceScore = skill.experienceLevel === 'expert' ? 1 : 
                            skill.experienceLevel === 'intermediate' ? 0.7 : 0.4;
-    score += experienceScore * 0.15;
-    totalWeight += 0.15;
+    score += experienceScore * 0.1;
+    totalWeight += 0.1;
 
     // Availability (10% weight)
     const availabilityScore = skill.availability === 'available' ? 1 : 0.5;
@@ -718,22 +762,38 @@ class RecommendationService {
     return totalWeight > 0 ? score / totalWeight : 0;
   }
 
-  // Calculate skill demand
-  calculateSkillDemand(skill) {
-    // This could be enhanced with actual demand data
+  // 0-1 score for how well endorsed a skill is; the first endorsements count the most
+  calculateEndorsementScore(count = 0) {
+    return Math.min(Math.log10(1 + (count || 0)) / Math.log10(1 + 20), 1);
+  }
+
+  // Calculate skill demand from the latest market figures (see skillMarketService.getDemandScores),
+  // falling back to a rating-based estimate for skills the aggregation has not seen yet
+  calculateSkillDemand(skill, demandScores = new Map()) {
+    const marketDemand = demandScores.get(skillMarketService.primaryKey(skill));
+    if (marketDemand !== undefined) return marketDemand;
+
     const baseDemand = skill.rating * 0.2;
     const availabilityBonus = skill.availability === 'available' ? 0.1 : 0;
     return Math.min(baseDemand + availabilityBonus, 1);
   }
 
+  // Under-supplied skills the user could teach, from the skill market figures
+  async getTeachingOpportunities(userId = null, limit = 3) {
+    if (!userId) return [];
+    const user = await User.findById(userId).select('location').lean();
+    return user ? skillMarketService.getTeachingOpportunities(user, { limit }) : [];
+  }
+
   // Get dashboard recommendations
   async getDashboardRecommendations(userId = null) {
     try {
-      const [profiles, swaps, posts, skills] = await Promise.all([
+      const [profiles, swaps, posts, skills, teachingOpportunities] = await Promise.all([
         this.getProfileRecommendations(userId, 5, 1),
         this.getSwapRecommendations(userId, 5, 1),
         this.getPostRecommendations(userId, 5, 1),
-        this.getSkillRecommendations(userId, 5)
+        this.getSkillRecommendations(userId, 5),
+        this.getTeachingOpportunities(userId, 3)
       ]);
 
       return {
@@ -741,6 +801,8 @@ class RecommendationService {
         swaps: swaps.swaps || swaps.items,
         posts: posts.posts || posts.items,
         skills: skills.skills || skills.items,
+        learningPaths: skills.learningPaths || [],
+        teachingOpportunities,
         summary: {
           totalRecommendations: (profiles.profiles || profiles.items).length + 
                                (swaps.swaps || swaps.items).length + 
@@ -769,18 +831,21 @@ class RecommendationService {
         currentUser = await User.findById(userId)
           .populate('skills')
           .populate('lookingFor')
-          .select('_id firstName lastName avatar username skills lookingFor bio location')
+          .select(`_id firstName lastName username ${profileCompletionService.fields}`)
           .limit(1)
           .lean();
         
         isCompleteProfile = this.isProfileComplete(currentUser);
       }
 
+      const hiddenUsers = await this.getExcludedUserIds(userId);
+      const otherUsers = userId ? { $ne: userId, $nin: hiddenUsers } : { $nin: hiddenUsers };
+
       // Get diverse content from different categories
       const [newUsers, trendingSwaps, popularPosts, trendingSkills] = await Promise.all([
         User.find({ 
-          _id: userId ? { $ne: userId } : { $exists: true },
-          'privacy.profile': 'public',
+          _id: otherUsers,
+          ...privacyService.visibleUsersFilter(userId),
           createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
         })
         .populate('skills')
@@ -791,19 +856,20 @@ class RecommendationService {
 
         SwapCard.find({ 
           status: 'open',
-          user: userId ? { $ne: userId } : { $exists: true },
-          likes: { $gte: 3 } // Popular swaps
+          user: otherUsers,
+          likes: { $gte: 3 }, // Popular swaps
+          ...SwapCard.notExpired()
         })
         .populate('user', 'username firstName lastName avatar')
         .populate('offeredSkill')
         .populate('desiredSkill')
         .limit(5)
-        .select('_id user offeredSkill desiredSkill status createdAt title likes')
+        .select('_id user offeredSkill desiredSkill offeredCatalogSkill desiredCatalogSkill status createdAt title likes')
         .lean(),
 
         Post.find({ 
           visibility: 'public',
-          user: userId ? { $ne: userId } : { $exists: true },
+          user: otherUsers,
           likes: { $gte: 5 } // Popular posts
         })
         .populate('user', 'username firstName lastName avatar')
@@ -813,13 +879,13 @@ class RecommendationService {
         .lean(),
 
         Skill.find({ 
-          user: userId ? { $ne: userId } : { $exists: true },
+          user: otherUsers,
           isLookingFor: false,
           rating: { $gte: 4 } // High-rated skills
         })
         .populate('user', 'username firstName lastName avatar')
         .limit(5)
-        .select('_id user title description rating experienceLevel availability tags')
+        .select('_id user title description rating experienceLevel availability tags catalogSkill endorsementCount verification')
         .lean()
       ]);
 
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { getDeviceInfo, getDeviceFingerprint } = require('../middleware/activityTracker');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Avoid a write on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+class SessionService {
+  getSecret() {
+    if (!process.env.JWT_SECRET) {
+      logger.error('JWT_SECRET is not set in environment variables');
+      throw new Error('JWT_SECRET missing. Auth disabled.');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+  generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+  }
+
+  signAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, this.getSecret(), { expiresIn: ACCESS_TOKEN_TTL });
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Open a new session for a user and issue its first token pair
+  async createSession(userId, req) {
+    const device = req ? getDeviceInfo(req) : {};
+    const session = new Session({
+      user: userId,
+      deviceId: device.deviceId,
+      deviceType: device.deviceType,
+      browser: device.browser,
+      os: device.os,
+      ip: device.ip,
+      fingerprint: req ? getDeviceFingerprint(device) : undefined,
+      userAgent: req?.headers?.['user-agent'],
+      expiresAt: this.getRefreshExpiry(),
+      refreshTokenHash: 'pending'
+    });
+
+    const refreshToken = this.generateRefreshToken(session._id);
+    session.refreshTokenHash = this.hashToken(refreshToken);
+    await session.save();
+
+    return {
+      session,
+      accessToken: this.signAccessToken(userId, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+
+  // Exchange a refresh token for a new token pair. Returns null if the token is not usable.
+  async rotateRefreshToken(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+    const [sessionId] = refreshToken.split('.');
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (!session || !session.isActive()) return null;
+
+    if (session.refreshTokenHash !== this.hashToken(refreshToken)) {
+      // An old refresh token was replayed: assume it was stolen and kill the session
+      logger.warn('Refresh token reuse detected, revoking session', {
+        sessionId: session._id,
+        userId: session.user
+      });
+      await this.revokeSession(session.user, session._id, 'token_reuse');
+      return null;
+    }
+
+    const nextRefreshToken = this.generateRefreshToken(session._id);
+    session.refreshTokenHash = this.hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = this.getRefreshExpiry();
+    if (req) session.ip = req.ip || session.ip;
+    await session.save();
+
+    return {
+      session,
+      accessToken: this.signAccessToken(session.user, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+
+  // Verify an access token and its backing session. Returns null if either is invalid.
+  async authenticate(token) {
+    const decoded = jwt.verify(token, this.getSecret());
+
+    // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+    if (!decoded.sid) return null;
+
+    const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt lastUsedAt');
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id.toString()) {
+      return null;
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) return null;
+
+    if (Date.now() - new Date(session.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+      Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+        .catch(err => logger.error('Error updating session lastUsedAt:', err));
+    }
+
+    return { user, session };
+  }
+
+  async listSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt').lean();
+  }
+
+  async revokeSession(userId, sessionId, reason = 'logout') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+    if (session) this.disconnectSockets([session._id]);
+    return session;
+  }
+
+  // Revoke every live session of a user, optionally keeping one (e.g. the caller's own)
+  async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter).select('_id').lean();
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map(s => s._id);
+    await Session.updateMany(
+      { _id: { $in: ids } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    this.disconnectSockets(ids);
+    return ids.length;
+  }
+
+  // Revoke the sessions opened from a given device
+  async revokeDeviceSessions(userId, deviceId, reason = 'terminated') {
+    const sessions = await Session.find({ user: userId, deviceId, revokedAt: { $exists: false } })
+      .select('_id').lean();
+    for (const session of sessions) {
+      await this.revokeSession(userId, session._id, reason);
+    }
+    return sessions.length;
+  }
+
+  disconnectSockets(sessionIds) {
+    try {
+      const socketService = require('../utils/socket');
+      sessionIds.forEach(id => socketService.disconnectSession(id.toString()));
+    } catch (error) {
+      logger.error('Error disconnecting revoked session sockets:', error);
+    }
+  }
+}
+
+module.exports = new SessionService();
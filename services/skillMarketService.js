@@ -0,0 +1,352 @@
+const CatalogSkill = require('../models/CatalogSkill');
+const Rating = require('../models/Rating');
+const Skill = require('../models/Skill');
+const SkillMarketStat = require('../models/SkillMarketStat');
+const SwapCard = require('../models/SwapCard');
+const SwapRequest = require('../models/SwapRequest');
+const User = require('../models/User');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = { '7d': 7, '30d': 30, '90d': 90 };
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Requests in these states were accepted at some point
+const ACCEPTED_STATUSES = ['accepted', 'ongoing', 'completed'];
+const ANSWERED_STATUSES = [...ACCEPTED_STATUSES, 'rejected'];
+// A skill is under-supplied when at least this many people want it and they outnumber those offering it
+const MIN_WANTED = 2;
+
+const idOf = (value) => (value?._id || value)?.toString();
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const SORTS = {
+  demand: { demandScore: -1, wantedBy: -1 },
+  supply: { offeredBy: -1 },
+  wanted: { wantedBy: -1 },
+  acceptance: { acceptanceRate: -1, requests: -1 },
+  activity: { requests: -1 }
+};
+
+/**
+ * Skill market analytics: a daily aggregation of how many people offer and want each skill,
+ * open swap cards, swap request acceptance and ratings, per skill and category, worldwide and
+ * per country, over several windows. Each day's figures are kept, which gives the trend lines.
+ */
+class SkillMarketService {
+  constructor() {
+    this.isRunning = false;
+    this.isComputing = false;
+    this.interval = null;
+  }
+
+  // Compute today's figures now if they are missing, then check every hour
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.runIfDue();
+    this.interval = setInterval(() => {
+      this.runIfDue();
+    }, CHECK_INTERVAL_MS);
+
+    logger.info('Skill market aggregation started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  async runIfDue() {
+    try {
+      const today = startOfDay(new Date());
+      if (!(await SkillMarketStat.exists({ date: today }))) await this.compute();
+    } catch (error) {
+      logger.error('Skill market aggregation error:', error);
+    }
+  }
+
+  // The key a skill is counted under: its catalog entry, or its normalized title when it has none
+  primaryKey(skill) {
+    const [key] = skillTaxonomyService.skillKeys(skill);
+    return key || null;
+  }
+
+  demandScore(offeredBy, wantedBy) {
+    return (wantedBy + 1) / (offeredBy + wantedBy + 2);
+  }
+
+  /**
+   * Turn raw facts into stat rows. Pure, so it can be tested without a database.
+   * - skills: [{ _id, user, title, category, catalogSkill, isLookingFor, country }]
+   * - cards: [{ _id, status, offeredSkill, desiredSkill, country }] (open cards and those referenced below)
+   * - requests: [{ swapCardId, status, createdAt }]
+   * - ratings: [{ ratedItem, itemType: 'skill' | 'swap', rating, createdAt }]
+   * - catalog: Map of catalog id -> { name, category }
+   */
+  aggregate({ skills = [], cards = [], requests = [], ratings = [], catalog = new Map() }, { date, windows = Object.keys(WINDOW_DAYS) } = {}) {
+    const now = date.getTime();
+    const rows = new Map();
+    const skillsById = new Map();
+    const cardsById = new Map(cards.map(card => [idOf(card), card]));
+
+    // Where a skill is counted: its own key and its category, both worldwide and in the country given
+    const targetsOf = (skill, country) => {
+      if (!skill) return [];
+      const entry = skill.catalogSkill ? catalog.get(idOf(skill.catalogSkill)) : null;
+      const category = entry?.category || skill.category || 'Other';
+      const targets = [
+        { scope: 'skill', key: this.primaryKey(skill), label: entry?.name || skill.title, catalogSkill: skill.catalogSkill || undefined, category },
+        { scope: 'category', key: skillTaxonomyService.normalizeKey(category) || 'other', label: category, category }
+      ];
+      const countries = country ? ['', country] : [''];
+      return targets.filter(target => target.key).flatMap(target => countries.map(c => ({ ...target, country: c })));
+    };
+
+    const rowFor = (target, window) => {
+      const id = [window, target.scope, target.country, target.key].join('|');
+      if (!rows.has(id)) {
+        rows.set(id, {
+          ...target,
+          window,
+          offered: new Set(),
+          wanted: new Set(),
+          openCardsOffering: 0,
+          openCardsSeeking: 0,
+          requests: 0,
+          acceptedRequests: 0,
+          answeredRequests: 0,
+          ratingCount: 0,
+          ratingTotal: 0
+        });
+      }
+      return rows.get(id);
+    };
+    const inWindow = (createdAt, window) => now - new Date(createdAt).getTime() <= WINDOW_DAYS[window] * DAY_MS;
+    const apply = (skill, country, createdAt, update) => {
+      targetsOf(skill, country).forEach(target => windows
+        .filter(window => !createdAt || inWindow(createdAt, window))
+        .forEach(window => update(rowFor(target, window))));
+    };
+
+    skills.forEach(skill => {
+      skillsById.set(idOf(skill), skill);
+      apply(skill, skill.country, null, row => (skill.isLookingFor ? row.wanted : row.offered).add(idOf(skill.user)));
+    });
+
+    cards.filter(card => card.status === 'open').forEach(card => {
+      apply(skillsById.get(idOf(card.offeredSkill)), card.country, null, row => row.openCardsOffering++);
+      apply(skillsById.get(idOf(card.desiredSkill)), card.country, null, row => row.openCardsSeeking++);
+    });
+
+    // Requests count toward the skill the card offers, since that is what was asked for
+    requests.forEach(request => {
+      const card = cardsById.get(idOf(request.swapCardId));
+      if (!card) return;
+      apply(skillsById.get(idOf(card.offeredSkill)), card.country, request.createdAt, row => {
+        row.requests++;
+        if (ACCEPTED_STATUSES.includes(request.status)) row.acceptedRequests++;
+        if (ANSWERED_STATUSES.includes(request.status)) row.answeredRequests++;
+      });
+    });
+
+    ratings.forEach(rating => {
+      let skill = null;
+      let country = null;
+      if (rating.itemType === 'skill') {
+        skill = skillsById.get(idOf(rating.ratedItem));
+        country = skill?.country;
+      } else {
+        const card = cardsById.get(idOf(rating.ratedItem));
+        skill = card ? skillsById.get(idOf(card.offeredSkill)) : null;
+        country = card?.country;
+      }
+      apply(skill, country, rating.createdAt, row => {
+        row.ratingCount++;
+        row.ratingTotal += rating.rating;
+      });
+    });
+
+    const day = startOfDay(date);
+    return [...rows.values()].map(({ offered, wanted, answeredRequests, ratingTotal, ...row }) => ({
+      ...row,
+      date: day,
+      offeredBy: offered.size,
+      wantedBy: wanted.size,
+      acceptanceRate: answeredRequests ? Math.round((row.acceptedRequests / answeredRequests) * 100) / 100 : null,
+      averageRating: row.ratingCount ? Math.round((ratingTotal / row.ratingCount) * 100) / 100 : null,
+      demandScore: Math.round(this.demandScore(offered.size, wanted.size) * 1000) / 1000
+    }));
+  }
+
+  // Load the facts the aggregation needs from the database
+  async collect(date) {
+    const since = new Date(date.getTime() - Math.max(...Object.values(WINDOW_DAYS)) * DAY_MS);
+
+    const [users, skills, openCards, requests, ratings, catalogEntries] = await Promise.all([
+      User.find({ 'location.country': { $nin: [null, ''] } }).select('location.country').lean(),
+      Skill.find({}).select('user title category catalogSkill isLookingFor').lean(),
+      SwapCard.find({ status: 'open', ...SwapCard.notExpired(date) }).select('status offeredSkill desiredSkill location.country').lean(),
+      SwapRequest.find({ createdAt: { $gte: since } }).select('swapCardId status createdAt').lean(),
+      Rating.find({ itemType: { $in: ['skill', 'swap'] }, createdAt: { $gte: since } }).select('ratedItem itemType rating createdAt').lean(),
+      CatalogSkill.find({}).select('name kind ancestors').lean()
+    ]);
+
+    const countries = new Map(users.map(user => [idOf(user), user.location.country.trim()]));
+    const entries = new Map(catalogEntries.map(entry => [idOf(entry), entry]));
+    // Categories are the top-level catalog entries, e.g. "Programming" for JavaScript
+    const catalog = new Map(catalogEntries.map(entry => {
+      const root = entry.ancestors?.length ? entries.get(idOf(entry.ancestors[0])) : entry;
+      return [idOf(entry), { name: entry.name, category: root?.name }];
+    }));
+
+    const openIds = new Set(openCards.map(card => idOf(card)));
+    const referenced = [
+      ...requests.map(request => idOf(request.swapCardId)),
+      ...ratings.filter(rating => rating.itemType === 'swap').map(rating => idOf(rating.ratedItem))
+    ].filter(id => !openIds.has(id));
+    const otherCards = referenced.length
+      ? await SwapCard.find({ _id: { $in: [...new Set(referenced)] } }).select('status offeredSkill desiredSkill location.country').lean()
+      : [];
+
+    return {
+      skills: skills.map(skill => ({ ...skill, country: countries.get(idOf(skill.user)) })),
+      cards: [...openCards, ...otherCards].map(card => ({ ...card, country: card.location?.country?.trim() })),
+      requests,
+      ratings,
+      catalog
+    };
+  }
+
+  // Compute and store today's figures, replacing any computed earlier today. Returns the number of rows.
+  async compute(date = new Date()) {
+    if (this.isComputing) return 0;
+    this.isComputing = true;
+    try {
+      const started = Date.now();
+      const rows = this.aggregate(await this.collect(date), { date });
+      const day = startOfDay(date);
+
+      await SkillMarketStat.deleteMany({ date: day });
+      if (rows.length) await SkillMarketStat.insertMany(rows, { ordered: false });
+
+      logger.info('Skill market figures computed', { date: day, rows: rows.length, ms: Date.now() - started });
+      return rows.length;
+    } finally {
+      this.isComputing = false;
+    }
+  }
+
+  async getLatestDate() {
+    const latest = await SkillMarketStat.findOne().sort({ date: -1 }).select('date').lean();
+    return latest?.date || null;
+  }
+
+  /**
+   * Latest figures for every skill or category. `sort` is one of demand, supply, wanted,
+   * acceptance or activity. Returns { date, stats }.
+   */
+  async getMarket({ scope = 'skill', window = '30d', country = '', category, sort = 'demand', page = 1, limit = 20 } = {}) {
+    const date = await this.getLatestDate();
+    if (!date) return { date: null, stats: [], total: 0 };
+
+    const filter = { date, scope, window, country: country || '' };
+    if (category && scope === 'skill') filter.category = category;
+    const [stats, total] = await Promise.all([
+      SkillMarketStat.find(filter)
+        .sort({ ...(SORTS[sort] || SORTS.demand), key: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-_id -__v -createdAt -updatedAt')
+        .lean(),
+      SkillMarketStat.countDocuments(filter)
+    ]);
+    return { date, stats, total };
+  }
+
+  // Stat key for a skill (catalog id, slug or name) or a category name. Returns null when nothing matches.
+  async resolveKey({ skill, category }) {
+    if (category) return { scope: 'category', key: skillTaxonomyService.normalizeKey(category) || null };
+    if (!skill) return null;
+    const entry = await skillTaxonomyService.getEntry(skill) || await skillTaxonomyService.resolve(skill);
+    const key = entry ? `catalog:${entry._id}` : this.primaryKey({ title: skill });
+    return key ? { scope: 'skill', key } : null;
+  }
+
+  // Daily figures for one skill or category over the last `days` days, oldest first
+  async getTrend({ scope, key, window = '30d', country = '', days = 90 }) {
+    const since = startOfDay(new Date(Date.now() - days * DAY_MS));
+    const points = await SkillMarketStat.find({ scope, key, window, country: country || '', date: { $gte: since } })
+      .sort({ date: 1 })
+      .select('date label offeredBy wantedBy openCardsOffering openCardsSeeking requests acceptanceRate averageRating demandScore')
+      .lean();
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    return {
+      label: last?.label || null,
+      points: points.map(({ _id, label, ...point }) => point),
+      change: first && last ? {
+        offeredBy: last.offeredBy - first.offeredBy,
+        wantedBy: last.wantedBy - first.wantedBy,
+        demandScore: Math.round((last.demandScore - first.demandScore) * 1000) / 1000
+      } : null
+    };
+  }
+
+  /**
+   * Skills the user teaches that more people want than offer, biggest gap first.
+   * Uses figures for the user's country where there are any, and worldwide figures otherwise.
+   */
+  async getTeachingOpportunities(user, { window = '30d', limit = 10 } = {}) {
+    const date = await this.getLatestDate();
+    if (!date) return [];
+
+    const skills = await Skill.find({ user: user._id, isLookingFor: { $ne: true } }).select('title catalogSkill').lean();
+    const keys = [...new Set(skills.map(skill => this.primaryKey(skill)).filter(Boolean))];
+    if (!keys.length) return [];
+
+    const country = user.location?.country?.trim() || '';
+    const stats = await SkillMarketStat.find({
+      date, window, scope: 'skill', key: { $in: keys }, country: { $in: [...new Set(['', country])] }
+    }).lean();
+
+    const byKey = new Map();
+    stats.forEach(stat => {
+      const current = byKey.get(stat.key);
+      if (!current || (stat.country && !current.country)) byKey.set(stat.key, stat);
+    });
+
+    return [...byKey.values()]
+      .filter(stat => stat.wantedBy >= MIN_WANTED && stat.wantedBy > stat.offeredBy)
+      .sort((a, b) => (b.wantedBy - b.offeredBy) - (a.wantedBy - a.offeredBy) || b.demandScore - a.demandScore)
+      .slice(0, limit)
+      .map(stat => ({
+        skill: skills.find(skill => this.primaryKey(skill) === stat.key),
+        label: stat.label,
+        country: stat.country || null,
+        offeredBy: stat.offeredBy,
+        wantedBy: stat.wantedBy,
+        openCardsSeeking: stat.openCardsSeeking,
+        demandScore: stat.demandScore
+      }));
+  }
+
+  // Worldwide demand score per skill key from the latest figures, for recommendation scoring
+  async getDemandScores(skills, window = '30d') {
+    const keys = [...new Set(skills.map(skill => this.primaryKey(skill)).filter(Boolean))];
+    const date = keys.length ? await this.getLatestDate() : null;
+    if (!date) return new Map();
+
+    const stats = await SkillMarketStat.find({ date, window, scope: 'skill', country: '', key: { $in: keys } })
+      .select('key demandScore')
+      .lean();
+    return new Map(stats.map(stat => [stat.key, stat.demandScore]));
+  }
+}
+
+module.exports = new SkillMarketService();
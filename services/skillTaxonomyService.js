@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const CatalogSkill = require('../models/CatalogSkill');
+const Skill = require('../models/Skill');
+const SwapCard = require('../models/SwapCard');
+const logger = require('../utils/logger');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Canonical skill catalog: normalizes free-text skill titles to catalog entries
+ * and gives matching, search and recommendations a shared notion of "the same skill".
+ */
+class SkillTaxonomyService {
+  // Lowercase and drop spaces and punctuation, keeping "+" and "#" so C, C++ and C# stay apart
+  normalizeKey(text) {
+    if (typeof text !== 'string') return '';
+    return text.toLowerCase().replace(/[^\p{L}\p{N}+#]/gu, '');
+  }
+
+  slugify(name) {
+    return name.toLowerCase()
+      .replace(/\+/g, ' plus ')
+      .replace(/#/g, ' sharp ')
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Keys two skills share when they are the same skill: the catalog entry when the skill is linked,
+   * and the normalized title so unlinked skills still match each other.
+   * Works on Skill documents and on plain catalog ids.
+   */
+  skillKeys(skill) {
+    if (!skill) return [];
+    if (skill instanceof mongoose.Types.ObjectId || typeof skill === 'string') {
+      return [`catalog:${skill.toString()}`];
+    }
+    const keys = [];
+    if (skill.catalogSkill) keys.push(`catalog:${idOf(skill.catalogSkill)}`);
+    const title = this.normalizeKey(skill.title);
+    if (title) keys.push(`text:${title}`);
+    return keys;
+  }
+
+  // All keys of a list of skills, for fast overlap checks
+  keySet(skills = []) {
+    return new Set(skills.flatMap(skill => this.skillKeys(skill)));
+  }
+
+  // Whether a skill shares a key with any skill in `keySet`
+  matches(keySet, skill) {
+    return this.skillKeys(skill).some(key => keySet.has(key));
+  }
+
+  // Catalog entry for a free-text skill name, or null
+  resolve(text) {
+    const key = this.normalizeKey(text);
+    if (!key) return Promise.resolve(null);
+    return CatalogSkill.findOne({ keys: key }).lean();
+  }
+
+  /**
+   * Catalog ids for a search filter value (id, slug or free text), including every entry below it,
+   * so filtering by "Web Development" also finds JavaScript. Returns null when nothing matches.
+   */
+  async resolveFilter(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    let entry = null;
+    if (mongoose.Types.ObjectId.isValid(value)) {
+      entry = await CatalogSkill.findById(value).select('_id').lean();
+    }
+    if (!entry) entry = await CatalogSkill.findOne({ slug: value.toLowerCase() }).select('_id').lean();
+    if (!entry) entry = await this.resolve(value);
+    if (!entry) return null;
+
+    const descendants = await CatalogSkill.find({ ancestors: entry._id }).distinct('_id');
+    return [entry._id, ...descendants];
+  }
+
+  // Autocomplete over names and aliases
+  search(query, { parent = null, limit = 20 } = {}) {
+    const filter = {};
+    const key = this.normalizeKey(query);
+    if (key) {
+      filter.$or = [
+        { keys: { $regex: `^${escapeRegex(key)}` } },
+        { name: { $regex: escapeRegex(query.trim()), $options: 'i' } }
+      ];
+    }
+    if (parent) filter.parent = parent;
+    return CatalogSkill.find(filter).sort({ kind: 1, name: 1 }).limit(limit).lean();
+  }
+
+  async getEntry(slugOrId) {
+    const filter = mongoose.Types.ObjectId.isValid(slugOrId) ? { _id: slugOrId } : { slug: String(slugOrId).toLowerCase() };
+    const entry = await CatalogSkill.findOne(filter).populate('ancestors', 'name slug kind').lean();
+    if (!entry) return null;
+    entry.children = await CatalogSkill.find({ parent: entry._id }).sort({ name: 1 }).select('name slug kind').lean();
+    return entry;
+  }
+
+  /**
+   * Link a Skill to its catalog entry from its title and copy the link to swap cards that use it.
+   * Call after a skill is created or its title changes. Returns the catalog id or null.
+   */
+  async linkSkill(skill) {
+    try {
+      const entry = await this.resolve(skill.title);
+      const catalogSkill = entry?._id || null;
+
+      if (idOf(skill.catalogSkill) !== idOf(catalogSkill)) {
+        await Skill.updateOne({ _id: skill._id }, catalogSkill ? { $set: { catalogSkill } } : { $unset: { catalogSkill: '' } });
+        skill.catalogSkill = catalogSkill || undefined;
+      }
+      await SwapCard.updateMany({ offeredSkill: skill._id }, { $set: { offeredCatalogSkill: catalogSkill } });
+      await SwapCard.updateMany({ desiredSkill: skill._id }, { $set: { desiredCatalogSkill: catalogSkill } });
+      return catalogSkill;
+    } catch (error) {
+      logger.error('Error linking skill to catalog:', error);
+      return null;
+    }
+  }
+
+  // Copy the catalog links of a swap card's skills onto the card. Call before saving the card.
+  async linkSwapCard(swapCard) {
+    const ids = [swapCard.offeredSkill, swapCard.desiredSkill].filter(Boolean).map(idOf);
+    const skills = ids.length ? await Skill.find({ _id: { $in: ids } }).select('catalogSkill').lean() : [];
+    const catalogOf = (skillId) => skills.find(skill => idOf(skill) === idOf(skillId))?.catalogSkill || null;
+
+    swapCard.offeredCatalogSkill = swapCard.offeredSkill ? catalogOf(swapCard.offeredSkill) : null;
+    swapCard.desiredCatalogSkill = swapCard.desiredSkill ? catalogOf(swapCard.desiredSkill) : null;
+    return swapCard;
+  }
+
+  /**
+   * Create or update catalog entries from seed data (see data/skillCatalog.js).
+   * Entries are matched by slug, so re-running only applies changes. Returns { created, updated }.
+   */
+  async seedCatalog(entries, parent = null, counts = { created: 0, updated: 0 }) {
+    for (const node of entries) {
+      const slug = node.slug || this.slugify(node.name);
+      const aliases = node.aliases || [];
+      const keys = [...new Set([node.name, ...aliases].map(text => this.normalizeKey(text)).filter(Boolean))];
+
+      const result = await CatalogSkill.findOneAndUpdate(
+        { slug },
+        {
+          $set: {
+            name: node.name,
+            kind: node.category ? 'category' : 'skill',
+            parent: parent?._id || null,
+            ancestors: parent ? [...parent.ancestors, parent._id] : [],
+            aliases,
+            keys,
+            description: node.description
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      counts[result.lastErrorObject?.updatedExisting ? 'updated' : 'created']++;
+
+      if (node.children?.length) {
+        await this.seedCatalog(node.children, result.value, counts);
+      }
+    }
+    return counts;
+  }
+}
+
+module.exports = new SkillTaxonomyService();
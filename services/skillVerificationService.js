@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Skill = require('../models/Skill');
+const SkillVerification = require('../models/SkillVerification');
+const User = require('../models/User');
+const blockService = require('./blockService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const { hasPermission } = require('../middleware/rbac');
+const logger = require('../utils/logger');
+
+const MAX_LINKS = 10;
+const MAX_TEXT = 1000;
+const REVIEWER_FIELDS = 'username firstName lastName avatar';
+const idOf = (value) => (value?._id || value)?.toString();
+
+// What the owner is told on each state change
+const STATUS_MESSAGES = {
+  submitted: (title) => `Your verification request for "${title}" was received`,
+  in_review: (title) => `Your verification request for "${title}" is being reviewed`,
+  approved: (title) => `Your skill "${title}" is now verified`,
+  rejected: (title) => `Your verification request for "${title}" was rejected`,
+  cancelled: (title) => `Your verification request for "${title}" was withdrawn`
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Skill verification: owners submit evidence for a skill, the verification worker checks it and
+ * opens it for review, and a moderator or the requested peer approves or rejects it.
+ * submitted -> in_review -> approved | rejected, and submitted/in_review -> cancelled by the owner.
+ */
+class SkillVerificationService {
+  /**
+   * Validate the evidence for a skill. Returns { evidence } with cleaned values or { error }.
+   * Media must already be uploaded to the skill; links must be http(s) URLs.
+   */
+  validateEvidence(skill, { links = [], media = [], message } = {}) {
+    if (!Array.isArray(links) || !Array.isArray(media)) {
+      return { error: 'links and media must be arrays.' };
+    }
+    if (links.length > MAX_LINKS) return { error: `At most ${MAX_LINKS} links can be submitted.` };
+    const cleanLinks = [...new Set(links.map(link => (typeof link === 'string' ? link.trim() : '')))];
+    if (cleanLinks.some(link => !isHttpUrl(link))) return { error: 'Links must be valid http(s) URLs.' };
+
+    const uploaded = new Set(skill.media || []);
+    if (media.some(url => !uploaded.has(url))) {
+      return { error: 'Media must be files uploaded to this skill.' };
+    }
+    if (message !== undefined && (typeof message !== 'string' || message.trim().length > MAX_TEXT)) {
+      return { error: `Message must be text of at most ${MAX_TEXT} characters.` };
+    }
+    return { evidence: { links: cleanLinks, media: [...new Set(media)], message: message?.trim() || undefined } };
+  }
+
+  // Whether `peer` can review a verification of `skill`: they must hold the same skill, verified
+  async isEligiblePeer(peer, skill) {
+    const verifiedSkills = await Skill.find({ user: peer._id, 'verification.isVerified': true })
+      .select('title catalogSkill')
+      .lean();
+    return skillTaxonomyService.matches(skillTaxonomyService.keySet(verifiedSkills), skill);
+  }
+
+  /**
+   * Submit a skill for verification. Returns { verification } or { error, status }.
+   * At least one link, media file or peer reviewer is required.
+   */
+  async submit(user, skillId, { links, media, message, peerReviewerId } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(skillId)) return { error: 'Invalid skill ID', status: 400 };
+
+    const skill = await Skill.findById(skillId).select('user title catalogSkill media isLookingFor verification').lean();
+    if (!skill) return { error: 'Skill not found', status: 404 };
+    if (idOf(skill.user) !== idOf(user)) return { error: 'You can only verify your own skills.', status: 403 };
+    if (skill.isLookingFor) return { error: 'Only skills you teach can be verified.', status: 400 };
+    if (skill.verification?.isVerified) return { error: 'This skill is already verified.', status: 409 };
+
+    const { evidence, error } = this.validateEvidence(skill, { links, media, message });
+    if (error) return { error, status: 400 };
+
+    let peerReviewer;
+    if (peerReviewerId) {
+      if (!mongoose.Types.ObjectId.isValid(peerReviewerId)) return { error: 'Invalid peer reviewer ID', status: 400 };
+      if (idOf(peerReviewerId) === idOf(user)) return { error: 'You cannot review your own skill.', status: 400 };
+
+      peerReviewer = await User.findById(peerReviewerId).select('_id').lean();
+      if (!peerReviewer) return { error: 'Peer reviewer not found', status: 404 };
+      if (await blockService.isBlockedBetween(user._id, peerReviewer._id)) {
+        return { error: 'You cannot ask this user to review your skill.', status: 403 };
+      }
+      if (!(await this.isEligiblePeer(peerReviewer, skill))) {
+        return { error: 'Peer reviewers must have the same skill verified.', status: 400 };
+      }
+    }
+
+    if (!evidence.links.length && !evidence.media.length && !peerReviewer) {
+      return { error: 'Add at least one link, media file or peer reviewer.', status: 400 };
+    }
+
+    let verification;
+    try {
+      verification = await SkillVerification.create({
+        skill: skill._id,
+        user: user._id,
+        evidence,
+        peerReviewer: peerReviewer?._id,
+        history: [{ status: 'submitted', by: user._id }]
+      });
+    } catch (err) {
+      if (err.code === 11000) return { error: 'This skill already has an open verification request.', status: 409 };
+      throw err;
+    }
+
+    await this.notify(verification, skill, 'submitted');
+    const { skillVerificationQueue } = require('../utils/queue');
+    await skillVerificationQueue.add({ verificationId: verification._id.toString() });
+
+    logger.info('Skill verification submitted', { verificationId: verification._id, skillId: skill._id, userId: user._id });
+    return { verification };
+  }
+
+  /**
+   * Move a request to `status` if it is still in one of the `from` states.
+   * Returns the updated request, or null when someone else changed it first.
+   */
+  async transition(verificationId, from, status, { by, comment, review = false } = {}) {
+    const update = {
+      $set: { status },
+      $push: { history: { status, by, comment, at: new Date() } }
+    };
+    if (review) {
+      update.$set.reviewer = by;
+      update.$set.reviewComment = comment;
+      update.$set.reviewedAt = new Date();
+    }
+
+    const verification = await SkillVerification.findOneAndUpdate(
+      { _id: verificationId, status: { $in: from } },
+      update,
+      { new: true }
+    );
+    if (!verification) return null;
+
+    const skill = await Skill.findById(verification.skill).select('title').lean();
+    if (skill) await this.notify(verification, skill, status);
+    return verification;
+  }
+
+  /**
+   * Run by the skill verification worker after a submission. Re-checks the evidence, which may have
+   * changed while the job was queued, and opens the request for review or rejects it.
+   */
+  async process(verificationId) {
+    const verification = await SkillVerification.findById(verificationId).lean();
+    if (!verification || verification.status !== 'submitted') return { skipped: true };
+
+    const skill = await Skill.findById(verification.skill).select('user title media').lean();
+    if (!skill) {
+      await this.transition(verificationId, ['submitted'], 'cancelled', { comment: 'The skill was deleted.' });
+      return { status: 'cancelled' };
+    }
+
+    const { error } = this.validateEvidence(skill, verification.evidence);
+    if (error) {
+      await this.transition(verificationId, ['submitted'], 'rejected', { comment: error, review: true });
+      return { status: 'rejected' };
+    }
+
+    const updated = await this.transition(verificationId, ['submitted'], 'in_review');
+    if (updated?.peerReviewer) await this.notifyPeer(updated, skill, verification.user);
+    return { status: updated ? 'in_review' : 'skipped' };
+  }
+
+  // Moderators review every request; a peer reviewer only the ones they were asked to review
+  async canReview(user, verification) {
+    if (!user || idOf(verification.user) === idOf(user)) return false;
+    if (idOf(verification.peerReviewer) === idOf(user)) return true;
+    return hasPermission(user, 'skill:verify');
+  }
+
+  /**
+   * Approve or reject a request in review. Rejections need a comment so the owner knows what to fix.
+   * Returns { verification } or { error, status }.
+   */
+  async review(reviewer, verificationId, { decision, comment } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(verificationId)) return { error: 'Invalid verification ID', status: 400 };
+    if (!['approve', 'reject'].includes(decision)) {
+      return { error: 'Decision must be "approve" or "reject".', status: 400 };
+    }
+    if (comment !== undefined && (typeof comment !== 'string' || comment.trim().length > MAX_TEXT)) {
+      return { error: `Comment must be text of at most ${MAX_TEXT} characters.`, status: 400 };
+    }
+    if (decision === 'reject' && !comment?.trim()) {
+      return { error: 'A comment is required when rejecting.', status: 400 };
+    }
+
+    const existing = await SkillVerification.findById(verificationId).lean();
+    if (!existing) return { error: 'Verification request not found', status: 404 };
+    if (!(await this.canReview(reviewer, existing))) {
+      return { error: 'You cannot review this verification request.', status: 403 };
+    }
+
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    const verification = await this.transition(verificationId, ['in_review'], status, {
+      by: reviewer._id,
+      comment: comment?.trim() || undefined,
+      review: true
+    });
+    if (!verification) return { error: 'This request is not awaiting review.', status: 409 };
+
+    if (status === 'approved') {
+      await Skill.updateOne({ _id: verification.skill }, {
+        $set: {
+          verification: { isVerified: true, verifiedAt: verification.reviewedAt, verifiedBy: reviewer._id, request: verification._id }
+        }
+      });
+    }
+
+    logger.info('Skill verification reviewed', { verificationId, status, reviewer: reviewer._id });
+    return { verification };
+  }
+
+  // Withdraw the open request for a skill. Returns the cancelled request or null if there was none.
+  async cancel(userId, skillId) {
+    const open = await SkillVerification.findOne({
+      skill: skillId,
+      user: userId,
+      status: { $in: SkillVerification.OPEN_STATUSES }
+    }).select('_id').lean();
+    if (!open) return null;
+    return this.transition(open._id, SkillVerification.OPEN_STATUSES, 'cancelled', { by: userId });
+  }
+
+  // Remove the verified badge, e.g. when the skill's title changes and the evidence no longer applies
+  async revoke(skill, reason) {
+    if (!skill.verification?.isVerified) return false;
+    await Skill.updateOne({ _id: skill._id }, { $set: { verification: { isVerified: false } } });
+    try {
+      await Notification.create({
+        user: skill.user,
+        type: 'skill_verification',
+        context: `The verified badge on "${skill.title}" was removed: ${reason}`,
+        action: 'Verify again',
+        metadata: { skillId: skill._id }
+      });
+    } catch (error) {
+      logger.error('Error creating verification notification:', error);
+    }
+    logger.info('Skill verification revoked', { skillId: skill._id, reason });
+    return true;
+  }
+
+  // The skill's badge and its latest request, for the owner
+  async getStatus(skillId) {
+    const [skill, latest] = await Promise.all([
+      Skill.findById(skillId).select('user title verification').populate('verification.verifiedBy', REVIEWER_FIELDS).lean(),
+      SkillVerification.findOne({ skill: skillId })
+        .sort('-createdAt')
+        .populate('reviewer peerReviewer', REVIEWER_FIELDS)
+        .lean()
+    ]);
+    if (!skill) return null;
+    return { skill, verification: skill.verification || { isVerified: false }, request: latest };
+  }
+
+  getVerification(verificationId) {
+    return SkillVerification.findById(verificationId)
+      .populate('skill', 'title description category media catalogSkill experienceLevel')
+      .populate('user reviewer peerReviewer', REVIEWER_FIELDS)
+      .lean();
+  }
+
+  /**
+   * Requests waiting for `reviewer`, oldest first. Moderators see every request in review;
+   * everyone else only the ones they were asked to peer review.
+   */
+  async getQueue(reviewer, { status = 'in_review', page = 1, limit = 20 } = {}) {
+    const filter = { status, user: { $ne: reviewer._id } };
+    if (!(await hasPermission(reviewer, 'skill:verify'))) filter.peerReviewer = reviewer._id;
+
+    const [requests, total] = await Promise.all([
+      SkillVerification.find(filter)
+        .sort('createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('skill', 'title category catalogSkill experienceLevel')
+        .populate('user peerReviewer', REVIEWER_FIELDS)
+        .lean(),
+      SkillVerification.countDocuments(filter)
+    ]);
+    return { requests, total };
+  }
+
+  async notify(verification, skill, status) {
+    const reviewed = ['approved', 'rejected'].includes(status);
+    try {
+      const notification = await Notification.create({
+        user: verification.user,
+        sender: reviewed ? verification.reviewer : undefined,
+        type: 'skill_verification',
+        context: STATUS_MESSAGES[status](skill.title),
+        action: status === 'rejected' ? 'See feedback' : 'View skill',
+        metadata: { skillId: verification.skill, verificationId: verification._id }
+      });
+
+      const socketService = require('../utils/socket');
+      socketService.sendToUser(idOf(verification.user), 'skillVerificationUpdate', {
+        notificationId: notification._id,
+        verificationId: verification._id,
+        skillId: verification.skill,
+        status
+      });
+    } catch (error) {
+      logger.error('Error creating verification notification:', error);
+    }
+  }
+
+  async notifyPeer(verification, skill, ownerId) {
+    try {
+      await Notification.create({
+        user: verification.peerReviewer,
+        sender: ownerId,
+        type: 'skill_verification',
+        context: `You were asked to review the skill "${skill.title}"`,
+        action: 'Review skill',
+        metadata: { skillId: verification.skill, verificationId: verification._id }
+      });
+    } catch (error) {
+      logger.error('Error creating peer review notification:', error);
+    }
+  }
+}
+
+module.exports = new SkillVerificationService();
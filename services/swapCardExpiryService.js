@@ -0,0 +1,291 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const SwapCard = require('../models/SwapCard');
+const swapSchedulingService = require('./swapSchedulingService');
+const swapSuggestionService = require('./swapSuggestionService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+// Owners are warned this many days before a card expires
+const REMINDER_DAYS = daysFromEnv('SWAP_CARD_EXPIRY_REMINDER_DAYS', 3);
+// A renewal pushes the expiry date back by this many days
+const RENEW_DAYS = daysFromEnv('SWAP_CARD_RENEW_DAYS', 30) || 30;
+// Open cards with no activity for this many days are closed; 0 turns this off
+const INACTIVE_DAYS = daysFromEnv('SWAP_CARD_INACTIVE_DAYS', 90);
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Cards handled per step and run, so a backlog is worked off over a few runs
+const BATCH_SIZE = 200;
+const RENEW_TOKEN_AUDIENCE = 'netyora:swap-card-renew';
+const RENEW_TOKEN_TTL = '30d';
+const USER_FIELDS = 'username firstName lastName email timeZone';
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Expiry of swap cards. Owners are reminded a few days before `expiryDate` with a one-click renew link,
+ * expired cards are closed, and so are open cards nobody has touched for a while (`lastActivityAt`:
+ * owner edits, renewals and incoming swap requests). Closed cards can be reopened by their owner.
+ */
+class SwapCardExpiryService {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.run();
+    this.interval = setInterval(() => {
+      this.run();
+    }, CHECK_INTERVAL_MS);
+
+    logger.info('Swap card expiry checks started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  async run(now = new Date()) {
+    try {
+      await this.sendReminders(now);
+      await this.closeExpired(now);
+      await this.closeInactive(now);
+    } catch (error) {
+      logger.error('Swap card expiry error:', error);
+    }
+  }
+
+  // --- Rules (pure) ---
+
+  // An open card gets one reminder per expiry date, inside the reminder window
+  reminderDue(card, now = new Date()) {
+    if (card.status !== 'open' || !card.expiryDate || !REMINDER_DAYS) return false;
+    const left = new Date(card.expiryDate) - now;
+    if (left <= 0 || left > REMINDER_DAYS * DAY_MS) return false;
+    return !card.expiryReminderFor || new Date(card.expiryReminderFor).getTime() !== new Date(card.expiryDate).getTime();
+  }
+
+  // Expiry date after a renewal: RENEW_DAYS past the current one, or past now once it has gone by.
+  // Cards without an expiry date keep none.
+  renewedExpiry(card, now = new Date()) {
+    if (!card.expiryDate) return undefined;
+    const from = Math.max(new Date(card.expiryDate).getTime(), now.getTime());
+    return new Date(from + RENEW_DAYS * DAY_MS);
+  }
+
+  // Open cards idle since before the cutoff. Cards from before `lastActivityAt` existed go by `updatedAt`.
+  inactiveFilter(now = new Date()) {
+    if (!INACTIVE_DAYS) return null;
+    const cutoff = new Date(now.getTime() - INACTIVE_DAYS * DAY_MS);
+    return {
+      status: 'open',
+      $or: [
+        { lastActivityAt: { $lte: cutoff } },
+        { lastActivityAt: { $exists: false }, updatedAt: { $lte: cutoff } }
+      ]
+    };
+  }
+
+  // --- Renew link ---
+
+  getRenewUrl(token) {
+    const base = process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+    return `${base}/swap-cards/renew?token=${encodeURIComponent(token)}`;
+  }
+
+  // Signed token behind the "keep it open" link, tied to one card, its owner and the expiry date
+  // it was sent for. A renewal moves the date, so each link works once.
+  createRenewToken(card) {
+    const claims = { uid: idOf(card.user), cid: idOf(card._id), exp_for: new Date(card.expiryDate).toISOString() };
+    return jwt.sign(claims, process.env.JWT_SECRET, {
+      audience: RENEW_TOKEN_AUDIENCE,
+      expiresIn: RENEW_TOKEN_TTL
+    });
+  }
+
+  // Returns { userId, cardId, expiryDate } or null
+  verifyRenewToken(token) {
+    try {
+      const { uid, cid, exp_for: expiryDate } = jwt.verify(token, process.env.JWT_SECRET, { audience: RENEW_TOKEN_AUDIENCE });
+      return { userId: uid, cardId: cid, expiryDate };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // --- Owner actions ---
+
+  async loadOwn(cardId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(cardId)) return { error: 'Invalid swap card ID', status: 400 };
+    const card = await SwapCard.findOne({ _id: cardId, user: userId }).lean();
+    if (!card) return { error: 'Swap card not found or unauthorized.', status: 404 };
+    return { card };
+  }
+
+  /**
+   * Keep an open card open: push its expiry date back and count it as active again.
+   * Returns { swapCard } or { error, status }.
+   */
+  async renew(cardId, userId, now = new Date()) {
+    const { card, error, status } = await this.loadOwn(cardId, userId);
+    if (error) return { error, status };
+    if (card.status === 'closed') return { error: 'This swap card is closed. Reopen it instead.', status: 409 };
+    if (card.status !== 'open') return { error: 'Only open swap cards can be renewed.', status: 409 };
+
+    const update = { $set: { lastActivityAt: now }, $unset: { expiryReminderFor: '' } };
+    const expiryDate = this.renewedExpiry(card, now);
+    if (expiryDate) update.$set.expiryDate = expiryDate;
+
+    const swapCard = await SwapCard.findOneAndUpdate({ _id: card._id, status: 'open' }, update, { new: true });
+    if (!swapCard) return { error: 'This swap card was updated by someone else. Reload and try again.', status: 409 };
+    await swapSuggestionService.invalidate(userId);
+    return { swapCard };
+  }
+
+  /**
+   * Reopen a closed card. An expiry date that has gone by is renewed, so the card doesn't close again right away.
+   * Returns { swapCard } or { error, status }.
+   */
+  async reopen(cardId, userId, now = new Date()) {
+    const { card, error, status } = await this.loadOwn(cardId, userId);
+    if (error) return { error, status };
+    if (card.status !== 'closed') return { error: 'Only closed swap cards can be reopened.', status: 409 };
+
+    const update = {
+      $set: { status: 'open', lastActivityAt: now },
+      $unset: { closedReason: '', closedAt: '', expiryReminderFor: '' }
+    };
+    if (card.expiryDate && new Date(card.expiryDate) <= now) update.$set.expiryDate = this.renewedExpiry(card, now);
+
+    const swapCard = await SwapCard.findOneAndUpdate({ _id: card._id, status: 'closed' }, update, { new: true });
+    if (!swapCard) return { error: 'This swap card was updated by someone else. Reload and try again.', status: 409 };
+    await swapSuggestionService.invalidate(userId);
+    return { swapCard };
+  }
+
+  // The link in a reminder email renews the card, or reopens it if it has expired in the meantime
+  async renewFromLink(token, now = new Date()) {
+    const claims = typeof token === 'string' && this.verifyRenewToken(token);
+    if (!claims) return { error: 'This link is invalid or has expired.', status: 400 };
+
+    const { card, error, status } = await this.loadOwn(claims.cardId, claims.userId);
+    if (error) return { error, status };
+    if (!card.expiryDate || new Date(card.expiryDate).toISOString() !== claims.expiryDate) {
+      return { error: 'This link has already been used, or the card was renewed since it was sent.', status: 409 };
+    }
+    return card.status === 'closed' && card.closedReason === 'expired'
+      ? this.reopen(card._id, claims.userId, now)
+      : this.renew(card._id, claims.userId, now);
+  }
+
+  // --- Scheduled work ---
+
+  async sendReminders(now = new Date()) {
+    const cards = await SwapCard.find({
+      status: 'open',
+      expiryDate: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS) }
+    })
+      .select('user title status expiryDate expiryReminderFor')
+      .populate('user', USER_FIELDS)
+      .limit(BATCH_SIZE)
+      .lean();
+
+    let sent = 0;
+    for (const card of cards.filter(candidate => candidate.user && this.reminderDue(candidate, now))) {
+      const claimed = await SwapCard.updateOne(
+        { _id: card._id, status: 'open', expiryDate: card.expiryDate, expiryReminderFor: { $ne: card.expiryDate } },
+        { $set: { expiryReminderFor: card.expiryDate } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const owner = card.user;
+      const expiresOn = swapSchedulingService.formatIn(card.expiryDate, swapSchedulingService.timeZoneOf(owner));
+      await this.notify(card, owner._id, `Your swap card "${card.title}" expires on ${expiresOn}`, 'Renew');
+      await this.sendReminderEmail(card, owner, expiresOn);
+      sent++;
+    }
+    return sent;
+  }
+
+  async sendReminderEmail(card, owner, expiresOn) {
+    if (!owner.email) return;
+    try {
+      const { emailQueue } = require('../utils/queue');
+      await emailQueue.add({
+        to: owner.email,
+        template: 'swap-card-expiring',
+        data: {
+          name: owner.firstName || owner.username,
+          title: card.title,
+          expiresOn,
+          renewDays: RENEW_DAYS,
+          renewUrl: this.getRenewUrl(this.createRenewToken(card))
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to queue swap card expiry email:', error);
+    }
+  }
+
+  closeExpired(now = new Date()) {
+    return this.closeWhere({ status: 'open', expiryDate: { $lte: now } }, 'expired', now);
+  }
+
+  closeInactive(now = new Date()) {
+    const filter = this.inactiveFilter(now);
+    return filter ? this.closeWhere(filter, 'inactive', now) : 0;
+  }
+
+  // Close the cards matching `filter`, each only if it still matches, and tell their owners
+  async closeWhere(filter, reason, now) {
+    const cards = await SwapCard.find(filter).select('_id').limit(BATCH_SIZE).lean();
+    let closed = 0;
+    for (const { _id } of cards) {
+      const card = await SwapCard.findOneAndUpdate(
+        { ...filter, _id },
+        { $set: { status: 'closed', closedReason: reason, closedAt: now } },
+        { new: true }
+      ).select('user title status expiryDate').lean();
+      if (!card) continue;
+
+      const context = reason === 'expired'
+        ? `Your swap card "${card.title}" expired and was closed`
+        : `Your swap card "${card.title}" was closed after ${INACTIVE_DAYS} days without activity`;
+      await this.notify(card, card.user, context, 'Reopen');
+      await swapSuggestionService.invalidate(card.user);
+      closed++;
+    }
+    if (closed) logger.info('Closed swap cards', { reason, count: closed });
+    return closed;
+  }
+
+  async notify(card, userId, context, action) {
+    try {
+      await Notification.create({
+        user: userId,
+        type: 'swap_card',
+        context,
+        action,
+        metadata: { swapCardId: card._id, expiresAt: card.expiryDate || undefined }
+      });
+
+      const socketService = require('../utils/socket');
+      socketService.sendToUser(idOf(userId), 'swapCardUpdate', { swapCardId: card._id, status: card.status });
+    } catch (error) {
+      logger.error('Error creating swap card notification:', error);
+    }
+  }
+}
+
+module.exports = new SwapCardExpiryService();
@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Rating = require('../models/Rating');
+const SwapCard = require('../models/SwapCard');
+const SwapRequest = require('../models/SwapRequest');
+const swapRequestService = require('./swapRequestService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long the other party has to confirm before the swap is closed without them
+const CONFIRM_WINDOW_MS = (parseInt(process.env.SWAP_CONFIRM_DAYS, 10) || 7) * DAY_MS;
+// Reminder to the other party this long before the deadline
+const REMINDER_BEFORE_MS = 2 * DAY_MS;
+const REVIEW_WINDOW_MS = (parseInt(process.env.SWAP_REVIEW_DAYS, 10) || 14) * DAY_MS;
+const MAX_SESSIONS = 1000;
+const MAX_HOURS = 10000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const CATEGORIES = ['communication', 'punctuality', 'quality', 'helpfulness', 'professionalism'];
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Mutual completion of swaps. Each party confirms the swap took place; once both have, the request
+ * is completed and a review window opens in which each can leave one verified rating of the other.
+ * If only one party confirms, the request is closed after the confirmation window without reviews.
+ */
+class SwapCompletionService {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+  }
+
+  // Remind and auto-close unanswered confirmations every hour
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.interval = setInterval(() => {
+      this.processDue();
+    }, CHECK_INTERVAL_MS);
+
+    logger.info('Swap completion checks started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  // Optional figures a party reports with its confirmation. Returns { details } or { error, status }.
+  validateDetails({ sessions, hours } = {}) {
+    const details = {};
+    if (sessions !== undefined && sessions !== null) {
+      if (!Number.isInteger(sessions) || sessions < 0 || sessions > MAX_SESSIONS) {
+        return { error: `Sessions must be a whole number between 0 and ${MAX_SESSIONS}.`, status: 400 };
+      }
+      details.sessions = sessions;
+    }
+    if (hours !== undefined && hours !== null) {
+      if (typeof hours !== 'number' || !Number.isFinite(hours) || hours < 0 || hours > MAX_HOURS) {
+        return { error: `Hours must be a number between 0 and ${MAX_HOURS}.`, status: 400 };
+      }
+      details.hours = Math.round(hours * 100) / 100;
+    }
+    return { details };
+  }
+
+  /**
+   * Where the completion of a request stands for `userId`: whether they still have to confirm,
+   * and whether they can still review. Pure, so it can be shown with any request.
+   */
+  statusFor(swapRequest, userId, now = new Date()) {
+    const completion = swapRequest.completion || {};
+    const confirmations = completion.confirmations || [];
+    const confirmedBy = confirmations.map(confirmation => idOf(confirmation.user));
+    const windowOpen = Boolean(completion.confirmedAt && completion.reviewWindowEndsAt && now < new Date(completion.reviewWindowEndsAt));
+    return {
+      confirmedBy,
+      awaitingYou: swapRequestService.activeStatuses.includes(swapRequest.status) && !confirmedBy.includes(idOf(userId)),
+      deadline: completion.deadline || null,
+      confirmed: Boolean(completion.confirmedAt),
+      autoClosed: Boolean(completion.autoClosed),
+      reviewWindowEndsAt: completion.reviewWindowEndsAt || null,
+      canReview: windowOpen
+    };
+  }
+
+  /**
+   * Confirm that the swap took place. The second confirmation completes the request.
+   * Returns { swapRequest } or { error, status }.
+   */
+  async confirm(requestId, user, input = {}) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) return { error: 'Invalid swap request ID', status: 400 };
+    const { details, error, status } = this.validateDetails(input);
+    if (error) return { error, status };
+
+    const current = await SwapRequest.findById(requestId).lean();
+    if (!current) return { error: 'Swap request not found', status: 404 };
+    const role = swapRequestService.roleOf(current, user._id);
+    if (!role) return { error: 'Not authorized to update this swap request', status: 403 };
+    if (current.status === 'completed') return { error: 'This swap is already completed.', status: 409 };
+    if (!swapRequestService.activeStatuses.includes(current.status)) {
+      return { error: `A ${current.status} swap request cannot be completed.`, status: 409 };
+    }
+    if (this.statusFor(current, user._id).confirmedBy.includes(idOf(user._id))) {
+      return { error: 'You already confirmed this swap. Waiting for the other party.', status: 409 };
+    }
+
+    const now = new Date();
+    const first = !(current.completion?.confirmations || []).length;
+    const update = { $push: { 'completion.confirmations': { user: user._id, ...details, at: now } } };
+    if (first) update.$set = { 'completion.requestedAt': now, 'completion.deadline': new Date(now.getTime() + CONFIRM_WINDOW_MS) };
+
+    const updated = await SwapRequest.findOneAndUpdate(
+      { _id: current._id, status: current.status, 'completion.confirmations.user': { $ne: user._id } },
+      update,
+      { new: true }
+    );
+    if (!updated) return { error: 'This swap request was updated by someone else. Reload and try again.', status: 409 };
+
+    logger.info('Swap completion confirmed', { requestId: updated._id, userId: user._id, first });
+    if (updated.completion.confirmations.length >= 2) {
+      return this.close(updated, { mutual: true });
+    }
+
+    await this.notifyParty(updated, role === 'sender' ? updated.receiver : updated.sender, user._id,
+      `${user.username || 'Your swap partner'} confirmed your swap is complete. Confirm it too to leave verified reviews.`,
+      'Confirm completion');
+    return { swapRequest: updated };
+  }
+
+  // Complete the request, opening the review window when both parties confirmed
+  async close(swapRequest, { mutual }) {
+    const result = await swapRequestService.transition(swapRequest._id, 'complete', null, {
+      reason: mutual ? 'Both parties confirmed the swap.' : 'The other party did not confirm in time.',
+      quiet: true
+    });
+    if (result.error) {
+      // Both confirmations can race to close the request; the first one did the work
+      const latest = await SwapRequest.findById(swapRequest._id);
+      return latest?.status === 'completed' ? { swapRequest: latest } : result;
+    }
+
+    const now = new Date();
+    const completion = mutual
+      ? { 'completion.confirmedAt': now, 'completion.reviewWindowEndsAt': new Date(now.getTime() + REVIEW_WINDOW_MS) }
+      : { 'completion.autoClosed': true };
+    const updated = await SwapRequest.findByIdAndUpdate(swapRequest._id, { $set: completion }, { new: true });
+
+    const card = await SwapCard.findById(updated.swapCardId).select('title').lean();
+    const title = card?.title || 'your swap';
+    const message = mutual
+      ? `Your swap "${title}" is complete. Leave a review of your swap partner within ${REVIEW_WINDOW_MS / DAY_MS} days.`
+      : `Your swap "${title}" was closed because it was not confirmed by both of you in time.`;
+    for (const participant of [updated.sender, updated.receiver]) {
+      await this.notifyParty(updated, participant, null, message, mutual ? 'Leave a review' : 'View swap request');
+    }
+    return { swapRequest: updated };
+  }
+
+  /**
+   * Leave the one verified review of your swap partner allowed per swap.
+   * Returns { rating } or { error, status }.
+   */
+  async review(requestId, user, { rating, review, categories, isAnonymous = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) return { error: 'Invalid swap request ID', status: 400 };
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) return { error: 'Rating must be a whole number between 1 and 5', status: 400 };
+    if (review !== undefined && (typeof review !== 'string' || review.trim().length > 1000)) {
+      return { error: 'Review must be text of at most 1000 characters.', status: 400 };
+    }
+    const cleanCategories = {};
+    for (const [key, value] of Object.entries(categories || {})) {
+      if (!CATEGORIES.includes(key)) return { error: `Unknown rating category "${key}"`, status: 400 };
+      if (!Number.isInteger(value) || value < 1 || value > 5) return { error: `${key} must be a whole number between 1 and 5`, status: 400 };
+      cleanCategories[key] = value;
+    }
+
+    const swapRequest = await SwapRequest.findById(requestId).lean();
+    if (!swapRequest) return { error: 'Swap request not found', status: 404 };
+    const role = swapRequestService.roleOf(swapRequest, user._id);
+    if (!role) return { error: 'Only the two parties of a swap can review it.', status: 403 };
+
+    const completion = this.statusFor(swapRequest, user._id);
+    if (!completion.confirmed) return { error: 'Reviews open once both parties have confirmed the swap.', status: 409 };
+    if (!completion.canReview) return { error: 'The review window for this swap has closed.', status: 409 };
+
+    const partner = role === 'sender' ? swapRequest.receiver : swapRequest.sender;
+    const ownConfirmation = swapRequest.completion.confirmations.find(confirmation => idOf(confirmation.user) === idOf(user._id));
+    try {
+      const created = await Rating.create({
+        rater: user._id,
+        ratedItem: partner,
+        itemType: 'user',
+        rating,
+        review: review?.trim() || undefined,
+        categories: cleanCategories,
+        context: 'swap_completed',
+        isAnonymous: Boolean(isAnonymous),
+        isVerified: true,
+        metadata: {
+          swapId: idOf(swapRequest._id),
+          duration: ownConfirmation?.hours !== undefined ? Math.round(ownConfirmation.hours * 60) : undefined
+        }
+      });
+
+      await this.notifyParty(swapRequest, partner, user._id,
+        `${isAnonymous ? 'Your swap partner' : user.username || 'Your swap partner'} left you a verified review`, 'View review');
+      return { rating: created };
+    } catch (error) {
+      if (error.code === 11000) return { error: 'You already reviewed this swap.', status: 409 };
+      throw error;
+    }
+  }
+
+  // Verified reviews of a swap, for its parties
+  async getReviews(requestId, user) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) return { error: 'Invalid swap request ID', status: 400 };
+    const swapRequest = await SwapRequest.findById(requestId).select('sender receiver status completion').lean();
+    if (!swapRequest) return { error: 'Swap request not found', status: 404 };
+    if (!swapRequestService.roleOf(swapRequest, user._id)) return { error: 'Not authorized to view this swap request', status: 403 };
+
+    const ratings = await Rating.find({ 'metadata.swapId': idOf(swapRequest._id), context: 'swap_completed', isVerified: true })
+      .populate('rater', 'firstName lastName username avatar');
+    return {
+      reviews: ratings.map(rating => rating.getFormattedRating()),
+      completion: this.statusFor(swapRequest, user._id)
+    };
+  }
+
+  // Remind parties who haven't confirmed, and close requests past their deadline
+  async processDue(now = new Date()) {
+    try {
+      const pending = await SwapRequest.find({
+        status: { $in: swapRequestService.activeStatuses },
+        'completion.deadline': { $lte: new Date(now.getTime() + REMINDER_BEFORE_MS) },
+        'completion.confirmedAt': null
+      }).lean();
+
+      for (const swapRequest of pending) {
+        if (new Date(swapRequest.completion.deadline) <= now) {
+          await this.close(swapRequest, { mutual: false });
+          continue;
+        }
+        if (swapRequest.completion.remindedAt) continue;
+
+        const claimed = await SwapRequest.updateOne(
+          { _id: swapRequest._id, 'completion.remindedAt': null },
+          { $set: { 'completion.remindedAt': now } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        const confirmedBy = this.statusFor(swapRequest, null).confirmedBy;
+        const waitingOn = [swapRequest.sender, swapRequest.receiver].find(participant => !confirmedBy.includes(idOf(participant)));
+        if (waitingOn) {
+          await this.notifyParty(swapRequest, waitingOn, null,
+            'Your swap partner is waiting for you to confirm your swap is complete. Unconfirmed swaps close without reviews.',
+            'Confirm completion');
+        }
+      }
+    } catch (error) {
+      logger.error('Swap completion check error:', error);
+    }
+  }
+
+  async notifyParty(swapRequest, userId, senderId, context, action) {
+    try {
+      await Notification.create({
+        user: userId,
+        sender: senderId || undefined,
+        type: 'swap_request',
+        context,
+        action,
+        metadata: { swapRequestId: swapRequest._id }
+      });
+
+      const socketService = require('../utils/socket');
+      socketService.sendToUser(idOf(userId), 'swapCompletionUpdate', {
+        swapRequestId: swapRequest._id,
+        status: swapRequest.status,
+        completion: this.statusFor(swapRequest, userId)
+      });
+    } catch (error) {
+      logger.error('Error creating swap completion notification:', error);
+    }
+  }
+}
+
+module.exports = new SwapCompletionService();
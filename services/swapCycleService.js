@@ -0,0 +1,583 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Notification = require('../models/Notification');
+const SwapCard = require('../models/SwapCard');
+const SwapCycle = require('../models/SwapCycle');
+const User = require('../models/User');
+const blockService = require('./blockService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const swapRequestService = require('./swapRequestService');
+const logger = require('../utils/logger');
+const { getStore } = require('../utils/ttlStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 4;
+// Candidate partners kept per user, so the search stays bounded on popular skills
+const MAX_OUT_DEGREE = 25;
+// Open (proposed or active) cycles a user can be in at once
+const MAX_OPEN_PER_USER = 3;
+const MAX_NEW_PER_RUN = 200;
+const PROPOSAL_TTL_MS = 7 * DAY_MS;
+// A declined, expired or cancelled cycle is not proposed again for this long
+const REPROPOSE_AFTER_MS = 30 * DAY_MS;
+const MATCH_INTERVAL_MS = DAY_MS;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// On-demand lookups reuse the last graph for this long instead of loading every open card again
+const GRAPH_TTL_MS = 10 * 60 * 1000;
+// A user can ask for a lookup once per this many seconds
+const FIND_COOLDOWN_SECONDS = 15 * 60;
+const FIND_COOLDOWN_PREFIX = 'swap-cycles:find:';
+const OPEN_STATUSES = ['proposed', 'active'];
+const SKILL_FIELDS = 'title catalogSkill';
+const USER_FIELDS = 'username firstName lastName avatar';
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * What each action does to a cycle. `member` says which members may take it.
+ * proposed -> active once every member accepted, or declined as soon as one declines;
+ * active -> completed once every member confirmed, or cancelled when one leaves.
+ */
+const ACTIONS = {
+  accept: { from: 'proposed', member: member => member.response === 'pending', done: 'answered' },
+  decline: { from: 'proposed', member: member => member.response === 'pending', done: 'answered' },
+  leave: { from: 'active', member: () => true },
+  complete: { from: 'active', member: member => !member.completedAt, done: 'confirmed' }
+};
+
+/**
+ * Multi-party swaps: rings of 3-4 users where each learns from the next, found from open swap
+ * cards and the owners' skills and lookingFor. Matching runs daily and on request.
+ */
+class SwapCycleService {
+  constructor() {
+    this.isRunning = false;
+    this.isMatching = false;
+    this.interval = null;
+    this.lastMatchAt = 0;
+    this.graph = null;
+    this.graphBuiltAt = 0;
+    this.graphLoading = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.runIfDue();
+    this.interval = setInterval(() => {
+      this.runIfDue();
+    }, CHECK_INTERVAL_MS);
+
+    logger.info('Swap cycle matching started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  // Expire stale proposals every hour, look for new cycles once a day
+  async runIfDue() {
+    try {
+      await this.expireDue();
+      if (Date.now() - this.lastMatchAt >= MATCH_INTERVAL_MS) {
+        this.lastMatchAt = Date.now();
+        await this.match();
+      }
+    } catch (error) {
+      logger.error('Swap cycle matching error:', error);
+    }
+  }
+
+  // --- Matching (pure) ---
+
+  /**
+   * What each user with an open card offers and wants. Offers from cards keep the card,
+   * so a cycle can point at it; skills and lookingFor on the profile count too.
+   * Returns Map userId -> { offers: Map key -> { label, skill, card }, wants: Map key -> label }
+   */
+  buildProfiles({ cards = [], users = [] }) {
+    const profiles = new Map();
+    const profileOf = (userId) => {
+      if (!profiles.has(userId)) profiles.set(userId, { offers: new Map(), wants: new Map() });
+      return profiles.get(userId);
+    };
+    const addOffer = (profile, skill, card) => {
+      for (const key of skillTaxonomyService.skillKeys(skill)) {
+        const existing = profile.offers.get(key);
+        if (!existing || (!existing.card && card)) profile.offers.set(key, { label: skill.title, skill: skill._id, card });
+      }
+    };
+    const addWant = (profile, skill) => {
+      for (const key of skillTaxonomyService.skillKeys(skill)) {
+        if (!profile.wants.has(key)) profile.wants.set(key, skill.title);
+      }
+    };
+
+    for (const card of cards) {
+      const profile = profileOf(idOf(card.user));
+      if (card.offeredSkill?.title) addOffer(profile, card.offeredSkill, card._id);
+      if (card.desiredSkill?.title) addWant(profile, card.desiredSkill);
+    }
+    // Only users with an open card are looking to swap
+    for (const user of users) {
+      const profile = profiles.get(idOf(user));
+      if (!profile) continue;
+      (user.skills || []).filter(skill => skill?.title).forEach(skill => addOffer(profile, skill, undefined));
+      (user.lookingFor || []).filter(skill => skill?.title).forEach(skill => addWant(profile, skill));
+    }
+    return profiles;
+  }
+
+  /**
+   * Directed "learns from" graph: an edge A -> B when B offers something A wants,
+   * preferring skills B has a card for. Returns Map userId -> [edge].
+   */
+  buildGraph(profiles, maxOutDegree = MAX_OUT_DEGREE) {
+    const offerers = new Map();
+    for (const [userId, profile] of profiles) {
+      for (const key of profile.offers.keys()) {
+        if (!offerers.has(key)) offerers.set(key, []);
+        offerers.get(key).push(userId);
+      }
+    }
+
+    const graph = new Map();
+    for (const [userId, profile] of profiles) {
+      const edges = new Map();
+      for (const key of profile.wants.keys()) {
+        for (const giver of offerers.get(key) || []) {
+          if (giver === userId) continue;
+          const offer = profiles.get(giver).offers.get(key);
+          const existing = edges.get(giver);
+          if (!existing || (!existing.card && offer.card)) {
+            edges.set(giver, { from: userId, to: giver, key, label: offer.label, skill: offer.skill, card: offer.card });
+          }
+        }
+      }
+      // Card-backed edges first, then a stable order
+      const sorted = [...edges.values()].sort((a, b) => (b.card ? 1 : 0) - (a.card ? 1 : 0) || a.to.localeCompare(b.to));
+      graph.set(userId, sorted.slice(0, maxOutDegree));
+    }
+    return graph;
+  }
+
+  /**
+   * Simple cycles of minLength..maxLength users. With `through`, only the cycles that user is in;
+   * otherwise every cycle once, found from its smallest member id.
+   * Each cycle is { members: [userId], edges: [edge] } where members[i] learns from members[i + 1].
+   */
+  findCycles(graph, { through = null, minLength = MIN_LENGTH, maxLength = MAX_LENGTH, limit = 100 } = {}) {
+    const cycles = [];
+    const starts = through ? [idOf(through)] : [...graph.keys()].sort();
+
+    for (const start of starts) {
+      const path = [start];
+      const edges = [];
+      const visit = (node) => {
+        for (const edge of graph.get(node) || []) {
+          if (cycles.length >= limit) return;
+          if (edge.to === start) {
+            if (path.length >= minLength) cycles.push({ members: [...path], edges: [...edges, edge] });
+            continue;
+          }
+          if (path.length >= maxLength || path.includes(edge.to)) continue;
+          if (!through && edge.to < start) continue;
+          path.push(edge.to);
+          edges.push(edge);
+          visit(edge.to);
+          path.pop();
+          edges.pop();
+        }
+      };
+      visit(start);
+      if (cycles.length >= limit) break;
+    }
+    return cycles;
+  }
+
+  // The same ring of people in the same direction gives the same key, whoever it was found from
+  cycleKey(members) {
+    const ids = members.map(idOf);
+    const first = ids.indexOf([...ids].sort()[0]);
+    return [...ids.slice(first), ...ids.slice(0, first)].join('>');
+  }
+
+  // Whether `userId` may take `action` on `cycle`. Returns { member } or { error, status }.
+  resolveAction(cycle, action, userId) {
+    const rule = ACTIONS[action];
+    if (!rule) return { error: `Unknown action "${action}".`, status: 400 };
+    const member = cycle.members.find(candidate => idOf(candidate.user) === idOf(userId));
+    if (!member) return { error: 'You are not part of this swap cycle.', status: 403 };
+    if (cycle.status !== rule.from) return { error: `You cannot ${action} a ${cycle.status} swap cycle.`, status: 409 };
+    if (!rule.member(member)) return { error: `You have already ${rule.done} this swap cycle.`, status: 409 };
+    return { member };
+  }
+
+  // --- Matching (database) ---
+
+  async collect() {
+    const cards = await SwapCard.find({ status: 'open', ...SwapCard.notExpired() })
+      .select('user offeredSkill desiredSkill')
+      .populate('offeredSkill desiredSkill', SKILL_FIELDS)
+      .lean();
+    const userIds = [...new Set(cards.map(card => idOf(card.user)))];
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('skills lookingFor')
+      .populate('skills lookingFor', SKILL_FIELDS)
+      .lean();
+    return { cards, users };
+  }
+
+  /**
+   * The partner graph. The daily run always rebuilds it; on-demand lookups share a recent one, and
+   * concurrent callers wait for the same build. A cached graph can name a card matched since, which
+   * `act` catches when the cycle is accepted.
+   */
+  async loadGraph({ fresh = false } = {}) {
+    if (!fresh && this.graph && Date.now() - this.graphBuiltAt < GRAPH_TTL_MS) return this.graph;
+    if (!this.graphLoading) {
+      this.graphLoading = this.collect()
+        .then(data => {
+          this.graph = this.buildGraph(this.buildProfiles(data));
+          this.graphBuiltAt = Date.now();
+          return this.graph;
+        })
+        .finally(() => {
+          this.graphLoading = null;
+        });
+    }
+    return this.graphLoading;
+  }
+
+  /**
+   * Look for new cycles through one user now, at most once per FIND_COOLDOWN_SECONDS each.
+   * Returns { proposed } or { error, status }.
+   */
+  async findFor(userId) {
+    const key = FIND_COOLDOWN_PREFIX + idOf(userId);
+    const store = getStore();
+    if (await store.incr(key, FIND_COOLDOWN_SECONDS) > 1) {
+      const minutes = Math.max(1, Math.ceil((await store.ttl(key)) / 60));
+      return { error: `You can look for new swap cycles again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, status: 429 };
+    }
+    try {
+      return { proposed: await this.match({ through: idOf(userId), limit: 5 }) };
+    } catch (error) {
+      // A lookup that failed doesn't count against the user
+      await store.del(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Find cycles and propose the new ones. With `through`, only cycles that user is in.
+   * Returns the proposed cycles.
+   */
+  async match({ through = null, limit = MAX_NEW_PER_RUN } = {}) {
+    if (this.isMatching && !through) return [];
+    if (!through) this.isMatching = true;
+    try {
+      const graph = await this.loadGraph({ fresh: !through });
+      const candidates = this.findCycles(graph, { through, limit: limit * 5 });
+
+      const openCounts = new Map();
+      const openCount = async (userId) => {
+        if (!openCounts.has(userId)) {
+          openCounts.set(userId, await SwapCycle.countDocuments({ 'members.user': userId, status: { $in: OPEN_STATUSES } }));
+        }
+        return openCounts.get(userId);
+      };
+
+      const proposed = [];
+      for (const candidate of candidates) {
+        if (proposed.length >= limit) break;
+        const key = this.cycleKey(candidate.members);
+        if (await this.recentlyProposed(key)) continue;
+
+        const counts = await Promise.all(candidate.members.map(openCount));
+        if (counts.some(count => count >= MAX_OPEN_PER_USER)) continue;
+        if (await this.hasBlockedPair(candidate.members)) continue;
+
+        const cycle = await this.propose(candidate, key);
+        candidate.members.forEach(member => openCounts.set(member, openCounts.get(member) + 1));
+        proposed.push(cycle);
+      }
+
+      if (!through) logger.info('Swap cycles matched', { candidates: candidates.length, proposed: proposed.length });
+      return proposed;
+    } finally {
+      if (!through) this.isMatching = false;
+    }
+  }
+
+  async recentlyProposed(key) {
+    return SwapCycle.exists({
+      key,
+      $or: [
+        { status: { $in: [...OPEN_STATUSES, 'completed'] } },
+        { updatedAt: { $gte: new Date(Date.now() - REPROPOSE_AFTER_MS) } }
+      ]
+    });
+  }
+
+  async hasBlockedPair(members) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        if (await blockService.isBlockedBetween(members[i], members[j])) return true;
+      }
+    }
+    return false;
+  }
+
+  async propose(candidate, key) {
+    const cycle = await SwapCycle.create({
+      members: candidate.members.map(user => ({ user })),
+      links: candidate.edges.map(edge => ({
+        from: edge.to,
+        to: edge.from,
+        skillKey: edge.key,
+        label: edge.label,
+        skill: edge.skill,
+        card: edge.card
+      })),
+      key,
+      expiresAt: new Date(Date.now() + PROPOSAL_TTL_MS),
+      history: [{ action: 'propose' }]
+    });
+
+    const size = candidate.members.length;
+    for (const user of candidate.members) {
+      const link = cycle.links.find(candidateLink => idOf(candidateLink.to) === user);
+      await this.notify(cycle, user, null,
+        `We found a ${size}-person swap: you'd learn ${link.label}. Everyone has to accept it.`, 'View swap cycle');
+    }
+    return cycle;
+  }
+
+  // --- Reading ---
+
+  populate(query) {
+    return query
+      .populate('members.user', USER_FIELDS)
+      .populate('links.from links.to', USER_FIELDS)
+      .populate('links.card', 'title status');
+  }
+
+  // Cycles the user is part of, newest first
+  async listForUser(userId, { status } = {}) {
+    const query = { 'members.user': userId };
+    if (status) {
+      const statuses = String(status).split(',').filter(candidate => SwapCycle.STATUSES.includes(candidate));
+      if (statuses.length) query.status = { $in: statuses };
+    }
+    return this.populate(SwapCycle.find(query).sort({ createdAt: -1 }).limit(100)).lean();
+  }
+
+  async getForMember(cycleId, user) {
+    if (!mongoose.Types.ObjectId.isValid(cycleId)) return { error: 'Invalid swap cycle ID', status: 400 };
+    const cycle = await this.populate(SwapCycle.findById(cycleId)).lean();
+    if (!cycle) return { error: 'Swap cycle not found', status: 404 };
+    if (!cycle.members.some(member => idOf(member.user) === idOf(user._id))) {
+      return { error: 'You are not part of this swap cycle.', status: 403 };
+    }
+    return { cycle };
+  }
+
+  // --- Lifecycle ---
+
+  // Apply a member's action. Returns { cycle } or { error, status }.
+  async act(cycleId, user, action, { reason } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(cycleId)) return { error: 'Invalid swap cycle ID', status: 400 };
+    if (reason !== undefined && (typeof reason !== 'string' || reason.trim().length > 500)) {
+      return { error: 'Reason must be text of at most 500 characters.', status: 400 };
+    }
+    const current = await SwapCycle.findById(cycleId).lean();
+    if (!current) return { error: 'Swap cycle not found', status: 404 };
+    const resolved = this.resolveAction(current, action, user._id);
+    if (resolved.error) return resolved;
+
+    if (action === 'accept') {
+      // The card you teach from has to still be available
+      const ownLink = current.links.find(link => idOf(link.from) === idOf(user._id));
+      if (ownLink?.card && !(await SwapCard.exists({ _id: ownLink.card, status: 'open', ...SwapCard.notExpired() }))) {
+        return { error: 'The swap card you would teach from is no longer open.', status: 409 };
+      }
+    }
+
+    const now = new Date();
+    const event = { action, by: user._id, reason: reason?.trim() || undefined, at: now };
+    const memberFilter = { _id: current._id, status: current.status, members: { $elemMatch: { user: user._id } } };
+    const updates = {
+      accept: { $set: { 'members.$.response': 'accepted', 'members.$.respondedAt': now } },
+      decline: { $set: { 'members.$.response': 'declined', 'members.$.respondedAt': now, status: 'declined' } },
+      leave: { $set: { status: 'cancelled' } },
+      complete: { $set: { 'members.$.completedAt': now } }
+    };
+    if (action === 'accept' || action === 'decline') memberFilter.members.$elemMatch.response = 'pending';
+    if (action === 'complete') memberFilter.members.$elemMatch.completedAt = null;
+
+    const cycle = await SwapCycle.findOneAndUpdate(memberFilter, { ...updates[action], $push: { history: event } }, { new: true });
+    if (!cycle) return { error: 'This swap cycle was updated by someone else. Reload and try again.', status: 409 };
+
+    const name = user.username || 'A member';
+    if (action === 'accept') {
+      if (cycle.members.every(member => member.response === 'accepted')) return { cycle: await this.activate(cycle) };
+      await this.notifyOthers(cycle, user._id, `${name} accepted your swap cycle`);
+    } else if (action === 'decline') {
+      await this.notifyOthers(cycle, user._id, `${name} declined the swap cycle, so it won't go ahead`);
+    } else if (action === 'leave') {
+      await this.releaseCards(cycle);
+      await this.postToChat(cycle, user._id, `${name} left the swap cycle. It has been cancelled.`, 'cycle_cancelled');
+      await this.notifyOthers(cycle, user._id, `${name} left your swap cycle, so it has been cancelled`);
+    } else if (action === 'complete') {
+      if (cycle.members.every(member => member.completedAt)) {
+        const completed = await SwapCycle.findOneAndUpdate(
+          { _id: cycle._id, status: 'active' },
+          { $set: { status: 'completed' }, $push: { history: { action: 'completed', at: now } } },
+          { new: true }
+        );
+        if (completed) {
+          await this.postToChat(completed, user._id, 'Everyone confirmed. The swap cycle is complete!', 'cycle_completed');
+          for (const member of completed.members) {
+            await this.notify(completed, idOf(member.user), null, 'Your swap cycle is complete', 'View swap cycle');
+          }
+          return { cycle: completed };
+        }
+      } else {
+        await this.postToChat(cycle, user._id, `${name} confirmed their part of the swap is done.`, 'cycle_member_completed');
+      }
+    }
+    return { cycle };
+  }
+
+  // Everyone accepted: open the group chat and take the cards off the market
+  async activate(cycle) {
+    const active = await SwapCycle.findOneAndUpdate(
+      { _id: cycle._id, status: 'proposed' },
+      { $set: { status: 'active' }, $unset: { expiresAt: '' }, $push: { history: { action: 'activate', at: new Date() } } },
+      { new: true }
+    );
+    if (!active) return cycle;
+
+    const cardIds = active.links.map(link => link.card).filter(Boolean);
+    if (cardIds.length) await SwapCard.updateMany({ _id: { $in: cardIds }, status: 'open' }, { $set: { status: 'matched' } });
+
+    try {
+      const users = await User.find({ _id: { $in: active.members.map(member => member.user) } }).select('username').lean();
+      const names = active.members.map(member => users.find(candidate => idOf(candidate) === idOf(member.user))?.username || 'member');
+      const chat = await Chat.create({
+        participants: active.members.map(member => member.user),
+        type: 'group',
+        title: `Swap cycle: ${names.join(' → ')}`,
+        readBy: []
+      });
+      active.chat = chat._id;
+      await SwapCycle.updateOne({ _id: active._id }, { $set: { chat: chat._id } });
+
+      const plan = active.links.map(link => {
+        const teacher = names[active.members.findIndex(member => idOf(member.user) === idOf(link.from))];
+        const learner = names[active.members.findIndex(member => idOf(member.user) === idOf(link.to))];
+        return `${teacher} teaches ${learner} ${link.label}`;
+      });
+      await this.postToChat(active, active.members[0].user, `Everyone accepted! ${plan.join('; ')}.`, 'cycle_active');
+    } catch (error) {
+      logger.error('Error opening swap cycle chat:', { error: error.message, cycleId: active._id });
+    }
+
+    for (const member of active.members) {
+      await this.notify(active, idOf(member.user), null, 'Everyone accepted your swap cycle. Say hello in the group chat!', 'Open group chat');
+    }
+    return active;
+  }
+
+  async releaseCards(cycle) {
+    const cardIds = cycle.links.map(link => link.card).filter(Boolean);
+    try {
+      await swapRequestService.releaseCards(cardIds, null, cycle._id);
+    } catch (error) {
+      logger.error('Error releasing swap cycle cards:', { error: error.message, cycleId: cycle._id });
+    }
+  }
+
+  async expireDue(now = new Date()) {
+    const expired = await SwapCycle.find({ status: 'proposed', expiresAt: { $lte: now } }).select('_id members').lean();
+    for (const cycle of expired) {
+      const updated = await SwapCycle.findOneAndUpdate(
+        { _id: cycle._id, status: 'proposed' },
+        { $set: { status: 'expired' }, $push: { history: { action: 'expire', at: now } } },
+        { new: true }
+      );
+      if (!updated) continue;
+      for (const member of updated.members.filter(candidate => candidate.response === 'accepted')) {
+        await this.notify(updated, idOf(member.user), null, 'Your swap cycle expired because not everyone answered in time', 'View swap cycle');
+      }
+    }
+    return expired.length;
+  }
+
+  // Cancel the open cycles of a user who is leaving, e.g. on account deletion
+  async cancelForUser(userId, reason) {
+    const cycles = await SwapCycle.find({ 'members.user': userId, status: { $in: OPEN_STATUSES } });
+    for (const cycle of cycles) {
+      const wasActive = cycle.status === 'active';
+      cycle.status = 'cancelled';
+      cycle.history.push({ action: 'cancel', reason, at: new Date() });
+      await cycle.save();
+      if (wasActive) await this.releaseCards(cycle);
+      await this.notifyOthers(cycle, userId, 'A member left, so your swap cycle has been cancelled');
+    }
+    return cycles.length;
+  }
+
+  // --- Messages ---
+
+  async postToChat(cycle, senderId, content, action) {
+    if (!cycle.chat) return;
+    try {
+      const chat = await Chat.findById(cycle.chat);
+      if (!chat) return;
+      chat.messages.push({ sender: senderId, content, type: 'system', timestamp: new Date(), metadata: { action, swapCycleId: cycle._id } });
+      chat.lastMessage = content;
+      await chat.save();
+
+      const socketService = require('../utils/socket');
+      socketService.getIO().to(chat._id.toString()).emit('message', {
+        ...chat.messages[chat.messages.length - 1].toObject(),
+        chatId: chat._id
+      });
+    } catch (error) {
+      // Sockets are not running (e.g. in scripts); the message is in the chat either way
+    }
+  }
+
+  async notifyOthers(cycle, actorId, context) {
+    for (const member of cycle.members.filter(candidate => idOf(candidate.user) !== idOf(actorId))) {
+      await this.notify(cycle, idOf(member.user), actorId, context, 'View swap cycle');
+    }
+  }
+
+  async notify(cycle, userId, senderId, context, action) {
+    try {
+      await Notification.create({
+        user: userId,
+        sender: senderId || undefined,
+        type: 'swap_cycle',
+        context,
+        action,
+        metadata: { swapCycleId: cycle._id, chatId: cycle.chat || undefined }
+      });
+
+      const socketService = require('../utils/socket');
+      socketService.sendToUser(idOf(userId), 'swapCycleUpdate', { swapCycleId: cycle._id, status: cycle.status });
+    } catch (error) {
+      logger.error('Error creating swap cycle notification:', error);
+    }
+  }
+}
+
+module.exports = new SwapCycleService();
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const SwapCard = require('../models/SwapCard');
+const SwapRequest = require('../models/SwapRequest');
+const swapRequestService = require('./swapRequestService');
+const logger = require('../utils/logger');
+
+const MAX_PROPOSALS = 50;
+const MAX_SESSIONS = 50;
+const MIN_DURATION = 15;
+const MAX_DURATION = 8 * 60;
+const MAX_NOTES = 1000;
+const MAX_COMMENT = 500;
+const TERM_FIELDS = ['proposedSwapCardId', 'sessions', 'durationMinutes', 'schedule', 'notes'];
+const idOf = (value) => (value?._id || value)?.toString();
+
+// What the other party is told
+const MESSAGES = {
+  proposed: (name) => `${name} proposed new terms for your swap`,
+  accepted: (name) => `${name} accepted your proposed terms`,
+  declined: (name) => `${name} declined your proposed terms`,
+  withdrawn: (name) => `${name} withdrew their proposed terms`
+};
+
+const negotiable = (status) => !swapRequestService.isTerminal(status);
+
+/**
+ * Counter-offers on swap requests. Either party proposes changes to the terms (the card offered in
+ * return, number and length of sessions, schedule, notes); the other party accepts or declines.
+ * Accepted changes are merged into `agreement.terms`, which is what both sides have agreed to.
+ */
+class SwapNegotiationService {
+  /**
+   * Check and normalize proposed terms. Only the fields present are changed.
+   * Returns { terms } or { error, status }.
+   */
+  validateTerms(input = {}, now = new Date()) {
+    const terms = {};
+    if (!TERM_FIELDS.some(field => input[field] !== undefined)) {
+      return { error: `Propose a change to at least one of: ${TERM_FIELDS.join(', ')}.`, status: 400 };
+    }
+
+    if (input.proposedSwapCardId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(input.proposedSwapCardId)) return { error: 'Invalid proposed swap card ID', status: 400 };
+      terms.proposedSwapCardId = input.proposedSwapCardId.toString();
+    }
+
+    if (input.sessions !== undefined) {
+      if (!Number.isInteger(input.sessions) || input.sessions < 1 || input.sessions > MAX_SESSIONS) {
+        return { error: `Sessions must be a whole number between 1 and ${MAX_SESSIONS}.`, status: 400 };
+      }
+      terms.sessions = input.sessions;
+    }
+
+    if (input.durationMinutes !== undefined) {
+      if (!Number.isInteger(input.durationMinutes) || input.durationMinutes < MIN_DURATION || input.durationMinutes > MAX_DURATION) {
+        return { error: `Duration must be between ${MIN_DURATION} and ${MAX_DURATION} minutes.`, status: 400 };
+      }
+      terms.durationMinutes = input.durationMinutes;
+    }
+
+    if (input.schedule !== undefined) {
+      if (!Array.isArray(input.schedule) || input.schedule.length > MAX_SESSIONS) {
+        return { error: `Schedule must be a list of at most ${MAX_SESSIONS} start times.`, status: 400 };
+      }
+      const schedule = input.schedule.map(value => new Date(value));
+      if (schedule.some(date => Number.isNaN(date.getTime()) || date <= now)) {
+        return { error: 'Schedule times must be valid dates in the future.', status: 400 };
+      }
+      if (terms.sessions && schedule.length > terms.sessions) {
+        return { error: 'The schedule has more times than sessions.', status: 400 };
+      }
+      terms.schedule = schedule.sort((a, b) => a - b);
+    }
+
+    if (input.notes !== undefined) {
+      if (typeof input.notes !== 'string' || input.notes.trim().length > MAX_NOTES) {
+        return { error: `Notes must be text of at most ${MAX_NOTES} characters.`, status: 400 };
+      }
+      terms.notes = input.notes.trim();
+    }
+
+    return { terms };
+  }
+
+  // Accepted changes on top of the current agreement
+  mergeTerms(current = {}, changes = {}) {
+    const merged = {};
+    for (const field of TERM_FIELDS) {
+      const value = changes[field] !== undefined ? changes[field] : current[field];
+      if (value !== undefined && value !== null) merged[field] = value;
+    }
+    return merged;
+  }
+
+  // A card the sender may offer: their own, open and unexpired, or the one already on the request
+  async checkCard(swapRequest, cardId) {
+    if (!cardId || idOf(cardId) === idOf(swapRequest.proposedSwapCardId)) return null;
+    const card = await SwapCard.findById(cardId).select('user status expiryDate').lean();
+    if (!card || idOf(card.user) !== idOf(swapRequest.sender)) {
+      return { error: "Only the sender's own swap cards can be offered.", status: 400 };
+    }
+    if (card.status !== 'open') return { error: 'That swap card is no longer open.', status: 409 };
+    if (card.expiryDate && card.expiryDate <= new Date()) return { error: 'That swap card has expired. Renew it first.', status: 409 };
+    return null;
+  }
+
+  async loadForParticipant(requestId, user) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) return { error: 'Invalid swap request ID', status: 400 };
+    const swapRequest = await SwapRequest.findById(requestId).lean();
+    if (!swapRequest) return { error: 'Swap request not found', status: 404 };
+    const role = swapRequestService.roleOf(swapRequest, user._id);
+    if (!role) return { error: 'Not authorized to negotiate this swap request', status: 403 };
+    return { swapRequest, role };
+  }
+
+  // The negotiation thread and current agreement of a request
+  async getThread(requestId, user) {
+    const loaded = await this.loadForParticipant(requestId, user);
+    if (loaded.error) return loaded;
+
+    const swapRequest = await SwapRequest.findById(requestId)
+      .select('sender receiver status proposals agreement')
+      .populate('proposals.proposedBy', 'username avatar')
+      .populate('proposals.respondedBy', 'username avatar')
+      .lean();
+    return { proposals: swapRequest.proposals || [], agreement: swapRequest.agreement || null, status: swapRequest.status };
+  }
+
+  /**
+   * Propose new terms. Any open proposal on the request is superseded.
+   * Returns { proposal } or { error, status }.
+   */
+  async propose(requestId, user, input) {
+    const { terms, error, status } = this.validateTerms(input);
+    if (error) return { error, status };
+
+    const loaded = await this.loadForParticipant(requestId, user);
+    if (loaded.error) return loaded;
+    const { swapRequest } = loaded;
+
+    if (!negotiable(swapRequest.status)) return { error: `A ${swapRequest.status} swap request can no longer be negotiated.`, status: 409 };
+    if ((swapRequest.proposals || []).length >= MAX_PROPOSALS) {
+      return { error: `This request already has ${MAX_PROPOSALS} proposals. Agree on one of them or start a new request.`, status: 409 };
+    }
+    const cardError = await this.checkCard(swapRequest, terms.proposedSwapCardId);
+    if (cardError) return cardError;
+
+    const proposal = { _id: new mongoose.Types.ObjectId(), proposedBy: user._id, terms, status: 'open' };
+    const updated = await SwapRequest.findOneAndUpdate(
+      { _id: swapRequest._id, status: swapRequest.status },
+      { $push: { proposals: proposal } },
+      { new: true }
+    );
+    if (!updated) return { error: 'This swap request was updated by someone else. Reload and try again.', status: 409 };
+
+    await SwapRequest.updateOne(
+      { _id: swapRequest._id },
+      { $set: { 'proposals.$[previous].status': 'superseded' } },
+      { arrayFilters: [{ 'previous.status': 'open', 'previous._id': { $ne: proposal._id } }] }
+    );
+
+    const saved = updated.proposals.id(proposal._id);
+    await this.notify(updated, user, 'proposed', saved);
+    return { proposal: saved };
+  }
+
+  /**
+   * Accept or decline an open proposal made by the other party. Accepting merges its terms into the agreement.
+   * Returns { proposal, agreement } or { error, status }.
+   */
+  async respond(requestId, proposalId, user, decision, comment) {
+    if (!['accept', 'decline'].includes(decision)) return { error: 'Decision must be accept or decline.', status: 400 };
+    if (!mongoose.Types.ObjectId.isValid(proposalId)) return { error: 'Invalid proposal ID', status: 400 };
+    if (comment !== undefined && (typeof comment !== 'string' || comment.trim().length > MAX_COMMENT)) {
+      return { error: `Comment must be text of at most ${MAX_COMMENT} characters.`, status: 400 };
+    }
+
+    const loaded = await this.loadForParticipant(requestId, user);
+    if (loaded.error) return loaded;
+    const { swapRequest } = loaded;
+
+    const proposal = (swapRequest.proposals || []).find(candidate => idOf(candidate._id) === idOf(proposalId));
+    if (!proposal) return { error: 'Proposal not found', status: 404 };
+    if (proposal.status !== 'open') return { error: `This proposal was already ${proposal.status}.`, status: 409 };
+    if (idOf(proposal.proposedBy) === idOf(user._id)) return { error: 'You cannot answer your own proposal.', status: 403 };
+    if (!negotiable(swapRequest.status)) return { error: `A ${swapRequest.status} swap request can no longer be negotiated.`, status: 409 };
+
+    const set = {
+      'proposals.$.status': decision === 'accept' ? 'accepted' : 'declined',
+      'proposals.$.respondedBy': user._id,
+      'proposals.$.respondedAt': new Date(),
+      'proposals.$.comment': comment?.trim() || undefined
+    };
+
+    let agreement;
+    if (decision === 'accept') {
+      const cardError = await this.checkCard(swapRequest, proposal.terms.proposedSwapCardId);
+      if (cardError) return cardError;
+
+      const current = swapRequest.agreement?.terms || { proposedSwapCardId: swapRequest.proposedSwapCardId };
+      agreement = { terms: this.mergeTerms(current, proposal.terms), proposal: proposal._id, agreedAt: new Date() };
+      set.agreement = agreement;
+      if (agreement.terms.proposedSwapCardId) set.proposedSwapCardId = agreement.terms.proposedSwapCardId;
+    }
+
+    const updated = await SwapRequest.findOneAndUpdate(
+      { _id: swapRequest._id, status: swapRequest.status, proposals: { $elemMatch: { _id: proposal._id, status: 'open' } } },
+      { $set: set },
+      { new: true }
+    );
+    if (!updated) return { error: 'This swap request was updated by someone else. Reload and try again.', status: 409 };
+
+    if (agreement) await this.moveMatchedCard(swapRequest, updated);
+
+    const saved = updated.proposals.id(proposal._id);
+    await this.notify(updated, user, decision === 'accept' ? 'accepted' : 'declined', saved);
+    return { proposal: saved, agreement: updated.agreement };
+  }
+
+  // Withdraw your own open proposal
+  async withdraw(requestId, proposalId, user) {
+    if (!mongoose.Types.ObjectId.isValid(proposalId)) return { error: 'Invalid proposal ID', status: 400 };
+    const loaded = await this.loadForParticipant(requestId, user);
+    if (loaded.error) return loaded;
+
+    const updated = await SwapRequest.findOneAndUpdate(
+      { _id: loaded.swapRequest._id, proposals: { $elemMatch: { _id: proposalId, proposedBy: user._id, status: 'open' } } },
+      { $set: { 'proposals.$.status': 'withdrawn', 'proposals.$.respondedAt': new Date() } },
+      { new: true }
+    );
+    if (!updated) return { error: 'No open proposal of yours with that ID', status: 404 };
+
+    const saved = updated.proposals.id(proposalId);
+    await this.notify(updated, user, 'withdrawn', saved);
+    return { proposal: saved };
+  }
+
+  // While the swap is on, a newly agreed card takes the place of the previous one
+  async moveMatchedCard(before, after) {
+    const previous = idOf(before.proposedSwapCardId);
+    const next = idOf(after.proposedSwapCardId);
+    if (previous === next || !swapRequestService.activeStatuses.includes(after.status)) return;
+    try {
+      await SwapCard.updateOne({ _id: next }, { $set: { status: 'matched' } });
+      if (previous) await swapRequestService.releaseCards([previous], after._id);
+    } catch (error) {
+      logger.error('Error moving matched swap card:', { error: error.message, requestId: after._id });
+    }
+  }
+
+  // Both parties get the update live; the other party also gets a notification
+  async notify(swapRequest, actor, event, proposal) {
+    const otherParty = idOf(swapRequest.sender) === idOf(actor._id) ? swapRequest.receiver : swapRequest.sender;
+    const payload = {
+      swapRequestId: swapRequest._id,
+      event,
+      proposal,
+      agreement: swapRequest.agreement?.agreedAt ? swapRequest.agreement : null,
+      by: actor._id
+    };
+
+    try {
+      const socketService = require('../utils/socket');
+      for (const userId of [swapRequest.sender, swapRequest.receiver]) {
+        socketService.sendToUser(idOf(userId), 'swapNegotiation', payload);
+      }
+    } catch (error) {
+      logger.error('Error sending swap negotiation update:', error);
+    }
+
+    try {
+      await Notification.create({
+        user: otherParty,
+        sender: actor._id,
+        type: 'swap_request',
+        context: MESSAGES[event](actor.username || 'Someone'),
+        action: 'View swap request',
+        metadata: { swapRequestId: swapRequest._id }
+      });
+    } catch (error) {
+      logger.error('Error creating swap negotiation notification:', error);
+    }
+  }
+}
+
+module.exports = new SwapNegotiationService();
@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Notification = require('../models/Notification');
+const SwapCard = require('../models/SwapCard');
+const SwapCycle = require('../models/SwapCycle');
+const SwapRequest = require('../models/SwapRequest');
+const blockService = require('./blockService');
+const logger = require('../utils/logger');
+
+const idOf = (value) => (value?._id || value)?.toString();
+const MAX_REASON = 500;
+// Statuses in which a request holds its swap card as matched
+const ACTIVE_STATUSES = ['accepted', 'ongoing'];
+
+/**
+ * Allowed transitions. An action can appear more than once when who may take it depends on
+ * the current status. `actors` are roles on the request: 'sender', 'receiver' or 'system'
+ * for transitions the server makes on its own.
+ */
+const TRANSITIONS = [
+  { action: 'accept', from: ['pending'], to: 'accepted', actors: ['receiver'] },
+  { action: 'reject', from: ['pending'], to: 'rejected', actors: ['receiver', 'system'] },
+  { action: 'cancel', from: ['pending'], to: 'cancelled', actors: ['sender'] },
+  // The system cancels when one of the parties deletes their account
+  { action: 'cancel', from: ACTIVE_STATUSES, to: 'cancelled', actors: ['sender', 'receiver', 'system'] },
+  { action: 'start', from: ['accepted'], to: 'ongoing', actors: ['sender', 'receiver'] },
+  // Only once both parties have confirmed, or when one of them didn't answer in time (see swapCompletionService)
+  { action: 'complete', from: ACTIVE_STATUSES, to: 'completed', actors: ['system'] }
+];
+
+// Older clients send the target status instead of an action
+const ACTION_FOR_STATUS = {
+  accepted: 'accept',
+  rejected: 'reject',
+  cancelled: 'cancel',
+  ongoing: 'start',
+  completed: 'complete'
+};
+
+// What the other party is told, and what the pair's chat shows
+const MESSAGES = {
+  create: (name, title) => `${name} sent a swap request for "${title}"`,
+  accept: (name, title) => `${name} accepted the swap request for "${title}"`,
+  reject: (name, title) => `${name} declined the swap request for "${title}"`,
+  cancel: (name, title) => `${name} cancelled the swap request for "${title}"`,
+  start: (name, title) => `${name} started the swap "${title}"`
+};
+
+/**
+ * Swap request lifecycle: pending -> accepted | rejected | cancelled, accepted -> ongoing,
+ * accepted/ongoing -> completed | cancelled. Every change goes through `transition`, which checks
+ * the actor, records the step in the request's history and runs the side effects.
+ */
+class SwapRequestService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.activeStatuses = ACTIVE_STATUSES;
+  }
+
+  // Role of a user on a request: 'sender', 'receiver' or null
+  roleOf(swapRequest, userId) {
+    if (idOf(swapRequest.sender) === idOf(userId)) return 'sender';
+    if (idOf(swapRequest.receiver) === idOf(userId)) return 'receiver';
+    return null;
+  }
+
+  // Action for a legacy `{ status }` update, or null
+  actionForStatus(status) {
+    return ACTION_FOR_STATUS[status] || null;
+  }
+
+  isTerminal(status) {
+    return !this.transitions.some(transition => transition.from.includes(status));
+  }
+
+  // Actions `role` may take on a request in `status`
+  availableActions(status, role) {
+    return [...new Set(this.transitions
+      .filter(transition => transition.from.includes(status) && transition.actors.includes(role))
+      .map(transition => transition.action))];
+  }
+
+  /**
+   * The transition for `action` from `status` by `role`. Returns { transition } or { error, status }.
+   * Pure, so the rules can be tested without a database.
+   */
+  resolveTransition(status, action, role) {
+    const candidates = this.transitions.filter(transition => transition.action === action);
+    if (!candidates.length) return { error: `Unknown action "${action}".`, status: 400 };
+
+    const fromHere = candidates.filter(transition => transition.from.includes(status));
+    if (!fromHere.length) return { error: `A ${status} swap request cannot be ${candidates[0].to}.`, status: 409 };
+
+    const transition = fromHere.find(candidate => candidate.actors.includes(role));
+    if (!transition) return { error: `Only the ${fromHere[0].actors.join(' or ')} can ${action} this request.`, status: 403 };
+    return { transition };
+  }
+
+  /**
+   * Create a pending request for a swap card. The receiver is the card's owner.
+   * Returns { swapRequest } or { error, status }.
+   */
+  async create(sender, { swapCardId, proposedSwapCardId, notes }) {
+    if (!mongoose.Types.ObjectId.isValid(swapCardId)) return { error: 'Invalid swap card ID', status: 400 };
+    if (proposedSwapCardId && !mongoose.Types.ObjectId.isValid(proposedSwapCardId)) {
+      return { error: 'Invalid proposed swap card ID', status: 400 };
+    }
+
+    const card = await SwapCard.findById(swapCardId).select('user title status expiryDate').lean();
+    if (!card) return { error: 'Swap card not found', status: 404 };
+    if (idOf(card.user) === idOf(sender)) return { error: 'Sender and receiver must be different users.', status: 400 };
+    if (card.status !== 'open') return { error: 'This swap card is no longer open.', status: 409 };
+    if (card.expiryDate && card.expiryDate <= new Date()) return { error: 'This swap card has expired.', status: 409 };
+    if (await blockService.isBlockedBetween(sender._id, card.user)) {
+      return { error: 'You cannot send a swap request to this user.', status: 403 };
+    }
+
+    if (proposedSwapCardId) {
+      const proposed = await SwapCard.findById(proposedSwapCardId).select('user status expiryDate').lean();
+      if (!proposed || idOf(proposed.user) !== idOf(sender)) {
+        return { error: 'You can only propose one of your own swap cards.', status: 400 };
+      }
+      if (proposed.status !== 'open') return { error: 'The proposed swap card is no longer open.', status: 409 };
+      if (proposed.expiryDate && proposed.expiryDate <= new Date()) {
+        return { error: 'The proposed swap card has expired. Renew it first.', status: 409 };
+      }
+    }
+
+    const existing = await SwapRequest.exists({ sender: sender._id, swapCardId: card._id, status: { $in: ['pending', ...ACTIVE_STATUSES] } });
+    if (existing) return { error: 'You already have an open request for this swap card.', status: 409 };
+
+    const swapRequest = await SwapRequest.create({
+      sender: sender._id,
+      receiver: card.user,
+      swapCardId: card._id,
+      proposedSwapCardId,
+      notes,
+      history: [{ action: 'create', to: 'pending', by: sender._id }]
+    });
+    // A request counts as activity on the card, so it isn't closed as inactive
+    await SwapCard.updateOne({ _id: card._id }, { $set: { lastActivityAt: new Date() } });
+
+    await this.announce(swapRequest, 'create', sender, card);
+    return { swapRequest };
+  }
+
+  /**
+   * Apply `action` to a request as `actor` (a user, or null for the system).
+   * The status update is conditional on the status read, so concurrent changes cannot both win.
+   * `quiet` skips the notifications, for callers that send their own.
+   * Returns { swapRequest } or { error, status }.
+   */
+  async transition(requestId, action, actor, { reason, quiet = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) return { error: 'Invalid swap request ID', status: 400 };
+    if (reason !== undefined && (typeof reason !== 'string' || reason.trim().length > MAX_REASON)) {
+      return { error: `Reason must be text of at most ${MAX_REASON} characters.`, status: 400 };
+    }
+
+    const current = await SwapRequest.findById(requestId).lean();
+    if (!current) return { error: 'Swap request not found', status: 404 };
+
+    const role = actor ? this.roleOf(current, actor._id) : 'system';
+    if (!role) return { error: 'Not authorized to update this swap request', status: 403 };
+
+    const { transition, error, status } = this.resolveTransition(current.status, action, role);
+    if (error) return { error, status };
+
+    const card = await SwapCard.findById(current.swapCardId).select('user title status expiryDate').lean();
+    const validationError = await this.validate(transition, current, card);
+    if (validationError) return validationError;
+
+    const swapRequest = await SwapRequest.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        $set: { status: transition.to },
+        $push: {
+          history: { action, from: current.status, to: transition.to, by: actor?._id, reason: reason?.trim() || undefined, at: new Date() }
+        }
+      },
+      { new: true }
+    );
+    if (!swapRequest) return { error: 'This swap request was updated by someone else. Reload and try again.', status: 409 };
+
+    logger.info('Swap request transition', { requestId: swapRequest._id, action, from: current.status, to: transition.to, by: actor?._id });
+    await this.applySideEffects(swapRequest, transition, current.status, card);
+    if (!quiet) {
+      if (actor) {
+        await this.announce(swapRequest, action, actor, card);
+      } else {
+        await this.notifySystemTransition(swapRequest, card, reason);
+      }
+    }
+    return { swapRequest };
+  }
+
+  // Checks beyond the state machine itself. Returns { error, status } or null.
+  async validate(transition, swapRequest, card) {
+    if (transition.action !== 'accept') return null;
+    if (!card) return { error: 'The swap card no longer exists.', status: 409 };
+    if (card.status !== 'open') return { error: 'This swap card is no longer open.', status: 409 };
+    const now = new Date();
+    if (card.expiryDate && card.expiryDate <= now) return { error: 'This swap card has expired.', status: 409 };
+    // The card offered in exchange gets matched too, so it must still be free
+    if (swapRequest.proposedSwapCardId) {
+      const proposed = await SwapCard.findById(swapRequest.proposedSwapCardId).select('status expiryDate').lean();
+      if (!proposed || proposed.status !== 'open') {
+        return { error: 'The swap card offered in exchange is no longer open.', status: 409 };
+      }
+      if (proposed.expiryDate && proposed.expiryDate <= now) {
+        return { error: 'The swap card offered in exchange has expired.', status: 409 };
+      }
+    }
+    if (await blockService.isBlockedBetween(swapRequest.sender, swapRequest.receiver)) {
+      return { error: 'You cannot swap with this user.', status: 403 };
+    }
+    return null;
+  }
+
+  /**
+   * Card status follows the request: accepting matches the card (and the proposed card) and declines
+   * the other pending requests for or offering either of them; cancelling an accepted swap reopens the cards.
+   */
+  async applySideEffects(swapRequest, transition, from, card) {
+    const cardIds = [swapRequest.swapCardId, swapRequest.proposedSwapCardId].filter(Boolean);
+    try {
+      if (transition.to === 'accepted') {
+        await SwapCard.updateMany({ _id: { $in: cardIds } }, { $set: { status: 'matched' } });
+
+        const others = await SwapRequest.find({
+          _id: { $ne: swapRequest._id },
+          $or: [{ swapCardId: { $in: cardIds } }, { proposedSwapCardId: { $in: cardIds } }],
+          status: 'pending'
+        }).select('_id').lean();
+        for (const other of others) {
+          await this.transition(other._id, 'reject', null, { reason: 'The swap card was matched with another request.' });
+        }
+      }
+
+      if (transition.to === 'cancelled' && ACTIVE_STATUSES.includes(from)) {
+        await this.releaseCards(cardIds, swapRequest._id);
+        // Required lazily: the scheduling service itself requires this module
+        const swapSchedulingService = require('./swapSchedulingService');
+        await swapSchedulingService.cancelForRequest(swapRequest._id, 'The swap was cancelled.');
+      }
+    } catch (error) {
+      logger.error('Error applying swap request side effects:', { error: error.message, requestId: swapRequest._id, card: card?._id });
+    }
+  }
+
+  // Reopen matched cards that no other accepted or ongoing request, or active swap cycle, holds
+  async releaseCards(cardIds, exceptRequestId, exceptCycleId) {
+    for (const cardId of cardIds) {
+      const stillMatched = await SwapRequest.exists({
+        _id: { $ne: exceptRequestId },
+        $or: [{ swapCardId: cardId }, { proposedSwapCardId: cardId }],
+        status: { $in: ACTIVE_STATUSES }
+      }) || await SwapCycle.exists({ _id: { $ne: exceptCycleId }, status: 'active', 'links.card': cardId });
+      if (!stillMatched) await SwapCard.updateOne({ _id: cardId, status: 'matched' }, { $set: { status: 'open' } });
+    }
+  }
+
+  // Notify the other party and post a system message in the pair's chat
+  async announce(swapRequest, action, actor, card) {
+    const role = this.roleOf(swapRequest, actor._id);
+    const recipient = role === 'sender' ? swapRequest.receiver : swapRequest.sender;
+    const text = MESSAGES[action](actor.username || 'Someone', card?.title || 'a swap card');
+
+    try {
+      await Notification.create({
+        user: recipient,
+        sender: actor._id,
+        type: 'swap_request',
+        context: text,
+        action: 'View swap request',
+        metadata: { swapRequestId: swapRequest._id }
+      });
+    } catch (error) {
+      logger.error('Error creating swap request notification:', error);
+    }
+
+    try {
+      await this.postSystemMessage(swapRequest, actor._id, text, action);
+    } catch (error) {
+      logger.error('Error posting swap request chat message:', error);
+    }
+  }
+
+  // Automatic transitions tell the sender, who did not see them coming; a cancelled swap concerns both parties
+  async notifySystemTransition(swapRequest, card, reason) {
+    const recipients = swapRequest.status === 'cancelled' ? [swapRequest.sender, swapRequest.receiver] : [swapRequest.sender];
+    for (const recipient of recipients) {
+      try {
+        await Notification.create({
+          user: recipient,
+          type: 'swap_request',
+          context: `Your swap request for "${card?.title || 'a swap card'}" is now ${swapRequest.status}${reason ? `: ${reason}` : ''}`,
+          action: 'View swap request',
+          metadata: { swapRequestId: swapRequest._id }
+        });
+      } catch (error) {
+        logger.error('Error creating swap request notification:', error);
+      }
+    }
+  }
+
+  async postSystemMessage(swapRequest, senderId, content, action) {
+    const participants = [swapRequest.sender, swapRequest.receiver];
+    let chat = await Chat.findOne({ type: 'personal', participants: { $all: participants, $size: 2 } });
+    if (!chat) {
+      chat = await Chat.create({ participants, type: 'personal', readBy: [senderId] });
+    }
+
+    const message = {
+      sender: senderId,
+      content,
+      type: 'system',
+      timestamp: new Date(),
+      metadata: { action: `swap_${action}`, swapRequestId: swapRequest._id, status: swapRequest.status }
+    };
+    chat.messages.push(message);
+    chat.lastMessage = content;
+    await chat.save();
+
+    try {
+      const socketService = require('../utils/socket');
+      socketService.getIO().to(chat._id.toString()).emit('message', {
+        ...chat.messages[chat.messages.length - 1].toObject(),
+        chatId: chat._id
+      });
+    } catch (error) {
+      // Sockets are not running (e.g. in scripts); the message is in the chat either way
+    }
+    return chat;
+  }
+}
+
+module.exports = new SwapRequestService();
@@ -0,0 +1,698 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const SwapCard = require('../models/SwapCard');
+const SwapRequest = require('../models/SwapRequest');
+const SwapSession = require('../models/SwapSession');
+const User = require('../models/User');
+const swapRequestService = require('./swapRequestService');
+const ics = require('../utils/ics');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_DURATION = 60;
+const SLOT_STEP_MINUTES = 30;
+const MAX_SEARCH_DAYS = 60;
+const MAX_FREE_SLOTS = 200;
+const MAX_PROPOSED_SLOTS = 10;
+const MAX_REASON = 500;
+// Sessions must be booked this far ahead
+const MIN_LEAD_MS = 2 * HOUR_MS;
+// Policy windows: no reschedules inside this notice, and cancellations inside it are recorded as late
+const RESCHEDULE_NOTICE_MS = (parseInt(process.env.SWAP_RESCHEDULE_NOTICE_HOURS, 10) || 24) * HOUR_MS;
+const CANCEL_NOTICE_MS = (parseInt(process.env.SWAP_CANCEL_NOTICE_HOURS, 10) || 24) * HOUR_MS;
+const REMINDERS = [
+  { key: '24h', before: DAY_MS, label: 'tomorrow' },
+  { key: '1h', before: HOUR_MS, label: 'in an hour' }
+];
+const CHECK_INTERVAL_MS = 5 * MINUTE_MS;
+const USER_FIELDS = 'username firstName lastName email timeZone';
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const idOf = (value) => (value?._id || value)?.toString();
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Booking sessions for accepted swaps. Free slots are where both users' swap card availability
+ * (`availableTimes`, read in each user's time zone) overlaps, minus sessions either already has booked.
+ * One party proposes slots, the other confirms one; the booking then gets reminders and a calendar invite.
+ */
+class SwapSchedulingService {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+  }
+
+  // Send due reminders and close past sessions every few minutes
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.interval = setInterval(() => {
+      this.processReminders();
+    }, CHECK_INTERVAL_MS);
+
+    logger.info('Swap session reminders started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  // --- Time zones and availability (pure) ---
+
+  isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      formatterFor(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // User time zones are free text; anything Intl doesn't know is read as UTC
+  timeZoneOf(user) {
+    return this.isValidTimeZone(user?.timeZone) ? user.timeZone : 'UTC';
+  }
+
+  // Minutes `timeZone` is ahead of UTC at `date`
+  offsetMinutes(timeZone, date) {
+    const parts = {};
+    for (const part of formatterFor(timeZone).formatToParts(date)) parts[part.type] = Number(part.value);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS);
+  }
+
+  // The instant of a wall-clock time (minutes after midnight) on a calendar date in `timeZone`
+  zonedTime(year, month, day, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month, day, 0, minutes);
+    const offset = this.offsetMinutes(timeZone, new Date(wallClock));
+    let time = wallClock - offset * MINUTE_MS;
+    // Around DST changes the offset at the result can differ from the one at the guess
+    const corrected = this.offsetMinutes(timeZone, new Date(time));
+    if (corrected !== offset) time = wallClock - corrected * MINUTE_MS;
+    return new Date(time);
+  }
+
+  // 'Monday', 'mon', 'MON' or 0-6 (Sunday first)
+  parseDay(day) {
+    if (typeof day === 'number' || /^\d$/.test(day)) {
+      const index = Number(day);
+      return index >= 0 && index <= 6 ? index : null;
+    }
+    const index = DAYS.indexOf(String(day || '').trim().slice(0, 3).toLowerCase());
+    return index === -1 ? null : index;
+  }
+
+  // '14:30', '9:00', '9am', '9:30 PM' -> minutes after midnight
+  parseTime(value) {
+    const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (minutes > 59) return null;
+    if (match[3]) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+    }
+    if (hours > 24 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * UTC intervals covered by weekly `availableTimes` entries between `from` and `to`.
+   * A window whose end is not after its start runs past midnight.
+   */
+  availabilityWindows(availableTimes = [], timeZone, from, to) {
+    const entries = availableTimes
+      .map(entry => ({ day: this.parseDay(entry.day), from: this.parseTime(entry.from), to: this.parseTime(entry.to) }))
+      .filter(entry => entry.day !== null && entry.from !== null && entry.to !== null);
+
+    const windows = [];
+    // Calendar dates around the range, wide enough to cover any offset
+    for (let time = from.getTime() - 2 * DAY_MS; time <= to.getTime() + DAY_MS; time += DAY_MS) {
+      const date = new Date(time);
+      const [year, month, day, weekday] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCDay()];
+      for (const entry of entries.filter(candidate => candidate.day === weekday)) {
+        const end = entry.to > entry.from ? entry.to : entry.to + 24 * 60;
+        windows.push({
+          start: this.zonedTime(year, month, day, entry.from, timeZone),
+          end: this.zonedTime(year, month, day, end, timeZone)
+        });
+      }
+    }
+    return this.clip(this.merge(windows), from, to);
+  }
+
+  merge(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const interval of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        if (interval.end > last.end) last.end = interval.end;
+      } else {
+        merged.push({ start: interval.start, end: interval.end });
+      }
+    }
+    return merged;
+  }
+
+  clip(intervals, from, to) {
+    return intervals
+      .map(interval => ({ start: interval.start < from ? from : interval.start, end: interval.end > to ? to : interval.end }))
+      .filter(interval => interval.end > interval.start);
+  }
+
+  intersect(a, b) {
+    const result = [];
+    for (const x of a) {
+      for (const y of b) {
+        const start = x.start > y.start ? x.start : y.start;
+        const end = x.end < y.end ? x.end : y.end;
+        if (end > start) result.push({ start, end });
+      }
+    }
+    return this.merge(result);
+  }
+
+  subtract(intervals, busy) {
+    let result = intervals;
+    for (const block of busy) {
+      result = result.flatMap(interval => {
+        if (block.end <= interval.start || block.start >= interval.end) return [interval];
+        const pieces = [];
+        if (block.start > interval.start) pieces.push({ start: interval.start, end: block.start });
+        if (block.end < interval.end) pieces.push({ start: block.end, end: interval.end });
+        return pieces;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Windows when everyone is available and nobody is booked. `availabilities` is one
+   * { availableTimes, timeZone } per user; a user with no availability is treated as always available.
+   */
+  freeWindows({ availabilities, busy = [], from, to }) {
+    let windows = [{ start: from, end: to }];
+    for (const { availableTimes, timeZone } of availabilities) {
+      if (availableTimes?.length) windows = this.intersect(windows, this.availabilityWindows(availableTimes, timeZone, from, to));
+    }
+    return this.subtract(windows, busy.map(booking => ({ start: booking.startsAt, end: booking.endsAt })));
+  }
+
+  // Start times on the half hour at which a session of `durationMinutes` fits in the windows
+  slotsIn(windows, durationMinutes, limit = MAX_FREE_SLOTS) {
+    const step = SLOT_STEP_MINUTES * MINUTE_MS;
+    const duration = durationMinutes * MINUTE_MS;
+    const slots = [];
+    for (const window of windows) {
+      let start = Math.ceil(window.start.getTime() / step) * step;
+      while (start + duration <= window.end.getTime() && slots.length < limit) {
+        slots.push({ startsAt: new Date(start), endsAt: new Date(start + duration) });
+        start += step;
+      }
+    }
+    return slots;
+  }
+
+  fits(slot, windows) {
+    return windows.some(window => window.start <= slot.startsAt && slot.endsAt <= window.end);
+  }
+
+  // Where a booking stands against the policy windows at `now`
+  policyFor(session, now = new Date()) {
+    const untilStart = session.startsAt ? session.startsAt.getTime() - now.getTime() : Infinity;
+    return {
+      canReschedule: session.status === 'scheduled' && untilStart > RESCHEDULE_NOTICE_MS,
+      lateCancellation: session.status === 'scheduled' && untilStart <= CANCEL_NOTICE_MS
+    };
+  }
+
+  // --- Loading ---
+
+  // The swap, its cards and both users, for a participant. Returns { context } or { error, status }.
+  async loadContext(requestId, user) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) return { error: 'Invalid swap request ID', status: 400 };
+    const swapRequest = await SwapRequest.findById(requestId).lean();
+    if (!swapRequest) return { error: 'Swap request not found', status: 404 };
+    const role = swapRequestService.roleOf(swapRequest, user._id);
+    if (!role) return { error: 'Not authorized to schedule this swap', status: 403 };
+
+    const [card, proposedCard, users] = await Promise.all([
+      SwapCard.findById(swapRequest.swapCardId).select('title availableTimes').lean(),
+      swapRequest.proposedSwapCardId
+        ? SwapCard.findById(swapRequest.proposedSwapCardId).select('title availableTimes').lean()
+        : null,
+      User.find({ _id: { $in: [swapRequest.sender, swapRequest.receiver] } }).select(USER_FIELDS).lean()
+    ]);
+    const userById = (id) => users.find(candidate => idOf(candidate) === idOf(id)) || { _id: id };
+
+    return {
+      context: {
+        swapRequest,
+        role,
+        card,
+        proposedCard,
+        sender: userById(swapRequest.sender),
+        receiver: userById(swapRequest.receiver),
+        durationMinutes: swapRequest.agreement?.terms?.durationMinutes || DEFAULT_DURATION
+      }
+    };
+  }
+
+  schedulable(swapRequest) {
+    return swapRequestService.activeStatuses.includes(swapRequest.status);
+  }
+
+  // Bookings of either user overlapping [from, to], except `exceptSessionId`
+  async busyBetween(userIds, from, to, exceptSessionId) {
+    return SwapSession.find({
+      _id: { $ne: exceptSessionId },
+      participants: { $in: userIds },
+      status: 'scheduled',
+      startsAt: { $lt: to },
+      endsAt: { $gt: from }
+    }).select('startsAt endsAt').lean();
+  }
+
+  async windowsFor(context, from, to, exceptSessionId) {
+    const { card, proposedCard, sender, receiver } = context;
+    const busy = await this.busyBetween([sender._id, receiver._id], from, to, exceptSessionId);
+    return this.freeWindows({
+      availabilities: [
+        { availableTimes: card?.availableTimes, timeZone: this.timeZoneOf(receiver) },
+        { availableTimes: proposedCard?.availableTimes, timeZone: this.timeZoneOf(sender) }
+      ],
+      busy,
+      from,
+      to
+    });
+  }
+
+  // --- Queries ---
+
+  // Free slots for the next `days` days. Returns { slots, durationMinutes, timeZones } or { error, status }.
+  async getAvailability(requestId, user, { from, days = 14 } = {}) {
+    const loaded = await this.loadContext(requestId, user);
+    if (loaded.error) return loaded;
+    const { context } = loaded;
+    if (!this.schedulable(context.swapRequest)) return { error: 'Only accepted swaps can be scheduled.', status: 409 };
+
+    const earliest = new Date(Date.now() + MIN_LEAD_MS);
+    const start = from && !Number.isNaN(new Date(from).getTime()) && new Date(from) > earliest ? new Date(from) : earliest;
+    const span = Math.min(Math.max(parseInt(days, 10) || 14, 1), MAX_SEARCH_DAYS);
+    const end = new Date(start.getTime() + span * DAY_MS);
+
+    const windows = await this.windowsFor(context, start, end);
+    return {
+      slots: this.slotsIn(windows, context.durationMinutes),
+      durationMinutes: context.durationMinutes,
+      timeZones: { sender: this.timeZoneOf(context.sender), receiver: this.timeZoneOf(context.receiver) }
+    };
+  }
+
+  async listSessions(requestId, user) {
+    const loaded = await this.loadContext(requestId, user);
+    if (loaded.error) return loaded;
+    const sessions = await SwapSession.find({ swapRequest: requestId })
+      .sort({ startsAt: 1, createdAt: 1 })
+      .lean();
+    return { sessions: sessions.map(session => ({ ...session, ...this.policyFor(session) })) };
+  }
+
+  async loadSession(sessionId, user) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return { error: 'Invalid session ID', status: 400 };
+    const session = await SwapSession.findById(sessionId).lean();
+    if (!session) return { error: 'Session not found', status: 404 };
+    if (!session.participants.some(participant => idOf(participant) === idOf(user._id))) {
+      return { error: 'Not authorized to manage this session', status: 403 };
+    }
+    return { session };
+  }
+
+  // --- Booking ---
+
+  /**
+   * Check proposed start times against both users' availability and bookings.
+   * Returns { slots } or { error, status }.
+   */
+  async checkSlots(context, startTimes, exceptSessionId) {
+    if (!Array.isArray(startTimes) || !startTimes.length || startTimes.length > MAX_PROPOSED_SLOTS) {
+      return { error: `Propose between 1 and ${MAX_PROPOSED_SLOTS} start times.`, status: 400 };
+    }
+    const duration = context.durationMinutes * MINUTE_MS;
+    const slots = startTimes.map(value => new Date(value)).sort((a, b) => a - b)
+      .map(startsAt => ({ startsAt, endsAt: new Date(startsAt.getTime() + duration) }));
+
+    if (slots.some(slot => Number.isNaN(slot.startsAt.getTime()))) return { error: 'Invalid start time', status: 400 };
+    if (slots[0].startsAt < new Date(Date.now() + MIN_LEAD_MS)) {
+      return { error: `Sessions must start at least ${MIN_LEAD_MS / HOUR_MS} hours from now.`, status: 400 };
+    }
+    if (slots[slots.length - 1].startsAt > new Date(Date.now() + MAX_SEARCH_DAYS * DAY_MS)) {
+      return { error: `Sessions can be booked up to ${MAX_SEARCH_DAYS} days ahead.`, status: 400 };
+    }
+
+    const windows = await this.windowsFor(context, slots[0].startsAt, slots[slots.length - 1].endsAt, exceptSessionId);
+    const unavailable = slots.find(slot => !this.fits(slot, windows));
+    if (unavailable) {
+      return { error: `${unavailable.startsAt.toISOString()} is outside your shared availability or clashes with a booked session.`, status: 409 };
+    }
+    return { slots };
+  }
+
+  // Propose slots for a new session. Returns { session } or { error, status }.
+  async propose(requestId, user, { slots: startTimes, notes } = {}) {
+    if (notes !== undefined && (typeof notes !== 'string' || notes.trim().length > 1000)) {
+      return { error: 'Notes must be text of at most 1000 characters.', status: 400 };
+    }
+    const loaded = await this.loadContext(requestId, user);
+    if (loaded.error) return loaded;
+    const { context } = loaded;
+    if (!this.schedulable(context.swapRequest)) return { error: 'Only accepted swaps can be scheduled.', status: 409 };
+
+    // Agreed number of sessions, if the parties negotiated one
+    const agreedSessions = context.swapRequest.agreement?.terms?.sessions;
+    if (agreedSessions) {
+      const booked = await SwapSession.countDocuments({ swapRequest: requestId, status: { $ne: 'cancelled' } });
+      if (booked >= agreedSessions) return { error: `All ${agreedSessions} agreed sessions are already planned.`, status: 409 };
+    }
+
+    const checked = await this.checkSlots(context, startTimes);
+    if (checked.error) return checked;
+
+    const session = await SwapSession.create({
+      swapRequest: requestId,
+      participants: [context.swapRequest.sender, context.swapRequest.receiver],
+      proposedBy: user._id,
+      slots: checked.slots,
+      durationMinutes: context.durationMinutes,
+      notes: notes?.trim() || undefined
+    });
+
+    await this.notify(session, user, context, 'proposed');
+    return { session };
+  }
+
+  // The other party books one of the proposed slots. Returns { session } or { error, status }.
+  async confirm(sessionId, user, startsAt) {
+    const loaded = await this.loadSession(sessionId, user);
+    if (loaded.error) return loaded;
+    const { session } = loaded;
+
+    const pending = session.status === 'proposed' ? session : null;
+    const rescheduling = session.status === 'scheduled' && session.reschedule?.slots?.length ? session.reschedule : null;
+    if (!pending && !rescheduling) return { error: 'There are no proposed times to confirm.', status: 409 };
+    if (idOf((pending || rescheduling).proposedBy) === idOf(user._id)) {
+      return { error: 'The other party has to confirm the times you proposed.', status: 403 };
+    }
+
+    const offered = pending ? session.slots : rescheduling.slots;
+    const slot = offered.find(candidate => candidate.startsAt.getTime() === new Date(startsAt).getTime());
+    if (!slot) return { error: 'Pick one of the proposed start times.', status: 400 };
+    if (rescheduling && !this.policyFor(session).canReschedule) {
+      return { error: `Sessions cannot be moved less than ${RESCHEDULE_NOTICE_MS / HOUR_MS} hours before they start.`, status: 409 };
+    }
+
+    const context = await this.loadContext(session.swapRequest, user);
+    if (context.error) return context;
+    if (!this.schedulable(context.context.swapRequest)) return { error: 'Only accepted swaps can be scheduled.', status: 409 };
+
+    // Times are re-checked: either user may have booked something else since they were proposed
+    const checked = await this.checkSlots({ ...context.context, durationMinutes: session.durationMinutes }, [slot.startsAt], session._id);
+    if (checked.error) return checked;
+
+    const update = {
+      $set: {
+        status: 'scheduled',
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        confirmedBy: user._id,
+        confirmedAt: new Date(),
+        remindersSent: []
+      },
+      $unset: { reschedule: '' }
+    };
+    if (rescheduling) update.$inc = { sequence: 1 };
+    const updated = await SwapSession.findOneAndUpdate(
+      { _id: session._id, status: session.status, updatedAt: session.updatedAt },
+      update,
+      { new: true }
+    );
+    if (!updated) return { error: 'This session was updated by someone else. Reload and try again.', status: 409 };
+
+    const change = rescheduling ? 'rescheduled' : 'scheduled';
+    await this.notify(updated, user, context.context, change);
+    await this.sendInvites(updated, context.context, change);
+    return { session: updated };
+  }
+
+  // Offer new times for a scheduled session, outside the reschedule notice window
+  async proposeReschedule(sessionId, user, startTimes) {
+    const loaded = await this.loadSession(sessionId, user);
+    if (loaded.error) return loaded;
+    const { session } = loaded;
+    if (session.status !== 'scheduled') return { error: 'Only scheduled sessions can be rescheduled.', status: 409 };
+    if (!this.policyFor(session).canReschedule) {
+      return { error: `Sessions cannot be moved less than ${RESCHEDULE_NOTICE_MS / HOUR_MS} hours before they start. You can still cancel.`, status: 409 };
+    }
+
+    const context = await this.loadContext(session.swapRequest, user);
+    if (context.error) return context;
+    const checked = await this.checkSlots({ ...context.context, durationMinutes: session.durationMinutes }, startTimes, session._id);
+    if (checked.error) return checked;
+
+    const updated = await SwapSession.findOneAndUpdate(
+      { _id: session._id, status: 'scheduled' },
+      { $set: { reschedule: { slots: checked.slots, proposedBy: user._id, proposedAt: new Date() } } },
+      { new: true }
+    );
+    if (!updated) return { error: 'This session was updated by someone else. Reload and try again.', status: 409 };
+
+    await this.notify(updated, user, context.context, 'reschedule_proposed');
+    return { session: updated };
+  }
+
+  /**
+   * Cancel a proposal or a booking. Bookings cancelled inside the notice window are kept as late cancellations.
+   * Returns { session } or { error, status }.
+   */
+  async cancel(sessionId, user, reason) {
+    if (reason !== undefined && (typeof reason !== 'string' || reason.trim().length > MAX_REASON)) {
+      return { error: `Reason must be text of at most ${MAX_REASON} characters.`, status: 400 };
+    }
+    const loaded = await this.loadSession(sessionId, user);
+    if (loaded.error) return loaded;
+    const { session } = loaded;
+    if (!['proposed', 'scheduled'].includes(session.status)) return { error: `A ${session.status} session cannot be cancelled.`, status: 409 };
+    if (session.status === 'scheduled' && session.startsAt <= new Date()) {
+      return { error: 'This session has already started.', status: 409 };
+    }
+
+    const { lateCancellation } = this.policyFor(session);
+    const updated = await SwapSession.findOneAndUpdate(
+      { _id: session._id, status: session.status },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledBy: user._id,
+          cancelledAt: new Date(),
+          cancelReason: reason?.trim() || undefined,
+          lateCancellation
+        },
+        $unset: { reschedule: '' },
+        $inc: { sequence: 1 }
+      },
+      { new: true }
+    );
+    if (!updated) return { error: 'This session was updated by someone else. Reload and try again.', status: 409 };
+
+    const context = await this.loadContext(session.swapRequest, user);
+    if (!context.error) {
+      await this.notify(updated, user, context.context, 'cancelled');
+      if (session.status === 'scheduled') await this.sendInvites(updated, context.context, 'cancelled');
+    }
+    return { session: updated };
+  }
+
+  // Cancel the open sessions of a swap that ended, e.g. when the request is cancelled
+  async cancelForRequest(requestId, reason) {
+    const result = await SwapSession.updateMany(
+      { swapRequest: requestId, status: { $in: ['proposed', 'scheduled'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason }, $unset: { reschedule: '' }, $inc: { sequence: 1 } }
+    );
+    return result.modifiedCount;
+  }
+
+  // --- Calendar ---
+
+  calendarFor(session, context, method = 'REQUEST') {
+    const { sender, receiver, card } = context;
+    const title = card?.title || 'Skill swap';
+    return ics.buildEvent({
+      uid: `swap-session-${session._id}@netyora.com`,
+      sequence: session.sequence,
+      method,
+      start: session.startsAt,
+      end: session.endsAt,
+      summary: `Swap session: ${title}`,
+      description: [`Skill swap between ${this.nameOf(sender)} and ${this.nameOf(receiver)}`, session.notes].filter(Boolean).join('\n'),
+      url: process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/swaps/${session.swapRequest}` : undefined,
+      attendees: [sender, receiver].map(participant => ({ name: this.nameOf(participant), email: participant.email }))
+    });
+  }
+
+  // The .ics of a scheduled session for either participant. Returns { ics } or { error, status }.
+  async getCalendar(sessionId, user) {
+    const loaded = await this.loadSession(sessionId, user);
+    if (loaded.error) return loaded;
+    const { session } = loaded;
+    if (!session.startsAt) return { error: 'This session has not been scheduled yet.', status: 409 };
+
+    const context = await this.loadContext(session.swapRequest, user);
+    if (context.error) return context;
+    return { ics: this.calendarFor(session, context.context, session.status === 'cancelled' ? 'CANCEL' : 'REQUEST') };
+  }
+
+  nameOf(user) {
+    return [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.username || 'Netyora member';
+  }
+
+  // Booking changes are emailed to both users in their own time zone, with the calendar invite attached
+  async sendInvites(session, context, change) {
+    const calendar = this.calendarFor(session, context, change === 'cancelled' ? 'CANCEL' : 'REQUEST');
+    try {
+      const { emailQueue } = require('../utils/queue');
+      for (const [recipient, partner] of [[context.sender, context.receiver], [context.receiver, context.sender]]) {
+        if (!recipient.email) continue;
+        await emailQueue.add({
+          to: recipient.email,
+          template: 'swap-session',
+          data: {
+            name: recipient.firstName || recipient.username,
+            partner: this.nameOf(partner),
+            title: context.card?.title || 'Skill swap',
+            when: this.formatIn(session.startsAt, this.timeZoneOf(recipient)),
+            change,
+            reason: session.cancelReason
+          },
+          attachments: [{
+            filename: 'swap-session.ics',
+            content: calendar,
+            contentType: `text/calendar; charset=utf-8; method=${change === 'cancelled' ? 'CANCEL' : 'REQUEST'}`
+          }]
+        });
+      }
+    } catch (error) {
+      logger.error('Error sending swap session invites:', error);
+    }
+  }
+
+  formatIn(date, timeZone) {
+    return `${new Date(date).toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' })} (${timeZone})`;
+  }
+
+  // --- Notifications and reminders ---
+
+  async notify(session, actor, context, change) {
+    const recipient = idOf(actor._id) === idOf(context.swapRequest.sender) ? context.receiver : context.sender;
+    const title = context.card?.title || 'your swap';
+    const when = session.startsAt ? this.formatIn(session.startsAt, this.timeZoneOf(recipient)) : null;
+    const messages = {
+      proposed: `${actor.username || 'Your swap partner'} proposed times for a session of "${title}"`,
+      scheduled: `Your session of "${title}" is booked for ${when}`,
+      reschedule_proposed: `${actor.username || 'Your swap partner'} proposed new times for your session of "${title}"`,
+      rescheduled: `Your session of "${title}" was moved to ${when}`,
+      cancelled: `${actor.username || 'Your swap partner'} cancelled ${session.startsAt ? `the session of "${title}" on ${when}` : `the proposed session of "${title}"`}`
+    };
+
+    try {
+      await Notification.create({
+        user: recipient._id,
+        sender: actor._id,
+        type: 'swap_session',
+        context: messages[change],
+        action: 'View session',
+        metadata: { swapRequestId: session.swapRequest, swapSessionId: session._id }
+      });
+
+      const socketService = require('../utils/socket');
+      for (const participant of session.participants) {
+        socketService.sendToUser(idOf(participant), 'swapSessionUpdate', { swapRequestId: session.swapRequest, sessionId: session._id, change, status: session.status });
+      }
+    } catch (error) {
+      logger.error('Error creating swap session notification:', error);
+    }
+  }
+
+  // Reminders due at `now`, newest reminder only: a session booked 30 minutes ahead gets just the 1h one
+  dueReminder(session, now = new Date()) {
+    const untilStart = session.startsAt.getTime() - now.getTime();
+    if (untilStart <= 0) return null;
+    const due = REMINDERS.filter(reminder => untilStart <= reminder.before);
+    const latest = due[due.length - 1];
+    if (!latest || (session.remindersSent || []).includes(latest.key)) return null;
+    return latest;
+  }
+
+  async processReminders(now = new Date()) {
+    try {
+      await SwapSession.updateMany({ status: 'scheduled', endsAt: { $lte: now } }, { $set: { status: 'completed' } });
+
+      const upcoming = await SwapSession.find({
+        status: 'scheduled',
+        startsAt: { $gt: now, $lte: new Date(now.getTime() + REMINDERS[0].before) }
+      }).populate('participants', USER_FIELDS).lean();
+
+      const socketService = require('../utils/socket');
+      for (const session of upcoming) {
+        const reminder = this.dueReminder(session, now);
+        if (!reminder) continue;
+
+        const claimed = await SwapSession.updateOne(
+          { _id: session._id, status: 'scheduled', startsAt: session.startsAt, remindersSent: { $ne: reminder.key } },
+          { $addToSet: { remindersSent: { $each: REMINDERS.filter(candidate => candidate.before >= reminder.before).map(candidate => candidate.key) } } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        for (const participant of session.participants) {
+          const partner = session.participants.find(other => idOf(other) !== idOf(participant));
+          await Notification.create({
+            user: participant._id,
+            type: 'swap_session',
+            context: `Reminder: your swap session with ${this.nameOf(partner)} starts ${reminder.label} (${this.formatIn(session.startsAt, this.timeZoneOf(participant))})`,
+            action: 'View session',
+            metadata: { swapRequestId: session.swapRequest, swapSessionId: session._id }
+          });
+          socketService.sendToUser(idOf(participant), 'swapSessionReminder', { sessionId: session._id, startsAt: session.startsAt });
+        }
+      }
+    } catch (error) {
+      logger.error('Swap session reminder error:', error);
+    }
+  }
+}
+
+module.exports = new SwapSchedulingService();
@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const Rating = require('../models/Rating');
+const SwapCard = require('../models/SwapCard');
+const SwapRequest = require('../models/SwapRequest');
+const User = require('../models/User');
+const blockService = require('./blockService');
+const privacyService = require('./privacyService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const geoService = require('./geoService');
+const swapSchedulingService = require('./swapSchedulingService');
+const { getStore } = require('../utils/ttlStore');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_PREFIX = 'swap-suggestions:';
+const CACHE_TTL_SECONDS = 15 * 60;
+// Newest open cards scored per request
+const CANDIDATE_LIMIT = 500;
+const MAX_RESULTS = 50;
+// Weekly shared hours at which schedules count as fully compatible
+const FULL_OVERLAP_HOURS = 4;
+// In-person swaps further apart than this don't count as compatible
+const NEARBY_KM = 150;
+// Ratings are pulled towards this mean until an author has a few of them
+const PRIOR_RATING = 3.5;
+const PRIOR_WEIGHT = 2;
+// Response rates need this many requests, counted over this window, to mean anything
+const MIN_REQUESTS = 3;
+const RESPONSE_WINDOW_DAYS = 90;
+// Pending requests younger than this haven't had a fair chance to be answered yet
+const RESPONSE_GRACE_MS = 2 * DAY_MS;
+const SKILL_FIELDS = 'title catalogSkill';
+const USER_FIELDS = 'username firstName lastName avatar';
+const idOf = (value) => (value?._id || value)?.toString();
+
+const WEIGHTS = {
+  skill: 0.45,
+  location: 0.15,
+  schedule: 0.1,
+  rating: 0.1,
+  response: 0.1,
+  recency: 0.1
+};
+
+/**
+ * Suggested swap cards for a user: open cards offering what they look for or wanting what they
+ * can teach, ranked with location, schedule, the author's track record and recency.
+ * Results are cached per user and dropped when their skills or cards change.
+ */
+class SwapSuggestionService {
+  // --- Scoring (pure) ---
+
+  /**
+   * What the viewer can teach and wants to learn, from their profile and their own open cards,
+   * plus the availability and location their cards are compared against.
+   */
+  buildViewer(user, ownCards = []) {
+    const offers = skillTaxonomyService.keySet([...(user.skills || []), ...ownCards.map(card => card.offeredSkill)].filter(Boolean));
+    const wants = skillTaxonomyService.keySet([...(user.lookingFor || []), ...ownCards.map(card => card.desiredSkill)].filter(Boolean));
+    return {
+      offers,
+      wants,
+      location: user.location,
+      timeZone: swapSchedulingService.timeZoneOf(user),
+      availableTimes: ownCards.flatMap(card => card.availableTimes || [])
+    };
+  }
+
+  // Card skills that meet the viewer's: what it offers that they want, what it wants that they have
+  skillMatch(viewer, card) {
+    const offered = [...skillTaxonomyService.skillKeys(card.offeredSkill), ...skillTaxonomyService.skillKeys(card.offeredCatalogSkill)];
+    const desired = [...skillTaxonomyService.skillKeys(card.desiredSkill), ...skillTaxonomyService.skillKeys(card.desiredCatalogSkill)];
+    return {
+      teachesYou: offered.some(key => viewer.wants.has(key)),
+      learnsFromYou: desired.some(key => viewer.offers.has(key))
+    };
+  }
+
+  // Remote cards suit anyone; in-person ones depend on how close the two users are
+  locationScore(viewer, card) {
+    if (card.availability === 'online') return { score: 1, reason: 'Swaps online' };
+    if (card.availability === 'video') return { score: 1, reason: 'Swaps over video' };
+    const here = viewer.location;
+    const there = card.location;
+    if (!here?.country || !there?.country) return null;
+    const same = (a, b) => a && b && a.trim().toLowerCase() === b.trim().toLowerCase();
+    if (same(here.country, there.country) && same(here.city, there.city)) return { score: 1, reason: `Meets in person in ${there.city}, where you are` };
+    // With coordinates on both sides, closeness counts rather than borders
+    if (here.point && there.point) {
+      const km = geoService.distanceKm(here.point, there.point);
+      if (km > NEARBY_KM) return { score: 0 };
+      return { score: 1 - km / (2 * NEARBY_KM), reason: `Meets in person in ${there.city}, about ${Math.round(km)} km away` };
+    }
+    if (same(here.country, there.country)) return { score: 0.5, reason: `Meets in person in ${there.city}, ${there.country}` };
+    return { score: 0 };
+  }
+
+  // Hours a week both schedules share; unknown when either side has not set availability
+  scheduleScore(viewer, card, authorTimeZone, now = new Date()) {
+    if (!viewer.availableTimes.length || !card.availableTimes?.length) return null;
+    const windows = swapSchedulingService.freeWindows({
+      availabilities: [
+        { availableTimes: viewer.availableTimes, timeZone: viewer.timeZone },
+        { availableTimes: card.availableTimes, timeZone: authorTimeZone }
+      ],
+      from: now,
+      to: new Date(now.getTime() + 7 * DAY_MS)
+    });
+    const hours = windows.reduce((sum, window) => sum + (window.end - window.start), 0) / (60 * 60 * 1000);
+    if (!hours) return { score: 0 };
+    const rounded = Math.round(hours * 2) / 2;
+    return {
+      score: Math.min(hours / FULL_OVERLAP_HOURS, 1),
+      reason: `Free at the same time ${rounded} hour${rounded === 1 ? '' : 's'} a week`
+    };
+  }
+
+  ratingScore(rating) {
+    const count = rating?.count || 0;
+    const average = (((rating?.average || 0) * count) + PRIOR_RATING * PRIOR_WEIGHT) / (count + PRIOR_WEIGHT);
+    const result = { score: (average - 1) / 4 };
+    if (count && rating.average >= 4) {
+      result.reason = `Rated ${rating.average.toFixed(1)} from ${count} review${count === 1 ? '' : 's'}`;
+    }
+    return result;
+  }
+
+  responseScore(response) {
+    if (!response || response.total < MIN_REQUESTS) return null;
+    const rate = response.answered / response.total;
+    const result = { score: rate };
+    if (rate >= 0.8) result.reason = `Answers ${Math.round(rate * 100)}% of swap requests`;
+    return result;
+  }
+
+  recencyScore(createdAt, now = new Date()) {
+    const days = Math.max(0, (now - new Date(createdAt)) / DAY_MS);
+    const result = { score: Math.max(0, 1 - days / 30) };
+    if (days < 1) result.reason = 'Posted today';
+    else if (days < 7) result.reason = `Posted ${Math.floor(days)} day${Math.floor(days) === 1 ? '' : 's'} ago`;
+    return result;
+  }
+
+  /**
+   * Score one card for the viewer. `signals` holds the author's { rating, response, timeZone }.
+   * Returns { score (0-100), type, reason, reasons } or null when no skills meet.
+   * Signals that are unknown are left out of the weighting instead of counting as zero.
+   */
+  scoreCard(viewer, card, signals = {}, now = new Date()) {
+    const { teachesYou, learnsFromYou } = this.skillMatch(viewer, card);
+    if (!teachesYou && !learnsFromYou) return null;
+
+    const reasons = [];
+    if (teachesYou) reasons.push(`Teaches ${card.offeredSkill?.title || 'a skill'}, which you want to learn`);
+    if (learnsFromYou) reasons.push(`Wants to learn ${card.desiredSkill?.title || 'a skill'}, which you can teach`);
+
+    const parts = {
+      skill: { score: (teachesYou ? 0.6 : 0) + (learnsFromYou ? 0.4 : 0) },
+      location: this.locationScore(viewer, card),
+      schedule: this.scheduleScore(viewer, card, signals.timeZone, now),
+      rating: this.ratingScore(signals.rating),
+      response: this.responseScore(signals.response),
+      recency: this.recencyScore(card.createdAt, now)
+    };
+
+    let score = 0;
+    let totalWeight = 0;
+    for (const [name, part] of Object.entries(parts)) {
+      if (!part) continue;
+      score += part.score * WEIGHTS[name];
+      totalWeight += WEIGHTS[name];
+      if (name !== 'skill' && part.reason) reasons.push(part.reason);
+    }
+
+    const type = teachesYou && learnsFromYou ? 'perfect' : teachesYou ? 'can_learn' : 'can_teach';
+    return {
+      score: Math.round((score / totalWeight) * 100),
+      type,
+      reason: type === 'perfect' ? `${reasons[0]}, and ${reasons[1].charAt(0).toLowerCase()}${reasons[1].slice(1)}` : reasons[0],
+      reasons
+    };
+  }
+
+  // --- Data ---
+
+  // Average rating of each author as a swap partner, by user id
+  async ratingsFor(userIds) {
+    const rows = await Rating.aggregate([
+      { $match: { ratedItem: { $in: userIds }, itemType: 'user', status: 'approved' } },
+      { $group: { _id: '$ratedItem', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), { average: row.average, count: row.count }]));
+  }
+
+  // Share of recent swap requests each author answered, by user id. Cancelled requests don't count.
+  async responsesFor(userIds, now = new Date()) {
+    const rows = await SwapRequest.aggregate([
+      {
+        $match: {
+          receiver: { $in: userIds },
+          createdAt: { $gte: new Date(now.getTime() - RESPONSE_WINDOW_DAYS * DAY_MS) },
+          status: { $ne: 'cancelled' },
+          $or: [{ status: { $ne: 'pending' } }, { createdAt: { $lte: new Date(now.getTime() - RESPONSE_GRACE_MS) } }]
+        }
+      },
+      {
+        $group: {
+          _id: '$receiver',
+          total: { $sum: 1 },
+          answered: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 0, 1] } }
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), { total: row.total, answered: row.answered }]));
+  }
+
+  // Ranked suggestions for the user, best first
+  async compute(userId, now = new Date()) {
+    const id = new mongoose.Types.ObjectId(idOf(userId));
+    const [user, ownCards, requested, blocked, hidden] = await Promise.all([
+      User.findById(id).select('skills lookingFor location timeZone').populate('skills lookingFor', SKILL_FIELDS).lean(),
+      SwapCard.find({ user: id, status: 'open', ...SwapCard.notExpired(now) })
+        .select('offeredSkill desiredSkill availableTimes')
+        .populate('offeredSkill desiredSkill', SKILL_FIELDS)
+        .lean(),
+      SwapRequest.find({ sender: id }).distinct('swapCardId'),
+      blockService.getBlockedUserIds(id),
+      privacyService.getHiddenUserIds(id)
+    ]);
+    if (!user) return [];
+
+    const viewer = this.buildViewer(user, ownCards);
+    if (!viewer.offers.size && !viewer.wants.size) return [];
+
+    const cards = await SwapCard.find({
+      status: 'open',
+      user: { $ne: id, $nin: [...blocked, ...hidden] },
+      _id: { $nin: requested },
+      ...SwapCard.notExpired(now)
+    })
+      .select('_id user offeredSkill desiredSkill offeredCatalogSkill desiredCatalogSkill title description type status tags location availability availableTimes images expiryDate createdAt')
+      .populate('user', `${USER_FIELDS} timeZone`)
+      .populate('offeredSkill desiredSkill', SKILL_FIELDS)
+      .sort('-createdAt')
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+    const matching = cards.filter(card => card.user && Object.values(this.skillMatch(viewer, card)).some(Boolean));
+    const authorIds = [...new Map(matching.map(card => [idOf(card.user), card.user._id])).values()];
+    const [ratings, responses] = await Promise.all([this.ratingsFor(authorIds), this.responsesFor(authorIds, now)]);
+
+    return matching
+      .map(card => {
+        const author = idOf(card.user);
+        const match = this.scoreCard(viewer, card, {
+          rating: ratings.get(author),
+          response: responses.get(author),
+          timeZone: swapSchedulingService.timeZoneOf(card.user)
+        }, now);
+        const { timeZone, ...user } = card.user;
+        return { ...card, user, match };
+      })
+      .sort((a, b) => b.match.score - a.match.score || new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, MAX_RESULTS);
+  }
+
+  /**
+   * Suggestions for the user, from the cache when possible.
+   * Returns { suggestions, cached }.
+   */
+  async getSuggestions(userId, { limit = 20 } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_RESULTS);
+    const key = CACHE_PREFIX + idOf(userId);
+    const store = getStore();
+
+    let suggestions = null;
+    try {
+      const cached = await store.get(key);
+      if (cached) suggestions = JSON.parse(cached);
+    } catch (error) {
+      logger.error('Error reading swap suggestion cache:', error);
+    }
+
+    if (suggestions) {
+      // Blocks and expiry dates take effect right away, not when the cache entry runs out
+      const blocked = new Set((await blockService.getBlockedUserIds(userId)).map(id => id.toString()));
+      const now = new Date();
+      suggestions = suggestions.filter(card => !blocked.has(idOf(card.user)) && !(card.expiryDate && new Date(card.expiryDate) <= now));
+      return { suggestions: suggestions.slice(0, size), cached: true };
+    }
+
+    suggestions = await this.compute(userId);
+    await store.set(key, JSON.stringify(suggestions), CACHE_TTL_SECONDS);
+    return { suggestions: suggestions.slice(0, size), cached: false };
+  }
+
+  // Drop a user's cached suggestions, after their skills, cards or requests change
+  async invalidate(userId) {
+    if (!userId) return;
+    try {
+      await getStore().del(CACHE_PREFIX + idOf(userId));
+    } catch (error) {
+      logger.error('Error clearing swap suggestion cache:', error);
+    }
+  }
+}
+
+module.exports = new SwapSuggestionService();
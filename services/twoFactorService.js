@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const CHALLENGE_TOKEN_TTL = '5m';
+const CHALLENGE_AUDIENCE = 'netyora:2fa-challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+// Secret fields are never returned by default queries
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+class TwoFactorService {
+  // AES key for TOTP secrets at rest. Falls back to one derived from JWT_SECRET.
+  getEncryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!source) throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+    return crypto.createHash('sha256').update(source).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  findUserWithSecrets(userId) {
+    return User.findById(userId).select(`${SECRET_FIELDS} +password`);
+  }
+
+  // Start enrollment: store a pending secret and return what the authenticator app needs
+  async beginSetup(userId) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user) return null;
+    if (user.twoFactor?.enabled) return { error: 'Two-factor authentication is already enabled.' };
+
+    const secret = totp.generateSecret();
+    user.set('twoFactor.pendingSecret', this.encryptSecret(secret));
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  // Finish enrollment with a code from the app. Returns the plain recovery codes once.
+  async confirmSetup(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user?.twoFactor?.pendingSecret) return { error: 'Start two-factor setup first.' };
+
+    const secret = this.decryptSecret(user.twoFactor.pendingSecret);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) return { error: 'Invalid verification code.' };
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: recoveryCodes.map(c => this.hashRecoveryCode(c)),
+      enabledAt: new Date(),
+      lastUsedStep: step
+    };
+    await user.save();
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP code or, failing that, a recovery code for a user with 2FA enabled.
+   * Accepted codes cannot be reused. Returns 'totp', 'recovery' or null.
+   */
+  async verifyUserCode(user, { code, recoveryCode }) {
+    if (!user?.twoFactor?.enabled) return null;
+
+    if (code) {
+      const step = totp.verifyCode(this.decryptSecret(user.twoFactor.secret), code);
+      if (step !== null && step > (user.twoFactor.lastUsedStep || 0)) {
+        user.twoFactor.lastUsedStep = step;
+        await user.save();
+        return 'totp';
+      }
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const index = user.twoFactor.recoveryCodes.indexOf(hash);
+      if (index !== -1) {
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        await user.save();
+        logger.info('Recovery code used', { userId: user._id, remaining: user.twoFactor.recoveryCodes.length });
+        return 'recovery';
+      }
+    }
+
+    return null;
+  }
+
+  // Turn 2FA off. Requires the password and a current code.
+  async disable(userId, { password, code, recoveryCode }) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user?.twoFactor?.enabled) return { error: 'Two-factor authentication is not enabled.' };
+    if (!password || !(await user.comparePassword(password))) return { error: 'Incorrect password.' };
+    if (!(await this.verifyUserCode(user, { code, recoveryCode }))) return { error: 'Invalid verification code.' };
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    return { success: true };
+  }
+
+  // Replace all recovery codes. Requires a current TOTP code.
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user?.twoFactor?.enabled) return { error: 'Two-factor authentication is not enabled.' };
+    if ((await this.verifyUserCode(user, { code })) !== 'totp') return { error: 'Invalid verification code.' };
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => this.hashRecoveryCode(c));
+    await user.save();
+    return { recoveryCodes };
+  }
+
+  // Short-lived token proving the password step passed; exchanged for a session with a code
+  issueChallengeToken(userId) {
+    const challengeToken = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+      expiresIn: CHALLENGE_TOKEN_TTL,
+      audience: CHALLENGE_AUDIENCE
+    });
+    return { challengeToken, expiresIn: CHALLENGE_TOKEN_TTL };
+  }
+
+  // Returns the user id from a challenge token, or null if it is invalid or expired
+  verifyChallengeToken(token) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).id;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
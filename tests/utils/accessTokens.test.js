@@ -0,0 +1,65 @@
+const { requireScope, getRouteScope } = require('../../middleware/requireScope');
+const accessTokenService = require('../../services/accessTokenService');
+const User = require('../../models/User');
+const userController = require('../../controllers/userController');
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Personal access token scopes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should tell personal access tokens apart from session JWTs', () => {
+    expect(accessTokenService.isAccessToken('nyp_' + 'a'.repeat(64))).toBe(true);
+    expect(accessTokenService.isAccessToken('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBe(false);
+    expect(accessTokenService.isAccessToken(undefined)).toBe(false);
+  });
+
+  it('should find the scope declared on the matched route', () => {
+    const route = { stack: [{ handle: () => {} }, { handle: requireScope('write:skills') }] };
+    expect(getRouteScope({ route })).toBe('write:skills');
+    expect(getRouteScope({ route: { stack: [{ handle: () => {} }] } })).toBeNull();
+    // Router-level middleware runs before a route is matched
+    expect(getRouteScope({})).toBeNull();
+  });
+
+  it('should reject tokens without the scope and let sessions through', () => {
+    const middleware = requireScope('write:posts');
+    const next = jest.fn();
+
+    const res = mockRes();
+    middleware({ accessToken: { scopes: ['read:posts'] } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+
+    middleware({ accessToken: { scopes: ['read:posts', 'write:posts'] } }, mockRes(), next);
+    middleware({ sessionId: 'session' }, mockRes(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('should validate new tokens before saving them', async () => {
+    expect((await accessTokenService.createToken('u1', { scopes: ['read:profile'] })).status).toBe(400);
+    expect((await accessTokenService.createToken('u1', { name: 'ci', scopes: [] })).status).toBe(400);
+    expect((await accessTokenService.createToken('u1', { name: 'ci', scopes: ['admin:all'] })).error)
+      .toBe('Unknown scopes: admin:all');
+    expect((await accessTokenService.createToken('u1', { name: 'ci', scopes: ['read:profile'], expiresInDays: 400 })).status)
+      .toBe(400);
+  });
+
+  it('should not let an access token change the account email', async () => {
+    const findById = jest.spyOn(User, 'findById');
+    const res = mockRes();
+    await userController.updateProfile({
+      user: { _id: 'u1', email: 'ana@example.com' },
+      accessToken: { scopes: ['write:profile'] },
+      body: { email: 'thief@example.com' }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const AccountDeletion = require('../../models/AccountDeletion');
+const Post = require('../../models/Post');
+const SavedPost = require('../../models/SavedPost');
+const SwapCard = require('../../models/SwapCard');
+const SwapRequest = require('../../models/SwapRequest');
+const User = require('../../models/User');
+const accountDeletionService = require('../../services/accountDeletionService');
+const sessionService = require('../../services/sessionService');
+const swapRequestService = require('../../services/swapRequestService');
+const adminController = require('../../controllers/adminController');
+const userRoutes = require('../../routes/userRoutes');
+
+describe('Account deletion', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let deletion;
+
+  beforeEach(() => {
+    deletion = new AccountDeletion({ user: userId, status: 'processing', scheduledFor: new Date() });
+    jest.spyOn(deletion, 'save').mockResolvedValue(deletion);
+    jest.spyOn(AccountDeletion, 'findOneAndUpdate').mockResolvedValue(deletion);
+    jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(1);
+    jest.spyOn(accountDeletionService, 'deleteMedia').mockImplementation(async (urls) => ({ deleted: urls.length, failed: 0 }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const useSteps = (steps) => jest.replaceProperty(accountDeletionService, 'steps', steps);
+
+  it('should run every step in order, sharing context, and record the report', async () => {
+    const order = [];
+    useSteps([
+      { name: 'Post', run: async (id, ctx) => { order.push('Post'); ctx.postIds = ['p1']; ctx.media.push('a.jpg', 'b.jpg'); return { deleted: 1 }; } },
+      { name: 'SavedPost', run: async (id, ctx) => { order.push(`SavedPost:${ctx.postIds}`); ctx.media.push('a.jpg'); return { deleted: 2 }; } },
+      { name: 'User', run: async (id) => { order.push(`User:${id}`); return { deleted: 1, updated: 3 }; } }
+    ]);
+
+    const result = await accountDeletionService.processDeletion(deletion._id);
+
+    expect(order).toEqual(['Post', 'SavedPost:p1', `User:${userId}`]);
+    expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(userId, 'logout_all');
+    expect(result.status).toBe('completed');
+    expect(result.completedAt).toBeInstanceOf(Date);
+    expect(result.report.get('User')).toMatchObject({ deleted: 1, updated: 3 });
+    // Media shared by several records is removed once
+    expect(accountDeletionService.deleteMedia).toHaveBeenCalledWith(['a.jpg', 'b.jpg']);
+    expect(deletion.save).toHaveBeenCalled();
+  });
+
+  it('should keep going past a failing step and mark the deletion for a retry', async () => {
+    const userStep = jest.fn().mockResolvedValue({ deleted: 1 });
+    useSteps([
+      { name: 'Chat', run: async () => { throw new Error('connection lost'); } },
+      { name: 'User', run: userStep }
+    ]);
+
+    const result = await accountDeletionService.processDeletion(deletion._id);
+
+    expect(userStep).toHaveBeenCalled();
+    expect(result.status).toBe('failed');
+    expect(result.completedAt).toBeUndefined();
+    expect(result.failures.map(({ step, message }) => ({ step, message }))).toEqual([{ step: 'Chat', message: 'connection lost' }]);
+  });
+
+  it('should do nothing for a deletion another worker already claimed', async () => {
+    AccountDeletion.findOneAndUpdate.mockResolvedValue(null);
+    expect(await accountDeletionService.processDeletion(deletion._id)).toBeNull();
+    expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  it('should remove the user\'s posts, their activity on other posts and saves of the removed posts', async () => {
+    const postId = new mongoose.Types.ObjectId();
+    jest.spyOn(Post, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: postId, images: [{ url: 'post.jpg' }], media: ['clip.mp4'] }] })
+    });
+    jest.spyOn(Post, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Post, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(SavedPost, 'deleteMany').mockResolvedValue({ deletedCount: 4 });
+
+    const ctx = { media: [] };
+    const step = (name) => accountDeletionService.steps.find(candidate => candidate.name === name);
+    expect(await step('Post').run(userId, ctx)).toEqual({ deleted: 1, updated: 6 });
+    expect(await step('SavedPost').run(userId, ctx)).toEqual({ deleted: 4 });
+
+    expect(ctx.media).toEqual(['post.jpg', 'clip.mp4']);
+    expect(Post.deleteMany).toHaveBeenCalledWith({ _id: { $in: [postId] } });
+    expect(Post.updateMany).toHaveBeenCalledWith({ 'likes.user': userId }, { $pull: { likes: { user: userId } } });
+    expect(SavedPost.deleteMany).toHaveBeenCalledWith({ $or: [{ user: userId }, { post: { $in: [postId] } }] });
+  });
+
+  it('should end open swaps through the request lifecycle before removing them', async () => {
+    const cardId = new mongoose.Types.ObjectId();
+    const order = [];
+    jest.spyOn(SwapCard, 'find').mockReturnValue({ distinct: async () => [cardId] });
+    jest.spyOn(SwapRequest, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: 'accepted-1', status: 'accepted' }, { _id: 'pending-1', status: 'pending' }] })
+    });
+    jest.spyOn(swapRequestService, 'transition').mockImplementation(async (id, action) => {
+      order.push(`${action}:${id}`);
+      return { swapRequest: { _id: id } };
+    });
+    jest.spyOn(SwapRequest, 'updateMany').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(SwapRequest, 'deleteMany').mockImplementation(async () => {
+      order.push('deleteMany');
+      return { deletedCount: 2 };
+    });
+
+    const step = accountDeletionService.steps.find(candidate => candidate.name === 'SwapRequest');
+    expect(await step.run(userId, { media: [] })).toEqual({ deleted: 2, anonymized: 1, updated: 2 });
+
+    expect(order).toEqual(['cancel:accepted-1', 'reject:pending-1', 'deleteMany']);
+    expect(swapRequestService.transition).toHaveBeenCalledWith('accepted-1', 'cancel', null, { reason: 'The other member deleted their account.' });
+    expect(swapRequestService.resolveTransition('ongoing', 'cancel', 'system').transition.to).toBe('cancelled');
+    // The cards have to be there while the swaps are cancelled
+    const names = accountDeletionService.steps.map(candidate => candidate.name);
+    expect(names.indexOf('SwapRequest')).toBeLessThan(names.indexOf('SwapCard'));
+  });
+
+  it('should delete the user last, after unlinking them from everyone else', async () => {
+    const names = accountDeletionService.steps.map(step => step.name);
+    expect(names[names.length - 1]).toBe('User');
+    expect(names).toEqual(expect.arrayContaining(['Post', 'Skill', 'SwapCard', 'SwapRequest', 'Chat', 'Rating', 'Notification', 'Community', 'Session']));
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ avatar: 'me.jpg' }) }) });
+    jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 5 });
+    jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const ctx = { media: [] };
+    expect(await accountDeletionService.steps[names.length - 1].run(userId, ctx)).toEqual({ deleted: 1, updated: 5 });
+    expect(ctx.media).toEqual(['me.jpg']);
+    expect(User.updateMany).toHaveBeenCalledWith(
+      { $or: [{ followers: userId }, { following: userId }, { blocked: userId }] },
+      { $pull: { followers: userId, following: userId, blocked: userId } }
+    );
+  });
+
+  it('should route the deletion status to the owner, not to a profile lookup', async () => {
+    const app = express().use('/api/users', userRoutes);
+    jest.spyOn(sessionService, 'authenticate').mockResolvedValue({ user: { _id: userId }, session: { _id: 'session' } });
+    jest.spyOn(accountDeletionService, 'getPendingDeletion').mockResolvedValue(deletion);
+
+    const res = await request(app).get('/api/users/profile/deletion').set('Authorization', 'Bearer session-jwt');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('processing');
+    expect(accountDeletionService.getPendingDeletion).toHaveBeenCalledWith(userId);
+    expect((await request(app).get('/api/users/profile/deletion')).status).toBe(401);
+  });
+
+  it('should refuse malformed filters on the admin deletion list', async () => {
+    const find = jest.spyOn(AccountDeletion, 'find');
+    const list = async (query) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await adminController.getAccountDeletions({ query }, res);
+      return res.status.mock.calls[0]?.[0];
+    };
+
+    expect(await list({ user: 'not-an-id' })).toBe(400);
+    expect(await list({ status: 'gone' })).toBe(400);
+    expect(await list({ status: { $ne: 'completed' } })).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
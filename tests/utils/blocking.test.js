@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const blockService = require('../../services/blockService');
+
+describe('User blocking', () => {
+  const ana = new mongoose.Types.ObjectId();
+  const bob = new mongoose.Types.ObjectId();
+  const cat = new mongoose.Types.ObjectId();
+  let blocked;
+
+  beforeEach(() => {
+    // Who each user has blocked, standing in for User.blocked
+    blocked = new Map([[ana.toString(), [bob]], [bob.toString(), []], [cat.toString(), [ana]]]);
+    const hasBlocked = (id, other) => (blocked.get(id.toString()) || []).some(candidate => candidate.equals(other));
+
+    jest.spyOn(User, 'exists').mockImplementation(async (filter) => (
+      filter.$or.some(({ _id, blocked: other }) => hasBlocked(_id, other)) ? { _id: 'match' } : null
+    ));
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({
+      select: () => ({ lean: async () => ({ blocked: blocked.get(id.toString()) }) })
+    }));
+    jest.spyOn(User, 'find').mockImplementation(({ blocked: id }) => ({
+      distinct: async () => [ana, bob, cat].filter(user => hasBlocked(user, id))
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should treat a block the same from either side', async () => {
+    expect(await blockService.isBlockedBetween(ana, bob)).toBe(true);
+    expect(await blockService.isBlockedBetween(bob, ana)).toBe(true);
+    expect(await blockService.isBlockedBetween(bob, cat)).toBe(false);
+    expect(await blockService.isBlockedBetween(cat, bob)).toBe(false);
+
+    // Populated users and string ids work too
+    expect(await blockService.isBlockedBetween({ _id: cat }, ana.toString())).toBe(true);
+    expect(await blockService.isBlockedBetween(ana, undefined)).toBe(false);
+  });
+
+  it('should list users blocked in either direction once each', async () => {
+    const ids = (list) => list.map(id => id.toString()).sort();
+
+    expect(ids(await blockService.getBlockedUserIds(ana))).toEqual(ids([bob, cat]));
+    expect(ids(await blockService.getBlockedUserIds(bob))).toEqual(ids([ana]));
+
+    // A mutual block is still one entry
+    blocked.set(bob.toString(), [ana]);
+    expect(ids(await blockService.getBlockedUserIds(ana))).toEqual(ids([bob, cat]));
+    expect(await blockService.getBlockedUserIds(null)).toEqual([]);
+  });
+
+  it('should pick out the blocked users from a list', async () => {
+    const others = [{ _id: bob }, cat.toString(), new mongoose.Types.ObjectId()];
+    expect(await blockService.filterBlocked(ana, others)).toEqual([{ _id: bob }, cat.toString()]);
+  });
+});
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Chat = require('../../models/Chat');
+const Rating = require('../../models/Rating');
+const Skill = require('../../models/Skill');
+const SwapCard = require('../../models/SwapCard');
+const Post = require('../../models/Post');
+const PersonalAccessToken = require('../../models/PersonalAccessToken');
+const dataExportService = require('../../services/dataExportService');
+
+describe('Data export archive', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const otherId = new mongoose.Types.ObjectId();
+  const section = (name) => dataExportService.sections.find(candidate => candidate.name === name);
+
+  // Applies a '-a -b.c' exclusion projection the way MongoDB would
+  const project = (doc, projection) => {
+    const copy = JSON.parse(JSON.stringify(doc));
+    projection.split(' ').filter(Boolean).forEach(field => {
+      const keys = field.replace(/^-/, '').split('.');
+      const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], copy);
+      if (parent) delete parent[keys[keys.length - 1]];
+    });
+    return copy;
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should leave the password and two-factor secrets out of the profile', async () => {
+    const stored = {
+      _id: userId,
+      username: 'ana',
+      email: 'ana@example.com',
+      password: '$2a$10$hash',
+      twoFactor: { enabled: true, secret: 'enc:secret', pendingSecret: 'enc:pending', recoveryCodes: ['hash'], enabledAt: '2026-01-01T00:00:00.000Z' }
+    };
+    let projection = '';
+    const query = {
+      select: (fields) => { projection = fields; return query; },
+      populate: () => query,
+      lean: async () => project(stored, projection)
+    };
+    jest.spyOn(User, 'findById').mockReturnValue(query);
+
+    const [profile] = await section('profile').collect(userId);
+    const json = JSON.stringify(profile);
+
+    expect(profile).toMatchObject({ username: 'ana', email: 'ana@example.com', twoFactor: { enabled: true } });
+    expect(profile).not.toHaveProperty('password');
+    ['$2a$10$hash', 'enc:secret', 'enc:pending', 'recoveryCodes'].forEach(secret => expect(json).not.toContain(secret));
+  });
+
+  it('should only include the messages the user sent, without other people\'s content', async () => {
+    jest.spyOn(Chat, 'find').mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          {
+            _id: 'c1',
+            type: 'personal',
+            messages: [
+              { _id: 'm1', sender: userId, content: 'hi', type: 'text', readBy: [otherId], timestamp: 't1' },
+              { _id: 'm2', sender: otherId, content: 'their reply', type: 'text', timestamp: 't2' }
+            ]
+          },
+          { _id: 'c2', type: 'group', messages: [{ _id: 'm3', sender: otherId, content: 'not mine' }] }
+        ]
+      })
+    });
+
+    const chats = await section('messages').collect(userId);
+
+    expect(chats).toHaveLength(1);
+    expect(chats[0].messages).toEqual([
+      { _id: 'm1', content: 'hi', type: 'text', file: undefined, voice: undefined, timestamp: 't1' }
+    ]);
+    expect(JSON.stringify(chats)).not.toContain('their reply');
+  });
+
+  it('should keep anonymous ratings anonymous', async () => {
+    const distinct = { distinct: async () => [] };
+    [Skill, SwapCard, Post].forEach(Model => jest.spyOn(Model, 'find').mockReturnValue(distinct));
+    jest.spyOn(Rating, 'find').mockReturnValue({
+      populate: () => ({
+        lean: async () => [
+          { rating: 5, rater: { username: 'bob' }, isAnonymous: false },
+          { rating: 2, rater: { username: 'eve' }, isAnonymous: true }
+        ]
+      })
+    });
+
+    const ratings = await section('ratings-received').collect(userId);
+
+    expect(ratings.map(rating => rating.rater?.username)).toEqual(['bob', undefined]);
+  });
+
+  it('should rely on token hashes and two-factor secrets being unselected by default', () => {
+    expect(PersonalAccessToken.schema.path('tokenHash').options.select).toBe(false);
+    ['secret', 'pendingSecret', 'recoveryCodes'].forEach(field => {
+      expect(User.schema.path(`twoFactor.${field}`).options.select).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const endorsementService = require('../../services/endorsementService');
+const recommendationService = require('../../services/recommendationService');
+
+describe('Skill endorsements', () => {
+  const endorser = { _id: new mongoose.Types.ObjectId(), username: 'alice' };
+
+  it('should reject invalid input before touching the database', async () => {
+    expect(await endorsementService.endorse(endorser, 'not-an-id')).toEqual({ error: 'Invalid skill ID', status: 400 });
+
+    const skillId = new mongoose.Types.ObjectId().toString();
+    const invalidSwap = await endorsementService.endorse(endorser, skillId, { swapRequestId: 'nope' });
+    expect(invalidSwap.status).toBe(400);
+
+    const longNote = await endorsementService.endorse(endorser, skillId, { note: 'x'.repeat(281) });
+    expect(longNote.status).toBe(400);
+  });
+
+  it('should score endorsements with diminishing returns', () => {
+    expect(recommendationService.calculateEndorsementScore(0)).toBe(0);
+    expect(recommendationService.calculateEndorsementScore(undefined)).toBe(0);
+
+    const one = recommendationService.calculateEndorsementScore(1);
+    const five = recommendationService.calculateEndorsementScore(5);
+    expect(one).toBeGreaterThan(0);
+    expect(five).toBeGreaterThan(one);
+    expect(five - one).toBeLessThan(one * 4);
+    expect(recommendationService.calculateEndorsementScore(500)).toBe(1);
+  });
+});
@@ -0,0 +1,66 @@
+const geoService = require('../../services/geoService');
+
+describe('Geo search', () => {
+  it('should place cities from the gazetteer, ignoring case, accents and aliases', () => {
+    expect(geoService.pointFor({ city: 'Zürich', country: 'switzerland' })).toEqual({ type: 'Point', coordinates: [8.5417, 47.3769] });
+    expect(geoService.pointFor({ city: 'münchen', country: 'DE' }).coordinates).toEqual([11.582, 48.1351]);
+    expect(geoService.pointFor({ city: 'Bengaluru' }).coordinates).toEqual([77.5946, 12.9716]);
+    expect(geoService.pointFor({ city: 'Atlantis', country: 'Greece' })).toBeUndefined();
+    expect(geoService.pointFor({ country: 'France' })).toBeUndefined();
+  });
+
+  it('should use the country to tell same-named cities apart', () => {
+    expect(geoService.findPlace('London').country).toBe('United Kingdom');
+    expect(geoService.findPlace('London', 'Canada').country).toBe('Canada');
+    expect(geoService.findPlace('London', 'France')).toBeNull();
+    expect(geoService.countryName('U.S.A.')).toBe('United States');
+  });
+
+  it('should place free-text event locations', () => {
+    expect(geoService.pointForText('Main hall, Berlin, Germany').coordinates).toEqual([13.405, 52.52]);
+    expect(geoService.pointForText('Community centre, London, Canada').coordinates).toEqual([-81.2453, 42.9849]);
+    expect(geoService.pointForText('Online')).toBeUndefined();
+    expect(geoService.pointFromInput({ lat: '10', lng: '20' }, 'Paris')).toEqual({ point: { type: 'Point', coordinates: [20, 10] } });
+    expect(geoService.pointFromInput({ lat: 10 }, 'Paris').error).toBeDefined();
+  });
+
+  it('should measure great-circle distances', () => {
+    const paris = geoService.pointFor({ city: 'Paris' });
+    const london = geoService.pointFor({ city: 'London' });
+    expect(geoService.distanceKm(paris, london)).toBeGreaterThan(340);
+    expect(geoService.distanceKm(paris, london)).toBeLessThan(350);
+    expect(geoService.distanceKm(paris, paris)).toBe(0);
+  });
+
+  it('should parse radius, place and bounding-box queries', () => {
+    expect(geoService.parseQuery({})).toEqual({ geo: null });
+    expect(geoService.parseQuery({ lat: '48.85', lng: '2.35', radius: '25' }).geo).toEqual({
+      center: { type: 'Point', coordinates: [2.35, 48.85] },
+      radiusKm: 25
+    });
+    expect(geoService.parseQuery({ near: 'Lyon, France' }).geo.center.coordinates).toEqual([4.8357, 45.764]);
+    expect(geoService.parseQuery({ bbox: '2,48,3,49' }).geo).toEqual({ center: { type: 'Point', coordinates: [2.5, 48.5] }, box: [2, 48, 3, 49] });
+
+    expect(geoService.parseQuery({ lat: '95', lng: '2' }).error).toBeDefined();
+    expect(geoService.parseQuery({ lat: '48' }).error).toBeDefined();
+    expect(geoService.parseQuery({ radius: '10' }).error).toBeDefined();
+    expect(geoService.parseQuery({ lat: '48', lng: '2', radius: '-1' }).error).toBeDefined();
+    expect(geoService.parseQuery({ bbox: '3,48,2,49' }).error).toBeDefined();
+    expect(geoService.parseQuery({ near: 'Nowhere-on-Sea' }).error).toMatch(/Unknown place/);
+  });
+
+  it('should build distance-sorted queries', () => {
+    const { geo } = geoService.parseQuery({ lat: '0', lng: '0', radius: '10' });
+    expect(geoService.nearStage('location.point', geo, { type: 'service' }).$geoNear).toMatchObject({
+      key: 'location.point',
+      distanceField: 'distanceKm',
+      maxDistance: 10000,
+      query: { type: 'service' }
+    });
+    expect(geoService.withinFilter('point', geo).point.$geoWithin.$centerSphere[1]).toBeCloseTo(10 / 6378.1);
+
+    const box = geoService.parseQuery({ bbox: '2,48,3,49' }).geo;
+    expect(geoService.nearStage('point', box).$geoNear.query.point.$geoWithin.$geometry.type).toBe('Polygon');
+    expect(geoService.roundDistances([{ distanceKm: 12.3456 }])).toEqual([{ distanceKm: 12.3 }]);
+  });
+});
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const learningPathService = require('../../services/learningPathService');
+
+describe('Learning paths', () => {
+  const milestone = (title, extra = {}) => ({ title, skills: ['javascript'], ...extra });
+
+  it('should clean a valid path', () => {
+    const { path, error } = learningPathService.validatePath({
+      title: '  Frontend basics ',
+      milestones: [
+        milestone('HTML & CSS', { skills: ['HTML', 'HTML', ' css '], resources: [{ title: 'MDN', url: 'https://developer.mozilla.org', type: 'article' }] }),
+        milestone('JavaScript')
+      ]
+    });
+    expect(error).toBeUndefined();
+    expect(path.title).toBe('Frontend basics');
+    expect(path.visibility).toBe('public');
+    expect(path.milestones[0].skills).toEqual(['HTML', 'css']);
+  });
+
+  it('should reject malformed paths', () => {
+    expect(learningPathService.validatePath({ milestones: [milestone('A')] }).error).toBeDefined();
+    expect(learningPathService.validatePath({ title: 'Empty', milestones: [] }).error).toBeDefined();
+    expect(learningPathService.validatePath({ title: 'Bad', visibility: 'friends', milestones: [milestone('A')] }).error).toBeDefined();
+    expect(learningPathService.validatePath({
+      title: 'Bad link',
+      milestones: [milestone('A', { resources: [{ title: 'x', url: 'javascript:alert(1)' }] })]
+    }).error).toMatch(/Milestone 1/);
+    expect(learningPathService.validatePath({
+      title: 'Bad card',
+      milestones: [milestone('A'), milestone('B', { swapCards: ['nope'] })]
+    }).error).toMatch(/Milestone 2/);
+  });
+
+  it('should summarize progress against the current milestones', () => {
+    const [first, second, third] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const path = {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Guitar from zero',
+      milestones: [{ _id: first, title: 'Chords' }, { _id: second, title: 'Strumming' }, { _id: third, title: 'Songs' }]
+    };
+    // A completion recorded for a milestone that was later removed does not count
+    const progress = {
+      completedMilestones: [{ milestone: first, completedAt: new Date() }, { milestone: new mongoose.Types.ObjectId() }]
+    };
+
+    const summary = learningPathService.summarize(path, progress);
+    expect(summary.completedMilestones).toBe(1);
+    expect(summary.totalMilestones).toBe(3);
+    expect(summary.percent).toBe(33);
+    expect(summary.nextMilestone.title).toBe('Strumming');
+    expect(summary.isComplete).toBe(false);
+
+    progress.completedMilestones.push({ milestone: second }, { milestone: third });
+    const done = learningPathService.summarize(path, progress);
+    expect(done.isComplete).toBe(true);
+    expect(done.nextMilestone).toBeNull();
+  });
+});
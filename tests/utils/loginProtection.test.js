@@ -0,0 +1,52 @@
+const { MemoryStore } = require('../../utils/ttlStore');
+const loginProtectionService = require('../../services/loginProtectionService');
+
+describe('Login brute-force protection', () => {
+  beforeEach(() => {
+    loginProtectionService.store = new MemoryStore();
+  });
+
+  it('should lock an account after five failures and double the lockout after that', async () => {
+    const attempt = { accountKey: 'user-1', ip: '10.0.0.1' };
+
+    for (let i = 0; i < 4; i++) {
+      expect((await loginProtectionService.recordFailure(attempt)).locked).toBe(false);
+    }
+    const first = await loginProtectionService.recordFailure(attempt);
+    expect(first).toEqual({ locked: true, scope: 'account', retryAfter: 60 });
+
+    const second = await loginProtectionService.recordFailure(attempt);
+    expect(second.retryAfter).toBe(120);
+
+    const check = await loginProtectionService.checkLock(attempt);
+    expect(check.locked).toBe(true);
+    expect(check.scope).toBe('account');
+  });
+
+  it('should lock an IP that fails across many accounts', async () => {
+    for (let i = 0; i < 19; i++) {
+      await loginProtectionService.recordFailure({ accountKey: `user-${i}`, ip: '10.0.0.2' });
+    }
+    const lock = await loginProtectionService.recordFailure({ accountKey: 'user-19', ip: '10.0.0.2' });
+    expect(lock).toEqual({ locked: true, scope: 'ip', retryAfter: 60 });
+
+    expect((await loginProtectionService.checkLock({ accountKey: 'someone-else', ip: '10.0.0.2' })).locked).toBe(true);
+    expect((await loginProtectionService.checkLock({ accountKey: 'someone-else', ip: '10.0.0.3' })).locked).toBe(false);
+  });
+
+  it('should clear the account on success but keep the IP count', async () => {
+    const attempt = { accountKey: 'user-1', ip: '10.0.0.4' };
+    for (let i = 0; i < 5; i++) {
+      await loginProtectionService.recordFailure(attempt);
+    }
+    await loginProtectionService.recordSuccess(attempt);
+
+    expect((await loginProtectionService.checkLock(attempt)).locked).toBe(false);
+    expect(await loginProtectionService.store.get('login:fail:ip:10.0.0.4')).toBe(5);
+  });
+
+  it('should key unknown accounts by the identifier that was typed', () => {
+    expect(loginProtectionService.accountKey(null, ' Alice@Example.com ')).toBe('name:alice@example.com');
+    expect(loginProtectionService.accountKey({ _id: 'abc' }, 'alice')).toBe('abc');
+  });
+});
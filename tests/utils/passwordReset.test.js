@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const AuthToken = require('../../models/AuthToken');
+const User = require('../../models/User');
+const passwordResetService = require('../../services/passwordResetService');
+const sessionService = require('../../services/sessionService');
+const accessTokenService = require('../../services/accessTokenService');
+const loginProtectionService = require('../../services/loginProtectionService');
+const { emailQueue } = require('../../utils/queue');
+
+describe('Password reset tokens', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let tokens;
+  let user;
+
+  beforeEach(() => {
+    // A small stand-in for the auth token collection, matching the filters the model uses
+    tokens = [];
+    const matches = (token, filter) => (!filter.tokenHash || token.tokenHash === filter.tokenHash)
+      && (!filter.user || token.user.toString() === filter.user.toString())
+      && token.purpose === filter.purpose
+      && !token.usedAt
+      && (!filter.expiresAt || token.expiresAt > filter.expiresAt.$gt);
+    jest.spyOn(AuthToken, 'create').mockImplementation(async (doc) => tokens.push({ ...doc }));
+    jest.spyOn(AuthToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const token = tokens.find(candidate => matches(candidate, filter));
+      if (!token) return null;
+      Object.assign(token, update.$set);
+      return token;
+    });
+    jest.spyOn(AuthToken, 'updateMany').mockImplementation(async (filter, update) => {
+      tokens.filter(candidate => matches(candidate, filter)).forEach(token => Object.assign(token, update.$set));
+    });
+
+    user = { _id: userId, email: 'ana@example.com', password: 'old', save: jest.fn(), getDisplayName: () => 'Ana' };
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(2);
+    jest.spyOn(accessTokenService, 'revokeAllTokens').mockResolvedValue(0);
+    jest.spyOn(loginProtectionService, 'clearAccount').mockResolvedValue();
+    jest.spyOn(emailQueue, 'add').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should store only a hash of the token, with an expiry', async () => {
+    const token = await AuthToken.issue(userId, 'password_reset', 30 * 60 * 1000, '10.0.0.1');
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(tokens[0].tokenHash).toBe(AuthToken.hashToken(token));
+    expect(JSON.stringify(tokens[0])).not.toContain(token);
+    expect(tokens[0].expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 60 * 1000);
+  });
+
+  it('should accept a token once, and never when expired or for another purpose', async () => {
+    const token = await AuthToken.issue(userId, 'password_reset', 60 * 1000);
+    expect(await AuthToken.consume(token, 'email_verification')).toBeNull();
+    expect(await AuthToken.consume(token, 'password_reset')).not.toBeNull();
+    expect(await AuthToken.consume(token, 'password_reset')).toBeNull();
+
+    const expired = await AuthToken.issue(userId, 'password_reset', -1000);
+    expect(await AuthToken.consume(expired, 'password_reset')).toBeNull();
+    expect(await AuthToken.consume(undefined, 'password_reset')).toBeNull();
+  });
+
+  it('should set the password, void other links and sign the account out everywhere', async () => {
+    const token = await AuthToken.issue(userId, 'password_reset', 60 * 1000);
+    const other = await AuthToken.issue(userId, 'password_reset', 60 * 1000);
+
+    expect(await passwordResetService.resetPassword(token, 'new-password')).toBe(user);
+    expect(user.password).toBe('new-password');
+    expect(user.save).toHaveBeenCalled();
+    expect(await AuthToken.consume(other, 'password_reset')).toBeNull();
+    expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(userId, 'password_reset');
+    expect(accessTokenService.revokeAllTokens).toHaveBeenCalledWith(userId);
+    expect(emailQueue.add).toHaveBeenCalledWith(expect.objectContaining({ template: 'password-changed' }));
+  });
+
+  it('should change nothing for a used or unknown token', async () => {
+    const token = await AuthToken.issue(userId, 'password_reset', 60 * 1000);
+    await passwordResetService.resetPassword(token, 'new-password');
+    user.password = 'new-password';
+
+    expect(await passwordResetService.resetPassword(token, 'attacker')).toBeNull();
+    expect(await passwordResetService.resetPassword('nope', 'attacker')).toBeNull();
+    expect(user.password).toBe('new-password');
+    expect(sessionService.revokeAllSessions).toHaveBeenCalledTimes(1);
+  });
+});
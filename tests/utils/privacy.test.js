@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const privacyService = require('../../services/privacyService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Private profile visibility', () => {
+  const ownerId = id();
+  const followerId = id();
+  const privateOwner = { _id: ownerId, privacy: { profile: 'private' }, followers: [followerId] };
+
+  it('should show public profiles to everyone', async () => {
+    const owner = { _id: ownerId, privacy: { profile: 'public' }, followers: [] };
+    expect(await privacyService.canViewUser(null, owner)).toBe(true);
+    expect(await privacyService.canViewUser({ _id: id() }, owner)).toBe(true);
+  });
+
+  it('should show private profiles only to the owner, approved followers and moderators', async () => {
+    expect(await privacyService.canViewUser(null, privateOwner)).toBe(false);
+    expect(await privacyService.canViewUser({ _id: id(), role: 'user' }, privateOwner)).toBe(false);
+    expect(await privacyService.canViewUser({ _id: ownerId }, privateOwner)).toBe(true);
+    expect(await privacyService.canViewUser({ _id: followerId }, privateOwner)).toBe(true);
+    expect(await privacyService.canViewUser({ _id: id(), role: 'moderator' }, privateOwner)).toBe(true);
+  });
+
+  it('should build a listing filter that includes the viewer and accounts they follow', () => {
+    expect(privacyService.visibleUsersFilter()).toEqual({ $or: [{ 'privacy.profile': { $ne: 'private' } }] });
+
+    const filter = privacyService.visibleUsersFilter(followerId);
+    expect(filter.$or).toHaveLength(3);
+    expect(filter.$or[1]._id.toString()).toBe(followerId.toString());
+    expect(filter.$or[2].followers.toString()).toBe(followerId.toString());
+  });
+
+  it('should keep credentials and private fields out of profile listings, geo searches included', () => {
+    const user = {
+      _id: id(),
+      username: 'ana',
+      location: { city: 'Lyon', country: 'France' },
+      distanceKm: 4.2,
+      password: 'hash',
+      email: 'ana@example.com',
+      pendingEmail: 'new@example.com',
+      contact: { phone: '123' },
+      twoFactor: { enabled: true, secret: 'enc', pendingSecret: 'enc', recoveryCodes: ['sha256'] },
+      role: 'admin',
+      communityRoles: [{ community: id(), role: 'moderator' }],
+      deletionScheduledFor: new Date(),
+      devices: [{ ip: '10.0.0.1' }],
+      blocked: [id()],
+      hiddenActivity: [id()]
+    };
+    // What MongoDB does with an inclusion $project: keep _id and the listed fields only
+    const project = (doc, projection) => {
+      expect(Object.values(projection).every(value => value === 1)).toBe(true);
+      return Object.fromEntries(Object.entries(doc).filter(([key]) => key === '_id' || projection[key]));
+    };
+
+    const listed = project(user, privacyService.listedProfileProjection({ distanceKm: 1 }));
+    expect(Object.keys(listed).sort()).toEqual(['_id', 'distanceKm', 'location', 'username']);
+    for (const field of ['password', 'email', 'pendingEmail', 'contact', 'twoFactor', 'role', 'communityRoles', 'deletionScheduledFor', 'devices', 'blocked', 'hiddenActivity']) {
+      expect(privacyService.listedProfileFields().split(' ')).not.toContain(field);
+    }
+  });
+});
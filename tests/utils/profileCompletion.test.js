@@ -0,0 +1,55 @@
+const profileCompletionService = require('../../services/profileCompletionService');
+
+describe('Profile completion score', () => {
+  it('should score an empty profile as 0 with every step missing', () => {
+    const result = profileCompletionService.evaluate({});
+    expect(result.score).toBe(0);
+    expect(result.isComplete).toBe(false);
+    expect(result.missing.map(step => step.key)).toEqual([
+      'avatar', 'bio', 'skills', 'lookingFor', 'location', 'timeZone', 'language', 'verifiedContact'
+    ]);
+  });
+
+  it('should score a fully filled profile as 100', () => {
+    const result = profileCompletionService.evaluate({
+      avatar: 'https://example.com/a.png',
+      about: 'I teach guitar',
+      skills: ['s1'],
+      lookingFor: ['s2'],
+      location: { country: 'India' },
+      timeZone: 'Asia/Kolkata',
+      language: 'en',
+      emailVerified: true
+    });
+    expect(result.score).toBe(100);
+    expect(result.missing).toHaveLength(0);
+  });
+
+  it('should ignore blank text and need a verified email for the contact step', () => {
+    const result = profileCompletionService.evaluate({
+      bio: '   ',
+      location: { city: '' },
+      skills: ['s1'],
+      lookingFor: ['s2'],
+      emailVerified: false
+    });
+    expect(result.score).toBe(35);
+    expect(result.steps.find(step => step.key === 'bio').done).toBe(false);
+    expect(result.steps.find(step => step.key === 'verifiedContact').done).toBe(false);
+  });
+
+  it('should treat profiles at the threshold as complete for recommendations', () => {
+    const user = { lookingFor: ['s2'], location: { city: 'Pune' } };
+    expect(profileCompletionService.evaluate(user).score).toBe(25);
+    expect(profileCompletionService.isComplete(user)).toBe(true);
+    expect(profileCompletionService.isComplete({ skills: ['s1'] })).toBe(false);
+    expect(profileCompletionService.isComplete({ avatar: 'a.png', timeZone: 'Asia/Kolkata' })).toBe(false);
+    expect(profileCompletionService.isComplete(null)).toBe(false);
+  });
+
+  it('should keep every profile the previous rule accepted complete', () => {
+    const offersOrWants = [{ skills: ['s1'] }, { lookingFor: ['s2'] }];
+    const whereOrWho = [{ location: { country: 'India' } }, { bio: 'I teach guitar' }];
+    offersOrWants.forEach(a => whereOrWho.forEach(b => expect(profileCompletionService.isComplete({ ...a, ...b })).toBe(true)));
+  });
+});
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Community = require('../../models/Community');
+const { hasPermission, requirePermission, getRolePermissions } = require('../../middleware/rbac');
+
+describe('Role-based access control', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const communityId = id();
+  const otherCommunityId = id();
+  const ownerId = id();
+
+  beforeEach(() => {
+    jest.spyOn(Community, 'findById').mockImplementation((communityIdArg) => ({
+      select: () => ({ lean: async () => (communityIdArg.toString() === communityId.toString() ? { admin: ownerId } : { admin: id() }) })
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should inherit the permissions of lower global roles', () => {
+    expect(getRolePermissions('user')).toEqual([]);
+    expect(getRolePermissions('admin')).toEqual(expect.arrayContaining(getRolePermissions('moderator')));
+    expect(getRolePermissions('moderator')).not.toContain('role:manage');
+  });
+
+  it('should grant community roles only inside their community', async () => {
+    const moderator = { _id: id(), role: 'user', communityRoles: [{ community: communityId, role: 'moderator' }] };
+    expect(await hasPermission(moderator, 'community:moderate', communityId)).toBe(true);
+    expect(await hasPermission(moderator, 'community:manage', communityId)).toBe(false);
+    expect(await hasPermission(moderator, 'community:moderate', otherCommunityId)).toBe(false);
+    expect(await hasPermission(moderator, 'community:moderate')).toBe(false);
+
+    // The creator is the community's admin without a role entry
+    expect(await hasPermission({ _id: ownerId, role: 'user' }, 'community:manage', communityId)).toBe(true);
+    expect(await hasPermission({ _id: id(), role: 'moderator' }, 'community:moderate', otherCommunityId)).toBe(true);
+    expect(await hasPermission(null, 'community:moderate', communityId)).toBe(false);
+  });
+
+  it('should read the community from the route and answer 401 or 403', async () => {
+    const middleware = requirePermission('community:moderate', { communityParam: 'id' });
+    const run = async (user) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await middleware({ user, params: { id: communityId.toString() }, originalUrl: '/test' }, res, next);
+      return { status: res.status.mock.calls[0]?.[0], next: next.mock.calls.length > 0 };
+    };
+
+    expect(await run(undefined)).toEqual({ status: 401, next: false });
+    expect(await run({ _id: id(), role: 'user', communityRoles: [] })).toEqual({ status: 403, next: false });
+    expect(await run({ _id: id(), role: 'user', communityRoles: [{ community: communityId, role: 'moderator' }] })).toEqual({ status: undefined, next: true });
+  });
+});
@@ -0,0 +1,76 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+const sessionService = require('../../services/sessionService');
+
+describe('Sessions and refresh token rotation', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let sessions;
+
+  beforeEach(() => {
+    // Sessions live in a map instead of MongoDB; saves and revocations go through the same methods
+    sessions = new Map();
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+      sessions.set(this._id.toString(), this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'findById').mockImplementation((id) => ({ select: async () => sessions.get(String(id)) || null }));
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const session = sessions.get(String(filter._id));
+      if (!session || session.revokedAt || session.user.toString() !== filter.user.toString()) return null;
+      Object.assign(session, update.$set);
+      return session;
+    });
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({ select: async () => ({ _id: id }) }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should rotate the refresh token on every use', async () => {
+    const { session, refreshToken } = await sessionService.createSession(userId);
+    expect(refreshToken.startsWith(`${session._id}.`)).toBe(true);
+
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.session.refreshTokenHash).toBe(sessionService.hashToken(rotated.refreshToken));
+    expect(jwt.verify(rotated.accessToken, process.env.JWT_SECRET)).toMatchObject({ id: userId.toString(), sid: session._id.toString() });
+  });
+
+  it('should revoke the session when a rotated-out refresh token is replayed', async () => {
+    const { session, refreshToken } = await sessionService.createSession(userId);
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+    expect(await sessionService.rotateRefreshToken(refreshToken)).toBeNull();
+    expect(session.revokedReason).toBe('token_reuse');
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    // The thief and the owner are both out: the newest token stops working too
+    expect(await sessionService.rotateRefreshToken(rotated.refreshToken)).toBeNull();
+  });
+
+  it('should ignore malformed refresh tokens', async () => {
+    expect(await sessionService.rotateRefreshToken('not-a-token')).toBeNull();
+    expect(await sessionService.rotateRefreshToken(`${new mongoose.Types.ObjectId()}.secret`)).toBeNull();
+    expect(await sessionService.rotateRefreshToken(undefined)).toBeNull();
+  });
+
+  it('should only authenticate access tokens of live sessions', async () => {
+    const { session, accessToken } = await sessionService.createSession(userId);
+    expect((await sessionService.authenticate(accessToken)).session).toBe(session);
+
+    await sessionService.revokeSession(userId, session._id);
+    expect(await sessionService.authenticate(accessToken)).toBeNull();
+
+    // Tokens from before sessions existed carry no sid and are refused
+    expect(await sessionService.authenticate(jwt.sign({ id: userId }, process.env.JWT_SECRET))).toBeNull();
+  });
+
+  it('should refuse a session that belongs to someone else', async () => {
+    const { session } = await sessionService.createSession(userId);
+    const forged = sessionService.signAccessToken(new mongoose.Types.ObjectId(), session._id);
+    expect(await sessionService.authenticate(forged)).toBeNull();
+  });
+});
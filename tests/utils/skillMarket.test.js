@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const skillMarketService = require('../../services/skillMarketService');
+
+describe('Skill market aggregation', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const date = new Date('2026-03-31T15:00:00Z');
+  const daysAgo = (days) => new Date(date.getTime() - days * 24 * 60 * 60 * 1000);
+  const find = (rows, query) => rows.find(row => Object.entries(query).every(([key, value]) => row[key] === value));
+
+  const javascript = id();
+  const catalog = new Map([[javascript.toString(), { name: 'JavaScript', category: 'Programming' }]]);
+  const [alice, bob, carol, dave] = [id(), id(), id(), id()];
+  const aliceJs = { _id: id(), user: alice, title: 'JS', catalogSkill: javascript, isLookingFor: false, country: 'India' };
+  const skills = [
+    aliceJs,
+    { _id: id(), user: bob, title: 'javascript', catalogSkill: javascript, isLookingFor: true, country: 'India' },
+    { _id: id(), user: carol, title: 'Javascript', catalogSkill: javascript, isLookingFor: true, country: 'Spain' },
+    { _id: id(), user: dave, title: 'Pottery', category: 'Crafts', isLookingFor: false }
+  ];
+  const card = { _id: id(), status: 'open', offeredSkill: aliceJs._id, country: 'India' };
+  const requests = [
+    { swapCardId: card._id, status: 'accepted', createdAt: daysAgo(2) },
+    { swapCardId: card._id, status: 'rejected', createdAt: daysAgo(3) },
+    { swapCardId: card._id, status: 'pending', createdAt: daysAgo(20) }
+  ];
+  const ratings = [{ ratedItem: aliceJs._id, itemType: 'skill', rating: 4, createdAt: daysAgo(1) }];
+
+  const rows = skillMarketService.aggregate({ skills, cards: [card], requests, ratings, catalog }, { date });
+
+  it('should count people offering and wanting a canonical skill', () => {
+    const world = find(rows, { scope: 'skill', key: `catalog:${javascript}`, country: '', window: '30d' });
+    expect(world.label).toBe('JavaScript');
+    expect(world.offeredBy).toBe(1);
+    expect(world.wantedBy).toBe(2);
+    expect(world.openCardsOffering).toBe(1);
+    expect(world.demandScore).toBeGreaterThan(0.5);
+    expect(world.date.toISOString()).toBe('2026-03-31T00:00:00.000Z');
+
+    const india = find(rows, { scope: 'skill', key: `catalog:${javascript}`, country: 'India', window: '30d' });
+    expect(india.wantedBy).toBe(1);
+    expect(find(rows, { scope: 'category', key: 'programming', country: '', window: '30d' }).wantedBy).toBe(2);
+  });
+
+  it('should only count requests and ratings inside each window', () => {
+    const week = find(rows, { scope: 'skill', key: `catalog:${javascript}`, country: '', window: '7d' });
+    expect(week.requests).toBe(2);
+    expect(week.acceptanceRate).toBe(0.5);
+    expect(week.averageRating).toBe(4);
+
+    const month = find(rows, { scope: 'skill', key: `catalog:${javascript}`, country: '', window: '30d' });
+    expect(month.requests).toBe(3);
+    // Pending requests have no answer yet
+    expect(month.acceptanceRate).toBe(0.5);
+  });
+
+  it('should fall back to titles and skill categories for skills outside the catalog', () => {
+    const pottery = find(rows, { scope: 'skill', key: 'text:pottery', country: '', window: '30d' });
+    expect(pottery.offeredBy).toBe(1);
+    expect(pottery.acceptanceRate).toBeNull();
+    expect(pottery.demandScore).toBeLessThan(0.5);
+    expect(find(rows, { scope: 'category', key: 'crafts', window: '30d' }).label).toBe('Crafts');
+  });
+});
@@ -0,0 +1,51 @@
+const skillTaxonomyService = require('../../services/skillTaxonomyService');
+const catalog = require('../../data/skillCatalog');
+
+describe('Skill taxonomy', () => {
+  it('should normalize spelling variants to the same key', () => {
+    const key = skillTaxonomyService.normalizeKey;
+    expect(key('JavaScript')).toBe(key('javascript'));
+    expect(key('Node JS')).toBe(key('node.js'));
+    expect(key(' UI/UX ')).toBe('uiux');
+    // Symbols that tell languages apart are kept
+    expect(new Set([key('C'), key('C++'), key('C#')]).size).toBe(3);
+  });
+
+  it('should build readable slugs', () => {
+    expect(skillTaxonomyService.slugify('C++')).toBe('c-plus-plus');
+    expect(skillTaxonomyService.slugify('C#')).toBe('c-sharp');
+    expect(skillTaxonomyService.slugify('UI/UX Design')).toBe('ui-ux-design');
+  });
+
+  it('should match skills linked to the same catalog entry whatever their titles', () => {
+    const catalogId = '64b000000000000000000001';
+    const wanted = skillTaxonomyService.keySet([{ title: 'JS', catalogSkill: catalogId }]);
+    expect(skillTaxonomyService.matches(wanted, { title: 'JavaScript', catalogSkill: catalogId })).toBe(true);
+    expect(skillTaxonomyService.matches(wanted, { title: 'Java' })).toBe(false);
+    expect(skillTaxonomyService.matches(wanted, catalogId)).toBe(true);
+  });
+
+  it('should still match unlinked skills by normalized title', () => {
+    const wanted = skillTaxonomyService.keySet([{ title: 'Underwater Basket Weaving' }]);
+    expect(skillTaxonomyService.matches(wanted, { title: 'underwater basket-weaving' })).toBe(true);
+  });
+
+  it('should not give two catalog entries the same slug or alias', () => {
+    const slugs = new Map();
+    const keys = new Map();
+    const walk = (nodes) => nodes.forEach(node => {
+      const slug = skillTaxonomyService.slugify(node.name);
+      expect(slugs.has(slug) ? `${slug} (${node.name} / ${slugs.get(slug)})` : null).toBeNull();
+      slugs.set(slug, node.name);
+
+      [node.name, ...(node.aliases || [])].forEach(text => {
+        const key = skillTaxonomyService.normalizeKey(text);
+        const owner = keys.get(key);
+        expect(owner && owner !== node.name ? `${text} (${node.name} / ${owner})` : null).toBeNull();
+        keys.set(key, node.name);
+      });
+      walk(node.children || []);
+    });
+    walk(catalog);
+  });
+});
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const skillVerificationService = require('../../services/skillVerificationService');
+
+describe('Skill verification', () => {
+  const skill = { _id: new mongoose.Types.ObjectId(), media: ['https://res.cloudinary.com/demo/certificate.pdf'] };
+
+  it('should accept http(s) links and media uploaded to the skill', () => {
+    const { evidence, error } = skillVerificationService.validateEvidence(skill, {
+      links: [' https://github.com/alice/portfolio ', 'https://github.com/alice/portfolio'],
+      media: skill.media,
+      message: '  Three years of client work  '
+    });
+    expect(error).toBeUndefined();
+    expect(evidence.links).toEqual(['https://github.com/alice/portfolio']);
+    expect(evidence.message).toBe('Three years of client work');
+  });
+
+  it('should reject evidence that does not belong to the skill', () => {
+    expect(skillVerificationService.validateEvidence(skill, { links: ['javascript:alert(1)'] }).error).toBeDefined();
+    expect(skillVerificationService.validateEvidence(skill, { links: ['not a url'] }).error).toBeDefined();
+    expect(skillVerificationService.validateEvidence(skill, { media: ['https://elsewhere.example/file.pdf'] }).error).toBeDefined();
+    expect(skillVerificationService.validateEvidence(skill, { links: 'https://example.com' }).error).toBeDefined();
+  });
+
+  it('should require a valid decision and a comment on rejection', async () => {
+    const reviewer = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+    const id = new mongoose.Types.ObjectId().toString();
+
+    expect((await skillVerificationService.review(reviewer, 'bad-id', { decision: 'approve' })).status).toBe(400);
+    expect((await skillVerificationService.review(reviewer, id, { decision: 'maybe' })).status).toBe(400);
+    expect(await skillVerificationService.review(reviewer, id, { decision: 'reject', comment: '  ' }))
+      .toEqual({ error: 'A comment is required when rejecting.', status: 400 });
+  });
+
+  it('should never let owners review their own request', async () => {
+    const owner = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const peer = { _id: new mongoose.Types.ObjectId() };
+    const verification = { user: owner._id, peerReviewer: peer._id };
+
+    expect(await skillVerificationService.canReview(owner, verification)).toBe(false);
+    expect(await skillVerificationService.canReview(peer, verification)).toBe(true);
+    expect(await skillVerificationService.canReview({ _id: new mongoose.Types.ObjectId(), role: 'moderator' }, verification)).toBe(true);
+    expect(await skillVerificationService.canReview({ _id: new mongoose.Types.ObjectId(), role: 'user' }, verification)).toBe(false);
+  });
+});
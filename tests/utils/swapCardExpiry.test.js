@@ -0,0 +1,68 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const mongoose = require('mongoose');
+const SwapCard = require('../../models/SwapCard');
+const swapCardExpiryService = require('../../services/swapCardExpiryService');
+
+describe('Swap card expiry', () => {
+  const now = new Date('2026-05-11T09:00:00Z');
+  const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should remind once per expiry date, inside the reminder window', () => {
+    const card = { status: 'open', expiryDate: inDays(2) };
+    expect(swapCardExpiryService.reminderDue(card, now)).toBe(true);
+    expect(swapCardExpiryService.reminderDue({ ...card, expiryReminderFor: inDays(2) }, now)).toBe(false);
+    // A renewal moves the expiry date, so the next one is reminded again
+    expect(swapCardExpiryService.reminderDue({ ...card, expiryDate: inDays(1), expiryReminderFor: inDays(-29) }, now)).toBe(true);
+
+    expect(swapCardExpiryService.reminderDue({ ...card, expiryDate: inDays(10) }, now)).toBe(false);
+    expect(swapCardExpiryService.reminderDue({ ...card, expiryDate: inDays(-1) }, now)).toBe(false);
+    expect(swapCardExpiryService.reminderDue({ ...card, status: 'closed' }, now)).toBe(false);
+    expect(swapCardExpiryService.reminderDue({ status: 'open' }, now)).toBe(false);
+  });
+
+  it('should renew from the current expiry date, or from now once it has passed', () => {
+    expect(swapCardExpiryService.renewedExpiry({ expiryDate: inDays(2) }, now)).toEqual(inDays(32));
+    expect(swapCardExpiryService.renewedExpiry({ expiryDate: inDays(-5) }, now)).toEqual(inDays(30));
+    expect(swapCardExpiryService.renewedExpiry({}, now)).toBeUndefined();
+  });
+
+  it('should find idle cards by last activity, or by last update for older cards', () => {
+    const filter = swapCardExpiryService.inactiveFilter(now);
+    expect(filter.status).toBe('open');
+    expect(filter.$or[0].lastActivityAt.$lte).toEqual(inDays(-90));
+    expect(filter.$or[1]).toEqual({ lastActivityAt: { $exists: false }, updatedAt: { $lte: inDays(-90) } });
+  });
+
+  it('should leave cards past their expiry date out of listings', () => {
+    expect(SwapCard.notExpired(now)).toEqual({ expiryDate: { $not: { $lte: now } } });
+  });
+
+  it('should only accept renew links it signed for a card', () => {
+    const card = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), expiryDate: inDays(2) };
+    const token = swapCardExpiryService.createRenewToken(card);
+    expect(swapCardExpiryService.verifyRenewToken(token)).toEqual({
+      userId: card.user.toString(),
+      cardId: card._id.toString(),
+      expiryDate: inDays(2).toISOString()
+    });
+    expect(swapCardExpiryService.verifyRenewToken(`${token}x`)).toBeNull();
+    expect(swapCardExpiryService.getRenewUrl(token)).toMatch(/\/swap-cards\/renew\?token=/);
+  });
+
+  it('should renew once per link: the renewal moves the expiry date the link was sent for', async () => {
+    const card = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), status: 'open', expiryDate: inDays(2) };
+    jest.spyOn(SwapCard, 'findOne').mockReturnValue({ lean: async () => ({ ...card }) });
+    jest.spyOn(SwapCard, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      Object.assign(card, update.$set);
+      return card;
+    });
+    const token = swapCardExpiryService.createRenewToken(card);
+
+    expect((await swapCardExpiryService.renewFromLink(token, now)).swapCard.expiryDate).toEqual(inDays(32));
+    expect(await swapCardExpiryService.renewFromLink(token, now)).toMatchObject({ status: 409 });
+    expect(card.expiryDate).toEqual(inDays(32));
+  });
+});
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const swapCompletionService = require('../../services/swapCompletionService');
+
+describe('Swap completion and verified reviews', () => {
+  const sender = new mongoose.Types.ObjectId();
+  const receiver = new mongoose.Types.ObjectId();
+  const now = new Date('2026-05-10T12:00:00Z');
+
+  it('should validate the reported sessions and hours', () => {
+    expect(swapCompletionService.validateDetails({})).toEqual({ details: {} });
+    expect(swapCompletionService.validateDetails({ sessions: 3, hours: 4.567 })).toEqual({ details: { sessions: 3, hours: 4.57 } });
+    expect(swapCompletionService.validateDetails({ sessions: 1.5 }).status).toBe(400);
+    expect(swapCompletionService.validateDetails({ sessions: -1 }).status).toBe(400);
+    expect(swapCompletionService.validateDetails({ hours: '2' }).status).toBe(400);
+  });
+
+  it('should track who still has to confirm', () => {
+    const request = {
+      sender,
+      receiver,
+      status: 'ongoing',
+      completion: { confirmations: [{ user: sender }], deadline: new Date('2026-05-17T12:00:00Z') }
+    };
+    expect(swapCompletionService.statusFor(request, sender, now)).toMatchObject({ awaitingYou: false, confirmed: false, canReview: false });
+    expect(swapCompletionService.statusFor(request, receiver, now)).toMatchObject({ awaitingYou: true, confirmedBy: [sender.toString()] });
+    expect(swapCompletionService.statusFor({ sender, receiver, status: 'accepted' }, receiver, now).awaitingYou).toBe(true);
+  });
+
+  it('should only open reviews after mutual confirmation, until the window closes', () => {
+    const completed = {
+      sender,
+      receiver,
+      status: 'completed',
+      completion: {
+        confirmations: [{ user: sender }, { user: receiver }],
+        confirmedAt: new Date('2026-05-09T12:00:00Z'),
+        reviewWindowEndsAt: new Date('2026-05-23T12:00:00Z')
+      }
+    };
+    expect(swapCompletionService.statusFor(completed, receiver, now)).toMatchObject({ confirmed: true, canReview: true, awaitingYou: false });
+    expect(swapCompletionService.statusFor(completed, receiver, new Date('2026-05-24T00:00:00Z')).canReview).toBe(false);
+
+    const autoClosed = { sender, receiver, status: 'completed', completion: { confirmations: [{ user: sender }], autoClosed: true } };
+    expect(swapCompletionService.statusFor(autoClosed, sender, now)).toMatchObject({ confirmed: false, autoClosed: true, canReview: false });
+  });
+
+  it('should reject invalid input before touching the database', async () => {
+    const user = { _id: sender };
+    const requestId = new mongoose.Types.ObjectId().toString();
+    expect((await swapCompletionService.confirm('nope', user)).status).toBe(400);
+    expect((await swapCompletionService.confirm(requestId, user, { hours: -2 })).status).toBe(400);
+    expect((await swapCompletionService.review(requestId, user, { rating: 6 })).status).toBe(400);
+    expect((await swapCompletionService.review(requestId, user, { rating: 4, categories: { charm: 5 } })).status).toBe(400);
+  });
+});
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const swapCycleService = require('../../services/swapCycleService');
+
+describe('Swap cycle matching', () => {
+  const skill = (title) => ({ _id: new mongoose.Types.ObjectId(), title });
+  const guitar = skill('Guitar');
+  const spanish = skill('Spanish');
+  const python = skill('Python');
+  const cooking = skill('Cooking');
+  const card = (user, offered, desired) => ({ _id: new mongoose.Types.ObjectId(), user, offeredSkill: offered, desiredSkill: desired });
+
+  // a wants guitar from b, b wants spanish from c, c wants python from a
+  const ring = [card('a', python, guitar), card('b', guitar, spanish), card('c', spanish, python)];
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should build offers and wants from cards and profiles of users with an open card', () => {
+    const profiles = swapCycleService.buildProfiles({
+      cards: [ring[0]],
+      users: [
+        { _id: 'a', skills: [cooking], lookingFor: [{ title: 'spanish!' }] },
+        { _id: 'z', skills: [guitar], lookingFor: [] }
+      ]
+    });
+
+    expect([...profiles.keys()]).toEqual(['a']);
+    const a = profiles.get('a');
+    expect(a.offers.get('text:python').card).toBe(ring[0]._id);
+    expect(a.offers.get('text:cooking').card).toBeUndefined();
+    expect([...a.wants.keys()]).toEqual(['text:guitar', 'text:spanish']);
+  });
+
+  it('should find each cycle once, in learning order', () => {
+    const graph = swapCycleService.buildGraph(swapCycleService.buildProfiles({ cards: ring }));
+    expect(graph.get('a')).toEqual([expect.objectContaining({ from: 'a', to: 'b', label: 'Guitar', card: ring[1]._id })]);
+
+    const cycles = swapCycleService.findCycles(graph);
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].members).toEqual(['a', 'b', 'c']);
+    expect(cycles[0].edges.map(edge => edge.label)).toEqual(['Guitar', 'Spanish', 'Python']);
+
+    expect(swapCycleService.findCycles(graph, { through: 'c' })[0].members).toEqual(['c', 'a', 'b']);
+    expect(swapCycleService.findCycles(graph, { maxLength: 2 })).toEqual([]);
+  });
+
+  it('should leave out direct pairs and respect the maximum length', () => {
+    const pair = [card('a', python, guitar), card('b', guitar, python)];
+    expect(swapCycleService.findCycles(swapCycleService.buildGraph(swapCycleService.buildProfiles({ cards: pair })))).toEqual([]);
+
+    const five = [
+      card('a', python, guitar), card('b', guitar, spanish), card('c', spanish, cooking),
+      card('d', cooking, skill('Chess')), card('e', skill('Chess'), python)
+    ];
+    expect(swapCycleService.findCycles(swapCycleService.buildGraph(swapCycleService.buildProfiles({ cards: five })))).toEqual([]);
+    expect(swapCycleService.findCycles(swapCycleService.buildGraph(swapCycleService.buildProfiles({ cards: five.slice(0, 4).concat(card('d', cooking, python)) })))[0].members)
+      .toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('should give a rotation of the same ring the same key', () => {
+    expect(swapCycleService.cycleKey(['b', 'c', 'a'])).toBe('a>b>c');
+    expect(swapCycleService.cycleKey(['c', 'a', 'b'])).toBe('a>b>c');
+    expect(swapCycleService.cycleKey(['a', 'c', 'b'])).toBe('a>c>b');
+  });
+
+  it('should only let members take the actions their cycle allows', () => {
+    const cycle = { status: 'proposed', members: [{ user: 'a', response: 'accepted' }, { user: 'b', response: 'pending' }] };
+    expect(swapCycleService.resolveAction(cycle, 'accept', 'b').member.user).toBe('b');
+    expect(swapCycleService.resolveAction(cycle, 'accept', 'a').status).toBe(409);
+    expect(swapCycleService.resolveAction(cycle, 'accept', 'x').status).toBe(403);
+    expect(swapCycleService.resolveAction(cycle, 'leave', 'b').status).toBe(409);
+    expect(swapCycleService.resolveAction(cycle, 'join', 'b').status).toBe(400);
+    expect(swapCycleService.resolveAction({ ...cycle, status: 'active' }, 'complete', 'a').member.user).toBe('a');
+  });
+
+  it('should limit on-demand lookups per user and share one recent graph between them', async () => {
+    const collect = jest.spyOn(swapCycleService, 'collect').mockResolvedValue({ cards: ring, users: [] });
+    jest.spyOn(swapCycleService, 'recentlyProposed').mockResolvedValue(true);
+    const userId = new mongoose.Types.ObjectId();
+
+    expect(await swapCycleService.findFor(userId)).toEqual({ proposed: [] });
+    expect(await swapCycleService.findFor(userId)).toMatchObject({ status: 429, error: expect.stringMatching(/again in 15 minutes/) });
+    await swapCycleService.findFor(new mongoose.Types.ObjectId());
+    expect(collect).toHaveBeenCalledTimes(1);
+
+    await swapCycleService.loadGraph({ fresh: true });
+    expect(collect).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not hold a failed lookup against the user', async () => {
+    const match = jest.spyOn(swapCycleService, 'match').mockRejectedValueOnce(new Error('connection lost'));
+    const userId = new mongoose.Types.ObjectId();
+
+    await expect(swapCycleService.findFor(userId)).rejects.toThrow('connection lost');
+    match.mockResolvedValue([]);
+    expect(await swapCycleService.findFor(userId)).toEqual({ proposed: [] });
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const SwapCard = require('../../models/SwapCard');
+const swapNegotiationService = require('../../services/swapNegotiationService');
+
+describe('Swap request counter-offers', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should validate proposed terms', () => {
+    expect(swapNegotiationService.validateTerms({}, now).status).toBe(400);
+    expect(swapNegotiationService.validateTerms({ sessions: 0 }, now).status).toBe(400);
+    expect(swapNegotiationService.validateTerms({ sessions: 2.5 }, now).status).toBe(400);
+    expect(swapNegotiationService.validateTerms({ durationMinutes: 5 }, now).status).toBe(400);
+    expect(swapNegotiationService.validateTerms({ proposedSwapCardId: 'nope' }, now).status).toBe(400);
+    expect(swapNegotiationService.validateTerms({ schedule: ['2025-12-31T10:00:00Z'] }, now).status).toBe(400);
+    expect(swapNegotiationService.validateTerms({ schedule: ['not a date'] }, now).status).toBe(400);
+    expect(swapNegotiationService.validateTerms({
+      sessions: 1,
+      schedule: ['2026-01-02T10:00:00Z', '2026-01-03T10:00:00Z']
+    }, now).status).toBe(400);
+
+    const { terms } = swapNegotiationService.validateTerms({
+      sessions: 2,
+      durationMinutes: 60,
+      schedule: ['2026-01-09T10:00:00Z', '2026-01-02T10:00:00Z'],
+      notes: '  Evenings work best  '
+    }, now);
+    expect(terms.sessions).toBe(2);
+    expect(terms.schedule.map(date => date.toISOString())).toEqual(['2026-01-02T10:00:00.000Z', '2026-01-09T10:00:00.000Z']);
+    expect(terms.notes).toBe('Evenings work best');
+    expect(terms).not.toHaveProperty('proposedSwapCardId');
+  });
+
+  it('should merge accepted changes into the current agreement', () => {
+    const cardId = new mongoose.Types.ObjectId().toString();
+    const current = { proposedSwapCardId: cardId, sessions: 3, durationMinutes: 45 };
+
+    expect(swapNegotiationService.mergeTerms(current, { sessions: 4, notes: 'Online' })).toEqual({
+      proposedSwapCardId: cardId,
+      sessions: 4,
+      durationMinutes: 45,
+      notes: 'Online'
+    });
+    expect(swapNegotiationService.mergeTerms(undefined, { sessions: 1 })).toEqual({ sessions: 1 });
+  });
+
+  it('should reject invalid input before touching the database', async () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    const requestId = new mongoose.Types.ObjectId().toString();
+
+    expect((await swapNegotiationService.propose(requestId, user, {})).status).toBe(400);
+    expect((await swapNegotiationService.respond(requestId, requestId, user, 'maybe')).status).toBe(400);
+    expect((await swapNegotiationService.respond(requestId, 'nope', user, 'accept')).status).toBe(400);
+    expect((await swapNegotiationService.withdraw(requestId, 'nope', user)).status).toBe(400);
+  });
+
+  it('should only let the sender offer their own open, unexpired cards', async () => {
+    const sender = new mongoose.Types.ObjectId();
+    const swapRequest = { sender, proposedSwapCardId: new mongoose.Types.ObjectId() };
+    let card = { user: sender, status: 'open' };
+    jest.spyOn(SwapCard, 'findById').mockImplementation(() => ({ select: () => ({ lean: async () => card }) }));
+    const check = () => swapNegotiationService.checkCard(swapRequest, new mongoose.Types.ObjectId());
+
+    expect(await check()).toBeNull();
+    card = { user: sender, status: 'open', expiryDate: new Date(Date.now() + 60 * 1000) };
+    expect(await check()).toBeNull();
+    card = { user: sender, status: 'open', expiryDate: new Date(Date.now() - 60 * 1000) };
+    expect((await check()).error).toMatch(/expired/);
+    card = { user: sender, status: 'matched' };
+    expect((await check()).status).toBe(409);
+    card = { user: new mongoose.Types.ObjectId(), status: 'open' };
+    expect((await check()).status).toBe(400);
+  });
+});
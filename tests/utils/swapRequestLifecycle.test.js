@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const SwapCard = require('../../models/SwapCard');
+const blockService = require('../../services/blockService');
+const swapRequestService = require('../../services/swapRequestService');
+
+describe('Swap request lifecycle', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should allow only the listed transitions, by the right party', () => {
+    expect(swapRequestService.resolveTransition('pending', 'accept', 'receiver').transition.to).toBe('accepted');
+    expect(swapRequestService.resolveTransition('pending', 'cancel', 'sender').transition.to).toBe('cancelled');
+    expect(swapRequestService.resolveTransition('ongoing', 'complete', 'system').transition.to).toBe('completed');
+    expect(swapRequestService.resolveTransition('ongoing', 'complete', 'sender').status).toBe(403);
+
+    expect(swapRequestService.resolveTransition('pending', 'accept', 'sender').status).toBe(403);
+    expect(swapRequestService.resolveTransition('pending', 'cancel', 'receiver').status).toBe(403);
+    expect(swapRequestService.resolveTransition('completed', 'accept', 'receiver').status).toBe(409);
+    expect(swapRequestService.resolveTransition('rejected', 'start', 'sender').status).toBe(409);
+    expect(swapRequestService.resolveTransition('pending', 'complete', 'system').status).toBe(409);
+    expect(swapRequestService.resolveTransition('pending', 'approve', 'receiver').status).toBe(400);
+  });
+
+  it('should list the actions available to each party', () => {
+    expect(swapRequestService.availableActions('pending', 'receiver')).toEqual(['accept', 'reject']);
+    expect(swapRequestService.availableActions('pending', 'sender')).toEqual(['cancel']);
+    expect(swapRequestService.availableActions('accepted', 'sender')).toEqual(['cancel', 'start']);
+    expect(swapRequestService.availableActions('completed', 'receiver')).toEqual([]);
+
+    expect(swapRequestService.isTerminal('completed')).toBe(true);
+    expect(swapRequestService.isTerminal('rejected')).toBe(true);
+    expect(swapRequestService.isTerminal('ongoing')).toBe(false);
+  });
+
+  it('should map legacy status updates and participants', () => {
+    expect(swapRequestService.actionForStatus('accepted')).toBe('accept');
+    expect(swapRequestService.actionForStatus('pending')).toBeNull();
+
+    const sender = new mongoose.Types.ObjectId();
+    const receiver = new mongoose.Types.ObjectId();
+    const request = { sender, receiver: { _id: receiver } };
+    expect(swapRequestService.roleOf(request, sender.toString())).toBe('sender');
+    expect(swapRequestService.roleOf(request, receiver)).toBe('receiver');
+    expect(swapRequestService.roleOf(request, new mongoose.Types.ObjectId())).toBeNull();
+  });
+
+  it('should reject invalid input before touching the database', async () => {
+    const actor = { _id: new mongoose.Types.ObjectId() };
+    expect((await swapRequestService.transition('nope', 'accept', actor)).status).toBe(400);
+    expect((await swapRequestService.create(actor, { swapCardId: 'nope' })).status).toBe(400);
+
+    const requestId = new mongoose.Types.ObjectId().toString();
+    expect((await swapRequestService.transition(requestId, 'reject', actor, { reason: 'x'.repeat(501) })).status).toBe(400);
+  });
+
+  it('should only accept while both the card and the card offered in exchange are open and unexpired', async () => {
+    let proposed = { status: 'open' };
+    jest.spyOn(SwapCard, 'findById').mockImplementation(() => ({ select: () => ({ lean: async () => proposed }) }));
+    jest.spyOn(blockService, 'isBlockedBetween').mockResolvedValue(false);
+    const accept = { action: 'accept' };
+    const request = { sender: new mongoose.Types.ObjectId(), receiver: new mongoose.Types.ObjectId(), proposedSwapCardId: new mongoose.Types.ObjectId() };
+    const card = { status: 'open' };
+    const past = new Date(Date.now() - 1000);
+
+    expect(await swapRequestService.validate(accept, request, card)).toBeNull();
+    expect(await swapRequestService.validate(accept, request, { ...card, expiryDate: past })).toMatchObject({ status: 409 });
+
+    proposed = { status: 'matched' };
+    expect((await swapRequestService.validate(accept, request, card)).error).toMatch(/offered in exchange is no longer open/);
+    proposed = { status: 'open', expiryDate: past };
+    expect((await swapRequestService.validate(accept, request, card)).error).toMatch(/offered in exchange has expired/);
+    proposed = null;
+    expect(await swapRequestService.validate(accept, request, card)).toMatchObject({ status: 409 });
+    expect(await swapRequestService.validate(accept, { ...request, proposedSwapCardId: undefined }, card)).toBeNull();
+  });
+});
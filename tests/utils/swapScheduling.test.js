@@ -0,0 +1,119 @@
+const swapSchedulingService = require('../../services/swapSchedulingService');
+const ics = require('../../utils/ics');
+
+describe('Swap session scheduling', () => {
+  // Monday 2026-03-02 to Monday 2026-03-09
+  const from = new Date('2026-03-02T00:00:00Z');
+  const to = new Date('2026-03-09T00:00:00Z');
+
+  it('should parse availability days and times', () => {
+    expect(swapSchedulingService.parseDay('Monday')).toBe(1);
+    expect(swapSchedulingService.parseDay('sat')).toBe(6);
+    expect(swapSchedulingService.parseDay('0')).toBe(0);
+    expect(swapSchedulingService.parseDay('someday')).toBeNull();
+
+    expect(swapSchedulingService.parseTime('14:30')).toBe(870);
+    expect(swapSchedulingService.parseTime('9am')).toBe(540);
+    expect(swapSchedulingService.parseTime('12:15 AM')).toBe(15);
+    expect(swapSchedulingService.parseTime('9:30 PM')).toBe(1290);
+    expect(swapSchedulingService.parseTime('25:00')).toBeNull();
+    expect(swapSchedulingService.parseTime('noon')).toBeNull();
+  });
+
+  it('should place weekly availability in the owner\'s time zone', () => {
+    expect(swapSchedulingService.isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(swapSchedulingService.isValidTimeZone('Somewhere/Else')).toBe(false);
+    expect(swapSchedulingService.timeZoneOf({ timeZone: 'GMT+5ish' })).toBe('UTC');
+
+    const windows = swapSchedulingService.availabilityWindows([{ day: 'Monday', from: '09:00', to: '11:00' }], 'Asia/Kolkata', from, to);
+    expect(windows).toEqual([{ start: new Date('2026-03-02T03:30:00Z'), end: new Date('2026-03-02T05:30:00Z') }]);
+
+    // New York switches to daylight time on 2026-03-08
+    const newYork = swapSchedulingService.availabilityWindows([{ day: 'Sunday', from: '10:00', to: '11:00' }], 'America/New_York', from, new Date('2026-03-16T00:00:00Z'));
+    expect(newYork.map(window => window.start.toISOString())).toEqual(['2026-03-08T14:00:00.000Z', '2026-03-15T14:00:00.000Z']);
+  });
+
+  it('should handle windows that run past midnight', () => {
+    const windows = swapSchedulingService.availabilityWindows([{ day: 'Tuesday', from: '22:00', to: '01:00' }], 'UTC', from, to);
+    expect(windows).toEqual([{ start: new Date('2026-03-03T22:00:00Z'), end: new Date('2026-03-04T01:00:00Z') }]);
+  });
+
+  it('should offer slots where both users are free and nobody is booked', () => {
+    const windows = swapSchedulingService.freeWindows({
+      availabilities: [
+        { availableTimes: [{ day: 'Monday', from: '09:00', to: '12:00' }], timeZone: 'UTC' },
+        { availableTimes: [{ day: 'Monday', from: '11:00', to: '15:00' }], timeZone: 'Europe/Berlin' },
+        { availableTimes: [], timeZone: 'UTC' }
+      ],
+      busy: [{ startsAt: new Date('2026-03-02T10:30:00Z'), endsAt: new Date('2026-03-02T11:00:00Z') }],
+      from,
+      to
+    });
+    // Berlin 11:00-15:00 is 10:00-14:00 UTC; overlap 10:00-12:00 minus the 10:30 booking
+    expect(windows).toEqual([
+      { start: new Date('2026-03-02T10:00:00Z'), end: new Date('2026-03-02T10:30:00Z') },
+      { start: new Date('2026-03-02T11:00:00Z'), end: new Date('2026-03-02T12:00:00Z') }
+    ]);
+
+    const slots = swapSchedulingService.slotsIn(windows, 30);
+    expect(slots.map(slot => slot.startsAt.toISOString())).toEqual([
+      '2026-03-02T10:00:00.000Z',
+      '2026-03-02T11:00:00.000Z',
+      '2026-03-02T11:30:00.000Z'
+    ]);
+    expect(swapSchedulingService.slotsIn(windows, 60)).toHaveLength(1);
+    expect(swapSchedulingService.fits(slots[0], windows)).toBe(true);
+    expect(swapSchedulingService.fits({ startsAt: new Date('2026-03-02T10:00:00Z'), endsAt: new Date('2026-03-02T11:00:00Z') }, windows)).toBe(false);
+  });
+
+  it('should apply the reschedule and cancellation windows', () => {
+    const now = new Date('2026-03-02T00:00:00Z');
+    const soon = { status: 'scheduled', startsAt: new Date('2026-03-02T12:00:00Z') };
+    const later = { status: 'scheduled', startsAt: new Date('2026-03-05T12:00:00Z') };
+    expect(swapSchedulingService.policyFor(soon, now)).toEqual({ canReschedule: false, lateCancellation: true });
+    expect(swapSchedulingService.policyFor(later, now)).toEqual({ canReschedule: true, lateCancellation: false });
+    expect(swapSchedulingService.policyFor({ status: 'proposed' }, now)).toEqual({ canReschedule: false, lateCancellation: false });
+  });
+
+  it('should send only the latest due reminder once', () => {
+    const now = new Date('2026-03-02T00:00:00Z');
+    const session = { startsAt: new Date('2026-03-02T20:00:00Z'), remindersSent: [] };
+    expect(swapSchedulingService.dueReminder(session, now).key).toBe('24h');
+    expect(swapSchedulingService.dueReminder({ ...session, remindersSent: ['24h'] }, now)).toBeNull();
+    expect(swapSchedulingService.dueReminder({ startsAt: new Date('2026-03-02T00:30:00Z'), remindersSent: [] }, now).key).toBe('1h');
+    expect(swapSchedulingService.dueReminder({ startsAt: new Date('2026-03-04T00:00:00Z'), remindersSent: [] }, now)).toBeNull();
+  });
+
+  it('should build a calendar invite', () => {
+    const calendar = ics.buildEvent({
+      uid: 'swap-session-1@netyora.com',
+      sequence: 2,
+      start: new Date('2026-03-02T10:00:00Z'),
+      end: new Date('2026-03-02T11:00:00Z'),
+      summary: 'Swap session: Guitar, basics; and chords',
+      attendees: [{ name: 'Alice', email: 'alice@example.com' }, { name: 'No email' }],
+      stamp: new Date('2026-03-01T00:00:00Z')
+    });
+
+    expect(calendar).toContain('DTSTART:20260302T100000Z\r\n');
+    expect(calendar).toContain('SEQUENCE:2\r\n');
+    expect(calendar).toContain('SUMMARY:Swap session: Guitar\\, basics\\; and chords\r\n');
+    expect(calendar).toContain('ATTENDEE;CN="Alice";ROLE=REQ-PARTICIPANT:mailto:alice@example.com');
+    expect(calendar).not.toContain('No email');
+
+    const quoted = ics.buildEvent({
+      uid: 'y', start: new Date(), end: new Date(), summary: 'y',
+      organizer: { name: 'Smith, "Jo"; Team: A', email: 'jo@example.com' }
+    });
+    expect(quoted).toContain('ORGANIZER;CN="Smith, Jo; Team: A":mailto:jo@example.com');
+    expect(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    const cancelled = ics.buildEvent({ uid: 'x', method: 'CANCEL', start: new Date(), end: new Date(), summary: 'x' });
+    expect(cancelled).toContain('METHOD:CANCEL');
+    expect(cancelled).toContain('STATUS:CANCELLED');
+    expect(cancelled).not.toContain('VALARM');
+
+    const folded = ics.foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    expect(folded.split('\r\n ').join('')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+  });
+});
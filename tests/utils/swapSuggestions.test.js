@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const swapSuggestionService = require('../../services/swapSuggestionService');
+
+describe('Suggested swap matches', () => {
+  const now = new Date('2026-05-11T09:00:00Z');
+  const skill = (title) => ({ _id: new mongoose.Types.ObjectId(), title });
+  const guitar = skill('Guitar');
+  const spanish = skill('Spanish');
+  const mondays = [{ day: 'Monday', from: '18:00', to: '21:00' }];
+
+  const viewer = swapSuggestionService.buildViewer(
+    { skills: [spanish], lookingFor: [], location: { city: 'Lyon', country: 'France' }, timeZone: 'Europe/Paris' },
+    [{ offeredSkill: skill('Cooking'), desiredSkill: skill('guitar'), availableTimes: mondays }]
+  );
+  const card = (overrides = {}) => ({
+    offeredSkill: guitar,
+    desiredSkill: spanish,
+    availability: 'offline',
+    location: { city: 'Lyon', country: 'France' },
+    availableTimes: mondays,
+    createdAt: new Date('2026-05-09T09:00:00Z'),
+    ...overrides
+  });
+
+  it('should match skills in both directions, from the profile and the viewer\'s own cards', () => {
+    expect(swapSuggestionService.skillMatch(viewer, card())).toEqual({ teachesYou: true, learnsFromYou: true });
+    expect(swapSuggestionService.skillMatch(viewer, card({ desiredSkill: skill('Chess') }))).toEqual({ teachesYou: true, learnsFromYou: false });
+    expect(swapSuggestionService.scoreCard(viewer, card({ offeredSkill: skill('Chess'), desiredSkill: skill('Chess') }), {}, now)).toBeNull();
+  });
+
+  it('should rate location and schedule compatibility', () => {
+    expect(swapSuggestionService.locationScore(viewer, card()).score).toBe(1);
+    expect(swapSuggestionService.locationScore(viewer, card({ location: { city: 'Paris', country: 'france' } })).score).toBe(0.5);
+    expect(swapSuggestionService.locationScore(viewer, card({ location: { city: 'Rome', country: 'Italy' } }))).toEqual({ score: 0 });
+    expect(swapSuggestionService.locationScore(viewer, card({ availability: 'online' })).reason).toBe('Swaps online');
+
+    const placed = { ...viewer, location: { ...viewer.location, point: { type: 'Point', coordinates: [4.8357, 45.764] } } };
+    const grenoble = card({ location: { city: 'Grenoble', country: 'France', point: { type: 'Point', coordinates: [5.7245, 45.1885] } } });
+    expect(swapSuggestionService.locationScore(placed, grenoble).reason).toBe('Meets in person in Grenoble, about 94 km away');
+    expect(swapSuggestionService.locationScore(placed, card({ location: { city: 'Paris', country: 'France', point: { type: 'Point', coordinates: [2.3522, 48.8566] } } }))).toEqual({ score: 0 });
+
+    expect(swapSuggestionService.scheduleScore(viewer, card(), 'Europe/Paris', now)).toEqual({ score: 0.75, reason: 'Free at the same time 3 hours a week' });
+    // 18:00-21:00 in New York is after midnight in Lyon
+    expect(swapSuggestionService.scheduleScore(viewer, card(), 'America/New_York', now)).toEqual({ score: 0 });
+    expect(swapSuggestionService.scheduleScore(viewer, card({ availableTimes: [] }), 'UTC', now)).toBeNull();
+  });
+
+  it('should weigh the author\'s track record and the card\'s age', () => {
+    expect(swapSuggestionService.ratingScore(undefined).score).toBeCloseTo(0.625);
+    expect(swapSuggestionService.ratingScore({ average: 5, count: 1 }).score).toBeLessThan(swapSuggestionService.ratingScore({ average: 4.8, count: 20 }).score);
+    expect(swapSuggestionService.ratingScore({ average: 4.8, count: 20 }).reason).toBe('Rated 4.8 from 20 reviews');
+
+    expect(swapSuggestionService.responseScore({ answered: 1, total: 2 })).toBeNull();
+    expect(swapSuggestionService.responseScore({ answered: 9, total: 10 })).toEqual({ score: 0.9, reason: 'Answers 90% of swap requests' });
+
+    expect(swapSuggestionService.recencyScore(new Date('2026-05-09T09:00:00Z'), now).reason).toBe('Posted 2 days ago');
+    expect(swapSuggestionService.recencyScore(new Date('2026-03-01T00:00:00Z'), now)).toEqual({ score: 0 });
+  });
+
+  it('should rank mutual matches first and explain each match', () => {
+    const signals = { rating: { average: 4.5, count: 6 }, response: { answered: 5, total: 5 }, timeZone: 'Europe/Paris' };
+    const mutual = swapSuggestionService.scoreCard(viewer, card(), signals, now);
+    const oneWay = swapSuggestionService.scoreCard(viewer, card({ desiredSkill: skill('Chess') }), signals, now);
+
+    expect(mutual.type).toBe('perfect');
+    expect(oneWay.type).toBe('can_learn');
+    expect(mutual.score).toBeGreaterThan(oneWay.score);
+    expect(mutual.reason).toBe('Teaches Guitar, which you want to learn, and wants to learn Spanish, which you can teach');
+    expect(mutual.reasons).toContain('Answers 100% of swap requests');
+    expect(oneWay.reason).toBe('Teaches Guitar, which you want to learn');
+  });
+});
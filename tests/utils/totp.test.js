@@ -0,0 +1,38 @@
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B test vectors (SHA-1), truncated to 6 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+  it('should round-trip base32 encoding', () => {
+    const buffer = Buffer.from('hello two-factor');
+    expect(totp.base32Decode(totp.base32Encode(buffer)).toString()).toBe('hello two-factor');
+  });
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('should match the RFC 6238 vector at T=%i', (seconds, expected) => {
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000))).toBe(expected);
+  });
+
+  it('should accept codes from adjacent steps and reject others', () => {
+    const secret = totp.generateSecret();
+    const now = Date.now();
+    const step = totp.getTimeStep(now);
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step), { time: now })).toBe(step);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { time: now })).toBe(step - 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 3), { time: now })).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef', { time: now })).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = totp.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'test@example.com');
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Netyora%3Atest%40example\.com\?/);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('issuer=Netyora');
+  });
+});
@@ -81,6 +81,39 @@ async function deleteAudioFile(fileName, fileId) {
   }
 }
 
+// Delete every version of a file by its name in the bucket, e.g. from a public URL.
+// Returns the number of versions removed.
+async function deleteFileByName(fileName) {
+  try {
+    await b2.authorize();
+    const { data } = await b2.listFileVersions({
+      bucketId: process.env.B2_BUCKET_ID,
+      startFileName: fileName,
+      maxFileCount: 100
+    });
+    const versions = data.files.filter(file => file.fileName === fileName);
+    for (const file of versions) {
+      await b2.deleteFileVersion({ fileName: file.fileName, fileId: file.fileId });
+    }
+    logger.info(`Deleted ${versions.length} version(s) of ${fileName}`);
+    return versions.length;
+  } catch (error) {
+    logger.error('Backblaze delete by name error:', error);
+    throw error;
+  }
+}
+
+// Map a public B2 URL back to the file name in the bucket.
+// uploadAudioFile stores files under voice-messages/ but its public URLs omit that prefix.
+function getFileNameFromUrl(url) {
+  if (typeof url !== 'string' || !url.includes('backblazeb2.com/file/')) return null;
+  const [, rest] = url.split(/[?#]/)[0].split('backblazeb2.com/file/');
+  const segments = rest.split('/').slice(1); // drop the bucket name
+  if (!segments.length) return null;
+  const fileName = decodeURIComponent(segments.join('/'));
+  return fileName.startsWith('voice-messages/') ? fileName : `voice-messages/${fileName}`;
+}
+
 // Get file info
 async function getFileInfo(fileId) {
   try {
@@ -98,5 +131,7 @@ module.exports = {
   initializeB2,
   uploadAudioFile,
   deleteAudioFile,
+  deleteFileByName,
+  getFileNameFromUrl,
   getFileInfo
 }; 
\ No newline at end of file
@@ -81,6 +81,24 @@ const cloudinaryUtils = {
     }
   },
 
+  // Recover the public ID from a delivery URL, e.g.
+  // https://res.cloudinary.com/<cloud>/image/upload/v123/Netyora/avatars/abc.jpg -> Netyora/avatars/abc
+  getPublicIdFromUrl(url) {
+    if (typeof url !== 'string' || !url.includes('res.cloudinary.com')) return null;
+    const [, path] = url.split(/[?#]/)[0].split('/upload/');
+    if (!path) return null;
+
+    let segments = path.split('/');
+    const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+    if (versionIndex !== -1) {
+      segments = segments.slice(versionIndex + 1);
+    } else {
+      // Without a version, skip leading transformation segments such as "c_fill,w_150"
+      while (segments.length > 1 && /^[a-z]{1,3}_[^/]*$/.test(segments[0])) segments.shift();
+    }
+    return decodeURIComponent(segments.join('/').replace(/\.[a-z0-9]+$/i, ''));
+  },
+
   // Generate a signed URL for secure file access
   async generateSignedUrl(publicId, options = {}) {
     try {
@@ -0,0 +1,138 @@
+// Email templates used by the email queue. Each returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto;">
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">Netyora</p>
+  </body>
+</html>`;
+
+const templates = {
+  'email-verification': ({ name, verifyUrl, expiresInHours }) => ({
+    subject: 'Verify your Netyora email address',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      verifyUrl,
+      '',
+      `The link expires in ${expiresInHours} hours.`
+    ].join('\n'),
+    html: layout('Verify your email address', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Please confirm your email address:</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Verify email</a></p>
+    <p>The link expires in ${escapeHtml(expiresInHours)} hours.</p>`)
+  }),
+
+  'password-reset': ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your Netyora password',
+    text: [
+      `Hi ${name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n'),
+    html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+    <p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>
+    <p>The link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once.
+    If you did not ask for this, you can ignore this email.</p>`)
+  }),
+
+  'password-changed': ({ name }) => ({
+    subject: 'Your Netyora password was changed',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Your password was just changed and all of your sessions were signed out.',
+      'If this was not you, reset your password immediately and contact support.'
+    ].join('\n'),
+    html: layout('Your password was changed', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Your password was just changed and all of your sessions were signed out.</p>
+    <p>If this was not you, reset your password immediately and contact support.</p>`)
+  }),
+
+  'new-device-login': ({ name, device, ip, time, reportUrl }) => ({
+    subject: 'New sign-in to your Netyora account',
+    text: [
+      `Hi ${name},`,
+      '',
+      `Your account was just signed in to from ${device} (IP ${ip}) at ${time}.`,
+      'If this was you, there is nothing to do.',
+      'If it was not, open the link below to sign that device out, then reset your password:',
+      reportUrl
+    ].join('\n'),
+    html: layout('New sign-in to your account', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Your account was just signed in to from <strong>${escapeHtml(device)}</strong> (IP ${escapeHtml(ip)}) at ${escapeHtml(time)}.</p>
+    <p>If this was you, there is nothing to do. If it was not, sign that device out and then reset your password:</p>
+    <p><a href="${escapeHtml(reportUrl)}">This wasn't me</a></p>`)
+  }),
+
+  // change: 'scheduled' | 'rescheduled' | 'cancelled'; the calendar invite is attached
+  'swap-session': ({ name, partner, title, when, change, reason }) => ({
+    subject: `Swap session ${change}: ${title}`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `Your swap session with ${partner} for "${title}" ${change === 'cancelled' ? 'on' : 'is now'} ${when}${change === 'cancelled' ? ' was cancelled' : ''}.`,
+      reason ? `Reason: ${reason}` : '',
+      change === 'cancelled'
+        ? 'The attached invite removes it from your calendar.'
+        : 'Open the attached invite to add it to your calendar.'
+    ].filter(line => line !== '').join('\n'),
+    html: layout(`Swap session ${change}`, `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Your swap session with <strong>${escapeHtml(partner)}</strong> for "${escapeHtml(title)}"
+    ${change === 'cancelled' ? 'on' : 'is now'} <strong>${escapeHtml(when)}</strong>${change === 'cancelled' ? ' was cancelled' : ''}.</p>
+    ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ''}
+    <p>${change === 'cancelled' ? 'The attached invite removes it from your calendar.' : 'Open the attached invite to add it to your calendar.'}</p>`)
+  }),
+
+  'swap-card-expiring': ({ name, title, expiresOn, renewUrl, renewDays }) => ({
+    subject: `Your swap card "${title}" expires soon`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `Your swap card "${title}" expires on ${expiresOn} and will then be closed.`,
+      `To keep it open for another ${renewDays} days, open this link:`,
+      renewUrl,
+      '',
+      'If you no longer need it, there is nothing to do.'
+    ].join('\n'),
+    html: layout('Your swap card expires soon', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Your swap card "<strong>${escapeHtml(title)}</strong>" expires on <strong>${escapeHtml(expiresOn)}</strong> and will then be closed.</p>
+    <p><a href="${escapeHtml(renewUrl)}">Keep it open for another ${escapeHtml(renewDays)} days</a></p>
+    <p>If you no longer need it, there is nothing to do.</p>`)
+  })
+};
+
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  templates,
+  renderTemplate,
+  escapeHtml
+};
@@ -0,0 +1,92 @@
+// Minimal iCalendar (RFC 5545) builder for single events, used for swap session invites.
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values (CN) can't be backslash-escaped; quote them and drop what a quoted value can't hold
+const quoteParam = (value) => `"${String(value ?? '').replace(/["\x00-\x1f\x7f]/g, '')}"`;
+
+// 20260102T100000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length ? 74 : 75;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a calendar with one event.
+ * method: 'REQUEST' for new and updated events, 'CANCEL' to remove it from the attendees' calendars.
+ * attendees: [{ name, email }]
+ */
+const buildEvent = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  end,
+  summary,
+  description,
+  url,
+  organizer,
+  attendees = [],
+  stamp = new Date()
+}) => {
+  const cancelled = method === 'CANCEL';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Netyora//Swap Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer?.email) lines.push(`ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}`);
+  for (const attendee of attendees.filter(candidate => candidate.email)) {
+    lines.push(`ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  }
+  if (!cancelled) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(summary)}`, 'TRIGGER:-PT15M', 'END:VALARM');
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildEvent,
+  escapeText,
+  quoteParam,
+  formatDate,
+  foldLine
+};
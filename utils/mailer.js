@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Pluggable mail transports. Select one with MAIL_TRANSPORT:
+ * - smtp:   real delivery through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ * - file:   writes each message as JSON under MAIL_FILE_DIR (default logs/mail), handy in development
+ * - memory: keeps messages in process, used by tests
+ * Defaults to smtp when SMTP_HOST is set, memory under NODE_ENV=test and file otherwise.
+ */
+
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createFileTransport = (dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'logs', 'mail')) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const file = path.join(dir, `${messageId}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+    return { messageId, file };
+  }
+});
+
+const createMemoryTransport = () => {
+  const outbox = [];
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      const messageId = `${Date.now()}-${outbox.length}`;
+      outbox.push({ ...message, messageId, date: new Date() });
+      return { messageId };
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = defaultTransportName();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = factory();
+    logger.info(`Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a custom provider or in tests. Accepts a name or an object with send().
+const setTransport = (nameOrTransport) => {
+  if (typeof nameOrTransport === 'string') {
+    const factory = transportFactories[nameOrTransport];
+    if (!factory) throw new Error(`Unknown mail transport "${nameOrTransport}"`);
+    transport = factory();
+  } else {
+    transport = nameOrTransport;
+  }
+  return transport;
+};
+
+// attachments: nodemailer-style [{ filename, content, contentType }]
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Netyora <no-reply@netyora.com>',
+    to,
+    subject,
+    text,
+    html
+  };
+  if (attachments?.length) message.attachments = attachments;
+  const result = await getTransport().send(message);
+  logger.info(`Email "${subject}" sent to ${to} via ${getTransport().name}`);
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport
+};
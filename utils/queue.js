@@ -1,18 +1,65 @@
-const Queue = require('bull');
+const EventEmitter = require('events');
 const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { renderTemplate } = require('./emailTemplates');
+
+// In-process stand-in for a Bull queue, used in tests and when Redis is not configured.
+// Jobs run on the next tick and are lost on restart.
+class LocalQueue extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.handler = null;
+    this.nextId = 1;
+  }
+
+  process(handler) {
+    this.handler = handler;
+  }
+
+  async add(data) {
+    const job = { id: this.nextId++, data, queue: this };
+    setImmediate(async () => {
+      if (!this.handler) return;
+      try {
+        const result = await this.handler(job);
+        this.emit('completed', job, result);
+      } catch (error) {
+        this.emit('failed', job, error);
+      }
+    });
+    return job;
+  }
+}
+
+const createQueue = (name) => {
+  if (!process.env.REDIS_URL || process.env.NODE_ENV === 'test') {
+    return new LocalQueue(name);
+  }
+  const Queue = require('bull');
+  return new Queue(name, process.env.REDIS_URL, {
+    defaultJobOptions: { attempts: 3, backoff: { type: 'exponential', delay: 5000 }, removeOnComplete: true }
+  });
+};
 
 // Create queues
-const emailQueue = new Queue('email', process.env.REDIS_URL);
-const notificationQueue = new Queue('notification', process.env.REDIS_URL);
-const skillVerificationQueue = new Queue('skill-verification', process.env.REDIS_URL);
+const emailQueue = createQueue('email');
+const notificationQueue = createQueue('notification');
+const skillVerificationQueue = createQueue('skill-verification');
+const dataExportQueue = createQueue('data-export');
 
 // Email queue processor
+// Job data: { to, template, data } to render a template, or { to, subject, text, html } for a raw message,
+// plus optional attachments
 emailQueue.process(async (job) => {
   try {
-    const { to, subject, template, data } = job.data;
-    // Implement email sending logic here
-    logger.info(`Email sent to ${to}`);
-    return { success: true };
+    const { to, template, data, attachments } = job.data;
+    const message = template
+      ? renderTemplate(template, data)
+      : { subject: job.data.subject, text: job.data.text, html: job.data.html };
+
+    const result = await sendMail({ to, ...message, attachments });
+    return { success: true, messageId: result.messageId };
   } catch (error) {
     logger.error('Email queue error:', error);
     throw error;
@@ -33,20 +80,35 @@ notificationQueue.process(async (job) => {
 });
 
 // Skill verification queue processor
+// Job data: { verificationId }
 skillVerificationQueue.process(async (job) => {
   try {
-    const { skillId, userId, verificationData } = job.data;
-    // Implement skill verification logic here
-    logger.info(`Skill verification processed for skill ${skillId}`);
-    return { success: true };
+    // Required lazily, like the data export service
+    const skillVerificationService = require('../services/skillVerificationService');
+    const result = await skillVerificationService.process(job.data.verificationId);
+    return { success: true, ...result };
   } catch (error) {
     logger.error('Skill verification queue error:', error);
     throw error;
   }
 });
 
+// Data export queue processor
+// Job data: { exportId }
+dataExportQueue.process(async (job) => {
+  try {
+    // Required lazily: the service pulls in most models and itself requires this module
+    const dataExportService = require('../services/dataExportService');
+    await dataExportService.buildExport(job.data.exportId);
+    return { success: true };
+  } catch (error) {
+    logger.error('Data export queue error:', error);
+    throw error;
+  }
+});
+
 // Error handling for all queues
-[emailQueue, notificationQueue, skillVerificationQueue].forEach(queue => {
+[emailQueue, notificationQueue, skillVerificationQueue, dataExportQueue].forEach(queue => {
   queue.on('error', (error) => {
     logger.error(`Queue ${queue.name} error:`, error);
   });
@@ -63,5 +125,6 @@ skillVerificationQueue.process(async (job) => {
 module.exports = {
   emailQueue,
   notificationQueue,
-  skillVerificationQueue
+  skillVerificationQueue,
+  dataExportQueue
 }; 
\ No newline at end of file
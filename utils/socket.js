@@ -1,7 +1,12 @@
+const mongoose = require('mongoose');
 const socketIO = require('socket.io');
 const logger = require('./logger');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Chat = require('../models/Chat');
+const sessionService = require('../services/sessionService');
+const blockService = require('../services/blockService');
+
+const userRoom = (userId) => `user:${userId}`;
 
 class SocketService {
   constructor() {
@@ -26,14 +31,13 @@ class SocketService {
             return next(new Error('Authentication error: No token provided'));
           }
 
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          const user = await User.findById(decoded.id).select('-password');
-          
-          if (!user) {
-            return next(new Error('Authentication error: User not found'));
+          const result = await sessionService.authenticate(token);
+          if (!result) {
+            return next(new Error('Authentication error: Session expired or revoked'));
           }
 
-          socket.user = user;
+          socket.user = result.user;
+          socket.sessionId = result.session._id.toString();
           next();
         } catch (error) {
           logger.error('Socket authentication error:', error);
@@ -44,6 +48,14 @@ class SocketService {
       this.io.on('connection', async (socket) => {
         logger.info(`New client connected: ${socket.id} for user: ${socket.user?.username}`);
 
+        // Room per auth session so a revoked session can be kicked off
+        socket.join(`session:${socket.sessionId}`);
+        // Room per user, so events can skip users on either side of a block
+        socket.join(userRoom(socket.user._id));
+        // Loaded in the background so no early events are missed while handlers are registered
+        socket.data.blockedRooms = [];
+        this.loadBlocks(socket);
+
         // Handle user authentication and online status
         socket.on('authenticate', async (data) => {
           try {
@@ -72,7 +84,7 @@ class SocketService {
                 });
 
                 // Broadcast user online status to all connected clients
-                this.io.emit('userOnlineStatus', {
+                this.io.except(socket.data.blockedRooms).emit('userOnlineStatus', {
                   userId: socket.user._id.toString(),
                   isOnline: true,
                   status: 'online',
@@ -108,7 +120,7 @@ class SocketService {
                 }
                 
                 // Broadcast status change to all connected clients
-                this.io.emit('userOnlineStatus', {
+                this.io.except(socket.data.blockedRooms).emit('userOnlineStatus', {
                   userId: socket.user._id.toString(),
                   isOnline: true,
                   status: status,
@@ -123,9 +135,17 @@ class SocketService {
 
         // --- ROOM-BASED CHAT EVENTS ---
         // Join a chat room
-        socket.on('joinChat', ({ chatId }) => {
-          socket.join(chatId);
-          logger.info(`Socket ${socket.id} joined chat room ${chatId}`);
+        socket.on('joinChat', async ({ chatId }) => {
+          try {
+            if (!(await this.canJoinChat(socket.user._id, chatId))) {
+              logger.warn(`Socket ${socket.id} may not join chat room ${chatId}`);
+              return;
+            }
+            socket.join(chatId);
+            logger.info(`Socket ${socket.id} joined chat room ${chatId}`);
+          } catch (error) {
+            logger.error('Error joining chat room:', error);
+          }
         });
         
         // Leave a chat room
@@ -149,7 +169,8 @@ class SocketService {
               },
               timestamp: new Date().toISOString(),
             };
-            this.io.to(chatId).emit('message', message);
+            if (!socket.rooms.has(chatId)) return;
+            this.io.to(chatId).except(socket.data.blockedRooms).emit('message', message);
             logger.info(`Socket ${socket.id} sent message to chat ${chatId}`);
           } catch (error) {
             logger.error('Error sending message:', error);
@@ -158,7 +179,8 @@ class SocketService {
 
         // Handle typing notifications (room-based)
         socket.on('typing', ({ chatId, isTyping }) => {
-          socket.to(chatId).emit('typing', {
+          if (!socket.rooms.has(chatId)) return;
+          socket.to(chatId).except(socket.data.blockedRooms).emit('typing', {
             userId: socket.user._id,
             username: socket.user.username,
             isTyping
@@ -168,7 +190,8 @@ class SocketService {
         // --- VOICE MESSAGE EVENTS ---
         // Start voice recording
         socket.on('startVoiceRecording', ({ chatId }) => {
-          this.io.to(chatId).emit('voiceRecordingStarted', {
+          if (!socket.rooms.has(chatId)) return;
+          this.io.to(chatId).except(socket.data.blockedRooms).emit('voiceRecordingStarted', {
             chatId,
             sender: {
               _id: socket.user._id,
@@ -184,7 +207,8 @@ class SocketService {
 
         // Stop voice recording
         socket.on('stopVoiceRecording', ({ chatId }) => {
-          this.io.to(chatId).emit('voiceRecordingStopped', {
+          if (!socket.rooms.has(chatId)) return;
+          this.io.to(chatId).except(socket.data.blockedRooms).emit('voiceRecordingStopped', {
             chatId,
             sender: {
               _id: socket.user._id,
@@ -214,13 +238,15 @@ class SocketService {
             },
             timestamp: new Date().toISOString(),
           };
-          this.io.to(chatId).emit('voiceMessage', voiceMessage);
+          if (!socket.rooms.has(chatId)) return;
+          this.io.to(chatId).except(socket.data.blockedRooms).emit('voiceMessage', voiceMessage);
           logger.info(`Socket ${socket.id} sent voice message to chat ${chatId}`);
         });
 
         // Voice message played
         socket.on('voiceMessagePlayed', ({ chatId, messageId }) => {
-          this.io.to(chatId).emit('voiceMessagePlayed', {
+          if (!socket.rooms.has(chatId)) return;
+          this.io.to(chatId).except(socket.data.blockedRooms).emit('voiceMessagePlayed', {
             chatId,
             messageId,
             playedBy: {
@@ -235,7 +261,7 @@ class SocketService {
         // Handle user presence
         socket.on('presence', (data) => {
           const { status } = data;
-          socket.broadcast.emit('user_presence', {
+          socket.broadcast.except(socket.data.blockedRooms).emit('user_presence', {
             userId: socket.user._id,
             status
           });
@@ -263,7 +289,7 @@ class SocketService {
                 this.connectedUsers.delete(socket.user._id.toString());
 
                 // Broadcast user offline status to all connected clients
-                this.io.emit('userOnlineStatus', {
+                this.io.except(socket.data.blockedRooms).emit('userOnlineStatus', {
                   userId: socket.user._id.toString(),
                   isOnline: false,
                   status: 'offline',
@@ -306,6 +332,49 @@ class SocketService {
     }
   }
 
+  // Cache the rooms of users blocked in either direction, used to leave them out of broadcasts
+  async loadBlocks(socket) {
+    try {
+      const blocked = await blockService.getBlockedUserIds(socket.user._id);
+      socket.data.blockedRooms = blocked.map(id => userRoom(id));
+    } catch (error) {
+      logger.error('Error loading blocked users for socket:', error);
+      socket.data.blockedRooms = [];
+    }
+  }
+
+  // Only participants may join a chat room, and never a direct chat with someone blocked
+  async canJoinChat(userId, chatId) {
+    if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) return false;
+    const chat = await Chat.findOne({ _id: chatId, participants: userId }).select('type participants').lean();
+    if (!chat) return false;
+    if (chat.type !== 'personal') return true;
+
+    const other = chat.participants.find(id => id.toString() !== userId.toString());
+    return !(await blockService.isBlockedBetween(userId, other));
+  }
+
+  // After a block or unblock: reload the users' block lists and take them out of the given chat rooms
+  async refreshBlocks(userIds, chatIds = []) {
+    if (!this.io) return;
+    for (const userId of userIds) {
+      const blockedRooms = (await blockService.getBlockedUserIds(userId)).map(id => userRoom(id));
+      const sockets = await this.io.in(userRoom(userId)).fetchSockets();
+      for (const socket of sockets) {
+        socket.data.blockedRooms = blockedRooms;
+        chatIds.forEach(chatId => socket.leave(chatId));
+      }
+    }
+  }
+
+  // Disconnect every socket opened with a given auth session
+  disconnectSession(sessionId) {
+    if (!this.io) return;
+    this.io.to(`session:${sessionId}`).emit('sessionRevoked', { sessionId });
+    this.io.in(`session:${sessionId}`).disconnectSockets(true);
+    logger.info(`Disconnected sockets for session ${sessionId}`);
+  }
+
   // Broadcast message to all users
   broadcast(event, data) {
     this.io.emit(event, data);
@@ -0,0 +1,136 @@
+const logger = require('./logger');
+
+// Expired entries are swept from memory on this interval
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Process-local key/value store with per-key expiry. Counts are not shared between instances.
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    return this.read(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+  }
+
+  // Increment a counter; the expiry is set when the counter is created
+  async incr(key, ttlSeconds) {
+    const entry = this.read(key);
+    if (entry) {
+      entry.value += 1;
+      return entry.value;
+    }
+    await this.set(key, 1, ttlSeconds);
+    return 1;
+  }
+
+  // Seconds until the key expires, or 0 if it does not exist
+  async ttl(key) {
+    const entry = this.read(key);
+    if (!entry) return 0;
+    if (!entry.expiresAt) return Infinity;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async del(...keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+}
+
+// Same interface backed by the shared Redis client. Falls back to memory while Redis is unavailable.
+class RedisStore {
+  constructor(client, fallback) {
+    this.client = client;
+    this.fallback = fallback;
+  }
+
+  async run(operation, redisCall, fallbackCall) {
+    if (!this.client.isReady) return fallbackCall(this.fallback);
+    try {
+      return await redisCall(this.client);
+    } catch (error) {
+      logger.error(`Redis ${operation} failed, using in-memory store:`, error);
+      return fallbackCall(this.fallback);
+    }
+  }
+
+  get(key) {
+    return this.run('get', client => client.get(key), store => store.get(key));
+  }
+
+  set(key, value, ttlSeconds) {
+    return this.run(
+      'set',
+      client => (ttlSeconds ? client.set(key, String(value), { EX: ttlSeconds }) : client.set(key, String(value))),
+      store => store.set(key, value, ttlSeconds)
+    );
+  }
+
+  incr(key, ttlSeconds) {
+    return this.run('incr', async (client) => {
+      const count = await client.incr(key);
+      if (count === 1 && ttlSeconds) await client.expire(key, ttlSeconds);
+      return count;
+    }, store => store.incr(key, ttlSeconds));
+  }
+
+  ttl(key) {
+    return this.run('ttl', async (client) => {
+      const seconds = await client.ttl(key);
+      // -2: no such key, -1: no expiry
+      if (seconds === -2) return 0;
+      return seconds === -1 ? Infinity : seconds;
+    }, store => store.ttl(key));
+  }
+
+  del(...keys) {
+    return this.run('del', client => client.del(keys), store => store.del(...keys));
+  }
+}
+
+let sharedStore = null;
+
+/**
+ * Shared store for short-lived counters and cache entries.
+ * Uses Redis when REDIS_URL is configured (outside tests), otherwise process memory.
+ */
+const getStore = () => {
+  if (sharedStore) return sharedStore;
+
+  const memory = new MemoryStore();
+  if (process.env.REDIS_URL && process.env.NODE_ENV !== 'test') {
+    sharedStore = new RedisStore(require('./redis'), memory);
+  } else {
+    sharedStore = memory;
+  }
+  return sharedStore;
+};
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  getStore
+};